@@ -0,0 +1,316 @@
+/**
+ * Tests for utils/stellar/amount.js
+ *
+ * Exact BigInt amount formatting. Values beyond Number precision are the
+ * point of this module, so most cases use i128-sized amounts.
+ */
+
+import {
+  formatRawAmount,
+  formatDecimal,
+  parseDecimal,
+  toBigIntAmount,
+  ROUNDING_MODES,
+} from '../utils/stellar/amount.js';
+import { formatAmount } from '../utils/scan/operations.js';
+import { formatNumber } from '../utils/scan/helpers.js';
+
+const I128_MAX = (1n << 127n) - 1n; // 170141183460469231731687303715884105727
+const I128_MIN = -(1n << 127n);     // -170141183460469231731687303715884105728
+
+describe('toBigIntAmount', () => {
+  it('should accept bigints, integer numbers and integer strings', () => {
+    expect(toBigIntAmount(5n)).toBe(5n);
+    expect(toBigIntAmount(-42)).toBe(-42n);
+    expect(toBigIntAmount(' 170141183460469231731687303715884105727 ')).toBe(I128_MAX);
+    expect(toBigIntAmount('+7')).toBe(7n);
+    expect(toBigIntAmount('-0')).toBe(0n);
+  });
+
+  it('should reject non-integers', () => {
+    expect(() => toBigIntAmount(1.5)).toThrow('Invalid raw amount');
+    expect(() => toBigIntAmount('1.5')).toThrow('Invalid raw amount');
+    expect(() => toBigIntAmount('abc')).toThrow('Invalid raw amount');
+    expect(() => toBigIntAmount('')).toThrow('Invalid raw amount');
+    expect(() => toBigIntAmount(null)).toThrow('Invalid raw amount');
+    expect(() => toBigIntAmount(NaN)).toThrow('Invalid raw amount');
+  });
+});
+
+describe('parseDecimal', () => {
+  it('should parse integers and decimals', () => {
+    expect(parseDecimal('123')).toEqual({ raw: 123n, decimals: 0 });
+    expect(parseDecimal('12.50')).toEqual({ raw: 1250n, decimals: 2 });
+    expect(parseDecimal('-0.001')).toEqual({ raw: -1n, decimals: 3 });
+    expect(parseDecimal('.5')).toEqual({ raw: 5n, decimals: 1 });
+    expect(parseDecimal('5.')).toEqual({ raw: 5n, decimals: 0 });
+    expect(parseDecimal(42n)).toEqual({ raw: 42n, decimals: 0 });
+  });
+
+  it('should parse exponent notation exactly', () => {
+    expect(parseDecimal(1e21)).toEqual({ raw: 10n ** 21n, decimals: 0 });
+    expect(parseDecimal('1.5e+3')).toEqual({ raw: 1500n, decimals: 0 });
+    expect(parseDecimal('2.5e-3')).toEqual({ raw: 25n, decimals: 4 });
+    expect(parseDecimal(1e-7)).toEqual({ raw: 1n, decimals: 7 });
+  });
+
+  it('should reject non-decimals', () => {
+    expect(() => parseDecimal('')).toThrow('Invalid decimal');
+    expect(() => parseDecimal('.')).toThrow('Invalid decimal');
+    expect(() => parseDecimal('1,000')).toThrow('Invalid decimal');
+    expect(() => parseDecimal(Infinity)).toThrow('Invalid decimal');
+    expect(() => parseDecimal(NaN)).toThrow('Invalid decimal');
+    expect(() => parseDecimal(undefined)).toThrow('Invalid decimal');
+  });
+});
+
+describe('formatRawAmount', () => {
+  describe('exact output', () => {
+    it('should format whole and fractional amounts with 7 decimals', () => {
+      expect(formatRawAmount(10000000n)).toBe('1');
+      expect(formatRawAmount('15000000')).toBe('1.5');
+      expect(formatRawAmount(1234567)).toBe('0.1234567');
+      expect(formatRawAmount(1n)).toBe('0.0000001');
+      expect(formatRawAmount(0n)).toBe('0');
+    });
+
+    it('should keep every digit of i128 extremes', () => {
+      expect(formatRawAmount(I128_MAX, 7))
+        .toBe('17,014,118,346,046,923,173,168,730,371,588.4105727');
+      expect(formatRawAmount(I128_MIN, 7))
+        .toBe('-17,014,118,346,046,923,173,168,730,371,588.4105728');
+      expect(formatRawAmount(I128_MAX, 0))
+        .toBe('170,141,183,460,469,231,731,687,303,715,884,105,727');
+    });
+
+    it('should be exact past 2^53', () => {
+      // Number(2^53 + 1) rounds to 2^53
+      expect(formatRawAmount(2n ** 53n + 1n, 0)).toBe('9,007,199,254,740,993');
+      expect(formatRawAmount('90071992547409930000001', 7)).toBe('9,007,199,254,740,993.0000001');
+    });
+
+    it('should handle 18 decimal tokens', () => {
+      expect(formatRawAmount(10n ** 18n, 18)).toBe('1');
+      expect(formatRawAmount(1n, 18)).toBe('0.000000000000000001');
+      expect(formatRawAmount(123456789012345678901234567n, 18)).toBe('123,456,789.012345678901234567');
+    });
+
+    it('should handle more decimals than digits', () => {
+      expect(formatRawAmount(5n, 38)).toBe('0.00000000000000000000000000000000000005');
+      expect(formatRawAmount(-5n, 10)).toBe('-0.0000000005');
+    });
+
+    it('should handle negative amounts', () => {
+      expect(formatRawAmount(-15000000n)).toBe('-1.5');
+      expect(formatRawAmount(-1n)).toBe('-0.0000001');
+      expect(formatRawAmount('-12345678900000000', 7)).toBe('-1,234,567,890');
+    });
+
+    it('should treat zero decimals as an integer', () => {
+      expect(formatRawAmount(1234n, 0)).toBe('1,234');
+      expect(formatRawAmount(-1234n, 0)).toBe('-1,234');
+    });
+  });
+
+  describe('grouping', () => {
+    it('should group thousands by default', () => {
+      expect(formatRawAmount(1234567890000000n, 7)).toBe('123,456,789');
+      expect(formatRawAmount(9990000000n, 7)).toBe('999');
+      expect(formatRawAmount(10000000000n, 7)).toBe('1,000');
+    });
+
+    it('should not group fraction digits', () => {
+      expect(formatRawAmount(12345678901234n, 10)).toBe('1,234.5678901234');
+    });
+
+    it('should allow grouping to be turned off', () => {
+      expect(formatRawAmount(I128_MAX, 7, { group: false }))
+        .toBe('17014118346046923173168730371588.4105727');
+      expect(formatRawAmount(-12345670000000n, 7, { group: false })).toBe('-1234567');
+    });
+  });
+
+  describe('fraction digits', () => {
+    it('should pad to minFractionDigits', () => {
+      expect(formatRawAmount(10000000n, 7, { minFractionDigits: 2 })).toBe('1.00');
+      expect(formatRawAmount(15000000n, 7, { minFractionDigits: 2 })).toBe('1.50');
+      expect(formatRawAmount(12n, 0, { minFractionDigits: 3 })).toBe('12.000');
+    });
+
+    it('should round to maxFractionDigits', () => {
+      expect(formatRawAmount(12345678n, 7, { maxFractionDigits: 2 })).toBe('1.23');
+      expect(formatRawAmount(12355678n, 7, { maxFractionDigits: 2 })).toBe('1.24');
+      expect(formatRawAmount(19999999n, 7, { maxFractionDigits: 0 })).toBe('2');
+    });
+
+    it('should carry rounding into the integer part', () => {
+      expect(formatRawAmount(99999999999n, 7, { maxFractionDigits: 2 })).toBe('10,000');
+      expect(formatRawAmount(-99999999999n, 7, { maxFractionDigits: 2 })).toBe('-10,000');
+    });
+
+    it('should not show negative zero', () => {
+      expect(formatRawAmount(-1n, 7, { maxFractionDigits: 2 })).toBe('0');
+      expect(formatRawAmount(-1n, 18, { maxFractionDigits: 7, minFractionDigits: 1 })).toBe('0.0');
+    });
+
+    it('should ignore maxFractionDigits above decimals', () => {
+      expect(formatRawAmount(15n, 1, { maxFractionDigits: 7 })).toBe('1.5');
+    });
+
+    it('should round i128 extremes exactly', () => {
+      expect(formatRawAmount(I128_MAX, 18, { maxFractionDigits: 2 }))
+        .toBe('170,141,183,460,469,231,731.69');
+      expect(formatRawAmount(I128_MIN, 18, { maxFractionDigits: 2 }))
+        .toBe('-170,141,183,460,469,231,731.69');
+    });
+  });
+
+  describe('rounding modes', () => {
+    // Values at 1 decimal, rounded to integers
+    const cases = [
+      //  raw     halfExpand halfEven trunc expand floor ceil
+      ['25',     '3',  '2',  '2',  '3',  '2',  '3'],
+      ['35',     '4',  '4',  '3',  '4',  '3',  '4'],
+      ['21',     '2',  '2',  '2',  '3',  '2',  '3'],
+      ['29',     '3',  '3',  '2',  '3',  '2',  '3'],
+      ['20',     '2',  '2',  '2',  '2',  '2',  '2'],
+      ['-25',    '-3', '-2', '-2', '-3', '-3', '-2'],
+      ['-35',    '-4', '-4', '-3', '-4', '-4', '-3'],
+      ['-21',    '-2', '-2', '-2', '-3', '-3', '-2'],
+      ['-29',    '-3', '-3', '-2', '-3', '-3', '-2'],
+      ['-5',     '-1', '0',  '0',  '-1', '-1', '0'],
+      ['5',      '1',  '0',  '0',  '1',  '0',  '1'],
+    ];
+    const modes = ['halfExpand', 'halfEven', 'trunc', 'expand', 'floor', 'ceil'];
+
+    for (const [raw, ...expected] of cases) {
+      modes.forEach((mode, i) => {
+        it(`should round ${raw}/10 to ${expected[i]} with ${mode}`, () => {
+          expect(formatRawAmount(raw, 1, { maxFractionDigits: 0, roundingMode: mode })).toBe(expected[i]);
+        });
+      });
+    }
+
+    it('should list every supported mode', () => {
+      expect([...ROUNDING_MODES].sort()).toEqual([...modes].sort());
+    });
+
+    it('should apply modes to huge values', () => {
+      const raw = I128_MAX; // ...371,588.4105727 at 7 decimals
+      expect(formatRawAmount(raw, 7, { maxFractionDigits: 0, roundingMode: 'trunc' }))
+        .toBe('17,014,118,346,046,923,173,168,730,371,588');
+      expect(formatRawAmount(raw, 7, { maxFractionDigits: 0, roundingMode: 'ceil' }))
+        .toBe('17,014,118,346,046,923,173,168,730,371,589');
+      expect(formatRawAmount(I128_MIN, 7, { maxFractionDigits: 0, roundingMode: 'floor' }))
+        .toBe('-17,014,118,346,046,923,173,168,730,371,589');
+    });
+
+    it('should only look at the dropped digits for half cases', () => {
+      // 0.1500000001 is above half when rounding to 1 digit
+      expect(formatRawAmount(1500000001n, 10, { maxFractionDigits: 1, roundingMode: 'halfEven' })).toBe('0.2');
+      expect(formatRawAmount(1500000000n, 10, { maxFractionDigits: 1, roundingMode: 'halfEven' })).toBe('0.2');
+      expect(formatRawAmount(2500000000n, 10, { maxFractionDigits: 1, roundingMode: 'halfEven' })).toBe('0.2');
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => formatRawAmount(1n, 7, { roundingMode: 'nearest' })).toThrow('Unknown rounding mode');
+    });
+  });
+
+  describe('compact notation', () => {
+    const xlm = (whole) => BigInt(Math.round(whole * 100)) * 100000n; // 7 decimals
+
+    it('should leave values under 1000 uncompacted', () => {
+      expect(formatRawAmount(xlm(999.99), 7, { compact: true })).toBe('999.99');
+      expect(formatRawAmount(xlm(12.345), 7, { compact: true })).toBe('12.35');
+      expect(formatRawAmount(0n, 7, { compact: true })).toBe('0');
+    });
+
+    it('should abbreviate thousands through trillions', () => {
+      expect(formatRawAmount(xlm(1500), 7, { compact: true })).toBe('1.5K');
+      expect(formatRawAmount(xlm(2345678), 7, { compact: true })).toBe('2.35M');
+      expect(formatRawAmount(xlm(7e9), 7, { compact: true })).toBe('7B');
+      expect(formatRawAmount(xlm(4.25e12), 7, { compact: true })).toBe('4.25T');
+    });
+
+    it('should keep using T beyond trillions', () => {
+      expect(formatRawAmount(I128_MAX, 7, { compact: true }))
+        .toBe('17,014,118,346,046,923,173.17T');
+    });
+
+    it('should move up a unit when rounding reaches 1000', () => {
+      expect(formatRawAmount(xlm(999.999), 7, { compact: true })).toBe('1K');
+      expect(formatRawAmount(9999995000000n, 7, { compact: true })).toBe('1M');
+      expect(formatRawAmount(-9999995000000n, 7, { compact: true })).toBe('-1M');
+    });
+
+    it('should compact negative values', () => {
+      expect(formatRawAmount(-xlm(1500), 7, { compact: true })).toBe('-1.5K');
+      expect(formatRawAmount(I128_MIN, 18, { compact: true })).toBe('-170,141,183.46T');
+    });
+
+    it('should respect rounding options in compact mode', () => {
+      expect(formatRawAmount(xlm(1999), 7, { compact: true, maxFractionDigits: 0, roundingMode: 'trunc' }))
+        .toBe('1K');
+      expect(formatRawAmount(xlm(1001), 7, { compact: true, maxFractionDigits: 1, roundingMode: 'ceil' }))
+        .toBe('1.1K');
+      expect(formatRawAmount(xlm(1500), 7, { compact: true, minFractionDigits: 2 })).toBe('1.50K');
+    });
+
+    it('should compact tokens with no decimals', () => {
+      expect(formatRawAmount(1234567n, 0, { compact: true })).toBe('1.23M');
+      expect(formatRawAmount(12n, 0, { compact: true })).toBe('12');
+    });
+  });
+
+  it('should throw on non-integer raw amounts', () => {
+    expect(() => formatRawAmount('1.5')).toThrow('Invalid raw amount');
+  });
+});
+
+describe('formatDecimal', () => {
+  it('should format decimal strings exactly', () => {
+    expect(formatDecimal('1234567.891')).toBe('1,234,567.891');
+    expect(formatDecimal('-0.5')).toBe('-0.5');
+    expect(formatDecimal('170141183460469231731687303715884105727'))
+      .toBe('170,141,183,460,469,231,731,687,303,715,884,105,727');
+  });
+
+  it('should accept rounding options', () => {
+    expect(formatDecimal('2.345', { maxFractionDigits: 2, roundingMode: 'halfEven' })).toBe('2.34');
+    expect(formatDecimal(1234567, { compact: true })).toBe('1.23M');
+  });
+});
+
+describe('formatAmount (operations)', () => {
+  it('should format stroops exactly', () => {
+    expect(formatAmount('10000000')).toBe('1');
+    expect(formatAmount('12345678900000000')).toBe('1,234,567,890');
+    expect(formatAmount(I128_MAX.toString())).toBe('17,014,118,346,046,923,173,168,730,371,588.4105727');
+  });
+
+  it('should format negative amounts', () => {
+    expect(formatAmount('-15000000')).toBe('-1.5');
+  });
+
+  it('should keep the ? and passthrough fallbacks', () => {
+    expect(formatAmount(undefined)).toBe('?');
+    expect(formatAmount('abc')).toBe('abc');
+  });
+});
+
+describe('formatNumber', () => {
+  it('should group integers of any size', () => {
+    expect(formatNumber(1234567)).toBe('1,234,567');
+    expect(formatNumber(I128_MIN)).toBe('-170,141,183,460,469,231,731,687,303,715,884,105,728');
+  });
+
+  it('should not group fraction digits', () => {
+    expect(formatNumber('1234.5678')).toBe('1,234.5678');
+  });
+
+  it('should pass through non-numeric values', () => {
+    expect(formatNumber('hello')).toBe('hello');
+    expect(formatNumber(null)).toBe('');
+  });
+});
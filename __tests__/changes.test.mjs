@@ -0,0 +1,208 @@
+/**
+ * Tests for utils/scan/changes.js
+ *
+ * TransactionMeta ledger entry changes as before/after field diffs.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  ledgerEntryKey,
+  flattenLedgerEntry,
+  diffLedgerEntries,
+  pairLedgerEntryChanges,
+  getMetaChangeGroups,
+  parseMetaStateChanges,
+} from '../utils/scan/changes.js';
+
+const { xdr } = StellarSdk;
+
+const ACCOUNT = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const CONTRACT = StellarSdk.StrKey.encodeContract(Buffer.alloc(32, 4));
+
+const ledgerEntry = (data) => new xdr.LedgerEntry({
+  lastModifiedLedgerSeq: 100,
+  data,
+  ext: new xdr.LedgerEntryExt(0),
+});
+
+function accountEntry(balance, seqNum) {
+  return ledgerEntry(xdr.LedgerEntryData.account(new xdr.AccountEntry({
+    accountId: StellarSdk.Keypair.fromPublicKey(ACCOUNT).xdrAccountId(),
+    balance: xdr.Int64.fromString(balance),
+    seqNum: xdr.SequenceNumber.fromString(seqNum),
+    numSubEntries: 0,
+    inflationDest: null,
+    flags: 0,
+    homeDomain: '',
+    thresholds: Buffer.from([1, 0, 0, 0]),
+    signers: [],
+    ext: new xdr.AccountEntryExt(0),
+  })));
+}
+
+function contractDataEntry(key, val) {
+  return ledgerEntry(xdr.LedgerEntryData.contractData(new xdr.ContractDataEntry({
+    ext: new xdr.ExtensionPoint(0),
+    contract: new StellarSdk.Address(CONTRACT).toScAddress(),
+    key,
+    durability: xdr.ContractDataDurability.persistent(),
+    val,
+  })));
+}
+
+function instanceEntry(storage) {
+  return contractDataEntry(xdr.ScVal.scvLedgerKeyContractInstance(), xdr.ScVal.scvContractInstance(
+    new xdr.ScContractInstance({
+      executable: xdr.ContractExecutable.contractExecutableStellarAsset(),
+      storage: storage.map(([key, val]) => new xdr.ScMapEntry({ key: xdr.ScVal.scvSymbol(key), val })),
+    }),
+  ));
+}
+
+function ttlEntry(liveUntilLedgerSeq) {
+  return ledgerEntry(xdr.LedgerEntryData.ttl(new xdr.TtlEntry({ keyHash: Buffer.alloc(32, 9), liveUntilLedgerSeq })));
+}
+
+function txMeta(version, { before = [], operations = [], after = [] }) {
+  const operationMeta = operations.map(changes => new xdr.OperationMeta({ changes }));
+  if (version === 2) {
+    return new xdr.TransactionMeta(2, new xdr.TransactionMetaV2({
+      txChangesBefore: before,
+      operations: operationMeta,
+      txChangesAfter: after,
+    }));
+  }
+  return new xdr.TransactionMeta(3, new xdr.TransactionMetaV3({
+    ext: new xdr.ExtensionPoint(0),
+    txChangesBefore: before,
+    operations: operationMeta,
+    txChangesAfter: after,
+    sorobanMeta: null,
+  }));
+}
+
+describe('ledgerEntryKey', () => {
+  it('should build the key an entry is stored under', () => {
+    const key = ledgerEntryKey(accountEntry('10', '1'));
+    expect(key.switch().name).toBe('account');
+    expect(StellarSdk.StrKey.encodeEd25519PublicKey(key.account().accountId().ed25519())).toBe(ACCOUNT);
+
+    const dataKey = ledgerEntryKey(contractDataEntry(xdr.ScVal.scvSymbol('Admin'), xdr.ScVal.scvU32(1)));
+    expect(dataKey.contractData().key().sym().toString()).toBe('Admin');
+  });
+});
+
+describe('flattenLedgerEntry', () => {
+  it('should show account amounts in units', () => {
+    const fields = flattenLedgerEntry(accountEntry('12345678', '5'));
+    expect(fields.balance).toBe('1.2345678 XLM');
+    expect(fields.seqNum).toBe('5');
+    expect(fields.thresholds).toBe('master 1 / low 0 / med 0 / high 0');
+  });
+
+  it('should format contract data keys and values', () => {
+    const fields = flattenLedgerEntry(contractDataEntry(xdr.ScVal.scvSymbol('Admin'), xdr.ScVal.scvU32(7)));
+    expect(fields).toEqual({ contract: CONTRACT, durability: 'persistent', key: 'Admin', value: '7' });
+  });
+
+  it('should give each instance storage item its own field', () => {
+    const fields = flattenLedgerEntry(instanceEntry([['Admin', xdr.ScVal.scvU32(1)]]));
+    expect(fields.executable).toBe('stellar asset');
+    expect(fields['storage Admin']).toBe('1');
+  });
+
+  it('should read TTL entries', () => {
+    expect(flattenLedgerEntry(ttlEntry(5000))).toEqual({ keyHash: '09'.repeat(32), liveUntilLedgerSeq: '5000' });
+  });
+});
+
+describe('diffLedgerEntries', () => {
+  it('should flag only the fields that changed', () => {
+    const fields = diffLedgerEntries(accountEntry('20000000', '5'), accountEntry('10000000', '6'));
+    const changed = fields.filter(f => f.changed);
+
+    expect(changed.map(f => f.name)).toEqual(['balance', 'seqNum']);
+    expect(changed[0]).toEqual({ name: 'balance', before: '2 XLM', after: '1 XLM', changed: true });
+  });
+
+  it('should show storage items added to an instance', () => {
+    const fields = diffLedgerEntries(
+      instanceEntry([]),
+      instanceEntry([['Admin', xdr.ScVal.scvU32(1)]]),
+    );
+    expect(fields.find(f => f.name === 'storage Admin')).toEqual({
+      name: 'storage Admin', before: null, after: '1', changed: true,
+    });
+  });
+
+  it('should diff created and deleted entries against nothing', () => {
+    expect(diffLedgerEntries(null, ttlEntry(10)).every(f => f.before === null && f.changed)).toBe(true);
+    expect(diffLedgerEntries(ttlEntry(10), null).every(f => f.after === null && f.changed)).toBe(true);
+  });
+});
+
+describe('pairLedgerEntryChanges', () => {
+  it('should pair state entries with the updates that follow them', () => {
+    const before = accountEntry('20000000', '5');
+    const after = accountEntry('10000000', '6');
+    const [change] = pairLedgerEntryChanges([
+      xdr.LedgerEntryChange.ledgerEntryState(before),
+      xdr.LedgerEntryChange.ledgerEntryUpdated(after),
+    ]);
+
+    expect(change.type).toBe('updated');
+    expect(change.key.address).toBe(ACCOUNT);
+    expect(change.before).toBe(before);
+    expect(change.after).toBe(after);
+  });
+
+  it('should keep the prior state of deleted entries', () => {
+    const entry = contractDataEntry(xdr.ScVal.scvSymbol('Temp'), xdr.ScVal.scvU32(3));
+    const [change] = pairLedgerEntryChanges([
+      xdr.LedgerEntryChange.ledgerEntryState(entry),
+      xdr.LedgerEntryChange.ledgerEntryRemoved(ledgerEntryKey(entry)),
+    ]);
+
+    expect(change).toMatchObject({ type: 'deleted', before: entry, after: null });
+    expect(change.key.label).toBe(`persistent Temp of ${CONTRACT}`);
+  });
+
+  it('should report created and restored entries without a prior state', () => {
+    const changes = pairLedgerEntryChanges([
+      xdr.LedgerEntryChange.ledgerEntryCreated(ttlEntry(10)),
+      xdr.LedgerEntryChange.ledgerEntryRestored(ttlEntry(20)),
+    ]);
+    expect(changes.map(c => [c.type, c.before])).toEqual([['created', null], ['restored', null]]);
+  });
+});
+
+describe('getMetaChangeGroups', () => {
+  it('should group transaction-level and per-operation changes', () => {
+    const bump = [xdr.LedgerEntryChange.ledgerEntryUpdated(accountEntry('10', '6'))];
+    const op = [xdr.LedgerEntryChange.ledgerEntryCreated(ttlEntry(10))];
+    const groups = getMetaChangeGroups(txMeta(2, { before: bump, operations: [[], op] }));
+
+    expect(groups.map(g => [g.scope, g.operationIndex])).toEqual([['before', null], ['operation', 1]]);
+  });
+});
+
+describe('parseMetaStateChanges', () => {
+  it('should diff every change in meta order', () => {
+    const meta = txMeta(3, {
+      before: [
+        xdr.LedgerEntryChange.ledgerEntryState(accountEntry('10', '5')),
+        xdr.LedgerEntryChange.ledgerEntryUpdated(accountEntry('10', '6')),
+      ],
+      operations: [[xdr.LedgerEntryChange.ledgerEntryCreated(
+        contractDataEntry(xdr.ScVal.scvSymbol('Admin'), xdr.ScVal.scvU32(1)),
+      )]],
+    });
+    const changes = parseMetaStateChanges(meta);
+
+    expect(changes.map(c => [c.scope, c.type, c.key.type])).toEqual([
+      ['before', 'updated', 'account'],
+      ['operation', 'created', 'contract_data'],
+    ]);
+    expect(changes[0].fields.filter(f => f.changed).map(f => f.name)).toEqual(['seqNum']);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for utils/scan/decode.js
+ *
+ * Spec-aware decoding of contract arguments, return values and events.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  resolveContractError,
+  formatSpecValue,
+  decodeInvocation,
+  decodeReturnValue,
+  decodeContractEvent,
+  decodeAuthorizedInvocation,
+  formatDecodedCall,
+} from '../utils/scan/decode.js';
+import { STELLAR_ASSET_SPEC } from '../utils/scan/spec.js';
+
+const { xdr } = StellarSdk;
+
+const ACCOUNT = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const CONTRACT = StellarSdk.StrKey.encodeContract(Buffer.alloc(32, 4));
+const USDC = { symbol: 'USDC', decimals: 7 };
+
+const sym = (value) => xdr.ScVal.scvSymbol(value);
+const addr = (value) => new StellarSdk.Address(value).toScVal();
+const i128 = (value) => StellarSdk.nativeToScVal(value, { type: 'i128' });
+const mapOf = (entries) => xdr.ScVal.scvMap(entries.map(([key, val]) => new xdr.ScMapEntry({ key: sym(key), val })));
+
+// A small custom contract spec (see parseSpecEntries for the model)
+const SPEC = {
+  functions: [
+    {
+      name: 'configure',
+      doc: '',
+      inputs: [
+        { name: 'config', doc: '', type: { type: 'udt', name: 'Config' } },
+        { name: 'key', doc: '', type: { type: 'udt', name: 'DataKey' } },
+        { name: 'color', doc: '', type: { type: 'option', value: { type: 'udt', name: 'Color' } } },
+      ],
+      outputs: [{ type: 'result', ok: { type: 'vec', element: { type: 'u32' } }, error: { type: 'udt', name: 'Error' } }],
+    },
+  ],
+  structs: [{
+    name: 'Config',
+    doc: '',
+    lib: '',
+    fields: [
+      { name: 'admin', doc: '', type: { type: 'address' } },
+      { name: 'fee', doc: '', type: { type: 'u32' } },
+    ],
+  }],
+  unions: [{
+    name: 'DataKey',
+    doc: '',
+    lib: '',
+    cases: [
+      { name: 'Admin', doc: '', types: [] },
+      { name: 'Balance', doc: '', types: [{ type: 'address' }] },
+    ],
+  }],
+  enums: [{ name: 'Color', doc: '', lib: '', cases: [{ name: 'Red', doc: '', value: 0 }, { name: 'Blue', doc: '', value: 2 }] }],
+  errorEnums: [{ name: 'Error', doc: '', lib: '', cases: [{ name: 'NotAuthorized', doc: 'Caller is not the admin', value: 3 }] }],
+  events: [],
+};
+
+describe('resolveContractError', () => {
+  it('should find the error enum case for a code', () => {
+    expect(resolveContractError(SPEC, 3)).toEqual({
+      enumName: 'Error',
+      name: 'NotAuthorized',
+      doc: 'Caller is not the admin',
+      value: 3,
+    });
+    expect(resolveContractError(SPEC, 4)).toBeNull();
+    expect(resolveContractError(null, 3)).toBeNull();
+  });
+});
+
+describe('formatSpecValue', () => {
+  it('should render structs, unions and enums by name', () => {
+    expect(formatSpecValue({ type: 'udt', name: 'Config' }, mapOf([['admin', addr(ACCOUNT)], ['fee', xdr.ScVal.scvU32(30)]]), SPEC))
+      .toBe(`Config {admin: ${ACCOUNT}, fee: 30}`);
+    expect(formatSpecValue({ type: 'udt', name: 'DataKey' }, xdr.ScVal.scvVec([sym('Balance'), addr(ACCOUNT)]), SPEC))
+      .toBe(`DataKey::Balance(${ACCOUNT})`);
+    expect(formatSpecValue({ type: 'udt', name: 'DataKey' }, xdr.ScVal.scvVec([sym('Admin')]), SPEC))
+      .toBe('DataKey::Admin');
+    expect(formatSpecValue({ type: 'udt', name: 'Color' }, xdr.ScVal.scvU32(2), SPEC)).toBe('Color::Blue');
+  });
+
+  it('should render options and results', () => {
+    const optionColor = { type: 'option', value: { type: 'udt', name: 'Color' } };
+    expect(formatSpecValue(optionColor, xdr.ScVal.scvVoid(), SPEC)).toBe('None');
+    expect(formatSpecValue(optionColor, xdr.ScVal.scvU32(0), SPEC)).toBe('Color::Red');
+
+    const result = SPEC.functions[0].outputs[0];
+    expect(formatSpecValue(result, xdr.ScVal.scvError(xdr.ScError.sceContract(3)), SPEC)).toBe('Error::NotAuthorized');
+    expect(formatSpecValue(result, xdr.ScVal.scvVec([xdr.ScVal.scvU32(1), xdr.ScVal.scvU32(2)]), SPEC)).toBe('[1, 2]');
+  });
+
+  it('should fall back to generic formatting on a type mismatch', () => {
+    expect(formatSpecValue({ type: 'udt', name: 'Color' }, xdr.ScVal.scvU32(9), SPEC)).toBe('9');
+    expect(formatSpecValue({ type: 'vec', element: { type: 'u32' } }, sym('x'), SPEC)).toBe('x');
+    expect(formatSpecValue({ type: 'udt', name: 'Unknown' }, sym('x'), SPEC)).toBe('x');
+  });
+});
+
+describe('decodeInvocation', () => {
+  it('should name SAC transfer args and format the amount with token decimals', () => {
+    const decoded = decodeInvocation(STELLAR_ASSET_SPEC, 'transfer', [addr(ACCOUNT), addr(CONTRACT), i128(125000000n)], { token: USDC });
+
+    expect(decoded.known).toBe(true);
+    expect(decoded.args.map(a => a.name)).toEqual(['from', 'to', 'amount']);
+    expect(decoded.args[0].address).toBe(ACCOUNT);
+    expect(decoded.args[1].address).toBe(CONTRACT);
+    expect(decoded.args[1].type).toBe('MuxedAddress');
+    expect(formatDecodedCall(decoded)).toBe(`transfer(from: ${ACCOUNT}, to: ${CONTRACT}, amount: 12.5 USDC)`);
+  });
+
+  it('should keep raw amounts exact without token metadata', () => {
+    const max = 170141183460469231731687303715884105727n;
+    const decoded = decodeInvocation(STELLAR_ASSET_SPEC, 'mint', [addr(ACCOUNT), i128(max)]);
+    expect(decoded.args[1].value).toBe(max.toString());
+  });
+
+  it('should decode user-defined argument types', () => {
+    const decoded = decodeInvocation(SPEC, 'configure', [
+      mapOf([['admin', addr(ACCOUNT)], ['fee', xdr.ScVal.scvU32(30)]]),
+      xdr.ScVal.scvVec([sym('Admin')]),
+      xdr.ScVal.scvVoid(),
+    ]);
+    expect(formatDecodedCall(decoded)).toBe(`configure(config: Config {admin: ${ACCOUNT}, fee: 30}, key: DataKey::Admin, color: None)`);
+  });
+
+  it('should leave args unnamed without a matching function', () => {
+    const unknown = decodeInvocation(SPEC, 'missing', [xdr.ScVal.scvU32(1)]);
+    expect(unknown.known).toBe(false);
+    expect(formatDecodedCall(unknown)).toBe('missing(1)');
+
+    // Arity mismatch (e.g. an upgraded contract)
+    expect(decodeInvocation(STELLAR_ASSET_SPEC, 'transfer', [addr(ACCOUNT)]).known).toBe(false);
+    expect(decodeInvocation(null, 'transfer', []).known).toBe(false);
+  });
+});
+
+describe('decodeAuthorizedInvocation', () => {
+  const invokeNode = (functionName, args, subInvocations = []) => ({
+    type: 'invoke', contractId: CONTRACT, functionName, args, executable: null, subInvocations,
+  });
+
+  it('should decode nested invocations with each contract\'s context', async () => {
+    const contexts = [];
+    const getContext = async (contractId) => {
+      contexts.push(contractId);
+      return { spec: STELLAR_ASSET_SPEC, token: USDC };
+    };
+    const tree = invokeNode('swap', [], [
+      invokeNode('transfer', [addr(ACCOUNT), addr(CONTRACT), i128(125000000n)]),
+    ]);
+
+    const decoded = await decodeAuthorizedInvocation(tree, getContext);
+    expect(decoded.decoded).toMatchObject({ functionName: 'swap', known: false });
+    expect(formatDecodedCall(decoded.subInvocations[0].decoded))
+      .toBe(`transfer(from: ${ACCOUNT}, to: ${CONTRACT}, amount: 12.5 USDC)`);
+    expect(contexts).toEqual([CONTRACT, CONTRACT]);
+  });
+
+  it('should not decode create_contract nodes', async () => {
+    const getContext = async () => ({ spec: STELLAR_ASSET_SPEC, token: null });
+    const tree = {
+      type: 'create_contract',
+      contractId: null,
+      functionName: null,
+      args: [],
+      executable: 'stellar asset',
+      subInvocations: [invokeNode('mint', [addr(ACCOUNT), i128(1n)])],
+    };
+
+    const decoded = await decodeAuthorizedInvocation(tree, getContext);
+    expect(decoded.decoded).toBeNull();
+    expect(decoded.executable).toBe('stellar asset');
+    expect(decoded.subInvocations[0].decoded.known).toBe(true);
+  });
+});
+
+describe('decodeReturnValue', () => {
+  it('should format token amounts and user types', () => {
+    expect(decodeReturnValue(STELLAR_ASSET_SPEC, 'balance', i128(10000000n), { token: USDC })).toBe('1 USDC');
+    expect(decodeReturnValue(SPEC, 'configure', xdr.ScVal.scvError(xdr.ScError.sceContract(3)))).toBe('Error::NotAuthorized');
+  });
+
+  it('should fall back to generic formatting', () => {
+    expect(decodeReturnValue(null, 'anything', xdr.ScVal.scvU32(5))).toBe('5');
+  });
+});
+
+describe('decodeContractEvent', () => {
+  it('should decode SAC events, ignoring the trailing asset topic', () => {
+    const topics = [sym('transfer'), addr(ACCOUNT), addr(CONTRACT), xdr.ScVal.scvString('USDC:GA5Z')];
+    const decoded = decodeContractEvent(STELLAR_ASSET_SPEC, topics, i128(5000000n), { token: USDC });
+
+    expect(formatDecodedCall(decoded)).toBe(`transfer(from: ${ACCOUNT}, to: ${CONTRACT}, amount: 0.5 USDC)`);
+  });
+
+  it('should read vec data params', () => {
+    const topics = [sym('approve'), addr(ACCOUNT), addr(CONTRACT)];
+    const data = xdr.ScVal.scvVec([i128(1n), xdr.ScVal.scvU32(500)]);
+    const decoded = decodeContractEvent(STELLAR_ASSET_SPEC, topics, data);
+
+    expect(decoded.params.map(p => [p.name, p.value])).toEqual([
+      ['from', ACCOUNT],
+      ['spender', CONTRACT],
+      ['amount', '1'],
+      ['live_until_ledger', '500'],
+    ]);
+  });
+
+  it('should read map data params by name', () => {
+    const spec = {
+      ...SPEC,
+      events: [{
+        name: 'Swap',
+        doc: '',
+        lib: '',
+        prefixTopics: ['swap'],
+        params: [
+          { name: 'user', doc: '', type: { type: 'address' }, location: 'topic' },
+          { name: 'amount_in', doc: '', type: { type: 'i128' }, location: 'data' },
+          { name: 'amount_out', doc: '', type: { type: 'i128' }, location: 'data' },
+        ],
+        dataFormat: 'map',
+      }],
+    };
+    const decoded = decodeContractEvent(spec, [sym('swap'), addr(ACCOUNT)], mapOf([['amount_out', i128(2n)], ['amount_in', i128(1n)]]));
+    expect(formatDecodedCall(decoded)).toBe(`Swap(user: ${ACCOUNT}, amount_in: 1, amount_out: 2)`);
+  });
+
+  it('should return null when no event matches', () => {
+    expect(decodeContractEvent(STELLAR_ASSET_SPEC, [sym('unknown')], null)).toBeNull();
+    expect(decodeContractEvent(STELLAR_ASSET_SPEC, [sym('transfer'), addr(ACCOUNT)], i128(1n))).toBeNull();
+    expect(decodeContractEvent(null, [sym('transfer')], null)).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for utils/scan/deltas.js
+ *
+ * Net balance changes summed from tx-page token events.
+ */
+
+import { getEventAmount, getEventParties, computeBalanceChanges } from '../utils/scan/deltas.js';
+
+const ALICE = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const BOB = 'GBZXN7PIRZGNMHGA7MUUUF4GWPY5AYPV6LY4UV2GL6VJGIQRXFDNMADI';
+const POOL = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const XLM = 'CAS3J7GYLGXMF6TDJBBYYSE3HQ6BBSMLNUQ34T6TZMYMW2EVH34XOWMA';
+const USDC = 'CCW67TSZV3SSS2HXMBQ5JFGCKJNXKZM7UQUWUZPUTHXSTZLEO7SJMI75';
+
+const address = (a) => ({ address: a });
+const i128 = (n) => ({ i128: String(n) });
+
+const transfer = (contractId, from, to, amount) => ({
+  eventType: 'transfer',
+  contractId,
+  topics: [{ symbol: 'transfer' }, address(from), address(to), { string: 'native' }],
+  data: i128(amount),
+});
+const fee = (from, amount) => ({
+  eventType: 'fee',
+  contractId: XLM,
+  topics: [{ symbol: 'fee' }, address(from)],
+  data: { i64: String(amount) },
+});
+
+describe('getEventAmount', () => {
+  it('should read bare integers and muxed amount maps', () => {
+    expect(getEventAmount({ data: i128(25) })).toBe(25n);
+    expect(getEventAmount({ data: { map: [
+      { key: { symbol: 'amount' }, val: i128(7) },
+      { key: { symbol: 'to_muxed_id' }, val: { u64: '1' } },
+    ] } })).toBe(7n);
+  });
+
+  it('should return null without a numeric amount', () => {
+    expect(getEventAmount({ data: { string: 'x' } })).toBeNull();
+    expect(getEventAmount({ data: { map: [] } })).toBeNull();
+    expect(getEventAmount({})).toBeNull();
+  });
+});
+
+describe('getEventParties', () => {
+  it('should follow the CAP-67 topic layouts', () => {
+    expect(getEventParties(transfer(USDC, ALICE, BOB, 1))).toEqual({ from: ALICE, to: BOB });
+    expect(getEventParties({ eventType: 'mint', topics: [{}, address(BOB)] })).toEqual({ from: null, to: BOB });
+    expect(getEventParties({ eventType: 'burn', topics: [{}, address(ALICE)] })).toEqual({ from: ALICE, to: null });
+    expect(getEventParties(fee(ALICE, 100))).toEqual({ from: ALICE, to: null });
+  });
+
+  it('should skip the admin of older mint and clawback events', () => {
+    const admin = address(ALICE);
+    expect(getEventParties({ eventType: 'mint', topics: [{}, admin, address(BOB), { string: 'native' }] }))
+      .toEqual({ from: null, to: BOB });
+    expect(getEventParties({ eventType: 'clawback', topics: [{}, admin, address(BOB)] }))
+      .toEqual({ from: BOB, to: null });
+  });
+});
+
+describe('computeBalanceChanges', () => {
+  it('should net a swap for each participant', () => {
+    const changes = computeBalanceChanges([
+      transfer(XLM, ALICE, POOL, 1000),
+      transfer(USDC, POOL, ALICE, 50),
+    ]);
+
+    expect(changes).toEqual([
+      { address: ALICE, changes: [
+        { contractId: XLM, amount: '-1000', fee: '0' },
+        { contractId: USDC, amount: '50', fee: '0' },
+      ] },
+      { address: POOL, changes: [
+        { contractId: XLM, amount: '1000', fee: '0' },
+        { contractId: USDC, amount: '-50', fee: '0' },
+      ] },
+    ]);
+  });
+
+  it('should include the fee charge and refund for the fee source', () => {
+    const changes = computeBalanceChanges([
+      fee(ALICE, 5000),
+      transfer(XLM, ALICE, BOB, 10000),
+      fee(ALICE, -1200),
+    ]);
+
+    expect(changes[0]).toEqual({
+      address: ALICE,
+      changes: [{ contractId: XLM, amount: '-13800', fee: '3800' }],
+    });
+    expect(changes[1].changes[0].amount).toBe('10000');
+  });
+
+  it('should skip approvals and tokens that net to zero', () => {
+    const changes = computeBalanceChanges([
+      { eventType: 'approve', contractId: USDC, topics: [{}, address(ALICE), address(BOB)], data: i128(99) },
+      transfer(USDC, ALICE, BOB, 5),
+      transfer(USDC, BOB, ALICE, 5),
+    ]);
+    expect(changes).toEqual([]);
+  });
+
+  it('should count mints and burns on one side only', () => {
+    const changes = computeBalanceChanges([
+      { eventType: 'mint', contractId: USDC, topics: [{}, address(BOB)], data: i128(40) },
+      { eventType: 'burn', contractId: USDC, topics: [{}, address(BOB)], data: i128(15) },
+    ]);
+    expect(changes).toEqual([{ address: BOB, changes: [{ contractId: USDC, amount: '25', fee: '0' }] }]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for utils/scan/encode.js
+ *
+ * Spec-typed input encoding for the read contract form.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { specValueToScVal, parseSpecInput, isTextInput } from '../utils/scan/encode.js';
+import { formatScVal } from '../utils/scan/scval.js';
+
+const { xdr } = StellarSdk;
+
+const ACCOUNT = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const CONTRACT = StellarSdk.StrKey.encodeContract(Buffer.alloc(32, 4));
+
+const SPEC = {
+  functions: [],
+  structs: [
+    {
+      name: 'Config',
+      doc: '',
+      lib: '',
+      fields: [
+        { name: 'fee', doc: '', type: { type: 'u32' } },
+        { name: 'admin', doc: '', type: { type: 'address' } },
+      ],
+    },
+    {
+      name: 'Pair',
+      doc: '',
+      lib: '',
+      fields: [
+        { name: '0', doc: '', type: { type: 'u32' } },
+        { name: '1', doc: '', type: { type: 'bool' } },
+      ],
+    },
+  ],
+  unions: [{
+    name: 'DataKey',
+    doc: '',
+    lib: '',
+    cases: [
+      { name: 'Admin', doc: '', types: [] },
+      { name: 'Balance', doc: '', types: [{ type: 'address' }] },
+    ],
+  }],
+  enums: [{ name: 'Color', doc: '', lib: '', cases: [{ name: 'Red', doc: '', value: 0 }, { name: 'Blue', doc: '', value: 2 }] }],
+  errorEnums: [{ name: 'Error', doc: '', lib: '', cases: [{ name: 'NotAuthorized', doc: '', value: 3 }] }],
+  events: [],
+};
+
+const encode = (type, text) => formatScVal(parseSpecInput(type, text, SPEC));
+
+describe('parseSpecInput (primitives)', () => {
+  it('should encode integers with range checks', () => {
+    expect(parseSpecInput({ type: 'u32' }, ' 7 ').switch().name).toBe('scvU32');
+    expect(encode({ type: 'i128' }, '-170141183460469231731687303715884105728')).toBe('-170141183460469231731687303715884105728');
+    expect(parseSpecInput({ type: 'u64' }, '5').switch().name).toBe('scvU64');
+    expect(() => parseSpecInput({ type: 'u32' }, '-1')).toThrow('out of range for u32');
+    expect(() => parseSpecInput({ type: 'i128' }, '170141183460469231731687303715884105728')).toThrow('out of range');
+    expect(() => parseSpecInput({ type: 'u64' }, '1.5')).toThrow('expected an integer');
+  });
+
+  it('should encode addresses', () => {
+    expect(encode({ type: 'address' }, ACCOUNT)).toBe(ACCOUNT);
+    expect(encode({ type: 'address' }, CONTRACT)).toBe(CONTRACT);
+    expect(() => parseSpecInput({ type: 'address' }, 'GABC')).toThrow('invalid address');
+  });
+
+  it('should encode strings, symbols, bools and bytes', () => {
+    expect(encode({ type: 'string' }, ' hi ')).toBe('" hi "');
+    expect(encode({ type: 'symbol' }, 'Admin')).toBe('Admin');
+    expect(() => parseSpecInput({ type: 'symbol' }, 'not a symbol')).toThrow('expected a symbol');
+    expect(encode({ type: 'bool' }, 'false')).toBe('false');
+    expect(encode({ type: 'bytes' }, '0xDEAD')).toBe('0xdead');
+    expect(() => parseSpecInput({ type: 'bytesN', n: 4 }, 'dead')).toThrow('expected 4 bytes');
+  });
+
+  it('should treat an empty optional as None', () => {
+    expect(encode({ type: 'option', value: { type: 'u32' } }, '')).toBe('void');
+    expect(encode({ type: 'option', value: { type: 'u32' } }, '3')).toBe('3');
+  });
+});
+
+describe('parseSpecInput (JSON)', () => {
+  it('should encode vecs, tuples and maps', () => {
+    expect(encode({ type: 'vec', element: { type: 'u32' } }, '[1, "2"]')).toBe('[1, 2]');
+    expect(encode({ type: 'tuple', items: [{ type: 'u32' }, { type: 'symbol' }] }, '[1, "a"]')).toBe('[1, a]');
+    expect(encode({ type: 'map', key: { type: 'symbol' }, value: { type: 'i128' } }, '{"b": 2, "a": "1"}'))
+      .toBe('{a: 1, b: 2}');
+    expect(() => parseSpecInput({ type: 'vec', element: { type: 'u32' } }, '[1,')).toThrow('invalid JSON');
+  });
+
+  it('should encode structs with sorted field keys', () => {
+    expect(encode({ type: 'udt', name: 'Config' }, `{"fee": 30, "admin": "${ACCOUNT}"}`))
+      .toBe(`{admin: ${ACCOUNT}, fee: 30}`);
+    expect(encode({ type: 'udt', name: 'Pair' }, '[1, true]')).toBe('[1, true]');
+    expect(() => parseSpecInput({ type: 'udt', name: 'Config' }, '{"fee": 30}', SPEC)).toThrow('missing field admin');
+  });
+
+  it('should encode union cases in any of the accepted forms', () => {
+    expect(encode({ type: 'udt', name: 'DataKey' }, '"Admin"')).toBe('[Admin]');
+    expect(encode({ type: 'udt', name: 'DataKey' }, `["Balance", "${ACCOUNT}"]`)).toBe(`[Balance, ${ACCOUNT}]`);
+    expect(encode({ type: 'udt', name: 'DataKey' }, `{"Balance": ["${ACCOUNT}"]}`)).toBe(`[Balance, ${ACCOUNT}]`);
+    expect(() => parseSpecInput({ type: 'udt', name: 'DataKey' }, '"Other"', SPEC)).toThrow('expected one of Admin, Balance');
+    expect(() => parseSpecInput({ type: 'udt', name: 'DataKey' }, '["Balance"]', SPEC)).toThrow('takes 1 value(s)');
+  });
+
+  it('should encode enums and error enums by name or value', () => {
+    expect(encode({ type: 'udt', name: 'Color' }, '"Blue"')).toBe('2');
+    expect(encode({ type: 'udt', name: 'Color' }, '0')).toBe('0');
+    expect(encode({ type: 'udt', name: 'Error' }, '"NotAuthorized"')).toBe('Error(Contract, #3)');
+  });
+});
+
+describe('specValueToScVal', () => {
+  it('should reject types that need raw mode', () => {
+    expect(() => specValueToScVal({ type: 'val' }, '1')).toThrow('raw mode');
+  });
+
+  it('should build the exact XDR for a simple call', () => {
+    expect(specValueToScVal({ type: 'u32' }, '7').toXDR('base64')).toBe(xdr.ScVal.scvU32(7).toXDR('base64'));
+  });
+});
+
+describe('isTextInput', () => {
+  it('should use text inputs for primitives and JSON for compound types', () => {
+    expect(isTextInput({ type: 'address' })).toBe(true);
+    expect(isTextInput({ type: 'option', value: { type: 'i128' } })).toBe(true);
+    expect(isTextInput({ type: 'vec', element: { type: 'u32' } })).toBe(false);
+    expect(isTextInput({ type: 'udt', name: 'Config' })).toBe(false);
+  });
+});
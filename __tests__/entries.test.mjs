@@ -0,0 +1,572 @@
+/**
+ * Tests for utils/scan/entries.js
+ *
+ * Ledger entry parsing and reserve math.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  decodeFlags,
+  parseAccountEntry,
+  parseEntrySponsor,
+  calculateMinimumBalance,
+  calculateSpendableBalance,
+  parseClassicAssetName,
+  collectTrustlineCandidates,
+  buildTrustlineKey,
+  parseTrustlineEntry,
+  buildSacBalanceKey,
+  parseSacBalanceEntry,
+  buildContractInstanceKey,
+  buildContractCodeKey,
+  buildContractDataKey,
+  parseContractInstance,
+  parseContractDataEntry,
+  estimateTtl,
+  buildClaimableBalanceKey,
+  parseClaimPredicate,
+  evaluateClaimPredicate,
+  parseClaimableBalanceEntry,
+} from '../utils/scan/entries.js';
+
+const { xdr } = StellarSdk;
+
+const ACCOUNT = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const SIGNER = StellarSdk.Keypair.random().publicKey();
+const SPONSOR = StellarSdk.Keypair.random().publicKey();
+
+const accountId = (address) => StellarSdk.Keypair.fromPublicKey(address).xdrAccountId();
+
+function buildAccountEntry({ ext = new xdr.AccountEntryExt(0), flags = 0, signers = [] } = {}) {
+  const entry = new xdr.AccountEntry({
+    accountId: accountId(ACCOUNT),
+    balance: xdr.Int64.fromString('1234567890'),
+    seqNum: xdr.SequenceNumber.fromString('123456789012345'),
+    numSubEntries: 3,
+    inflationDest: null,
+    flags,
+    homeDomain: 'example.com',
+    thresholds: Buffer.from([1, 2, 3, 4]),
+    signers,
+    ext,
+  });
+  // Round-trip through XDR like an RPC response
+  return xdr.AccountEntry.fromXDR(entry.toXDR());
+}
+
+function buildSigner(address, weight) {
+  return new xdr.Signer({
+    key: xdr.SignerKey.signerKeyTypeEd25519(StellarSdk.StrKey.decodeEd25519PublicKey(address)),
+    weight,
+  });
+}
+
+function buildV2Ext({ numSponsored, numSponsoring, signerSponsoringIDs, v3 = null }) {
+  const v2 = new xdr.AccountEntryExtensionV2({
+    numSponsored,
+    numSponsoring,
+    signerSponsoringIDs,
+    ext: v3 ? new xdr.AccountEntryExtensionV2Ext(3, v3) : new xdr.AccountEntryExtensionV2Ext(0),
+  });
+  const v1 = new xdr.AccountEntryExtensionV1({
+    liabilities: new xdr.Liabilities({
+      buying: xdr.Int64.fromString('100'),
+      selling: xdr.Int64.fromString('2000'),
+    }),
+    ext: new xdr.AccountEntryExtensionV1Ext(2, v2),
+  });
+  return new xdr.AccountEntryExt(1, v1);
+}
+
+describe('decodeFlags', () => {
+  it('should return names of set flags', () => {
+    expect(decodeFlags(0)).toEqual([]);
+    expect(decodeFlags(0x1 | 0x8)).toEqual(['auth_required', 'auth_clawback_enabled']);
+    expect(decodeFlags(0xf)).toHaveLength(4);
+  });
+});
+
+describe('parseAccountEntry', () => {
+  it('should parse a basic account entry', () => {
+    const account = parseAccountEntry(buildAccountEntry({ flags: 0x2 }));
+
+    expect(account.accountId).toBe(ACCOUNT);
+    expect(account.balance).toBe('1234567890');
+    expect(account.seqNum).toBe('123456789012345');
+    expect(account.numSubEntries).toBe(3);
+    expect(account.homeDomain).toBe('example.com');
+    expect(account.inflationDest).toBeNull();
+    expect(account.flags).toBe(2);
+    expect(account.flagNames).toEqual(['auth_revocable']);
+    expect(account.thresholds).toEqual({ masterWeight: 1, low: 2, medium: 3, high: 4 });
+    expect(account.signers).toEqual([]);
+  });
+
+  it('should default extension fields when there is no extension', () => {
+    const account = parseAccountEntry(buildAccountEntry());
+
+    expect(account.liabilities).toEqual({ buying: '0', selling: '0' });
+    expect(account.numSponsored).toBe(0);
+    expect(account.numSponsoring).toBe(0);
+    expect(account.seqLedger).toBeNull();
+    expect(account.seqTime).toBeNull();
+  });
+
+  it('should parse signers, liabilities and sponsorship from extensions', () => {
+    const v3 = new xdr.AccountEntryExtensionV3({
+      ext: new xdr.ExtensionPoint(0),
+      seqLedger: 500,
+      seqTime: xdr.TimePoint.fromString('1700000000'),
+    });
+    const account = parseAccountEntry(buildAccountEntry({
+      signers: [buildSigner(SIGNER, 5)],
+      ext: buildV2Ext({
+        numSponsored: 1,
+        numSponsoring: 2,
+        signerSponsoringIDs: [accountId(SPONSOR)],
+        v3,
+      }),
+    }));
+
+    expect(account.signers).toEqual([{ key: SIGNER, weight: 5, sponsor: SPONSOR }]);
+    expect(account.liabilities).toEqual({ buying: '100', selling: '2000' });
+    expect(account.numSponsored).toBe(1);
+    expect(account.numSponsoring).toBe(2);
+    expect(account.seqLedger).toBe(500);
+    expect(account.seqTime).toBe('1700000000');
+  });
+
+  it('should leave unsponsored signers without a sponsor', () => {
+    const account = parseAccountEntry(buildAccountEntry({
+      signers: [buildSigner(SIGNER, 1)],
+      ext: buildV2Ext({ numSponsored: 0, numSponsoring: 0, signerSponsoringIDs: [null] }),
+    }));
+
+    expect(account.signers[0].sponsor).toBeNull();
+  });
+});
+
+describe('parseEntrySponsor', () => {
+  it('should return the sponsoring account', () => {
+    const ext = new xdr.LedgerEntryExt(1, new xdr.LedgerEntryExtensionV1({
+      sponsoringId: accountId(SPONSOR),
+      ext: new xdr.LedgerEntryExtensionV1Ext(0),
+    }));
+    expect(parseEntrySponsor(ext.toXDR('base64'))).toBe(SPONSOR);
+  });
+
+  it('should return null for unsponsored or missing extensions', () => {
+    expect(parseEntrySponsor(undefined)).toBeNull();
+    expect(parseEntrySponsor(new xdr.LedgerEntryExt(0).toXDR('base64'))).toBeNull();
+    expect(parseEntrySponsor('not xdr')).toBeNull();
+  });
+});
+
+describe('calculateMinimumBalance', () => {
+  it('should apply (2 + subentries + sponsoring - sponsored) * base reserve', () => {
+    expect(calculateMinimumBalance({ numSubEntries: 0, numSponsoring: 0, numSponsored: 0 }, 5000000))
+      .toBe('10000000');
+    expect(calculateMinimumBalance({ numSubEntries: 3, numSponsoring: 2, numSponsored: 1 }, 5000000))
+      .toBe('30000000');
+  });
+
+  it('should accept the base reserve as a string or bigint', () => {
+    const account = { numSubEntries: 1, numSponsoring: 0, numSponsored: 0 };
+    expect(calculateMinimumBalance(account, '5000000')).toBe('15000000');
+    expect(calculateMinimumBalance(account, 5000000n)).toBe('15000000');
+  });
+});
+
+describe('calculateSpendableBalance', () => {
+  it('should subtract the minimum balance and selling liabilities', () => {
+    const account = { balance: '100000000', liabilities: { buying: '0', selling: '20000000' } };
+    expect(calculateSpendableBalance(account, '10000000')).toBe('70000000');
+  });
+
+  it('should never go below zero', () => {
+    const account = { balance: '10000000', liabilities: { buying: '0', selling: '5000000' } };
+    expect(calculateSpendableBalance(account, '10000000')).toBe('0');
+  });
+
+  it('should stay exact beyond Number precision', () => {
+    const account = { balance: '9223372036854775807', liabilities: { buying: '0', selling: '0' } };
+    expect(calculateSpendableBalance(account, '10000000')).toBe('9223372036844775807');
+  });
+});
+
+describe('parseClassicAssetName', () => {
+  it('should parse CODE:ISSUER names', () => {
+    expect(parseClassicAssetName(`USDC:${ACCOUNT}`)).toEqual({ code: 'USDC', issuer: ACCOUNT });
+  });
+
+  it('should reject anything else', () => {
+    expect(parseClassicAssetName('native')).toBeNull();
+    expect(parseClassicAssetName('USDC')).toBeNull();
+    expect(parseClassicAssetName('USDC:GBAD')).toBeNull();
+    expect(parseClassicAssetName(`TOOLONGASSETCODE:${ACCOUNT}`)).toBeNull();
+    expect(parseClassicAssetName(`A:${ACCOUNT}:extra`)).toBeNull();
+    expect(parseClassicAssetName(undefined)).toBeNull();
+  });
+});
+
+describe('collectTrustlineCandidates', () => {
+  const poolId = Buffer.alloc(32, 7);
+  const poolContractId = StellarSdk.StrKey.encodeContract(poolId);
+
+  it('should split named assets from pool share candidates', () => {
+    const { assets, poolIds } = collectTrustlineCandidates([
+      `USDC:${ACCOUNT}`,
+      { contractId: 'CIGNORED', name: `EURC:${ACCOUNT}` },
+      { contractId: poolContractId, name: 'XLM:USDC Pool Share', isPoolShare: true },
+    ]);
+
+    expect(assets).toEqual([
+      { code: 'USDC', issuer: ACCOUNT },
+      { code: 'EURC', issuer: ACCOUNT },
+    ]);
+    expect(poolIds).toEqual([StellarSdk.StrKey.encodeLiquidityPool(poolId)]);
+  });
+
+  it('should dedupe candidates and skip invalid ones', () => {
+    const { assets, poolIds } = collectTrustlineCandidates([
+      `USDC:${ACCOUNT}`,
+      { name: `USDC:${ACCOUNT}` },
+      { contractId: poolContractId, isPoolShare: true },
+      { contractId: poolContractId, isPoolShare: true },
+      { contractId: 'not a contract', isPoolShare: true },
+      { name: 'native' },
+      null,
+    ]);
+
+    expect(assets).toHaveLength(1);
+    expect(poolIds).toHaveLength(1);
+  });
+
+  it('should not probe contracts that are not known pool shares', () => {
+    const nativeContractId = StellarSdk.Asset.native().contractId(StellarSdk.Networks.TESTNET);
+    const { assets, poolIds } = collectTrustlineCandidates([
+      { contractId: poolContractId },
+      { contractId: nativeContractId, name: 'native' },
+      { contractId: poolContractId, name: 'My Token' },
+    ]);
+
+    expect(assets).toEqual([]);
+    expect(poolIds).toEqual([]);
+  });
+});
+
+describe('buildTrustlineKey', () => {
+  it('should build a credit asset trustline key', () => {
+    const key = buildTrustlineKey(SIGNER, { code: 'USDC', issuer: ACCOUNT });
+    const trustline = key.trustLine();
+
+    expect(key.switch().name).toBe('trustline');
+    expect(StellarSdk.StrKey.encodeEd25519PublicKey(trustline.accountId().ed25519())).toBe(SIGNER);
+    expect(trustline.asset().switch().name).toBe('assetTypeCreditAlphanum4');
+  });
+
+  it('should build a pool share trustline key', () => {
+    const poolId = StellarSdk.StrKey.encodeLiquidityPool(Buffer.alloc(32, 9));
+    const asset = buildTrustlineKey(SIGNER, { poolId }).trustLine().asset();
+
+    expect(asset.switch().name).toBe('assetTypePoolShare');
+    expect(StellarSdk.StrKey.encodeLiquidityPool(asset.liquidityPoolId())).toBe(poolId);
+  });
+});
+
+describe('parseTrustlineEntry', () => {
+  function buildTrustline({ asset, flags = 1, ext = new xdr.TrustLineEntryExt(0) }) {
+    const entry = new xdr.TrustLineEntry({
+      accountId: accountId(SIGNER),
+      asset,
+      balance: xdr.Int64.fromString('50000000'),
+      limit: xdr.Int64.fromString('9223372036854775807'),
+      flags,
+      ext,
+    });
+    return xdr.TrustLineEntry.fromXDR(entry.toXDR());
+  }
+
+  it('should parse a credit asset trustline', () => {
+    const trustline = parseTrustlineEntry(buildTrustline({
+      asset: new StellarSdk.Asset('USDC', ACCOUNT).toTrustLineXDRObject(),
+      flags: 0x1 | 0x4,
+    }));
+
+    expect(trustline).toEqual({
+      type: 'credit',
+      code: 'USDC',
+      issuer: ACCOUNT,
+      balance: '50000000',
+      limit: '9223372036854775807',
+      flags: 5,
+      flagNames: ['authorized', 'clawback_enabled'],
+      authorized: true,
+      liabilities: { buying: '0', selling: '0' },
+      liquidityPoolUseCount: 0,
+    });
+  });
+
+  it('should parse liabilities and pool use count from extensions', () => {
+    const v1 = new xdr.TrustLineEntryV1({
+      liabilities: new xdr.Liabilities({
+        buying: xdr.Int64.fromString('10'),
+        selling: xdr.Int64.fromString('20'),
+      }),
+      ext: new xdr.TrustLineEntryV1Ext(2, new xdr.TrustLineEntryExtensionV2({
+        liquidityPoolUseCount: 2,
+        ext: new xdr.TrustLineEntryExtensionV2Ext(0),
+      })),
+    });
+    const trustline = parseTrustlineEntry(buildTrustline({
+      asset: new StellarSdk.Asset('LONGASSET', ACCOUNT).toTrustLineXDRObject(),
+      flags: 0x2,
+      ext: new xdr.TrustLineEntryExt(1, v1),
+    }));
+
+    expect(trustline.code).toBe('LONGASSET');
+    expect(trustline.authorized).toBe(false);
+    expect(trustline.flagNames).toEqual(['authorized_to_maintain_liabilities']);
+    expect(trustline.liabilities).toEqual({ buying: '10', selling: '20' });
+    expect(trustline.liquidityPoolUseCount).toBe(2);
+  });
+
+  it('should parse a pool share trustline', () => {
+    const poolIdBytes = Buffer.alloc(32, 3);
+    const trustline = parseTrustlineEntry(buildTrustline({
+      asset: xdr.TrustLineAsset.assetTypePoolShare(xdr.PoolId.fromXDR(poolIdBytes)),
+    }));
+
+    expect(trustline.type).toBe('pool_share');
+    expect(trustline.poolId).toBe(StellarSdk.StrKey.encodeLiquidityPool(poolIdBytes));
+    expect(trustline.code).toBeUndefined();
+  });
+});
+
+describe('buildSacBalanceKey', () => {
+  const NATIVE = { code: 'XLM', issuer: null, isNative: true };
+  const USDC = { code: 'USDC', issuer: ACCOUNT, isNative: false };
+  const SAC_ID = new StellarSdk.Asset('USDC', ACCOUNT).contractId(StellarSdk.Networks.TESTNET);
+
+  it('should use the account entry for XLM held by an account', () => {
+    const key = buildSacBalanceKey(SIGNER, SAC_ID, NATIVE);
+    expect(key.switch().name).toBe('account');
+  });
+
+  it('should use the trustline for credit assets held by an account', () => {
+    const key = buildSacBalanceKey(SIGNER, SAC_ID, USDC);
+    expect(key.switch().name).toBe('trustline');
+    expect(key.trustLine().asset().alphaNum4().assetCode().toString()).toBe('USDC');
+  });
+
+  it('should return null for the issuer', () => {
+    expect(buildSacBalanceKey(ACCOUNT, SAC_ID, USDC)).toBeNull();
+  });
+
+  it('should use the pool entry for liquidity pools', () => {
+    const poolId = StellarSdk.StrKey.encodeLiquidityPool(Buffer.alloc(32, 5));
+    expect(buildSacBalanceKey(poolId, SAC_ID, USDC).switch().name).toBe('liquidityPool');
+  });
+
+  it('should use a persistent Balance entry for contracts', () => {
+    const holder = StellarSdk.StrKey.encodeContract(Buffer.alloc(32, 1));
+    const key = buildSacBalanceKey(holder, SAC_ID, USDC).contractData();
+
+    expect(StellarSdk.Address.fromScAddress(key.contract()).toString()).toBe(SAC_ID);
+    expect(StellarSdk.scValToNative(key.key())).toEqual(['Balance', holder]);
+    expect(key.durability().name).toBe('persistent');
+  });
+});
+
+describe('parseSacBalanceEntry', () => {
+  const USDC = { code: 'USDC', issuer: ACCOUNT, isNative: false };
+
+  it('should read contract data balances', () => {
+    const data = xdr.LedgerEntryData.contractData(new xdr.ContractDataEntry({
+      ext: new xdr.ExtensionPoint(0),
+      contract: new StellarSdk.Address(StellarSdk.StrKey.encodeContract(Buffer.alloc(32, 2))).toScAddress(),
+      key: xdr.ScVal.scvVoid(),
+      durability: xdr.ContractDataDurability.persistent(),
+      val: StellarSdk.nativeToScVal(
+        { amount: 170141183460469231731687303715884105727n, authorized: true, clawback: false },
+        { type: { amount: ['symbol', 'i128'], authorized: ['symbol'], clawback: ['symbol'] } }
+      ),
+    }));
+    expect(parseSacBalanceEntry(data, USDC)).toBe('170141183460469231731687303715884105727');
+  });
+
+  it('should read pool reserves for the matching asset', () => {
+    const [assetA, assetB] = [StellarSdk.Asset.native(), new StellarSdk.Asset('USDC', ACCOUNT)];
+    const data = xdr.LedgerEntryData.liquidityPool(new xdr.LiquidityPoolEntry({
+      liquidityPoolId: xdr.PoolId.fromXDR(Buffer.alloc(32, 5)),
+      body: xdr.LiquidityPoolEntryBody.liquidityPoolConstantProduct(
+        new xdr.LiquidityPoolEntryConstantProduct({
+          params: new xdr.LiquidityPoolConstantProductParameters({
+            assetA: assetA.toXDRObject(),
+            assetB: assetB.toXDRObject(),
+            fee: 30,
+          }),
+          reserveA: xdr.Int64.fromString('111'),
+          reserveB: xdr.Int64.fromString('222'),
+          totalPoolShares: xdr.Int64.fromString('333'),
+          poolSharesTrustLineCount: xdr.Int64.fromString('1'),
+        })
+      ),
+    }));
+
+    expect(parseSacBalanceEntry(data, { code: 'XLM', issuer: null, isNative: true })).toBe('111');
+    expect(parseSacBalanceEntry(data, USDC)).toBe('222');
+    expect(parseSacBalanceEntry(data, { code: 'EURC', issuer: ACCOUNT, isNative: false })).toBe('0');
+  });
+
+  it('should read account balances', () => {
+    const account = buildAccountEntry();
+    expect(parseSacBalanceEntry(xdr.LedgerEntryData.account(account), USDC)).toBe('1234567890');
+  });
+});
+
+describe('contract entries', () => {
+  const CONTRACT = StellarSdk.StrKey.encodeContract(Buffer.alloc(32, 4));
+  const WASM_HASH = 'ab'.repeat(32);
+
+  function buildInstanceEntry(executable, storage) {
+    return new xdr.ContractDataEntry({
+      ext: new xdr.ExtensionPoint(0),
+      contract: new StellarSdk.Address(CONTRACT).toScAddress(),
+      key: xdr.ScVal.scvLedgerKeyContractInstance(),
+      durability: xdr.ContractDataDurability.persistent(),
+      val: xdr.ScVal.scvContractInstance(new xdr.ScContractInstance({ executable, storage })),
+    });
+  }
+
+  it('should build the instance key', () => {
+    const key = buildContractInstanceKey(CONTRACT).contractData();
+    expect(StellarSdk.Address.fromScAddress(key.contract()).toString()).toBe(CONTRACT);
+    expect(key.key().switch().name).toBe('scvLedgerKeyContractInstance');
+    expect(key.durability().name).toBe('persistent');
+  });
+
+  it('should build data keys with the requested durability', () => {
+    const persistent = buildContractDataKey(CONTRACT, xdr.ScVal.scvSymbol('Admin'), 'persistent').contractData();
+    expect(StellarSdk.Address.fromScAddress(persistent.contract()).toString()).toBe(CONTRACT);
+    expect(persistent.key().sym().toString()).toBe('Admin');
+    expect(persistent.durability().name).toBe('persistent');
+
+    const temporary = buildContractDataKey(CONTRACT, xdr.ScVal.scvU32(7), 'temporary').contractData();
+    expect(temporary.durability().name).toBe('temporary');
+  });
+
+  it('should parse a contract data entry', () => {
+    const entry = parseContractDataEntry(new xdr.ContractDataEntry({
+      ext: new xdr.ExtensionPoint(0),
+      contract: new StellarSdk.Address(CONTRACT).toScAddress(),
+      key: xdr.ScVal.scvVec([xdr.ScVal.scvSymbol('Balance'), new StellarSdk.Address(ACCOUNT).toScVal()]),
+      durability: xdr.ContractDataDurability.temporary(),
+      val: xdr.ScVal.scvU32(42),
+    }));
+
+    expect(entry.contractId).toBe(CONTRACT);
+    expect(entry.durability).toBe('temporary');
+    expect(entry.key.vec()[0].sym().toString()).toBe('Balance');
+    expect(entry.value.u32()).toBe(42);
+  });
+
+  it('should build the code key', () => {
+    expect(buildContractCodeKey(WASM_HASH).contractCode().hash().toString('hex')).toBe(WASM_HASH);
+  });
+
+  it('should parse a Wasm instance with storage', () => {
+    const instance = parseContractInstance(buildInstanceEntry(
+      xdr.ContractExecutable.contractExecutableWasm(Buffer.from(WASM_HASH, 'hex')),
+      [new xdr.ScMapEntry({ key: xdr.ScVal.scvSymbol('Admin'), val: new StellarSdk.Address(ACCOUNT).toScVal() })]
+    ));
+
+    expect(instance.executable).toEqual({ type: 'wasm', wasmHash: WASM_HASH });
+    expect(instance.storage).toHaveLength(1);
+    expect(instance.storage[0].key.sym().toString()).toBe('Admin');
+  });
+
+  it('should parse a Stellar Asset Contract instance without storage', () => {
+    const instance = parseContractInstance(buildInstanceEntry(
+      xdr.ContractExecutable.contractExecutableStellarAsset(),
+      null
+    ));
+
+    expect(instance.executable).toEqual({ type: 'stellar_asset' });
+    expect(instance.storage).toEqual([]);
+  });
+});
+
+describe('estimateTtl', () => {
+  it('should estimate time left at 5 seconds per ledger', () => {
+    expect(estimateTtl(1100, 1000)).toEqual({ ledgersLeft: 100, secondsLeft: 500, expired: false });
+  });
+
+  it('should report expired entries', () => {
+    expect(estimateTtl(900, 1000)).toEqual({ ledgersLeft: 0, secondsLeft: 0, expired: true });
+    expect(estimateTtl(1000, 1000).expired).toBe(false);
+  });
+});
+
+describe('claimable balances', () => {
+  const BALANCE_ID = 'BAAAOBYHA4DQOBYHA4DQOBYHA4DQOBYHA4DQOBYHA4DQOBYHA4DQOB4RVQ';
+  const HASH = Buffer.alloc(32, 7);
+
+  it('should build the ledger key from a B... ID', () => {
+    const key = buildClaimableBalanceKey(BALANCE_ID).claimableBalance();
+    expect(key.balanceId().v0().equals(HASH)).toBe(true);
+  });
+
+  it('should parse predicate trees', () => {
+    const predicate = StellarSdk.Claimant.predicateAnd(
+      StellarSdk.Claimant.predicateNot(StellarSdk.Claimant.predicateBeforeAbsoluteTime('1767225600')),
+      StellarSdk.Claimant.predicateOr(
+        StellarSdk.Claimant.predicateBeforeRelativeTime('3600'),
+        StellarSdk.Claimant.predicateUnconditional()
+      )
+    );
+
+    expect(parseClaimPredicate(predicate)).toEqual({
+      type: 'and',
+      predicates: [
+        { type: 'not', predicate: { type: 'before', time: '1767225600' } },
+        {
+          type: 'or',
+          predicates: [{ type: 'beforeRelative', seconds: '3600' }, { type: 'unconditional' }],
+        },
+      ],
+    });
+  });
+
+  it('should evaluate predicates at a point in time', () => {
+    const after = { type: 'not', predicate: { type: 'before', time: '1000' } };
+    expect(evaluateClaimPredicate(after, 999)).toBe(false);
+    expect(evaluateClaimPredicate(after, 1000)).toBe(true);
+    expect(evaluateClaimPredicate({ type: 'and', predicates: [after, { type: 'before', time: '2000' }] }, 2500)).toBe(false);
+    expect(evaluateClaimPredicate({ type: 'or', predicates: [after, { type: 'unconditional' }] }, 0)).toBe(true);
+    expect(evaluateClaimPredicate({ type: 'beforeRelative', seconds: '60' }, 0)).toBeNull();
+  });
+
+  it('should parse an entry with claimants and flags', () => {
+    const balance = parseClaimableBalanceEntry(new xdr.ClaimableBalanceEntry({
+      balanceId: xdr.ClaimableBalanceId.claimableBalanceIdTypeV0(HASH),
+      claimants: [
+        new StellarSdk.Claimant(ACCOUNT, StellarSdk.Claimant.predicateBeforeAbsoluteTime('1767225600')).toXDRObject(),
+      ],
+      asset: new StellarSdk.Asset('USDC', ACCOUNT).toXDRObject(),
+      amount: xdr.Int64.fromString('125000000'),
+      ext: new xdr.ClaimableBalanceEntryExt(1, new xdr.ClaimableBalanceEntryExtensionV1({
+        ext: new xdr.ClaimableBalanceEntryExtensionV1Ext(0),
+        flags: 1,
+      })),
+    }));
+
+    expect(balance.balanceId).toBe(BALANCE_ID);
+    expect(balance.asset).toEqual({ code: 'USDC', issuer: ACCOUNT, isNative: false });
+    expect(balance.amount).toBe('125000000');
+    expect(balance.claimants).toEqual([
+      { destination: ACCOUNT, predicate: { type: 'before', time: '1767225600' } },
+    ]);
+    expect(balance.flagNames).toEqual(['clawback_enabled']);
+  });
+});
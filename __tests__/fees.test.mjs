@@ -0,0 +1,90 @@
+/**
+ * Tests for utils/scan/fees.js
+ *
+ * Fee distribution parsing, surge detection and fee history.
+ */
+
+import {
+  FEE_PERCENTILES,
+  parseFeeDistribution,
+  isSurgePricing,
+  appendFeeSample,
+  buildChartPoints,
+} from '../utils/scan/fees.js';
+
+function rawDistribution(fee, overrides = {}) {
+  const raw = { min: '100', max: '5000', mode: '100', transactionCount: '42', ledgerCount: '10' };
+  for (const percentile of FEE_PERCENTILES) {
+    raw[percentile] = String(fee);
+  }
+  return { ...raw, ...overrides };
+}
+
+describe('parseFeeDistribution', () => {
+  it('should convert every field to a number', () => {
+    const parsed = parseFeeDistribution(rawDistribution(100, { p99: '5000' }));
+    expect(parsed).toMatchObject({
+      min: 100,
+      max: 5000,
+      mode: 100,
+      p10: 100,
+      p50: 100,
+      p99: 5000,
+      transactionCount: 42,
+      ledgerCount: 10,
+    });
+    expect(Object.keys(parsed)).toEqual(expect.arrayContaining(FEE_PERCENTILES));
+  });
+
+  it('should return null for missing distributions', () => {
+    expect(parseFeeDistribution(undefined)).toBeNull();
+  });
+});
+
+describe('isSurgePricing', () => {
+  it('should compare the median with the base fee', () => {
+    expect(isSurgePricing(parseFeeDistribution(rawDistribution(100)), 100)).toBe(false);
+    expect(isSurgePricing(parseFeeDistribution(rawDistribution(250)), 100)).toBe(true);
+  });
+
+  it('should not report surge without transactions', () => {
+    const empty = parseFeeDistribution(rawDistribution(250, { transactionCount: '0' }));
+    expect(isSurgePricing(empty, 100)).toBe(false);
+    expect(isSurgePricing(null, 100)).toBe(false);
+  });
+});
+
+describe('appendFeeSample', () => {
+  const stats = (ledger) => ({ latestLedger: ledger, baseFee: 100, soroban: { p50: 100 }, classic: { p50: 100 } });
+
+  it('should append new ledgers and skip repeats', () => {
+    let history = appendFeeSample([], stats(10), 1000);
+    history = appendFeeSample(history, stats(10), 2000);
+    history = appendFeeSample(history, stats(12), 3000);
+
+    expect(history.map(s => [s.ledger, s.time])).toEqual([[10, 1000], [12, 3000]]);
+  });
+
+  it('should keep only the newest samples', () => {
+    let history = [];
+    for (let ledger = 1; ledger <= 5; ledger++) {
+      history = appendFeeSample(history, stats(ledger), ledger, 3);
+    }
+    expect(history.map(s => s.ledger)).toEqual([3, 4, 5]);
+  });
+});
+
+describe('buildChartPoints', () => {
+  it('should scale values to the chart', () => {
+    expect(buildChartPoints([0, 50, 100], 200, 100)).toBe('0,100 100,50 200,0');
+  });
+
+  it('should use a fixed scale when given', () => {
+    expect(buildChartPoints([100, 100], 10, 100, 200)).toBe('0,50 10,50');
+  });
+
+  it('should skip missing values and handle a single point', () => {
+    expect(buildChartPoints([10, null, 20], 100, 10)).toBe('0,5 100,0');
+    expect(buildChartPoints([10], 100, 10)).toBe('0,0');
+  });
+});
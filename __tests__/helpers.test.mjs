@@ -15,6 +15,8 @@ import {
   isAccount,
   formatTopicValue,
   getStatusClass,
+  formatDuration,
+  describeClaimPredicate,
 } from '../utils/scan/helpers.js';
 
 describe('shortenAddress', () => {
@@ -97,6 +99,10 @@ describe('getAddressPath', () => {
     expect(getAddressPath('LABC123')).toBe('/lp/LABC123');
   });
 
+  it('should return /cb/ for B claimable balance IDs', () => {
+    expect(getAddressPath('BABC123')).toBe('/cb/BABC123');
+  });
+
   it('should return / for null/undefined', () => {
     expect(getAddressPath(null)).toBe('/');
     expect(getAddressPath(undefined)).toBe('/');
@@ -184,3 +190,49 @@ describe('getStatusClass', () => {
     expect(getStatusClass('UNKNOWN')).toBe('');
   });
 });
+
+describe('formatDuration', () => {
+  it('should show seconds under a minute', () => {
+    expect(formatDuration(0)).toBe('0 sec');
+    expect(formatDuration(59)).toBe('59 sec');
+  });
+
+  it('should show the two largest units', () => {
+    expect(formatDuration(60)).toBe('1 min');
+    expect(formatDuration(3 * 3600 + 5 * 60)).toBe('3 hr 5 min');
+    expect(formatDuration(86400)).toBe('1 day');
+    expect(formatDuration(2 * 86400 + 4 * 3600 + 59)).toBe('2 days 4 hr');
+    expect(formatDuration(86400 + 30 * 60)).toBe('1 day');
+  });
+});
+
+describe('describeClaimPredicate', () => {
+  const JAN_1 = String(Date.UTC(2026, 0, 1) / 1000);
+  const FEB_1_NOON = String(Date.UTC(2026, 1, 1, 12, 30) / 1000);
+
+  it('should describe simple predicates', () => {
+    expect(describeClaimPredicate({ type: 'unconditional' })).toBe('at any time');
+    expect(describeClaimPredicate({ type: 'before', time: JAN_1 })).toBe('before 2026-01-01');
+    expect(describeClaimPredicate({ type: 'before', time: FEB_1_NOON })).toBe('before 2026-02-01 12:30 UTC');
+    expect(describeClaimPredicate({ type: 'beforeRelative', seconds: '86400' })).toBe('within 1 day of creation');
+  });
+
+  it('should read not(before) as after', () => {
+    expect(describeClaimPredicate({ type: 'not', predicate: { type: 'before', time: JAN_1 } }))
+      .toBe('after 2026-01-01');
+    expect(describeClaimPredicate({ type: 'not', predicate: { type: 'unconditional' } })).toBe('never');
+  });
+
+  it('should join compound predicates with parentheses when nested', () => {
+    const window = {
+      type: 'and',
+      predicates: [
+        { type: 'not', predicate: { type: 'before', time: JAN_1 } },
+        { type: 'before', time: FEB_1_NOON },
+      ],
+    };
+    expect(describeClaimPredicate(window)).toBe('after 2026-01-01 and before 2026-02-01 12:30 UTC');
+    expect(describeClaimPredicate({ type: 'or', predicates: [window, { type: 'unconditional' }] }))
+      .toBe('(after 2026-01-01 and before 2026-02-01 12:30 UTC) or at any time');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for utils/scan/ledger.js
+ *
+ * Ledger header and close meta parsing.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { parseLedgerHeader, countLedgerTransactions } from '../utils/scan/ledger.js';
+
+const { xdr } = StellarSdk;
+
+const hash = (byte) => Buffer.alloc(32, byte);
+
+function buildHeader() {
+  return new xdr.LedgerHeader({
+    ledgerVersion: 23,
+    previousLedgerHash: hash(1),
+    scpValue: new xdr.StellarValue({
+      txSetHash: hash(2),
+      closeTime: xdr.TimePoint.fromString('1750000000'),
+      upgrades: [],
+      ext: xdr.StellarValueExt.stellarValueBasic(),
+    }),
+    txSetResultHash: hash(3),
+    bucketListHash: hash(4),
+    ledgerSeq: 58000000,
+    totalCoins: xdr.Int64.fromString('1054439020873472865'),
+    feePool: xdr.Int64.fromString('45000000000'),
+    inflationSeq: 0,
+    idPool: xdr.Uint64.fromString('0'),
+    baseFee: 100,
+    baseReserve: 5000000,
+    maxTxSetSize: 1000,
+    skipList: [hash(0), hash(0), hash(0), hash(0)],
+    ext: new xdr.LedgerHeaderExt(0),
+  });
+}
+
+function buildHeaderEntry() {
+  return new xdr.LedgerHeaderHistoryEntry({
+    hash: hash(0xab),
+    header: buildHeader(),
+    ext: new xdr.LedgerHeaderHistoryEntryExt(0),
+  });
+}
+
+const buildHeaderXdr = () => buildHeaderEntry().toXDR('base64');
+
+const resultPair = (i) => new xdr.TransactionResultPair({
+  transactionHash: hash(i),
+  result: new xdr.TransactionResult({
+    feeCharged: xdr.Int64.fromString('100'),
+    result: xdr.TransactionResultResult.txSuccess([]),
+    ext: new xdr.TransactionResultExt(0),
+  }),
+});
+
+function buildCloseMetaXdr(txCount) {
+  const txProcessing = Array.from({ length: txCount }, (_, i) => new xdr.TransactionResultMeta({
+    result: resultPair(i),
+    feeProcessing: [],
+    txApplyProcessing: new xdr.TransactionMeta(0, []),
+  }));
+  return new xdr.LedgerCloseMeta(0, new xdr.LedgerCloseMetaV0({
+    ledgerHeader: buildHeaderEntry(),
+    txSet: new xdr.TransactionSet({ previousLedgerHash: hash(1), txes: [] }),
+    txProcessing,
+    upgradesProcessing: [],
+    scpInfo: [],
+  })).toXDR('base64');
+}
+
+// Protocol 23 layout: generalized tx set and TransactionResultMetaV1
+function buildCloseMetaV2Xdr(txCount) {
+  const txProcessing = Array.from({ length: txCount }, (_, i) => new xdr.TransactionResultMetaV1({
+    ext: new xdr.ExtensionPoint(0),
+    result: resultPair(i),
+    feeProcessing: [],
+    txApplyProcessing: new xdr.TransactionMeta(0, []),
+    postTxApplyFeeProcessing: [],
+  }));
+  return new xdr.LedgerCloseMeta(2, new xdr.LedgerCloseMetaV2({
+    ext: new xdr.LedgerCloseMetaExt(0),
+    ledgerHeader: buildHeaderEntry(),
+    txSet: new xdr.GeneralizedTransactionSet(1, new xdr.TransactionSetV1({
+      previousLedgerHash: hash(1),
+      phases: [new xdr.TransactionPhase(0, [])],
+    })),
+    txProcessing,
+    upgradesProcessing: [],
+    scpInfo: [],
+    totalByteSizeOfLiveSorobanState: xdr.Uint64.fromString('0'),
+    evictedKeys: [],
+  })).toXDR('base64');
+}
+
+describe('parseLedgerHeader', () => {
+  it('should parse header fields', () => {
+    expect(parseLedgerHeader(buildHeaderXdr())).toEqual({
+      sequence: 58000000,
+      hash: 'ab'.repeat(32),
+      previousHash: '01'.repeat(32),
+      protocolVersion: 23,
+      closeTime: 1750000000,
+      totalCoins: '1054439020873472865',
+      feePool: '45000000000',
+      baseFee: 100,
+      baseReserve: 5000000,
+      maxTxSetSize: 1000,
+      txSetHash: '02'.repeat(32),
+    });
+  });
+
+  it('should throw on invalid XDR', () => {
+    expect(() => parseLedgerHeader('not xdr')).toThrow();
+  });
+});
+
+describe('countLedgerTransactions', () => {
+  it('should count processed transactions', () => {
+    expect(countLedgerTransactions(buildCloseMetaXdr(0))).toBe(0);
+    expect(countLedgerTransactions(buildCloseMetaXdr(2))).toBe(2);
+  });
+
+  it('should count transactions in v2 close meta', () => {
+    expect(countLedgerTransactions(buildCloseMetaV2Xdr(3))).toBe(3);
+  });
+
+  it('should return null for missing or invalid meta', () => {
+    expect(countLedgerTransactions(undefined)).toBeNull();
+    expect(countLedgerTransactions('not xdr')).toBeNull();
+  });
+});
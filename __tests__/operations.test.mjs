@@ -0,0 +1,106 @@
+/**
+ * Tests for utils/scan/operations.js
+ *
+ * Operation descriptions from stellar-xdr-json decoded envelopes.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { formatOperation, getEnvelopeSource, summarizeOperations } from '../utils/scan/operations.js';
+
+const CONTRACT = 'CAAQCAIBAEAQCAIBAEAQCAIBAEAQCAIBAEAQCAIBAEAQCAIBAEAQC526';
+
+function invokeOp(args) {
+  return {
+    body: {
+      invoke_host_function: {
+        host_function: {
+          invoke_contract: {
+            contract_address: CONTRACT,
+            function_name: 'swap',
+            args,
+          },
+        },
+      },
+    },
+  };
+}
+
+describe('formatOperation (invoke_host_function)', () => {
+  it('should show every argument in full', () => {
+    const op = formatOperation(invokeOp([
+      { i128: '170141183460469231731687303715884105727' },
+      { vec: [{ u32: 1 }, { symbol: 'a' }] },
+      { map: [{ key: { symbol: 'k' }, val: { bool: true } }] },
+      { string: 'a fairly long string argument' },
+      { bytes: 'dead' },
+    ]));
+
+    expect(op.description).toBe(
+      'invoke swap(170141183460469231731687303715884105727, [1, a], {k: true}, "a fairly long string argument", 0xdead) on CAAQC'
+    );
+  });
+
+  it('should combine hi/lo integer parts exactly', () => {
+    const op = formatOperation(invokeOp([
+      { i128: { hi: '-1', lo: '18446744073709551615' } },
+      { u128: { hi: '1', lo: '0' } },
+      { u256: { hi_hi: '0', hi_lo: '0', lo_hi: '1', lo_lo: '2' } },
+    ]));
+
+    expect(op.description).toBe('invoke swap(-1, 18446744073709551616, 18446744073709551618) on CAAQC');
+  });
+
+  it('should format errors and unit values', () => {
+    const op = formatOperation(invokeOp([
+      { error: { contract: 3 } },
+      { error: { budget: 'exceeded_limit' } },
+      'void',
+    ]));
+
+    expect(op.description).toBe('invoke swap(Error(Contract, #3), Error(Budget, ExceededLimit), void) on CAAQC');
+  });
+});
+
+describe('getEnvelopeSource', () => {
+  const SOURCE = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+  const FEE_SOURCE = 'GBRPYHIL2CI3FNQ4BXLFMNDLFJUNPU2HY3ZMFSHONUCEOASW7QC7OX2H';
+
+  it('should read the source of a regular transaction', () => {
+    expect(getEnvelopeSource({ tx: { tx: { source_account: SOURCE, operations: [] } } }))
+      .toEqual({ sourceAccount: SOURCE, feeSource: null });
+  });
+
+  it('should unwrap fee bumps', () => {
+    const envelope = {
+      tx_fee_bump: {
+        tx: {
+          fee_source: FEE_SOURCE,
+          inner_tx: { tx: { tx: { source_account: SOURCE, operations: [] } } },
+        },
+      },
+    };
+    expect(getEnvelopeSource(envelope)).toEqual({ sourceAccount: SOURCE, feeSource: FEE_SOURCE });
+  });
+
+  it('should encode the raw key of v0 envelopes', () => {
+    const key = StellarSdk.StrKey.decodeEd25519PublicKey(SOURCE).toString('hex');
+    expect(getEnvelopeSource({ tx_v0: { tx: { source_account_ed25519: key, operations: [] } } }))
+      .toEqual({ sourceAccount: SOURCE, feeSource: null });
+  });
+
+  it('should return nulls for unknown envelopes', () => {
+    expect(getEnvelopeSource(null)).toEqual({ sourceAccount: null, feeSource: null });
+  });
+});
+
+describe('summarizeOperations', () => {
+  it('should describe the first operation and count the rest', () => {
+    const ops = [{ description: 'pay 1 XLM to GAIH3' }, { description: 'bump sequence' }, { description: 'bump sequence' }];
+    expect(summarizeOperations(ops.slice(0, 1))).toBe('pay 1 XLM to GAIH3');
+    expect(summarizeOperations(ops)).toBe('pay 1 XLM to GAIH3 (+2 more)');
+  });
+
+  it('should handle no operations', () => {
+    expect(summarizeOperations([])).toBe('no operations');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests for utils/scan/pagination.js
+ *
+ * Pure cursor and page-merging helpers used by the activity feeds.
+ */
+
+import {
+  getNextCursor,
+  fetchEventsPage,
+  paginateActivity,
+  mergeEventStreams,
+  mergeActivity,
+  sortActivity,
+} from '../utils/scan/pagination.js';
+
+// RPC event IDs are zero-padded TOIDs, so string order matches ledger order
+const eventId = (ledger, index = 1) =>
+  `${String(ledger * 2 ** 32).padStart(19, '0')}-${String(index).padStart(10, '0')}`;
+
+describe('getNextCursor', () => {
+  it('should return the response cursor for a full page', () => {
+    const result = { events: [{ id: 'a' }, { id: 'b' }], cursor: 'next' };
+    expect(getNextCursor(result, 2)).toBe('next');
+  });
+
+  it('should fall back to the last event ID when no cursor is returned', () => {
+    const result = { events: [{ id: 'a' }, { id: 'b' }] };
+    expect(getNextCursor(result, 2)).toBe('b');
+  });
+
+  it('should return null for a short page (retention exhausted)', () => {
+    const result = { events: [{ id: 'a' }], cursor: 'next' };
+    expect(getNextCursor(result, 2)).toBeNull();
+  });
+
+  it('should return null for an empty or missing response', () => {
+    expect(getNextCursor({ events: [], cursor: 'next' }, 10)).toBeNull();
+    expect(getNextCursor(null, 10)).toBeNull();
+  });
+});
+
+describe('fetchEventsPage', () => {
+  const filters = [{ type: 'contract' }];
+  const range = { startLedger: 100, endLedger: 200 };
+
+  // Records the params of each getEvents call and answers with the queued responses
+  const makeRpc = (responses) => {
+    const calls = [];
+    const getEvents = async (params) => {
+      calls.push(params);
+      return responses.shift();
+    };
+    return { calls, getEvents };
+  };
+
+  it('should send the range on the first page only and clip cursor pages to it', async () => {
+    const { calls, getEvents } = makeRpc([
+      { events: [{ id: eventId(150), ledger: 150 }, { id: eventId(180), ledger: 180 }], cursor: 'c1' },
+      { events: [{ id: eventId(195), ledger: 195 }, { id: eventId(240), ledger: 240 }], cursor: 'c2' },
+    ]);
+
+    const first = await fetchEventsPage(getEvents, { filters, limit: 2, range });
+    const second = await fetchEventsPage(getEvents, { filters, limit: 2, cursor: first.cursor, range });
+
+    expect(calls).toEqual([
+      { startLedger: 100, endLedger: 201, filters, pagination: { limit: 2, order: 'asc' } },
+      { filters, pagination: { cursor: 'c1', limit: 2, order: 'asc' } },
+    ]);
+    expect(first.cursor).toBe('c1');
+    expect(second.events.map(event => event.ledger)).toEqual([195]);
+    expect(second.cursor).toBeNull();
+  });
+
+  it('should start an unranged feed at the latest ledger, newest first', async () => {
+    const { calls, getEvents } = makeRpc([{ events: [], cursor: 'c1' }]);
+    const page = await fetchEventsPage(getEvents, { filters, limit: 10, getLatestLedger: async () => 5000 });
+
+    expect(calls).toEqual([{ startLedger: 5000, filters, pagination: { limit: 10, order: 'desc' } }]);
+    expect(page).toEqual({ events: [], cursor: null });
+  });
+});
+
+describe('paginateActivity', () => {
+  const activity = [
+    { id: eventId(5), ledger: 5 },
+    { id: eventId(4), ledger: 4 },
+    { id: eventId(3), ledger: 3 },
+  ];
+
+  it('should keep the response cursor when nothing is truncated', () => {
+    const result = paginateActivity(activity, 5, 'next');
+    expect(result.activity).toHaveLength(3);
+    expect(result.cursor).toBe('next');
+  });
+
+  it('should continue from the last kept event when truncating', () => {
+    const result = paginateActivity(activity, 2, 'next');
+    expect(result.activity).toHaveLength(2);
+    expect(result.cursor).toBe(eventId(4));
+  });
+
+  it('should pass through an exhausted cursor', () => {
+    expect(paginateActivity(activity, 5, null).cursor).toBeNull();
+  });
+});
+
+describe('mergeEventStreams', () => {
+  it('should hold back events older than the shallowest stream', () => {
+    const tokenPage = {
+      events: [{ id: eventId(100) }, { id: eventId(90) }],
+      cursor: 'token-next',
+    };
+    const feePage = {
+      events: [{ id: eventId(100, 2) }, { id: eventId(50) }],
+      cursor: 'fee-next',
+    };
+
+    const { events, cursors } = mergeEventStreams([tokenPage, feePage]);
+
+    expect(events.map(e => e.id)).toEqual([eventId(100), eventId(90), eventId(100, 2)]);
+    // Token stream was fully consumed, fee stream rewinds to the horizon
+    expect(cursors).toEqual(['token-next', eventId(90)]);
+  });
+
+  it('should keep everything when all streams are exhausted', () => {
+    const { events, cursors } = mergeEventStreams([
+      { events: [{ id: eventId(10) }], cursor: null },
+      { events: [{ id: eventId(5) }], cursor: null },
+    ]);
+
+    expect(events).toHaveLength(2);
+    expect(cursors).toEqual([null, null]);
+  });
+
+  it('should rewind an exhausted stream that had events past the horizon', () => {
+    const { events, cursors } = mergeEventStreams([
+      { events: [{ id: eventId(100) }, { id: eventId(80) }], cursor: 'more' },
+      { events: [{ id: eventId(90) }, { id: eventId(10) }], cursor: null },
+    ]);
+
+    expect(events.map(e => e.id)).toEqual([eventId(100), eventId(80), eventId(90)]);
+    expect(cursors).toEqual(['more', eventId(80)]);
+  });
+
+  it('should hold back events past the shallowest stream when paging forward', () => {
+    const { events, cursors } = mergeEventStreams([
+      { events: [{ id: eventId(10) }, { id: eventId(20) }], cursor: 'token-next' },
+      { events: [{ id: eventId(15) }, { id: eventId(50) }], cursor: 'fee-next' },
+    ], 'asc');
+
+    expect(events.map(e => e.id)).toEqual([eventId(10), eventId(20), eventId(15)]);
+    expect(cursors).toEqual(['token-next', eventId(20)]);
+  });
+
+  it('should handle empty streams', () => {
+    const { events, cursors } = mergeEventStreams([
+      { events: [], cursor: null },
+      { events: [{ id: eventId(7) }], cursor: 'next' },
+    ]);
+
+    expect(events).toHaveLength(1);
+    expect(cursors).toEqual([null, 'next']);
+  });
+});
+
+describe('mergeActivity', () => {
+  it('should de-duplicate by event ID', () => {
+    const existing = [{ id: 'a', ledger: 10 }, { id: 'b', ledger: 9 }];
+    const incoming = [{ id: 'b', ledger: 9 }, { id: 'c', ledger: 8 }];
+
+    const merged = mergeActivity(existing, incoming);
+    expect(merged.map(e => e.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should sort merged activity newest first', () => {
+    const merged = mergeActivity([{ id: 'a', ledger: 5 }], [{ id: 'b', ledger: 7 }]);
+    expect(merged.map(e => e.id)).toEqual(['b', 'a']);
+  });
+
+  it('should sort oldest first for ranged feeds', () => {
+    const merged = mergeActivity([{ id: 'a', ledger: 7 }], [{ id: 'b', ledger: 5 }], 'asc');
+    expect(merged.map(e => e.id)).toEqual(['b', 'a']);
+  });
+
+  it('should de-duplicate items without IDs by content', () => {
+    const item = { txHash: 'abc', type: 'transfer', from: 'G1', to: 'G2', amount: 5n, ledger: 1 };
+    expect(mergeActivity([item], [{ ...item }])).toHaveLength(1);
+  });
+
+  it('should handle null inputs', () => {
+    expect(mergeActivity(null, [{ id: 'a', ledger: 1 }])).toHaveLength(1);
+    expect(mergeActivity([], null)).toEqual([]);
+  });
+});
+
+describe('sortActivity', () => {
+  it('should keep event order within a ledger', () => {
+    const activity = [
+      { id: 'b', ledger: 5 },
+      { id: 'c', ledger: 6 },
+      { id: 'a', ledger: 5 },
+    ];
+    expect(sortActivity([...activity], 'asc').map(e => e.id)).toEqual(['b', 'a', 'c']);
+    expect(sortActivity([...activity]).map(e => e.id)).toEqual(['c', 'b', 'a']);
+  });
+});
@@ -10,10 +10,13 @@ import {
   parseTopics,
   extractSacMetadata,
   parseEventValue,
+  parseEventData,
   getEventType,
   parseTokenEvent,
   parseFeeEvent,
+  parseContractEvent,
 } from '../utils/scan/parsers.js';
+import { STELLAR_ASSET_SPEC } from '../utils/scan/spec.js';
 
 describe('isAddressScVal', () => {
   it('should return true for address ScVal', () => {
@@ -105,6 +108,38 @@ describe('parseEventValue', () => {
   });
 });
 
+describe('parseEventData', () => {
+  // {amount, to_muxed_id} map, as emitted for transfers to muxed accounts
+  const muxedData = (muxedId) => StellarSdk.xdr.ScVal.scvMap([
+    new StellarSdk.xdr.ScMapEntry({
+      key: StellarSdk.xdr.ScVal.scvSymbol('amount'),
+      val: StellarSdk.nativeToScVal(2500n, { type: 'i128' }),
+    }),
+    new StellarSdk.xdr.ScMapEntry({ key: StellarSdk.xdr.ScVal.scvSymbol('to_muxed_id'), val: muxedId }),
+  ]).toXDR('base64');
+
+  it('should read a plain i128 amount without a mux ID', () => {
+    const xdr = StellarSdk.nativeToScVal(1000n, { type: 'i128' }).toXDR('base64');
+    expect(parseEventData(xdr)).toEqual({ amount: 1000n, toMuxedId: null });
+  });
+
+  it('should read the amount and a u64 mux ID from a map', () => {
+    const data = muxedData(StellarSdk.nativeToScVal(18446744073709551615n, { type: 'u64' }));
+    expect(parseEventData(data)).toEqual({ amount: 2500n, toMuxedId: '18446744073709551615' });
+    expect(parseEventValue(data)).toBe(2500n);
+  });
+
+  it('should read text and bytes mux IDs', () => {
+    expect(parseEventData(muxedData(StellarSdk.xdr.ScVal.scvString('memo-42'))).toMuxedId).toBe('memo-42');
+    expect(parseEventData(muxedData(StellarSdk.xdr.ScVal.scvBytes(Buffer.from([0xab, 0xcd])))).toMuxedId).toBe('abcd');
+  });
+
+  it('should return defaults for invalid or missing data', () => {
+    expect(parseEventData('invalid')).toEqual({ amount: 0n, toMuxedId: null });
+    expect(parseEventData(null)).toEqual({ amount: 0n, toMuxedId: null });
+  });
+});
+
 describe('getEventType', () => {
   it('should extract event type symbol', () => {
     const symbol = StellarSdk.nativeToScVal('transfer', { type: 'symbol' });
@@ -161,6 +196,24 @@ describe('parseTokenEvent', () => {
     expect(parsed.direction).toBe('sent');
   });
 
+  it('should carry the recipient mux ID of a muxed transfer', () => {
+    const event = createMockEvent('transfer', TEST_FROM, TEST_TO, 0);
+    event.value = StellarSdk.xdr.ScVal.scvMap([
+      new StellarSdk.xdr.ScMapEntry({
+        key: StellarSdk.xdr.ScVal.scvSymbol('amount'),
+        val: StellarSdk.nativeToScVal(750n, { type: 'i128' }),
+      }),
+      new StellarSdk.xdr.ScMapEntry({
+        key: StellarSdk.xdr.ScVal.scvSymbol('to_muxed_id'),
+        val: StellarSdk.nativeToScVal(1234n, { type: 'u64' }),
+      }),
+    ]).toXDR('base64');
+
+    const parsed = parseTokenEvent(event, TEST_FROM);
+    expect(parsed.amount).toBe(750n);
+    expect(parsed.toMuxedId).toBe('1234');
+  });
+
   it('should parse transfer event as receiver', () => {
     const event = createMockEvent('transfer', TEST_FROM, TEST_TO, 1000000);
     const parsed = parseTokenEvent(event, TEST_TO);
@@ -276,3 +329,45 @@ describe('parseFeeEvent', () => {
     expect(parsed.amount).toBe(BigInt(50)); // absolute value
   });
 });
+
+describe('parseContractEvent', () => {
+  const FROM = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+  const TO = 'GDTYIRQ6WTAYH6XG7FYHR2KPBKB3U3JXBJVXPPZDAYFUWFGG75UCSHSR';
+
+  const event = {
+    id: 'test-id',
+    txHash: 'abc123',
+    ledger: 1000,
+    ledgerClosedAt: '2024-01-01T00:00:00Z',
+    contractId: 'CABC123',
+    type: 'contract',
+    topic: [
+      StellarSdk.nativeToScVal('transfer', { type: 'symbol' }).toXDR('base64'),
+      StellarSdk.Address.fromString(FROM).toScVal().toXDR('base64'),
+      StellarSdk.Address.fromString(TO).toScVal().toXDR('base64'),
+      StellarSdk.nativeToScVal('USDC:GA5ZSEJYB37JRC5AVCIA5MOP4RHTM335X2KGX3IHOJAPP5RE34K4KZVN', { type: 'string' }).toXDR('base64'),
+    ],
+    value: StellarSdk.nativeToScVal(125000000n, { type: 'i128' }).toXDR('base64'),
+    inSuccessfulContractCall: true,
+  };
+
+  it('should parse topics and value without a spec', () => {
+    const parsed = parseContractEvent(event);
+
+    expect(parsed.eventType).toBe('transfer');
+    expect(parsed.topics[0]).toBe(FROM);
+    expect(parsed.value).toBe(125000000n);
+    expect(parsed.decoded).toBeNull();
+  });
+
+  it('should name params with a spec', () => {
+    const parsed = parseContractEvent(event, STELLAR_ASSET_SPEC, { token: { symbol: 'USDC', decimals: 7 } });
+
+    expect(parsed.decoded.name).toBe('transfer');
+    expect(parsed.decoded.params.map(p => [p.name, p.value])).toEqual([
+      ['from', FROM],
+      ['to', TO],
+      ['amount', '12.5 USDC'],
+    ]);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for utils/scan/queue.js
+ *
+ * Concurrency-limited mapping.
+ */
+
+import { mapWithConcurrency } from '../utils/scan/queue.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('mapWithConcurrency', () => {
+  it('should keep results in input order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, i) => {
+      await new Promise(resolve => setTimeout(resolve, ms));
+      return `${i}:${ms}`;
+    });
+    expect(results).toEqual(['0:30', '1:10', '2:20']);
+  });
+
+  it('should never run more than the limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await tick();
+      running--;
+    });
+    expect(peak).toBe(3);
+  });
+
+  it('should handle empty input and limits below one', async () => {
+    expect(await mapWithConcurrency([], 4, async x => x)).toEqual([]);
+    expect(await mapWithConcurrency([1, 2], 0, async x => x * 2)).toEqual([2, 4]);
+  });
+
+  it('should reject if a worker throws', async () => {
+    await expect(mapWithConcurrency([1, 2, 3], 2, async (x) => {
+      if (x === 2) throw new Error('boom');
+      return x;
+    })).rejects.toThrow('boom');
+  });
+});
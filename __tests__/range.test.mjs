@@ -0,0 +1,120 @@
+/**
+ * Tests for utils/scan/range.js
+ *
+ * Range picker parsing and ledger close-time search.
+ */
+
+import {
+  parseRangeInput,
+  findLedgerByCloseTime,
+  formatLedgerRange,
+} from '../utils/scan/range.js';
+
+describe('parseRangeInput', () => {
+  it('should parse ledger bounds', () => {
+    expect(parseRangeInput({ mode: 'ledger', from: '100', to: ' 200 ' }))
+      .toEqual({ startLedger: 100, endLedger: 200 });
+  });
+
+  it('should allow an open-ended ledger range', () => {
+    expect(parseRangeInput({ mode: 'ledger', from: '100', to: '' }))
+      .toEqual({ startLedger: 100, endLedger: undefined });
+    expect(parseRangeInput({ mode: 'ledger', to: '200' }))
+      .toEqual({ startLedger: undefined, endLedger: 200 });
+  });
+
+  it('should reject invalid ledgers', () => {
+    expect(() => parseRangeInput({ mode: 'ledger', from: 'abc' })).toThrow('Invalid start ledger');
+    expect(() => parseRangeInput({ mode: 'ledger', from: '1.5' })).toThrow('Invalid start ledger');
+    expect(() => parseRangeInput({ mode: 'ledger', to: '0' })).toThrow('Invalid end ledger');
+    expect(() => parseRangeInput({ mode: 'ledger', to: '4294967296' })).toThrow('Invalid end ledger');
+  });
+
+  it('should reject a reversed ledger range', () => {
+    expect(() => parseRangeInput({ mode: 'ledger', from: '200', to: '100' }))
+      .toThrow('Start ledger must not be after end ledger');
+  });
+
+  it('should parse dates to unix seconds', () => {
+    expect(parseRangeInput({
+      mode: 'date',
+      from: '2025-01-01T00:00:00Z',
+      to: '2025-01-02T00:00:00Z',
+    })).toEqual({ startTime: 1735689600, endTime: 1735776000 });
+  });
+
+  it('should reject invalid or reversed dates', () => {
+    expect(() => parseRangeInput({ mode: 'date', from: 'not a date' })).toThrow('Invalid start date');
+    expect(() => parseRangeInput({
+      mode: 'date',
+      from: '2025-01-02T00:00:00Z',
+      to: '2025-01-01T00:00:00Z',
+    })).toThrow('Start date must be before end date');
+  });
+
+  it('should require at least one bound', () => {
+    expect(() => parseRangeInput({ mode: 'ledger', from: '', to: '  ' }))
+      .toThrow('Enter a start or end for the range');
+  });
+});
+
+describe('findLedgerByCloseTime', () => {
+  // Ledgers 1000..2000 closing every 5s, with a 60s stall after ledger 1500
+  const closeTimeOf = (sequence) =>
+    1_000_000 + (sequence - 1000) * 5 + (sequence > 1500 ? 60 : 0);
+  const lower = { sequence: 1000, closeTime: closeTimeOf(1000) };
+  const upper = { sequence: 2000, closeTime: closeTimeOf(2000) };
+
+  const makeLookup = () => {
+    const calls = [];
+    const getCloseTime = async (sequence) => {
+      calls.push(sequence);
+      return closeTimeOf(sequence);
+    };
+    return { calls, getCloseTime };
+  };
+
+  it('should find the ledger that closed exactly at the target time', async () => {
+    const { getCloseTime } = makeLookup();
+    expect(await findLedgerByCloseTime(closeTimeOf(1234), lower, upper, getCloseTime)).toBe(1234);
+  });
+
+  it('should find the first ledger closed after a time between ledgers', async () => {
+    const { getCloseTime } = makeLookup();
+    expect(await findLedgerByCloseTime(closeTimeOf(1234) + 2, lower, upper, getCloseTime)).toBe(1235);
+  });
+
+  it('should use real close times across an irregular gap', async () => {
+    const { getCloseTime } = makeLookup();
+    // Any time inside the stall maps to the first ledger after it
+    expect(await findLedgerByCloseTime(closeTimeOf(1500) + 30, lower, upper, getCloseTime)).toBe(1501);
+    expect(await findLedgerByCloseTime(closeTimeOf(1800), lower, upper, getCloseTime)).toBe(1800);
+  });
+
+  it('should clamp to the known bounds without lookups', async () => {
+    const { calls, getCloseTime } = makeLookup();
+    expect(await findLedgerByCloseTime(0, lower, upper, getCloseTime)).toBe(1000);
+    expect(await findLedgerByCloseTime(upper.closeTime + 1, lower, upper, getCloseTime)).toBe(2001);
+    expect(calls).toHaveLength(0);
+  });
+
+  it('should converge in a bounded number of lookups', async () => {
+    const { calls, getCloseTime } = makeLookup();
+    await findLedgerByCloseTime(closeTimeOf(1777) - 1, lower, upper, getCloseTime);
+    expect(calls.length).toBeLessThanOrEqual(2 * Math.ceil(Math.log2(1000)));
+  });
+});
+
+describe('formatLedgerRange', () => {
+  it('should format a ledger range', () => {
+    expect(formatLedgerRange({ startLedger: 1000, endLedger: 2500 })).toBe('ledgers 1,000 – 2,500');
+  });
+
+  it('should format a single ledger', () => {
+    expect(formatLedgerRange({ startLedger: 42, endLedger: 42 })).toBe('ledger 42');
+  });
+
+  it('should return an empty string without a range', () => {
+    expect(formatLedgerRange(null)).toBe('');
+  });
+});
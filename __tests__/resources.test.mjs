@@ -0,0 +1,176 @@
+/**
+ * Tests for utils/scan/resources.js
+ *
+ * Declared vs consumed Soroban resources and the resource fee split.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  getEnvelopeSorobanData,
+  parseCoreMetrics,
+  compareResources,
+  getMetaResourceFees,
+  getMetaFeeRefund,
+  splitResourceFee,
+} from '../utils/scan/resources.js';
+import { parseSorobanResources } from '../utils/scan/simulation.js';
+
+const { xdr } = StellarSdk;
+
+const ACCOUNT = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const CONTRACT = StellarSdk.StrKey.encodeContract(Buffer.alloc(32, 4));
+
+const sorobanData = () => new StellarSdk.SorobanDataBuilder()
+  .setResources(2000000, 1000, 500)
+  .setResourceFee(90000)
+  .setReadOnly([new StellarSdk.Contract(CONTRACT).getFootprint()])
+  .setReadWrite([new StellarSdk.Contract(CONTRACT).getFootprint(), xdr.LedgerKey.account(
+    new xdr.LedgerKeyAccount({ accountId: StellarSdk.Keypair.fromPublicKey(ACCOUNT).xdrAccountId() }),
+  )])
+  .build();
+
+const metric = (name, value) => ({
+  topics: [xdr.ScVal.scvSymbol('core_metrics'), xdr.ScVal.scvSymbol(name)],
+  data: xdr.ScVal.scvU64(new xdr.Uint64(value)),
+});
+
+function sorobanMeta(version, { charged = null, feeEvents = [] } = {}) {
+  const ext = charged
+    ? new xdr.SorobanTransactionMetaExt(1, new xdr.SorobanTransactionMetaExtV1({
+      ext: new xdr.ExtensionPoint(0),
+      totalNonRefundableResourceFeeCharged: xdr.Int64.fromString(charged[0]),
+      totalRefundableResourceFeeCharged: xdr.Int64.fromString(charged[1]),
+      rentFeeCharged: xdr.Int64.fromString(charged[2]),
+    }))
+    : new xdr.SorobanTransactionMetaExt(0);
+
+  if (version === 3) {
+    return new xdr.TransactionMeta(3, new xdr.TransactionMetaV3({
+      ext: new xdr.ExtensionPoint(0),
+      txChangesBefore: [],
+      operations: [],
+      txChangesAfter: [],
+      sorobanMeta: new xdr.SorobanTransactionMeta({ ext, events: [], returnValue: xdr.ScVal.scvVoid(), diagnosticEvents: [] }),
+    }));
+  }
+
+  const events = feeEvents.map(amount => new xdr.TransactionEvent({
+    stage: xdr.TransactionEventStage.transactionEventStageAfterAllTxes(),
+    event: new xdr.ContractEvent({
+      ext: new xdr.ExtensionPoint(0),
+      contractId: null,
+      type: xdr.ContractEventType.contract(),
+      body: new xdr.ContractEventBody(0, new xdr.ContractEventV0({
+        topics: [xdr.ScVal.scvSymbol('fee'), new StellarSdk.Address(ACCOUNT).toScVal()],
+        data: StellarSdk.nativeToScVal(BigInt(amount), { type: 'i128' }),
+      })),
+    }),
+  }));
+  return new xdr.TransactionMeta(4, new xdr.TransactionMetaV4({
+    ext: new xdr.ExtensionPoint(0),
+    txChangesBefore: [],
+    operations: [],
+    txChangesAfter: [],
+    sorobanMeta: new xdr.SorobanTransactionMetaV2({ ext, returnValue: null }),
+    events,
+    diagnosticEvents: [],
+  }));
+}
+
+describe('getEnvelopeSorobanData', () => {
+  it('should read the Soroban data of plain and classic envelopes', () => {
+    const account = new StellarSdk.Account(ACCOUNT, '1');
+    const build = (op, data) => {
+      const builder = new StellarSdk.TransactionBuilder(account, { fee: '100', networkPassphrase: StellarSdk.Networks.TESTNET })
+        .addOperation(op)
+        .setTimeout(0);
+      if (data) builder.setSorobanData(data);
+      return builder.build().toEnvelope();
+    };
+
+    const data = getEnvelopeSorobanData(build(StellarSdk.Operation.extendFootprintTtl({ extendTo: 100 }), sorobanData()));
+    expect(data.resourceFee().toString()).toBe('90000');
+    expect(getEnvelopeSorobanData(build(StellarSdk.Operation.bumpSequence({ bumpTo: '5' })))).toBeNull();
+  });
+});
+
+describe('parseCoreMetrics', () => {
+  it('should collect core_metrics counters and skip other events', () => {
+    expect(parseCoreMetrics([
+      metric('cpu_insn', 1500000),
+      metric('read_entry', 3),
+      { topics: [xdr.ScVal.scvSymbol('fn_call')], data: xdr.ScVal.scvVoid() },
+    ])).toEqual({ cpu_insn: 1500000, read_entry: 3 });
+  });
+});
+
+describe('compareResources', () => {
+  it('should compute utilization against the declared limits', () => {
+    const rows = compareResources(parseSorobanResources(sorobanData()), {
+      cpu_insn: 1500000, ledger_read_byte: 250, read_entry: 3, write_entry: 1, mem_byte: 4096,
+    });
+    const byName = Object.fromEntries(rows.map(row => [row.name, row]));
+
+    expect(byName.Instructions).toEqual({ name: 'Instructions', declared: 2000000, consumed: 1500000, utilization: 75 });
+    expect(byName['Disk read bytes'].utilization).toBe(25);
+    expect(byName['Entries read']).toMatchObject({ declared: 3, consumed: 3, utilization: 100 });
+    expect(byName['Entries written']).toMatchObject({ declared: 2, consumed: 1, utilization: 50 });
+    expect(byName['Memory bytes']).toMatchObject({ declared: null, consumed: 4096, utilization: null });
+  });
+
+  it('should leave consumption blank without metrics', () => {
+    const rows = compareResources(parseSorobanResources(sorobanData()), {});
+    expect(rows.every(row => row.consumed === null && row.utilization === null)).toBe(true);
+  });
+});
+
+describe('getMetaResourceFees', () => {
+  it('should read the charged fees from v3 and v4 meta', () => {
+    const expected = { nonRefundable: '40000', refundable: '12000', rent: '9000' };
+    expect(getMetaResourceFees(sorobanMeta(3, { charged: ['40000', '12000', '9000'] }))).toEqual(expected);
+    expect(getMetaResourceFees(sorobanMeta(4, { charged: ['40000', '12000', '9000'] }))).toEqual(expected);
+  });
+
+  it('should return null without the fee extension', () => {
+    expect(getMetaResourceFees(sorobanMeta(4))).toBeNull();
+  });
+});
+
+describe('getMetaFeeRefund', () => {
+  it('should read the refund from negative fee events', () => {
+    expect(getMetaFeeRefund(sorobanMeta(4, { feeEvents: [90100, -38000] }))).toBe('38000');
+  });
+
+  it('should return null without a refund event', () => {
+    expect(getMetaFeeRefund(sorobanMeta(4, { feeEvents: [90100] }))).toBeNull();
+    expect(getMetaFeeRefund(sorobanMeta(3))).toBeNull();
+  });
+});
+
+describe('splitResourceFee', () => {
+  it('should split the fee into inclusion, non-refundable and refundable parts', () => {
+    const fees = splitResourceFee({
+      fee: '90100',
+      resourceFee: '90000',
+      feeCharged: '52100',
+      charged: { nonRefundable: '40000', refundable: '12000', rent: '9000' },
+      refund: '38000',
+    });
+
+    expect(fees).toMatchObject({
+      inclusionFeeBid: '100',
+      inclusionFee: '100',
+      maxRefundable: '50000',
+      refundable: '12000',
+      rent: '9000',
+      refund: '38000',
+    });
+    expect(fees.refundableUtilization).toBe(24);
+  });
+
+  it('should keep the declared parts without meta', () => {
+    const fees = splitResourceFee({ fee: '90100', resourceFee: '90000' });
+    expect(fees).toMatchObject({ inclusionFeeBid: '100', nonRefundable: null, inclusionFee: null, refund: null });
+    expect(fees.refundableUtilization).toBeNull();
+  });
+});
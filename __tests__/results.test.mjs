@@ -0,0 +1,140 @@
+/**
+ * Tests for utils/scan/results.js
+ *
+ * TransactionResult codes, their explanations, and Soroban host errors.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  toResultCode,
+  toHorizonCode,
+  explainResultCode,
+  parseTransactionResult,
+  explainScError,
+} from '../utils/scan/results.js';
+import { STELLAR_ASSET_SPEC } from '../utils/scan/spec.js';
+
+const { xdr } = StellarSdk;
+
+const opInner = (type, code) => {
+  const resultType = `${type[0].toUpperCase()}${type.slice(1)}Result`;
+  return xdr.OperationResult.opInner(xdr.OperationResultTr[type](xdr[resultType][code]()));
+};
+
+const transactionResult = (body, feeCharged = '100') => new xdr.TransactionResult({
+  feeCharged: xdr.Int64.fromString(feeCharged),
+  result: body,
+  ext: new xdr.TransactionResultExt(0),
+});
+
+describe('toResultCode', () => {
+  it('should convert XDR names to stellar-core codes', () => {
+    expect(toResultCode('txBadSeq')).toBe('TX_BAD_SEQ');
+    expect(toResultCode('pathPaymentStrictSendUnderDestmin')).toBe('PATH_PAYMENT_STRICT_SEND_UNDER_DESTMIN');
+  });
+});
+
+describe('toHorizonCode', () => {
+  it('should convert codes to the form Horizon and the SDKs report', () => {
+    expect(toHorizonCode('TX_BAD_SEQ')).toBe('tx_bad_seq');
+    expect(toHorizonCode('PAYMENT_UNDERFUNDED', 'payment')).toBe('op_underfunded');
+    expect(toHorizonCode('CHANGE_TRUST_INVALID_LIMIT', 'change_trust')).toBe('op_invalid_limit');
+    expect(toHorizonCode('OP_BAD_AUTH')).toBe('op_bad_auth');
+  });
+
+  it('should use Horizon\'s irregular names', () => {
+    expect(toHorizonCode('PATH_PAYMENT_STRICT_SEND_UNDER_DESTMIN', 'path_payment_strict_send')).toBe('op_under_dest_min');
+    expect(toHorizonCode('OP_NO_ACCOUNT')).toBe('op_no_source_account');
+    expect(toHorizonCode('INVOKE_HOST_FUNCTION_RESOURCE_LIMIT_EXCEEDED', 'invoke_host_function'))
+      .toBe('resource_limit_exceeded');
+  });
+});
+
+describe('explainResultCode', () => {
+  it('should explain transaction and generic operation codes', () => {
+    expect(explainResultCode('TX_BAD_SEQ').fix).toMatch(/sequence number/);
+    expect(explainResultCode('OP_BAD_AUTH').explanation).toMatch(/did not authorize/);
+  });
+
+  it('should fall back to the failure reason shared across operation types', () => {
+    expect(explainResultCode('CREATE_ACCOUNT_UNDERFUNDED')).toEqual(explainResultCode('PAYMENT_UNDERFUNDED'));
+    expect(explainResultCode('INVOKE_HOST_FUNCTION_RESOURCE_LIMIT_EXCEEDED').fix).toMatch(/Simulate again/);
+  });
+
+  it('should explain NO_TRUST by the account that lacks the trustline', () => {
+    expect(explainResultCode('PAYMENT_NO_TRUST').explanation).toMatch(/destination/);
+    const deposit = explainResultCode('LIQUIDITY_POOL_DEPOSIT_NO_TRUST');
+    expect(deposit.explanation).toMatch(/depositing account/);
+    expect(deposit.fix).not.toMatch(/recipient/);
+  });
+
+  it('should prefer the longest matching reason', () => {
+    expect(explainResultCode('PAYMENT_SRC_NO_TRUST').explanation).toMatch(/source account/);
+    expect(explainResultCode('PAYMENT_NO_TRUST').explanation).toMatch(/destination/);
+  });
+
+  it('should return null for unknown codes', () => {
+    expect(explainResultCode('SOMETHING_NEW')).toBeNull();
+  });
+});
+
+describe('parseTransactionResult', () => {
+  it('should decode failed operations with their type and explanation', () => {
+    const result = parseTransactionResult(transactionResult(xdr.TransactionResultResult.txFailed([
+      opInner('payment', 'paymentSuccess'),
+      opInner('pathPaymentStrictSend', 'pathPaymentStrictSendUnderDestmin'),
+      xdr.OperationResult.opNoAccount(),
+    ])));
+
+    expect(result).toMatchObject({ code: 'TX_FAILED', horizonCode: 'tx_failed', feeCharged: '100', inner: null });
+    expect(result.operations.map(op => [op.index, op.type, op.code, op.horizonCode, op.success])).toEqual([
+      [0, 'payment', 'PAYMENT_SUCCESS', 'op_success', true],
+      [1, 'path_payment_strict_send', 'PATH_PAYMENT_STRICT_SEND_UNDER_DESTMIN', 'op_under_dest_min', false],
+      [2, null, 'OP_NO_ACCOUNT', 'op_no_source_account', false],
+    ]);
+    expect(result.operations[1].fix).toMatch(/destMin/);
+  });
+
+  it('should decode transaction-level failures without operations', () => {
+    const result = parseTransactionResult(transactionResult(xdr.TransactionResultResult.txBadSeq()));
+    expect(result.code).toBe('TX_BAD_SEQ');
+    expect(result.operations).toEqual([]);
+  });
+
+  it('should decode the inner result of a fee bump', () => {
+    const inner = new xdr.InnerTransactionResult({
+      feeCharged: xdr.Int64.fromString('50'),
+      result: xdr.InnerTransactionResultResult.txFailed([
+        opInner('invokeHostFunction', 'invokeHostFunctionTrapped'),
+      ]),
+      ext: new xdr.InnerTransactionResultExt(0),
+    });
+    const result = parseTransactionResult(transactionResult(xdr.TransactionResultResult.txFeeBumpInnerFailed(
+      new xdr.InnerTransactionResultPair({ transactionHash: Buffer.alloc(32), result: inner }),
+    )));
+
+    expect(result.code).toBe('TX_FEE_BUMP_INNER_FAILED');
+    expect(result.inner.code).toBe('TX_FAILED');
+    expect(result.inner.operations[0]).toMatchObject({
+      type: 'invoke_host_function', code: 'INVOKE_HOST_FUNCTION_TRAPPED', success: false,
+    });
+  });
+});
+
+describe('explainScError', () => {
+  it('should name contract errors from the spec error enum', () => {
+    const explained = explainScError(xdr.ScError.sceContract(10), STELLAR_ASSET_SPEC);
+    expect(explained.error).toBe('Error(Contract, #10)');
+    expect(explained.name).toBe('ContractError::BalanceError');
+  });
+
+  it('should leave contract errors unnamed without a spec', () => {
+    expect(explainScError(xdr.ScError.sceContract(10)).name).toBeNull();
+  });
+
+  it('should explain host errors by type', () => {
+    const explained = explainScError(xdr.ScError.sceBudget(xdr.ScErrorCode.scecExceededLimit()));
+    expect(explained.error).toBe('Error(Budget, ExceededLimit)');
+    expect(explained.explanation).toMatch(/budget/);
+  });
+});
@@ -7,6 +7,8 @@
 
 import {
   isValidAddress,
+  isValidClaimableBalanceId,
+  parseMuxedAddress,
   extractContractIds,
 } from '../utils/scan/index.js';
 
@@ -14,6 +16,8 @@ import {
 const VALID_G_ADDRESS = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
 const VALID_C_ADDRESS = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
 const VALID_L_ADDRESS = 'LD7CUO3PHUGID3WOTMLZZQNXCYEBQQHD4HQXTEW2DJPP4B7HQSBVFN34';
+const VALID_M_ADDRESS = 'MAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJYAAAAAAAAAAE2LNDU';
+const VALID_B_ID = 'BAAAOBYHA4DQOBYHA4DQOBYHA4DQOBYHA4DQOBYHA4DQOBYHA4DQOB4RVQ';
 
 describe('isValidAddress', () => {
   describe('G addresses (accounts)', () => {
@@ -75,6 +79,40 @@ describe('isValidAddress', () => {
   });
 });
 
+describe('muxed addresses', () => {
+  it('should validate M addresses', () => {
+    expect(isValidAddress(VALID_M_ADDRESS)).toBe(true);
+    expect(isValidAddress(VALID_M_ADDRESS.slice(0, -1) + 'A')).toBe(false);
+  });
+
+  it('should split an M address into its base account and mux ID', () => {
+    expect(parseMuxedAddress(VALID_M_ADDRESS)).toEqual({ baseAddress: VALID_G_ADDRESS, muxId: '1234' });
+  });
+
+  it('should return null for non-muxed or invalid addresses', () => {
+    expect(parseMuxedAddress(VALID_G_ADDRESS)).toBeNull();
+    expect(parseMuxedAddress('MINVALID')).toBeNull();
+    expect(parseMuxedAddress(null)).toBeNull();
+  });
+});
+
+describe('isValidClaimableBalanceId', () => {
+  it('should validate a B... claimable balance ID', () => {
+    expect(isValidClaimableBalanceId(VALID_B_ID)).toBe(true);
+  });
+
+  it('should reject bad checksums, other address types and non-strings', () => {
+    expect(isValidClaimableBalanceId(VALID_B_ID.slice(0, -1) + 'A')).toBe(false);
+    expect(isValidClaimableBalanceId(VALID_G_ADDRESS)).toBe(false);
+    expect(isValidClaimableBalanceId('')).toBe(false);
+    expect(isValidClaimableBalanceId(null)).toBe(false);
+  });
+
+  it('should not be accepted as a regular address', () => {
+    expect(isValidAddress(VALID_B_ID)).toBe(false);
+  });
+});
+
 describe('extractContractIds', () => {
   it('should extract unique contract IDs from transfers', () => {
     const transfers = [
@@ -0,0 +1,66 @@
+/**
+ * Tests for utils/scan/scval.js
+ *
+ * Lossless ScVal display formatting.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { formatScVal, formatScError } from '../utils/scan/scval.js';
+
+const { xdr } = StellarSdk;
+
+const ACCOUNT = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+
+describe('formatScVal', () => {
+  it('should format primitives', () => {
+    expect(formatScVal(xdr.ScVal.scvBool(true))).toBe('true');
+    expect(formatScVal(xdr.ScVal.scvVoid())).toBe('void');
+    expect(formatScVal(xdr.ScVal.scvU32(7))).toBe('7');
+    expect(formatScVal(xdr.ScVal.scvI32(-7))).toBe('-7');
+    expect(formatScVal(xdr.ScVal.scvSymbol('Admin'))).toBe('Admin');
+    expect(formatScVal(xdr.ScVal.scvString('hi "there"'))).toBe('"hi \\"there\\""');
+    expect(formatScVal(xdr.ScVal.scvBytes(Buffer.from([0xde, 0xad])))).toBe('0xdead');
+  });
+
+  it('should keep large integers exact', () => {
+    const max = 170141183460469231731687303715884105727n;
+    expect(formatScVal(StellarSdk.nativeToScVal(max, { type: 'i128' }))).toBe(max.toString());
+    expect(formatScVal(StellarSdk.nativeToScVal(-5n, { type: 'i256' }))).toBe('-5');
+    expect(formatScVal(StellarSdk.nativeToScVal(2n ** 64n - 1n, { type: 'u64' }))).toBe('18446744073709551615');
+  });
+
+  it('should show full addresses', () => {
+    expect(formatScVal(new StellarSdk.Address(ACCOUNT).toScVal())).toBe(ACCOUNT);
+  });
+
+  it('should expand nested vecs and maps', () => {
+    const value = xdr.ScVal.scvVec([
+      xdr.ScVal.scvSymbol('Balance'),
+      xdr.ScVal.scvMap([
+        new xdr.ScMapEntry({ key: xdr.ScVal.scvSymbol('amount'), val: xdr.ScVal.scvU32(1) }),
+        new xdr.ScMapEntry({ key: xdr.ScVal.scvSymbol('ok'), val: xdr.ScVal.scvBool(false) }),
+      ]),
+    ]);
+    expect(formatScVal(value)).toBe('[Balance, {amount: 1, ok: false}]');
+  });
+
+  it('should format ledger key placeholders and missing values', () => {
+    expect(formatScVal(xdr.ScVal.scvLedgerKeyContractInstance())).toBe('ContractInstance');
+    expect(formatScVal(null)).toBe('void');
+  });
+});
+
+describe('formatScError', () => {
+  it('should format contract errors with their code', () => {
+    expect(formatScError(xdr.ScError.sceContract(3))).toBe('Error(Contract, #3)');
+  });
+
+  it('should format host errors with their type and code', () => {
+    expect(formatScError(xdr.ScError.sceBudget(xdr.ScErrorCode.scecExceededLimit())))
+      .toBe('Error(Budget, ExceededLimit)');
+  });
+
+  it('should be used for error ScVals', () => {
+    expect(formatScVal(xdr.ScVal.scvError(xdr.ScError.sceContract(12)))).toBe('Error(Contract, #12)');
+  });
+});
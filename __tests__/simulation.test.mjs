@@ -0,0 +1,306 @@
+/**
+ * Tests for utils/scan/simulation.js
+ *
+ * Simulation response summaries.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  parseDiagnosticEvents,
+  parseSorobanResources,
+  describeLedgerKey,
+  parseFootprint,
+  parseAuthEntry,
+  parseEnvelopeAuth,
+  parseStateChanges,
+  summarizeSimulation,
+} from '../utils/scan/simulation.js';
+
+const { xdr } = StellarSdk;
+
+const CONTRACT_HASH = Buffer.alloc(32, 4);
+const CONTRACT = StellarSdk.StrKey.encodeContract(CONTRACT_HASH);
+
+function diagnosticEvent(type, topics, data) {
+  return new xdr.DiagnosticEvent({
+    inSuccessfulContractCall: true,
+    event: new xdr.ContractEvent({
+      ext: new xdr.ExtensionPoint(0),
+      contractId: CONTRACT_HASH,
+      type,
+      body: new xdr.ContractEventBody(0, new xdr.ContractEventV0({ topics, data })),
+    }),
+  });
+}
+
+function transactionData() {
+  const key = xdr.LedgerKey.contractCode(new xdr.LedgerKeyContractCode({ hash: Buffer.alloc(32, 1) }));
+  return new StellarSdk.SorobanDataBuilder()
+    .setResources(1500000, 4000, 200)
+    .setReadOnly([key])
+    .setReadWrite([])
+    .setResourceFee(12345);
+}
+
+const ACCOUNT = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const ISSUER = StellarSdk.Keypair.random().publicKey();
+
+const accountId = (address) => StellarSdk.Keypair.fromPublicKey(address).xdrAccountId();
+
+function contractDataKey(key, durability = xdr.ContractDataDurability.persistent()) {
+  return xdr.LedgerKey.contractData(new xdr.LedgerKeyContractData({
+    contract: new StellarSdk.Address(CONTRACT).toScAddress(),
+    key,
+    durability,
+  }));
+}
+
+function invocation(functionName, args, subInvocations = []) {
+  return new xdr.SorobanAuthorizedInvocation({
+    function: xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(
+      new xdr.InvokeContractArgs({
+        contractAddress: new StellarSdk.Address(CONTRACT).toScAddress(),
+        functionName,
+        args,
+      })
+    ),
+    subInvocations,
+  });
+}
+
+describe('parseDiagnosticEvents', () => {
+  it('should flatten events with their contract and type', () => {
+    const [event] = parseDiagnosticEvents([
+      diagnosticEvent(xdr.ContractEventType.contract(), [xdr.ScVal.scvSymbol('mint')], xdr.ScVal.scvU32(1)),
+    ]);
+
+    expect(event.type).toBe('contract');
+    expect(event.contractId).toBe(CONTRACT);
+    expect(event.topics[0].sym().toString()).toBe('mint');
+    expect(event.data.u32()).toBe(1);
+    expect(event.inSuccessfulContractCall).toBe(true);
+  });
+
+  it('should handle missing events', () => {
+    expect(parseDiagnosticEvents(undefined)).toEqual([]);
+  });
+});
+
+describe('parseSorobanResources', () => {
+  it('should read declared resources and footprint sizes', () => {
+    expect(parseSorobanResources(transactionData().build())).toEqual({
+      instructions: 1500000,
+      diskReadBytes: 4000,
+      writeBytes: 200,
+      readEntries: 1,
+      writeEntries: 0,
+      resourceFee: '12345',
+    });
+  });
+});
+
+describe('summarizeSimulation', () => {
+  it('should summarize a successful simulation', () => {
+    const summary = summarizeSimulation({
+      id: '1',
+      latestLedger: 100,
+      events: [],
+      _parsed: true,
+      transactionData: transactionData(),
+      minResourceFee: '12345',
+      result: { auth: [], retval: xdr.ScVal.scvU32(7) },
+    });
+
+    expect(summary.success).toBe(true);
+    expect(summary.returnValue.u32()).toBe(7);
+    expect(summary.minResourceFee).toBe('12345');
+    expect(summary.resources.instructions).toBe(1500000);
+    expect(summary.footprint.readOnly).toHaveLength(1);
+    expect(summary.auth).toEqual([]);
+    expect(summary.stateChanges).toEqual([]);
+    expect(summary.restoreRequired).toBe(false);
+    expect(summary.latestLedger).toBe(100);
+  });
+
+  it('should summarize a failed simulation', () => {
+    const summary = summarizeSimulation({
+      id: '1',
+      latestLedger: 100,
+      events: [],
+      _parsed: true,
+      error: 'HostError: Error(Contract, #3)',
+    });
+
+    expect(summary).toMatchObject({
+      success: false,
+      error: 'HostError: Error(Contract, #3)',
+      returnValue: null,
+      resources: null,
+    });
+  });
+});
+
+describe('describeLedgerKey', () => {
+  it('should describe account and trustline keys', () => {
+    expect(describeLedgerKey(xdr.LedgerKey.account(new xdr.LedgerKeyAccount({ accountId: accountId(ACCOUNT) }))))
+      .toEqual({ type: 'account', address: ACCOUNT, label: `account ${ACCOUNT}` });
+
+    const trustline = xdr.LedgerKey.trustline(new xdr.LedgerKeyTrustLine({
+      accountId: accountId(ACCOUNT),
+      asset: new StellarSdk.Asset('USDC', ISSUER).toTrustLineXDRObject(),
+    }));
+    expect(describeLedgerKey(trustline)).toEqual({
+      type: 'trustline',
+      address: ACCOUNT,
+      label: `trustline USDC:${ISSUER} of ${ACCOUNT}`,
+    });
+  });
+
+  it('should describe contract data and instance keys', () => {
+    const balance = contractDataKey(xdr.ScVal.scvVec([xdr.ScVal.scvSymbol('Balance'), xdr.ScVal.scvU32(1)]));
+    expect(describeLedgerKey(balance)).toEqual({
+      type: 'contract_data',
+      address: CONTRACT,
+      label: `persistent [Balance, 1] of ${CONTRACT}`,
+    });
+
+    const instance = contractDataKey(xdr.ScVal.scvLedgerKeyContractInstance());
+    expect(describeLedgerKey(instance).label).toBe(`instance of ${CONTRACT}`);
+
+    const temporary = contractDataKey(xdr.ScVal.scvSymbol('Nonce'), xdr.ContractDataDurability.temporary());
+    expect(describeLedgerKey(temporary).label).toBe(`temporary Nonce of ${CONTRACT}`);
+  });
+
+  it('should describe contract code keys', () => {
+    const key = xdr.LedgerKey.contractCode(new xdr.LedgerKeyContractCode({ hash: Buffer.alloc(32, 1) }));
+    expect(describeLedgerKey(key)).toEqual({
+      type: 'contract_code',
+      address: null,
+      label: `contract code ${'01'.repeat(32)}`,
+    });
+  });
+});
+
+describe('parseFootprint', () => {
+  it('should describe read-only and read-write keys', () => {
+    const footprint = parseFootprint(transactionData().build());
+    expect(footprint.readOnly.map(k => k.type)).toEqual(['contract_code']);
+    expect(footprint.readWrite).toEqual([]);
+  });
+});
+
+describe('parseAuthEntry', () => {
+  it('should parse address credentials and the invocation tree', () => {
+    const entry = new xdr.SorobanAuthorizationEntry({
+      credentials: xdr.SorobanCredentials.sorobanCredentialsAddress(new xdr.SorobanAddressCredentials({
+        address: new StellarSdk.Address(ACCOUNT).toScAddress(),
+        nonce: xdr.Int64.fromString('42'),
+        signatureExpirationLedger: 1000,
+        signature: xdr.ScVal.scvVoid(),
+      })),
+      rootInvocation: invocation('swap', [xdr.ScVal.scvU32(1)], [invocation('transfer', [])]),
+    });
+
+    const parsed = parseAuthEntry(entry);
+    expect(parsed).toMatchObject({
+      credentials: 'address',
+      address: ACCOUNT,
+      nonce: '42',
+      signatureExpirationLedger: 1000,
+      signed: false,
+    });
+    expect(parsed.invocation).toMatchObject({ type: 'invoke', contractId: CONTRACT, functionName: 'swap' });
+    expect(parsed.invocation.args[0].u32()).toBe(1);
+    expect(parsed.invocation.subInvocations.map(i => i.functionName)).toEqual(['transfer']);
+  });
+
+  it('should parse source account credentials', () => {
+    const entry = new xdr.SorobanAuthorizationEntry({
+      credentials: xdr.SorobanCredentials.sorobanCredentialsSourceAccount(),
+      rootInvocation: invocation('mint', []),
+    });
+
+    expect(parseAuthEntry(entry)).toMatchObject({ credentials: 'source_account', address: null, signed: true });
+  });
+});
+
+describe('parseEnvelopeAuth', () => {
+  const sourceAuth = (functionName) => new xdr.SorobanAuthorizationEntry({
+    credentials: xdr.SorobanCredentials.sorobanCredentialsSourceAccount(),
+    rootInvocation: invocation(functionName, []),
+  });
+
+  function buildTransaction() {
+    const invoke = invocation('swap', []).function().contractFn();
+    return new StellarSdk.TransactionBuilder(new StellarSdk.Account(ACCOUNT, '1'), {
+      fee: '100',
+      networkPassphrase: StellarSdk.Networks.TESTNET,
+    })
+      .addOperation(StellarSdk.Operation.payment({ destination: ACCOUNT, asset: StellarSdk.Asset.native(), amount: '1' }))
+      .addOperation(StellarSdk.Operation.invokeHostFunction({
+        func: xdr.HostFunction.hostFunctionTypeInvokeContract(invoke),
+        auth: [sourceAuth('swap'), sourceAuth('transfer')],
+      }))
+      .setTimeout(0)
+      .build();
+  }
+
+  it('should skip other operations and keep the operation index', () => {
+    const entries = parseEnvelopeAuth(buildTransaction().toEnvelope());
+
+    expect(entries.map(e => [e.operationIndex, e.invocation.functionName])).toEqual([
+      [1, 'swap'],
+      [1, 'transfer'],
+    ]);
+    expect(entries[0]).toMatchObject({ credentials: 'source_account', signed: true });
+  });
+
+  it('should read the inner transaction of a fee bump', () => {
+    const feeBump = StellarSdk.TransactionBuilder.buildFeeBumpTransaction(
+      StellarSdk.Keypair.random(), '200', buildTransaction(), StellarSdk.Networks.TESTNET,
+    );
+
+    expect(parseEnvelopeAuth(feeBump.toEnvelope()).map(e => e.operationIndex)).toEqual([1, 1]);
+  });
+
+  it('should return nothing for classic transactions', () => {
+    const tx = new StellarSdk.TransactionBuilder(new StellarSdk.Account(ACCOUNT, '1'), {
+      fee: '100',
+      networkPassphrase: StellarSdk.Networks.TESTNET,
+    })
+      .addOperation(StellarSdk.Operation.bumpSequence({ bumpTo: '10' }))
+      .setTimeout(0)
+      .build();
+
+    expect(parseEnvelopeAuth(tx.toEnvelope())).toEqual([]);
+  });
+});
+
+describe('parseStateChanges', () => {
+  it('should name change types and describe keys', () => {
+    const key = contractDataKey(xdr.ScVal.scvSymbol('Admin'));
+    const after = new xdr.LedgerEntry({
+      lastModifiedLedgerSeq: 100,
+      data: xdr.LedgerEntryData.contractData(new xdr.ContractDataEntry({
+        ext: new xdr.ExtensionPoint(0),
+        contract: new StellarSdk.Address(CONTRACT).toScAddress(),
+        key: xdr.ScVal.scvSymbol('Admin'),
+        durability: xdr.ContractDataDurability.persistent(),
+        val: xdr.ScVal.scvU32(7),
+      })),
+      ext: new xdr.LedgerEntryExt(0),
+    });
+    const [numeric, named] = parseStateChanges([
+      { type: 1, key, before: null, after },
+      { type: 'deleted', key, before: after, after: null },
+    ]);
+
+    expect(numeric).toMatchObject({ type: 'created', beforeValue: null, afterValue: '7' });
+    expect(named).toMatchObject({ type: 'deleted', beforeValue: '7', afterValue: null });
+    expect(numeric.key.label).toBe(`persistent Admin of ${CONTRACT}`);
+  });
+
+  it('should handle missing changes', () => {
+    expect(parseStateChanges(undefined)).toEqual([]);
+  });
+});
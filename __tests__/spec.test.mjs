@@ -0,0 +1,183 @@
+/**
+ * Tests for utils/scan/spec.js
+ *
+ * Contract interface (contractspecv0) parsing and type formatting.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  parseSpecType,
+  formatSpecType,
+  formatFunctionSignature,
+  parseSpecEntries,
+  parseContractSpec,
+} from '../utils/scan/spec.js';
+
+const { xdr } = StellarSdk;
+
+const t = {
+  address: () => xdr.ScSpecTypeDef.scSpecTypeAddress(),
+  i128: () => xdr.ScSpecTypeDef.scSpecTypeI128(),
+  u32: () => xdr.ScSpecTypeDef.scSpecTypeU32(),
+  bool: () => xdr.ScSpecTypeDef.scSpecTypeBool(),
+  vec: (elementType) => xdr.ScSpecTypeDef.scSpecTypeVec(new xdr.ScSpecTypeVec({ elementType })),
+  option: (valueType) => xdr.ScSpecTypeDef.scSpecTypeOption(new xdr.ScSpecTypeOption({ valueType })),
+  udt: (name) => xdr.ScSpecTypeDef.scSpecTypeUdt(new xdr.ScSpecTypeUdt({ name })),
+};
+
+const functionEntry = (name, inputs, outputs, doc = '') => xdr.ScSpecEntry.scSpecEntryFunctionV0(
+  new xdr.ScSpecFunctionV0({
+    doc,
+    name,
+    inputs: inputs.map(([inputName, type]) => new xdr.ScSpecFunctionInputV0({ doc: '', name: inputName, type })),
+    outputs,
+  })
+);
+
+describe('parseSpecType / formatSpecType', () => {
+  it('should format primitives', () => {
+    expect(formatSpecType(parseSpecType(t.address()))).toBe('Address');
+    expect(formatSpecType(parseSpecType(t.i128()))).toBe('i128');
+    expect(formatSpecType(parseSpecType(xdr.ScSpecTypeDef.scSpecTypeVoid()))).toBe('()');
+    expect(formatSpecType(parseSpecType(xdr.ScSpecTypeDef.scSpecTypeMuxedAddress()))).toBe('MuxedAddress');
+  });
+
+  it('should produce plain descriptors', () => {
+    expect(parseSpecType(t.option(t.vec(t.address())))).toEqual({
+      type: 'option',
+      value: { type: 'vec', element: { type: 'address' } },
+    });
+  });
+
+  it('should format compound types the way Rust source reads', () => {
+    const map = xdr.ScSpecTypeDef.scSpecTypeMap(new xdr.ScSpecTypeMap({ keyType: t.address(), valueType: t.i128() }));
+    const tuple = xdr.ScSpecTypeDef.scSpecTypeTuple(new xdr.ScSpecTypeTuple({ valueTypes: [t.u32(), t.bool()] }));
+    const bytesN = xdr.ScSpecTypeDef.scSpecTypeBytesN(new xdr.ScSpecTypeBytesN({ n: 32 }));
+    const result = xdr.ScSpecTypeDef.scSpecTypeResult(new xdr.ScSpecTypeResult({
+      okType: t.udt('Config'),
+      errorType: xdr.ScSpecTypeDef.scSpecTypeError(),
+    }));
+
+    expect(formatSpecType(parseSpecType(map))).toBe('Map<Address, i128>');
+    expect(formatSpecType(parseSpecType(tuple))).toBe('(u32, bool)');
+    expect(formatSpecType(parseSpecType(bytesN))).toBe('BytesN<32>');
+    expect(formatSpecType(parseSpecType(result))).toBe('Result<Config, Error>');
+    expect(formatSpecType(parseSpecType(t.option(t.vec(t.address()))))).toBe('Option<Vec<Address>>');
+  });
+});
+
+describe('parseSpecEntries', () => {
+  it('should parse functions', () => {
+    const spec = parseSpecEntries([
+      functionEntry('transfer', [['from', t.address()], ['to', t.address()], ['amount', t.i128()]], [], 'Move tokens'),
+      functionEntry('balance', [['id', t.address()]], [t.i128()]),
+    ]);
+
+    expect(spec.functions).toHaveLength(2);
+    expect(spec.functions[0].doc).toBe('Move tokens');
+    expect(formatFunctionSignature(spec.functions[0])).toBe('transfer(from: Address, to: Address, amount: i128)');
+    expect(formatFunctionSignature(spec.functions[1])).toBe('balance(id: Address) -> i128');
+  });
+
+  it('should parse structs, unions, enums and error enums', () => {
+    const spec = parseSpecEntries([
+      xdr.ScSpecEntry.scSpecEntryUdtStructV0(new xdr.ScSpecUdtStructV0({
+        doc: '',
+        lib: '',
+        name: 'Config',
+        fields: [new xdr.ScSpecUdtStructFieldV0({ doc: '', name: 'admin', type: t.address() })],
+      })),
+      xdr.ScSpecEntry.scSpecEntryUdtUnionV0(new xdr.ScSpecUdtUnionV0({
+        doc: '',
+        lib: '',
+        name: 'DataKey',
+        cases: [
+          xdr.ScSpecUdtUnionCaseV0.scSpecUdtUnionCaseVoidV0(new xdr.ScSpecUdtUnionCaseVoidV0({ doc: '', name: 'Admin' })),
+          xdr.ScSpecUdtUnionCaseV0.scSpecUdtUnionCaseTupleV0(new xdr.ScSpecUdtUnionCaseTupleV0({
+            doc: '',
+            name: 'Balance',
+            type: [t.address()],
+          })),
+        ],
+      })),
+      xdr.ScSpecEntry.scSpecEntryUdtEnumV0(new xdr.ScSpecUdtEnumV0({
+        doc: '',
+        lib: '',
+        name: 'Color',
+        cases: [new xdr.ScSpecUdtEnumCaseV0({ doc: '', name: 'Red', value: 0 })],
+      })),
+      xdr.ScSpecEntry.scSpecEntryUdtErrorEnumV0(new xdr.ScSpecUdtErrorEnumV0({
+        doc: '',
+        lib: '',
+        name: 'Error',
+        cases: [new xdr.ScSpecUdtErrorEnumCaseV0({ doc: 'Not enough balance', name: 'InsufficientBalance', value: 3 })],
+      })),
+    ]);
+
+    expect(spec.structs[0]).toEqual({
+      name: 'Config',
+      doc: '',
+      lib: '',
+      fields: [{ name: 'admin', doc: '', type: { type: 'address' } }],
+    });
+    expect(spec.unions[0].cases).toEqual([
+      { name: 'Admin', doc: '', types: [] },
+      { name: 'Balance', doc: '', types: [{ type: 'address' }] },
+    ]);
+    expect(spec.enums[0].cases).toEqual([{ name: 'Red', doc: '', value: 0 }]);
+    expect(spec.errorEnums[0].cases).toEqual([{ name: 'InsufficientBalance', doc: 'Not enough balance', value: 3 }]);
+  });
+
+  it('should parse events', () => {
+    const spec = parseSpecEntries([
+      xdr.ScSpecEntry.scSpecEntryEventV0(new xdr.ScSpecEventV0({
+        doc: '',
+        lib: '',
+        name: 'Transfer',
+        prefixTopics: ['transfer'],
+        params: [
+          new xdr.ScSpecEventParamV0({
+            doc: '',
+            name: 'from',
+            type: t.address(),
+            location: xdr.ScSpecEventParamLocationV0.scSpecEventParamLocationTopicList(),
+          }),
+          new xdr.ScSpecEventParamV0({
+            doc: '',
+            name: 'amount',
+            type: t.i128(),
+            location: xdr.ScSpecEventParamLocationV0.scSpecEventParamLocationData(),
+          }),
+        ],
+        dataFormat: xdr.ScSpecEventDataFormat.scSpecEventDataFormatSingleValue(),
+      })),
+    ]);
+
+    expect(spec.events[0]).toMatchObject({
+      name: 'Transfer',
+      prefixTopics: ['transfer'],
+      dataFormat: 'singleValue',
+    });
+    expect(spec.events[0].params.map(p => p.location)).toEqual(['topic', 'data']);
+  });
+
+  it('should produce a JSON-serializable model', () => {
+    const spec = parseSpecEntries([functionEntry('hello', [['to', t.option(t.u32())]], [t.vec(t.u32())])]);
+    expect(JSON.parse(JSON.stringify(spec))).toEqual(spec);
+  });
+});
+
+describe('parseContractSpec', () => {
+  it('should read the contractspecv0 section', () => {
+    const payload = Buffer.concat([
+      functionEntry('a', [], []).toXDR(),
+      functionEntry('b', [], []).toXDR(),
+    ]);
+    const spec = parseContractSpec(new Map([['contractspecv0', [payload]]]));
+    expect(spec.functions.map(fn => fn.name)).toEqual(['a', 'b']);
+  });
+
+  it('should return null without the section', () => {
+    expect(parseContractSpec(new Map())).toBeNull();
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for utils/scan/summary.js
+ *
+ * One-sentence transaction summaries from operations and token movements.
+ */
+
+import {
+  shortAddress,
+  movementFromEvent,
+  movementFromActivity,
+  summarizeMovements,
+  summarizeTransaction,
+} from '../utils/scan/summary.js';
+
+const ALICE = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const BOB = 'GBZXN7PIRZGNMHGA7MUUUF4GWPY5AYPV6LY4UV2GL6VJGIQRXFDNMADI';
+const POOL_1 = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const POOL_2 = 'CB64D3G7SM2RTH6JSGG34DDTFTQ5CFDKVDZJZSODMCX4NJ2HV2KN7OHT';
+const XLM = 'CAS3J7GYLGXMF6TDJBBYYSE3HQ6BBSMLNUQ34T6TZMYMW2EVH34XOWMA';
+const USDC = 'CCW67TSZV3SSS2HXMBQ5JFGCKJNXKZM7UQUWUZPUTHXSTZLEO7SJMI75';
+const TKN = 'CAQCFVLOBK5GIULPNZRGATJJMIZL5BSP7X5YJVMGCPTUEPFM4AVSRCJU';
+
+const move = (type, contractId, symbol, from, to, amount) =>
+  ({ type, contractId, symbol, decimals: 7, from, to, amount: BigInt(amount) });
+const xlm = (from, to, amount) => move('transfer', XLM, 'XLM', from, to, amount);
+const usdc = (from, to, amount) => move('transfer', USDC, 'USDC', from, to, amount);
+const fee = (from, amount) => move('fee', XLM, 'XLM', from, null, amount);
+
+const op = (type, details, sourceAccount = null) => ({ type, details, sourceAccount, description: type.replace(/_/g, ' ') });
+
+describe('shortAddress', () => {
+  it('should keep the first character and last four', () => {
+    expect(shortAddress(ALICE)).toBe('G..ZNSR');
+    expect(shortAddress(null)).toBe('?');
+  });
+});
+
+describe('movement normalization', () => {
+  it('should read tx-page events with token metadata', () => {
+    const event = {
+      eventType: 'transfer',
+      contractId: XLM,
+      topics: [{ symbol: 'transfer' }, { address: ALICE }, { address: BOB }],
+      data: { i128: '50000000' },
+    };
+    expect(movementFromEvent(event, { symbol: 'native', decimals: 7 })).toMatchObject({
+      type: 'transfer', from: ALICE, to: BOB, amount: 50000000n, symbol: 'XLM',
+    });
+    expect(movementFromEvent({ ...event, eventType: 'approve' })).toBeNull();
+  });
+
+  it('should drop the admin from activity mints and sign fee refunds', () => {
+    expect(movementFromActivity({ type: 'mint', contractId: TKN, from: ALICE, to: BOB, amount: 5n }, { symbol: 'TKN' }))
+      .toMatchObject({ from: null, to: BOB, symbol: 'TKN' });
+    expect(movementFromActivity({ type: 'fee', contractId: XLM, from: ALICE, amount: 100n, isRefund: true }))
+      .toMatchObject({ amount: -100n, symbol: 'XLM' });
+  });
+});
+
+describe('summarizeMovements', () => {
+  it('should describe a multi-hop swap by the first sender', () => {
+    expect(summarizeMovements([
+      fee(ALICE, 100),
+      xlm(ALICE, POOL_1, 1000000000),
+      move('transfer', TKN, 'TKN', POOL_1, POOL_2, 30000000),
+      usdc(POOL_2, ALICE, 119000000),
+    ])).toBe('G..ZNSR swapped 100 XLM for 11.9 USDC via 2 hops');
+  });
+
+  it('should describe mints with the token contract as subject', () => {
+    expect(summarizeMovements([move('mint', TKN, 'TKN', null, BOB, 50000000000)]))
+      .toBe('C..RCJU minted 5,000 TKN to G..MADI');
+  });
+
+  it('should describe a single transfer and count the rest', () => {
+    expect(summarizeMovements([xlm(ALICE, BOB, 10000000)])).toBe('G..ZNSR sent 1 XLM to G..MADI');
+    expect(summarizeMovements([xlm(ALICE, BOB, 10000000), xlm(ALICE, POOL_1, 10000000)]))
+      .toBe('G..ZNSR sent 1 XLM to G..MADI (+1 more)');
+  });
+
+  it('should fall back to the fee when nothing else moved', () => {
+    expect(summarizeMovements([fee(ALICE, 100)])).toBe('G..ZNSR paid a 0.00001 XLM fee');
+    expect(summarizeMovements([])).toBeNull();
+  });
+});
+
+describe('summarizeTransaction', () => {
+  it('should describe payments and account creation', () => {
+    expect(summarizeTransaction({
+      source: ALICE,
+      operations: [op('payment', { destination: BOB, asset: 'USDC', amount: '25' })],
+    })).toBe('G..ZNSR paid 25 USDC to G..MADI');
+
+    expect(summarizeTransaction({
+      source: ALICE,
+      operations: [op('create_account', { destination: BOB, startingBalance: '5' })],
+    })).toBe('G..ZNSR created account G..MADI with 5 XLM');
+  });
+
+  it('should use actual amounts and the path for path-payment swaps', () => {
+    expect(summarizeTransaction({
+      source: ALICE,
+      operations: [op('path_payment_strict_send', {
+        destination: ALICE, sendAsset: 'XLM', sendAmount: '100', destAsset: 'USDC', destMin: '11', path: ['TKN'],
+      })],
+      movements: [xlm(ALICE, POOL_1, 1000000000), usdc(POOL_2, ALICE, 119000000)],
+    })).toBe('G..ZNSR swapped 100 XLM for 11.9 USDC via 2 hops');
+  });
+
+  it('should describe path payments to others from the operation', () => {
+    expect(summarizeTransaction({
+      source: ALICE,
+      operations: [op('path_payment_strict_receive', {
+        destination: BOB, sendAsset: 'XLM', sendMax: '10', destAsset: 'USDC', destAmount: '1', path: [],
+      })],
+    })).toBe('G..ZNSR sent up to 10 XLM to G..MADI as 1 USDC');
+  });
+
+  it('should recognize contract deploys and wasm uploads', () => {
+    const summarize = (o) => summarizeTransaction({ source: ALICE, operations: [o] });
+    expect(summarize(op('invoke_host_function', { type: 'create_contract' }))).toBe('G..ZNSR deployed a contract');
+    expect(summarize(op('invoke_host_function', { type: 'upload_wasm' }))).toBe('G..ZNSR uploaded contract wasm');
+  });
+
+  it('should describe TTL extensions by the TTL they extend to', () => {
+    expect(summarizeTransaction({ source: ALICE, operations: [op('extend_footprint_ttl', { extendTo: 1000 })] }))
+      .toBe('G..ZNSR extended the TTL of contract entries to at least 1000 ledgers');
+  });
+
+  it('should describe deposits into contracts by function name', () => {
+    expect(summarizeTransaction({
+      source: ALICE,
+      operations: [op('invoke_host_function', { contractId: POOL_1, functionName: 'deposit' })],
+      movements: [
+        xlm(ALICE, POOL_1, 10000000),
+        usdc(ALICE, POOL_1, 20000000),
+        move('mint', POOL_1, 'SHARE', null, ALICE, 5),
+      ],
+    })).toBe('G..ZNSR deposited 1 XLM and 2 USDC into C..CYSC');
+  });
+
+  it('should fall back to the movements, then to the call, for other invocations', () => {
+    const invoke = op('invoke_host_function', { contractId: POOL_1, functionName: 'swap' });
+    expect(summarizeTransaction({
+      source: ALICE,
+      operations: [invoke],
+      movements: [xlm(ALICE, POOL_1, 10000000), usdc(POOL_1, ALICE, 20000000)],
+    })).toBe('G..ZNSR swapped 1 XLM for 2 USDC');
+    expect(summarizeTransaction({ source: ALICE, operations: [invoke] })).toBe('G..ZNSR called swap on C..CYSC');
+  });
+
+  it('should summarize batches of payments', () => {
+    const pay = op('payment', { destination: BOB, asset: 'XLM', amount: '1' });
+    expect(summarizeTransaction({ source: ALICE, operations: [pay, pay, pay] }))
+      .toBe('G..ZNSR made 3 payments in XLM');
+  });
+
+  it('should mark failed transactions', () => {
+    expect(summarizeTransaction({
+      source: ALICE,
+      operations: [op('payment', { destination: BOB, asset: 'XLM', amount: '1' })],
+      failed: true,
+    })).toBe('G..ZNSR paid 1 XLM to G..MADI (failed)');
+  });
+
+  it('should fall back to the operation list for unrecognized operations', () => {
+    expect(summarizeTransaction({
+      source: ALICE,
+      operations: [{ type: 'manage_data', details: {}, description: 'set data "x"' }],
+    })).toBe('G..ZNSR: set data "x"');
+  });
+});
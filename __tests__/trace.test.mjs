@@ -0,0 +1,174 @@
+/**
+ * Tests for utils/scan/trace.js
+ *
+ * Call trees rebuilt from fn_call / fn_return / error diagnostic events.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { getMetaDiagnosticEvents, splitCallArgs, buildCallTrace } from '../utils/scan/trace.js';
+import { parseDiagnosticEvents } from '../utils/scan/simulation.js';
+
+const { xdr } = StellarSdk;
+
+const ROUTER_HASH = Buffer.alloc(32, 1);
+const TOKEN_HASH = Buffer.alloc(32, 2);
+const ROUTER = StellarSdk.StrKey.encodeContract(ROUTER_HASH);
+const TOKEN = StellarSdk.StrKey.encodeContract(TOKEN_HASH);
+
+const sym = (s) => xdr.ScVal.scvSymbol(s);
+const u32 = (n) => xdr.ScVal.scvU32(n);
+
+function diagnosticEvent(contractHash, topics, data, type = xdr.ContractEventType.diagnostic()) {
+  return new xdr.DiagnosticEvent({
+    inSuccessfulContractCall: true,
+    event: new xdr.ContractEvent({
+      ext: new xdr.ExtensionPoint(0),
+      contractId: contractHash,
+      type,
+      body: new xdr.ContractEventBody(0, new xdr.ContractEventV0({ topics, data })),
+    }),
+  });
+}
+
+// Caller is null for the top-level invocation
+const fnCall = (caller, calleeHash, fn, data) =>
+  diagnosticEvent(caller, [sym('fn_call'), xdr.ScVal.scvBytes(calleeHash), sym(fn)], data);
+const fnReturn = (contractHash, fn, data) =>
+  diagnosticEvent(contractHash, [sym('fn_return'), sym(fn)], data);
+const contractError = (contractHash, code, data) =>
+  diagnosticEvent(contractHash, [sym('error'), xdr.ScVal.scvError(xdr.ScError.sceContract(code))], data);
+
+const trace = (events) => buildCallTrace(parseDiagnosticEvents(events));
+
+describe('splitCallArgs', () => {
+  it('should spread a vec of arguments', () => {
+    expect(splitCallArgs(xdr.ScVal.scvVec([u32(1), u32(2)]))).toHaveLength(2);
+    expect(splitCallArgs(xdr.ScVal.scvVec([]))).toEqual([]);
+  });
+
+  it('should treat other data as a single argument', () => {
+    const args = splitCallArgs(u32(7));
+    expect(args).toHaveLength(1);
+    expect(args[0].u32()).toBe(7);
+  });
+
+  it('should keep a lone vec argument whole when the arity is known', () => {
+    const data = xdr.ScVal.scvVec([u32(1), u32(2)]);
+    expect(splitCallArgs(data, 1)).toEqual([data]);
+  });
+});
+
+describe('buildCallTrace', () => {
+  it('should nest cross-contract calls with their return values', () => {
+    const { calls, errors } = trace([
+      fnCall(null, ROUTER_HASH, 'swap', xdr.ScVal.scvVec([u32(1), u32(2)])),
+      fnCall(ROUTER_HASH, TOKEN_HASH, 'transfer', xdr.ScVal.scvVec([u32(3), u32(4), u32(5)])),
+      fnReturn(TOKEN_HASH, 'transfer', xdr.ScVal.scvVoid()),
+      fnCall(ROUTER_HASH, TOKEN_HASH, 'balance', u32(6)),
+      fnReturn(TOKEN_HASH, 'balance', u32(100)),
+      fnReturn(ROUTER_HASH, 'swap', u32(42)),
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(calls).toHaveLength(1);
+
+    const [swap] = calls;
+    expect(swap.contractId).toBe(ROUTER);
+    expect(swap.functionName).toBe('swap');
+    expect(swap.args).toHaveLength(2);
+    expect(swap.returned).toBe(true);
+    expect(swap.failed).toBe(false);
+    expect(swap.returnValue.u32()).toBe(42);
+
+    expect(swap.calls.map(c => c.functionName)).toEqual(['transfer', 'balance']);
+    expect(swap.calls[0].contractId).toBe(TOKEN);
+    expect(swap.calls[0].args).toHaveLength(3);
+    expect(swap.calls[1].args).toHaveLength(1);
+    expect(swap.calls[1].returnValue.u32()).toBe(100);
+  });
+
+  it('should mark calls that never returned as failed and attach their errors', () => {
+    const { calls } = trace([
+      fnCall(null, ROUTER_HASH, 'swap', xdr.ScVal.scvVec([])),
+      fnCall(ROUTER_HASH, TOKEN_HASH, 'transfer', xdr.ScVal.scvVec([])),
+      contractError(TOKEN_HASH, 10, xdr.ScVal.scvVec([
+        xdr.ScVal.scvString('balance is not sufficient to spend'),
+        u32(5),
+      ])),
+    ]);
+
+    const [swap] = calls;
+    const [transfer] = swap.calls;
+    expect(swap.failed).toBe(true);
+    expect(transfer.failed).toBe(true);
+    expect(transfer.returned).toBe(false);
+    expect(swap.errors).toEqual([]);
+    expect(transfer.errors).toHaveLength(1);
+    expect(transfer.errors[0].contractId).toBe(TOKEN);
+    expect(transfer.errors[0].error.error().contractCode()).toBe(10);
+    expect(transfer.errors[0].message).toBe('balance is not sufficient to spend');
+    expect(transfer.errors[0].details).toHaveLength(1);
+  });
+
+  it('should mark a sub-call that failed under a caller that recovered', () => {
+    const { calls } = trace([
+      fnCall(null, ROUTER_HASH, 'try_swap', xdr.ScVal.scvVec([])),
+      fnCall(ROUTER_HASH, TOKEN_HASH, 'transfer', xdr.ScVal.scvVec([])),
+      fnReturn(ROUTER_HASH, 'try_swap', xdr.ScVal.scvBool(false)),
+    ]);
+
+    expect(calls[0].failed).toBe(false);
+    expect(calls[0].calls[0].failed).toBe(true);
+  });
+
+  it('should keep errors raised outside any call at the top level', () => {
+    const { calls, errors } = trace([
+      contractError(null, 1, xdr.ScVal.scvString('oops')),
+    ]);
+    expect(calls).toEqual([]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toBe('oops');
+    expect(errors[0].details).toEqual([]);
+  });
+
+  it('should ignore contract and system events', () => {
+    const { calls } = trace([
+      diagnosticEvent(TOKEN_HASH, [sym('fn_call'), xdr.ScVal.scvBytes(TOKEN_HASH), sym('x')], xdr.ScVal.scvVoid(),
+        xdr.ContractEventType.contract()),
+      diagnosticEvent(null, [sym('core_metrics'), sym('cpu_insn')], xdr.ScVal.scvU64(new xdr.Uint64(1))),
+    ]);
+    expect(calls).toEqual([]);
+  });
+});
+
+describe('getMetaDiagnosticEvents', () => {
+  it('should read v3 soroban meta', () => {
+    const events = [fnCall(null, ROUTER_HASH, 'swap', xdr.ScVal.scvVec([]))];
+    const meta = new xdr.TransactionMeta(3, new xdr.TransactionMetaV3({
+      ext: new xdr.ExtensionPoint(0),
+      txChangesBefore: [],
+      operations: [],
+      txChangesAfter: [],
+      sorobanMeta: new xdr.SorobanTransactionMeta({
+        ext: new xdr.SorobanTransactionMetaExt(0),
+        events: [],
+        returnValue: xdr.ScVal.scvVoid(),
+        diagnosticEvents: events,
+      }),
+    }));
+
+    expect(getMetaDiagnosticEvents(meta)).toHaveLength(1);
+  });
+
+  it('should return no events for meta without soroban data', () => {
+    const meta = new xdr.TransactionMeta(3, new xdr.TransactionMetaV3({
+      ext: new xdr.ExtensionPoint(0),
+      txChangesBefore: [],
+      operations: [],
+      txChangesAfter: [],
+      sorobanMeta: null,
+    }));
+
+    expect(getMetaDiagnosticEvents(meta)).toEqual([]);
+  });
+});
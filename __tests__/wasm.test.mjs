@@ -0,0 +1,111 @@
+/**
+ * Tests for utils/scan/wasm.js
+ *
+ * WASM custom section parsing and contract metadata.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  parseWasmCustomSections,
+  readXdrStream,
+  parseContractMeta,
+  parseContractEnvMeta,
+} from '../utils/scan/wasm.js';
+
+const { xdr } = StellarSdk;
+
+// LEB128 for small test sizes
+function varUint(value) {
+  const bytes = [];
+  do {
+    let byte = value & 0x7f;
+    value >>>= 7;
+    if (value !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value !== 0);
+  return bytes;
+}
+
+function section(id, payload) {
+  return [id, ...varUint(payload.length), ...payload];
+}
+
+function customSection(name, payload) {
+  const nameBytes = [...Buffer.from(name)];
+  return section(0, [...varUint(nameBytes.length), ...nameBytes, ...payload]);
+}
+
+function buildWasm(...sections) {
+  return new Uint8Array([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, ...sections.flat()]);
+}
+
+const metaEntry = (key, val) => xdr.ScMetaEntry.scMetaV0(new xdr.ScMetaV0({ key, val })).toXDR();
+
+describe('parseWasmCustomSections', () => {
+  it('should collect custom sections by name and skip others', () => {
+    const wasm = buildWasm(
+      section(1, [0x01, 0x60, 0x00, 0x00]), // type section
+      customSection('a', [1, 2, 3]),
+      customSection('b', [4]),
+      customSection('a', [5])
+    );
+    const sections = parseWasmCustomSections(wasm);
+
+    expect([...sections.keys()]).toEqual(['a', 'b']);
+    expect(sections.get('a').map(p => [...p])).toEqual([[1, 2, 3], [5]]);
+    expect([...sections.get('b')[0]]).toEqual([4]);
+  });
+
+  it('should handle section sizes above 127 bytes', () => {
+    const payload = new Array(300).fill(9);
+    const sections = parseWasmCustomSections(buildWasm(customSection('big', payload)));
+    expect(sections.get('big')[0].length).toBe(300);
+  });
+
+  it('should reject non-WASM and truncated input', () => {
+    expect(() => parseWasmCustomSections(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]))).toThrow('Not a WASM module');
+    const truncated = buildWasm(customSection('a', [1, 2, 3])).slice(0, -1);
+    expect(() => parseWasmCustomSections(truncated)).toThrow('Truncated');
+  });
+});
+
+describe('readXdrStream', () => {
+  it('should read concatenated XDR values across payloads', () => {
+    const payloads = [
+      Buffer.concat([metaEntry('a', '1'), metaEntry('b', '2')]),
+      metaEntry('c', '3'),
+    ];
+    expect(readXdrStream(payloads, xdr.ScMetaEntry)).toHaveLength(3);
+  });
+
+  it('should return an empty list for a missing section', () => {
+    expect(readXdrStream(undefined, xdr.ScMetaEntry)).toEqual([]);
+  });
+});
+
+describe('parseContractMeta', () => {
+  it('should return contractmetav0 key/value pairs', () => {
+    const payload = [...Buffer.concat([metaEntry('rsver', '1.81.0'), metaEntry('rssdkver', '22.0.7#abc')])];
+    const sections = parseWasmCustomSections(buildWasm(customSection('contractmetav0', payload)));
+
+    expect(parseContractMeta(sections)).toEqual([
+      { key: 'rsver', value: '1.81.0' },
+      { key: 'rssdkver', value: '22.0.7#abc' },
+    ]);
+  });
+});
+
+describe('parseContractEnvMeta', () => {
+  it('should return the interface version', () => {
+    const entry = xdr.ScEnvMetaEntry.scEnvMetaKindInterfaceVersion(
+      new xdr.ScEnvMetaEntryInterfaceVersion({ protocol: 22, preRelease: 0 })
+    ).toXDR();
+    const sections = parseWasmCustomSections(buildWasm(customSection('contractenvmetav0', [...entry])));
+
+    expect(parseContractEnvMeta(sections)).toEqual({ protocol: 22, preRelease: 0 });
+  });
+
+  it('should return null without the section', () => {
+    expect(parseContractEnvMeta(new Map())).toBeNull();
+  });
+});
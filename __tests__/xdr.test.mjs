@@ -0,0 +1,62 @@
+/**
+ * Tests for utils/scan/xdr.js
+ *
+ * XDR tool input cleanup, type ranking and share URLs.
+ */
+
+import {
+  COMMON_XDR_TYPES,
+  normalizeXdrInput,
+  rankXdrTypes,
+  buildXdrShareUrl,
+  parseXdrShareParams,
+} from '../utils/scan/xdr.js';
+
+describe('normalizeXdrInput', () => {
+  it('should strip whitespace from wrapped base64', () => {
+    expect(normalizeXdrInput('  AAAA\nAAAB \r\n AA==  ')).toBe('AAAAAAABAA==');
+  });
+
+  it('should handle empty input', () => {
+    expect(normalizeXdrInput(undefined)).toBe('');
+    expect(normalizeXdrInput(null)).toBe('');
+  });
+});
+
+describe('rankXdrTypes', () => {
+  it('should put common types first in their listed order', () => {
+    expect(rankXdrTypes(['Uint64', 'ScVal', 'Int64', 'TransactionEnvelope']))
+      .toEqual(['TransactionEnvelope', 'ScVal', 'Int64', 'Uint64']);
+  });
+
+  it('should not mutate the input', () => {
+    const guesses = ['Uint64', 'ScVal'];
+    rankXdrTypes(guesses);
+    expect(guesses).toEqual(['Uint64', 'ScVal']);
+  });
+
+  it('should list only distinct common types', () => {
+    expect(new Set(COMMON_XDR_TYPES).size).toBe(COMMON_XDR_TYPES.length);
+  });
+});
+
+describe('share URLs', () => {
+  it('should round-trip the type and payload', () => {
+    const xdr = 'AAAAAwAAAAU=';
+    const url = buildXdrShareUrl({ type: 'ScVal', xdr, network: 'mainnet' });
+
+    expect(url).toBe('/xdr?type=ScVal&xdr=AAAAAwAAAAU%3D&network=mainnet');
+    expect(parseXdrShareParams(new URL(url, 'https://example.com').searchParams))
+      .toEqual({ type: 'ScVal', xdr });
+  });
+
+  it('should escape base64 characters', () => {
+    const url = buildXdrShareUrl({ xdr: 'ab+/cd==' });
+    expect(parseXdrShareParams(new URL(url, 'https://example.com').searchParams))
+      .toEqual({ type: null, xdr: 'ab+/cd==' });
+  });
+
+  it('should link to the empty tool without a payload', () => {
+    expect(buildXdrShareUrl()).toBe('/xdr');
+  });
+});
@@ -7,23 +7,33 @@ import * as StellarSdk from '@stellar/stellar-sdk';
 import config from '@/utils/config';
 import {
   isValidAddress,
-  getTokenBalance,
+  parseMuxedAddress,
+  getTokenBalances,
   getTokenMetadata,
+  getAccountEntry,
+  getAccountTrustlines,
   getAccountActivity,
+  getAccountActivityInRange,
   extractContractIds,
   getTrackedAssets,
   addTrackedAsset,
   removeTrackedAsset,
   getCachedMetadata,
   cacheSacMetadata,
+  mergeActivity,
 } from '@/utils/scan';
-import { rawToDisplay, formatTokenBalance } from '@/utils/stellar/helpers';
+import { formatRawAmount } from '@/utils/stellar/helpers';
 import { formatRelativeTime, formatErrorMessage } from '@/utils/scan/helpers';
+import { summarizeTransaction, movementFromActivity } from '@/utils/scan/summary';
 import {
   ScanHeader,
   AddressDisplay,
   AddressLink,
+  LedgerLink,
+  Amount,
   BalanceList,
+  LoadMore,
+  RangePicker,
   useNetwork,
   SkeletonActivity,
   SkeletonBalance,
@@ -31,7 +41,10 @@ import {
 import '@/app/scan.css';
 
 export default function AccountPage({ params }) {
-  const { address } = use(params);
+  const { address: routeAddress } = use(params);
+  // Muxed (M...) addresses show their base account, with the mux ID noted
+  const muxed = parseMuxedAddress(routeAddress);
+  const address = muxed ? muxed.baseAddress : routeAddress;
   const router = useRouter();
   const { network, isLoading: networkLoading } = useNetwork();
   const [balances, setBalances] = useState([]);
@@ -45,40 +58,70 @@ export default function AccountPage({ params }) {
   const [addingAsset, setAddingAsset] = useState(false);
   const [addAssetError, setAddAssetError] = useState('');
   const [visibleCount, setVisibleCount] = useState(10);
+  const [activityCursor, setActivityCursor] = useState(null); // Continuation cursor for older activity
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [olderError, setOlderError] = useState(null);
+  const [range, setRange] = useState(null); // Optional ledger range filter
+  const [activityLoading, setActivityLoading] = useState(false);
+  const [accountEntry, setAccountEntry] = useState(null); // Classic account ledger entry (G... only)
+  const [accountEntryError, setAccountEntryError] = useState(null);
+  const [trustlines, setTrustlines] = useState([]); // Trustlines found by probing known assets
+  const [trustlineError, setTrustlineError] = useState(null);
 
   const isValid = isValidAddress(address);
 
   useEffect(() => {
     if (isValid && !networkLoading) {
-      loadData();
+      // Ledger ranges don't carry over between accounts or networks
+      setRange(null);
+      loadData(null);
     }
   }, [address, isValid, network, networkLoading]);
 
-  const loadData = async () => {
+  // Ranged feeds read oldest first; the default feed reads newest first
+  const fetchActivity = (activeRange, pageCursor = null) => activeRange
+    ? getAccountActivityInRange(address, activeRange, 200, pageCursor)
+    : getAccountActivity(address, 200, pageCursor);
+
+  const loadData = async (activeRange = range) => {
     setLoading(true);
     setError(null);
     setActivityError(null);
     setVisibleCount(10);
+    setActivityCursor(null);
+    setOlderError(null);
 
     try {
       // Get the XLM contract ID - always show XLM balance regardless of activity
       const xlmContractId = StellarSdk.Asset.native().contractId(config.networkPassphrase);
 
-      // Fetch XLM balance and activity in parallel
+      // Fetch XLM balance, activity and the account entry in parallel
       // Activity fetch may fail for new/inactive accounts - that's ok
       let activityList = [];
       let activityErr = null;
+      let nextCursor = null;
       let xlmBalance = '0';
 
-      const [activityResult, xlmBalanceResult] = await Promise.allSettled([
-        getAccountActivity(address),
-        getTokenBalance(address, xlmContractId),
+      const [activityResult, xlmBalanceResult, accountEntryResult] = await Promise.allSettled([
+        fetchActivity(activeRange),
+        getTokenBalances(address, [xlmContractId]).then(result => result[xlmContractId]),
+        address.startsWith('G') ? getAccountEntry(address) : Promise.resolve(null),
       ]);
 
+      // Handle account entry result (null for unfunded accounts and contracts)
+      if (accountEntryResult.status === 'fulfilled') {
+        setAccountEntry(accountEntryResult.value);
+        setAccountEntryError(null);
+      } else {
+        setAccountEntry(null);
+        setAccountEntryError(accountEntryResult.reason.message);
+      }
+
       // Handle activity result - now returns { activity, tokenEventsFailed }
       if (activityResult.status === 'fulfilled') {
-        const { activity, tokenEventsFailed } = activityResult.value;
+        const { activity, tokenEventsFailed, cursor } = activityResult.value;
         activityList = activity;
+        nextCursor = cursor;
         if (tokenEventsFailed) {
           activityErr = 'only showing fee events';
         }
@@ -92,6 +135,7 @@ export default function AccountPage({ params }) {
       }
       setActivity(activityList);
       setActivityError(activityErr);
+      setActivityCursor(nextCursor);
 
       // Handle XLM balance result
       if (xlmBalanceResult.status === 'fulfilled') {
@@ -121,91 +165,107 @@ export default function AccountPage({ params }) {
       const otherContractIds = [...new Set([...autoContractIds, ...manualContractIds])]
         .filter(id => id !== xlmContractId);
 
+      // Probe trustlines for known assets - finds holdings with no recent transfers
+      // Runs alongside the token balance fetches below
+      const trustlinesPromise = address.startsWith('G')
+        ? getAccountTrustlines(address, otherContractIds)
+          .then(({ trustlines }) => {
+            setTrustlineError(null);
+            return trustlines;
+          })
+          .catch((e) => {
+            setTrustlineError(e.message);
+            return [];
+          })
+        : Promise.resolve([]);
+
+      // Trustlines for assets not otherwise discovered become balances
+      // (the trustline balance is the SAC balance, so no simulation is needed)
+      const toTrustlineBalances = (found) => found
+        .filter(t => t.type === 'credit' && !otherContractIds.includes(t.contractId))
+        .map(t => ({
+          contractId: t.contractId,
+          symbol: t.code,
+          name: `${t.code}:${t.issuer}`,
+          rawBalance: t.balance,
+          balance: formatRawAmount(t.balance, 7),
+          decimals: 7,
+          isManual: false,
+        }));
+
       // Always include XLM balance
-      const xlmDisplayBalance = rawToDisplay(xlmBalance, 7);
       const xlmBalanceObj = {
         contractId: xlmContractId,
         symbol: 'XLM',
         name: 'native',
         rawBalance: xlmBalance,
-        balance: formatTokenBalance(xlmDisplayBalance, 7),
+        balance: formatRawAmount(xlmBalance, 7),
         decimals: 7,
         isManual: false,
       };
 
       if (otherContractIds.length === 0) {
-        // Only XLM balance
-        setBalances([xlmBalanceObj]);
-        setTokenInfo({ [xlmContractId]: { symbol: 'XLM', decimals: 7 } });
+        // Only XLM balance, plus anything found by the trustline probe
+        const found = await trustlinesPromise;
+        const trustlineBalances = toTrustlineBalances(found)
+          .filter(t => t.rawBalance !== '0')
+          .sort((a, b) => a.symbol.localeCompare(b.symbol));
+        setTrustlines(found);
+        setBalances([xlmBalanceObj, ...trustlineBalances]);
+        setTokenInfo({
+          [xlmContractId]: { symbol: 'XLM', decimals: 7 },
+          ...Object.fromEntries(trustlineBalances.map(t => [t.contractId, { symbol: t.symbol, decimals: 7 }])),
+        });
         setLoading(false);
         return;
       }
 
-      // Step 3: Fetch metadata and balances for other tokens in parallel
+      // Step 3: Fetch all balances in one batch, and metadata for non-SAC tokens
       // For SAC tokens (with cached metadata), skip metadata fetch
-      const tokenData = await Promise.all(
-        otherContractIds.map(async (contractId) => {
-          const isManual = manualContractIds.includes(contractId);
-          const cachedSac = sacMetadataCache[contractId];
-
+      const [rawBalances, metadataList] = await Promise.all([
+        getTokenBalances(address, otherContractIds),
+        Promise.all(otherContractIds.map(async (contractId) => {
+          if (sacMetadataCache[contractId]) return sacMetadataCache[contractId];
           try {
-            if (cachedSac) {
-              // SAC token - we already have metadata, only fetch balance
-              const rawBalance = await getTokenBalance(address, contractId);
-              const displayBalance = rawToDisplay(rawBalance, 7);
-              return {
-                contractId,
-                symbol: cachedSac.symbol,
-                name: cachedSac.name || cachedSac.symbol,
-                rawBalance,
-                balance: formatTokenBalance(displayBalance, 7),
-                decimals: 7,
-                isManual,
-              };
-            }
-
-            // Non-SAC token - fetch both metadata and balance
-            const [metadata, rawBalance] = await Promise.all([
-              getTokenMetadata(contractId),
-              getTokenBalance(address, contractId),
-            ]);
-            const decimals = metadata.decimals ?? 7;
-            const displayBalance = rawToDisplay(rawBalance, decimals);
-            return {
-              contractId,
-              symbol: metadata.symbol === 'native' ? 'XLM' : metadata.symbol,
-              name: metadata.name,
-              rawBalance,
-              balance: formatTokenBalance(displayBalance, decimals),
-              decimals,
-              isManual,
-            };
+            return await getTokenMetadata(contractId);
           } catch (e) {
-            // Token metadata/balance fetch can fail for non-token contracts - that's ok
+            // Token metadata fetch can fail for non-token contracts - that's ok
             console.log(`Token data unavailable for ${contractId}`);
-            return {
-              contractId,
-              symbol: cachedSac?.symbol || '???',
-              name: cachedSac?.name || cachedSac?.symbol || 'Unknown',
-              rawBalance: '0',
-              balance: '0',
-              decimals: 7,
-              isManual,
-            };
+            return null;
           }
-        })
-      );
+        })),
+      ]);
+
+      const tokenData = otherContractIds.map((contractId, i) => {
+        const metadata = metadataList[i] || { symbol: '???', name: 'Unknown', decimals: 7 };
+        const isManual = manualContractIds.includes(contractId);
+        const decimals = metadata.decimals ?? 7;
+        const rawBalance = rawBalances[contractId] ?? '0';
+        return {
+          contractId,
+          symbol: metadata.symbol === 'native' ? 'XLM' : metadata.symbol,
+          name: metadata.name || metadata.symbol,
+          rawBalance,
+          balance: formatRawAmount(rawBalance, decimals),
+          decimals,
+          isManual,
+        };
+      });
+
+      const found = await trustlinesPromise;
+      setTrustlines(found);
+      const allTokenData = [...tokenData, ...toTrustlineBalances(found)];
 
       // Build token info lookup map (symbol + decimals) - include XLM
       const infoMap = { [xlmContractId]: { symbol: 'XLM', decimals: 7 } };
-      for (const token of tokenData) {
+      for (const token of allTokenData) {
         infoMap[token.contractId] = { symbol: token.symbol, decimals: token.decimals };
       }
       setTokenInfo(infoMap);
 
       // Filter out tokens with zero balance (unless manually tracked) and sort by symbol
       // Always include XLM at the start
-      const otherBalances = tokenData
+      const otherBalances = allTokenData
         .filter(t => t.rawBalance !== '0' || t.isManual)
         .sort((a, b) => a.symbol.localeCompare(b.symbol));
       setBalances([xlmBalanceObj, ...otherBalances]);
@@ -217,24 +277,84 @@ export default function AccountPage({ params }) {
     }
   };
 
+  // Resolve symbols for tokens that first appear in a newly loaded page
+  // SAC events carry their symbol, so only custom tokens need a lookup
+  const resolveNewTokens = async (items) => {
+    const transfers = items.filter(a => a.type !== 'fee');
+    for (const t of transfers) {
+      if (t.sacSymbol && t.contractId) {
+        cacheSacMetadata(t.contractId, t.sacSymbol, t.sacName);
+      }
+    }
+    const unknownIds = extractContractIds(transfers.filter(t => !t.sacSymbol))
+      .filter(id => !tokenInfo[id]);
+    const entries = await Promise.all(
+      unknownIds.map(async (contractId) => {
+        try {
+          const metadata = await getTokenMetadata(contractId);
+          const symbol = metadata.symbol === 'native' ? 'XLM' : metadata.symbol;
+          return [contractId, { symbol, decimals: metadata.decimals ?? 7 }];
+        } catch {
+          return [contractId, { symbol: '???', decimals: 7 }];
+        }
+      })
+    );
+    setTokenInfo(prev => ({ ...prev, ...Object.fromEntries(entries) }));
+  };
+
+  // Reload just the activity feed for a new range, keeping balances in place;
+  // errors are shown by the picker
+  const applyRange = async (nextRange) => {
+    setActivityLoading(true);
+    try {
+      const page = await fetchActivity(nextRange);
+      await resolveNewTokens(page.activity);
+      setRange(nextRange);
+      setActivity(page.activity);
+      setActivityError(page.tokenEventsFailed ? 'only showing fee events' : null);
+      setActivityCursor(page.cursor);
+      setVisibleCount(10);
+      setOlderError(null);
+    } finally {
+      setActivityLoading(false);
+    }
+  };
+
+  // Fetch the next page of activity and merge it into what's already shown
+  const loadOlderActivity = async () => {
+    if (!activityCursor || loadingOlder) return;
+    setLoadingOlder(true);
+    setOlderError(null);
+
+    try {
+      const page = await fetchActivity(range, activityCursor);
+      setActivity(prev => mergeActivity(prev, page.activity, range ? 'asc' : 'desc'));
+      setActivityCursor(page.cursor);
+      setVisibleCount(v => v + 10);
+      await resolveNewTokens(page.activity);
+    } catch (err) {
+      console.warn('Error loading older activity:', err);
+      setOlderError(err.message);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
   // Format activity item for display - handles both transfers and fees
   const formatActivity = (item) => {
     if (item.type === 'fee') {
       // Fee event - XLM with 7 decimals
-      const displayAmount = rawToDisplay(item.amount, 7);
       return {
         ...item,
-        formattedAmount: formatTokenBalance(displayAmount, 7),
+        decimals: 7,
         symbol: 'XLM',
       };
     } else {
       // Transfer event
       const info = tokenInfo[item.contractId];
-      const decimals = info?.decimals ?? 7;
-      const displayAmount = rawToDisplay(item.amount, decimals);
       return {
         ...item,
-        formattedAmount: formatTokenBalance(displayAmount, decimals),
+        decimals: info?.decimals ?? 7,
         // Use sacSymbol from event topic if available (SAC transfers), otherwise fall back to tokenInfo
         symbol: item.sacSymbol || info?.symbol || '???',
       };
@@ -262,13 +382,13 @@ export default function AccountPage({ params }) {
     }
 
     try {
-      const [metadata, rawBalance] = await Promise.all([
+      const [metadata, rawBalances] = await Promise.all([
         getTokenMetadata(contractId),
-        getTokenBalance(address, contractId),
+        getTokenBalances(address, [contractId]),
       ]);
+      const rawBalance = rawBalances[contractId];
 
       const decimals = metadata.decimals ?? 7;
-      const displayBalance = rawToDisplay(rawBalance, decimals);
 
       // Add to localStorage
       addTrackedAsset(contractId, metadata.symbol, metadata.name);
@@ -279,7 +399,7 @@ export default function AccountPage({ params }) {
         symbol: metadata.symbol === 'native' ? 'XLM' : metadata.symbol,
         name: metadata.name,
         rawBalance,
-        balance: formatTokenBalance(displayBalance, decimals),
+        balance: formatRawAmount(rawBalance, decimals),
         decimals,
         isManual: true,
       };
@@ -338,7 +458,7 @@ export default function AccountPage({ params }) {
     return (
       <div className="scan-page">
         <ScanHeader />
-        <p className="error">Invalid address: {address}</p>
+        <p className="error">Invalid address: {routeAddress}</p>
         <p>
           <Link href="/">back to search</Link>
         </p>
@@ -352,6 +472,13 @@ export default function AccountPage({ params }) {
 
       <AddressDisplay address={address} label="Account" />
 
+      {muxed && (
+        <p className="text-secondary" style={{ marginTop: '8px' }}>
+          muxed account <span style={{ wordBreak: 'break-all' }}>{routeAddress}</span> (mux ID {muxed.muxId}).
+          Muxed accounts share the base account&apos;s balances and activity.
+        </p>
+      )}
+
       {address.startsWith('C') && (
         <p style={{ marginTop: '8px' }}>
           <Link href={`/token/${address}`}>switch to token view →</Link>
@@ -416,6 +543,154 @@ export default function AccountPage({ params }) {
             </div>
           )}
 
+          {address.startsWith('G') && (
+            <>
+              <div className="section-title">Account</div>
+
+              {accountEntryError ? (
+                <p className="error">{formatErrorMessage(accountEntryError)}</p>
+              ) : !accountEntry ? (
+                <p>account not found on ledger (unfunded or merged)</p>
+              ) : (
+                <div className="tx-meta">
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">XLM Balance</span>
+                    <span className="tx-meta-value"><Amount value={accountEntry.balance} decimals={7} /></span>
+                  </div>
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Min Balance</span>
+                    <span
+                      className="tx-meta-value"
+                      title={`(2 + ${accountEntry.numSubEntries} subentries + ${accountEntry.numSponsoring} sponsoring - ${accountEntry.numSponsored} sponsored) × ${formatRawAmount(accountEntry.baseReserve, 7)} XLM base reserve`}
+                    >
+                      <Amount value={accountEntry.minimumBalance} decimals={7} />
+                    </span>
+                  </div>
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Spendable</span>
+                    <span className="tx-meta-value"><Amount value={accountEntry.spendableBalance} decimals={7} /></span>
+                  </div>
+                  {(accountEntry.liabilities.buying !== '0' || accountEntry.liabilities.selling !== '0') && (
+                    <div className="tx-meta-item">
+                      <span className="tx-meta-label">Liabilities</span>
+                      <span className="tx-meta-value">
+                        buying <Amount value={accountEntry.liabilities.buying} decimals={7} />
+                        {' | '}
+                        selling <Amount value={accountEntry.liabilities.selling} decimals={7} />
+                      </span>
+                    </div>
+                  )}
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Sequence</span>
+                    <span className="tx-meta-value">{accountEntry.seqNum}</span>
+                  </div>
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Subentries</span>
+                    <span className="tx-meta-value">{accountEntry.numSubEntries}</span>
+                  </div>
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Sponsoring</span>
+                    <span className="tx-meta-value">{accountEntry.numSponsoring}</span>
+                  </div>
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Sponsored</span>
+                    <span className="tx-meta-value">{accountEntry.numSponsored}</span>
+                  </div>
+                  {accountEntry.sponsor && (
+                    <div className="tx-meta-item">
+                      <span className="tx-meta-label">Sponsor</span>
+                      <span className="tx-meta-value"><AddressLink address={accountEntry.sponsor} /></span>
+                    </div>
+                  )}
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Home Domain</span>
+                    <span className="tx-meta-value">{accountEntry.homeDomain || 'none'}</span>
+                  </div>
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Flags</span>
+                    <span className="tx-meta-value">
+                      {accountEntry.flagNames.length > 0 ? accountEntry.flagNames.join(', ') : 'none'}
+                    </span>
+                  </div>
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Thresholds</span>
+                    <span className="tx-meta-value">
+                      low {accountEntry.thresholds.low}
+                      {' | '}
+                      med {accountEntry.thresholds.medium}
+                      {' | '}
+                      high {accountEntry.thresholds.high}
+                    </span>
+                  </div>
+                  <div className="tx-meta-item tx-meta-full">
+                    <span className="tx-meta-label">Signers</span>
+                    <span className="tx-meta-value">
+                      <span className="account-signer">
+                        <AddressLink address={accountEntry.accountId} /> (master, weight {accountEntry.thresholds.masterWeight})
+                      </span>
+                      {accountEntry.signers.map((signer) => (
+                        <span key={signer.key} className="account-signer">
+                          {signer.key.startsWith('G') ? <AddressLink address={signer.key} /> : signer.key}
+                          {' '}(weight {signer.weight}
+                          {signer.sponsor && <>, sponsored by <AddressLink address={signer.sponsor} /></>})
+                        </span>
+                      ))}
+                    </span>
+                  </div>
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Last Modified</span>
+                    <span className="tx-meta-value">ledger {accountEntry.lastModifiedLedger}</span>
+                  </div>
+                </div>
+              )}
+
+              <div className="section-title">Trustlines</div>
+
+              {trustlineError ? (
+                <p className="error">{formatErrorMessage(trustlineError)}</p>
+              ) : trustlines.length === 0 ? (
+                <p>no trustlines found for known assets</p>
+              ) : (
+                <div className="card">
+                  {trustlines.map((t) => (
+                    <div key={t.contractId} className="card-item">
+                      <div className="activity-card-header">
+                        <div className="event-type">
+                          <span className={`event-dot ${t.authorized ? 'success' : 'danger'}`} />
+                          {t.type === 'pool_share' ? (
+                            <Link href={`/lp/${t.poolId}`}>pool share</Link>
+                          ) : (
+                            <Link href={`/token/${t.contractId}`}>{t.code}</Link>
+                          )}
+                        </div>
+                        <span className="text-secondary">
+                          {t.type === 'pool_share'
+                            ? <AddressLink address={t.poolId} />
+                            : <AddressLink address={t.issuer} />}
+                        </span>
+                      </div>
+                      <div className="activity-description">
+                        <Amount value={t.balance} decimals={7} />
+                        {' / limit '}
+                        <Amount value={t.limit} decimals={7} compact />
+                      </div>
+                      <div className="activity-description text-secondary">
+                        {t.flagNames.length > 0 ? t.flagNames.join(', ') : 'not authorized'}
+                        {(t.liabilities.buying !== '0' || t.liabilities.selling !== '0') && (
+                          <>
+                            {' | buying '}<Amount value={t.liabilities.buying} decimals={7} />
+                            {' | selling '}<Amount value={t.liabilities.selling} decimals={7} />
+                          </>
+                        )}
+                        {t.liquidityPoolUseCount > 0 && ` | used by ${t.liquidityPoolUseCount} pool${t.liquidityPoolUseCount === 1 ? '' : 's'}`}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
           <div className="section-title">
             Token Activity
             <a
@@ -427,10 +702,14 @@ export default function AccountPage({ params }) {
             </a>
           </div>
 
-          {activityError && activityError !== 'only showing fee events' ? (
+          <RangePicker range={range} onChange={applyRange} />
+
+          {activityLoading ? (
+            <SkeletonActivity count={5} />
+          ) : activityError && activityError !== 'only showing fee events' ? (
             <p className="error">{activityError}</p>
           ) : activity.length === 0 ? (
-            <p>no token activity found</p>
+            <p>{range ? 'no token activity in this range' : 'no token activity found'}</p>
           ) : (() => {
             // Group events by transaction hash
             const txGroups = [];
@@ -452,6 +731,12 @@ export default function AccountPage({ params }) {
                 <div className="card">
                   {txGroups.slice(0, visibleCount).map((group) => (
                     <Link href={`/tx/${group.txHash}`} key={group.txHash} className="card-item">
+                      <div className="activity-description">
+                        {summarizeTransaction({
+                          source: address,
+                          movements: group.events.map(item => movementFromActivity(item, formatActivity(item))),
+                        })}
+                      </div>
                       {group.events.map((item, eventIndex) => {
                         const formatted = formatActivity(item);
                         const typeInfo = getEventTypeInfo(item);
@@ -480,7 +765,7 @@ export default function AccountPage({ params }) {
                               {item.type === 'fee' ? (
                                 <span className="text-secondary">transaction fee</span>
                               ) : item.type === 'mint' ? (
-                                <>→ <AddressLink address={item.to} nested /></>
+                                <>→ <AddressLink address={item.to} muxId={item.toMuxedId} nested /></>
                               ) : item.type === 'burn' ? (
                                 <AddressLink address={item.from} nested />
                               ) : item.type === 'clawback' ? (
@@ -492,7 +777,7 @@ export default function AccountPage({ params }) {
                                 <>
                                   <AddressLink address={item.from} nested />
                                   {' → '}
-                                  <AddressLink address={item.to} nested />
+                                  <AddressLink address={item.to} muxId={item.toMuxedId} nested />
                                 </>
                               )}
                             </div>
@@ -505,7 +790,7 @@ export default function AccountPage({ params }) {
                               }`}>
                                 {(item.type === 'mint' || (item.type === 'fee' && item.isRefund) || direction === 'in') && '+'}
                                 {(item.type === 'burn' || item.type === 'clawback' || (item.type === 'fee' && !item.isRefund) || direction === 'out') && '-'}
-                                {formatted.formattedAmount}{' '}
+                                <Amount value={item.amount} decimals={formatted.decimals} />{' '}
                                 <span
                                   className="nested-link"
                                   onClick={(e) => { e.preventDefault(); e.stopPropagation(); router.push(`/token/${item.contractId}`); }}
@@ -513,6 +798,7 @@ export default function AccountPage({ params }) {
                               </span>
                               {eventIndex === group.events.length - 1 && (
                                 <span className="activity-tx-link">
+                                  <LedgerLink sequence={item.ledger} display={`#${item.ledger}`} nested />{' '}
                                   tx:{group.txHash?.substring(0, 4)}
                                 </span>
                               )}
@@ -524,13 +810,15 @@ export default function AccountPage({ params }) {
                   ))}
                 </div>
 
-                {visibleCount < txGroups.length && (
-                  <p style={{ textAlign: 'center' }}>
-                    <a href="#" onClick={(e) => { e.preventDefault(); setVisibleCount(v => v + 10); }}>
-                      show more
-                    </a>
-                  </p>
-                )}
+                <LoadMore
+                  hasHidden={visibleCount < txGroups.length}
+                  onShowMore={() => setVisibleCount(v => v + 10)}
+                  hasOlder={!!activityCursor}
+                  onLoadOlder={loadOlderActivity}
+                  loading={loadingOlder}
+                  error={olderError}
+                  label={range ? 'load more' : 'load older'}
+                />
               </>
             );
           })()}
@@ -0,0 +1,178 @@
+'use client'
+
+import React, { useState, useEffect, use } from 'react';
+import Link from 'next/link';
+import {
+  isValidClaimableBalanceId,
+  getClaimableBalance,
+  evaluateClaimPredicate,
+} from '@/utils/scan';
+import { describeClaimPredicate, formatErrorMessage } from '@/utils/scan/helpers';
+import {
+  ScanHeader,
+  AddressDisplay,
+  AddressLink,
+  Amount,
+  useNetwork,
+  SkeletonActivity,
+  SkeletonText,
+} from '@/app/components';
+import '@/app/scan.css';
+
+export default function ClaimableBalancePage({ params }) {
+  const { id } = use(params);
+  const { network, isLoading: networkLoading } = useNetwork();
+  const [balance, setBalance] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isValid = isValidClaimableBalanceId(id);
+
+  useEffect(() => {
+    if (isValid && !networkLoading) {
+      loadData();
+    }
+  }, [id, isValid, network, networkLoading]);
+
+  const loadData = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const entry = await getClaimableBalance(id);
+      if (!entry) {
+        setError('Claimable balance not found (already claimed, clawed back, or never created)');
+        return;
+      }
+      setBalance(entry);
+    } catch (err) {
+      console.warn('Error loading claimable balance:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Whether a claimant can claim right now, from the predicate and the clock
+  const getClaimStatus = (predicate) => {
+    const claimable = evaluateClaimPredicate(predicate, Math.floor(Date.now() / 1000));
+    if (claimable === null) return { label: 'unknown', dotClass: '' };
+    return claimable
+      ? { label: 'claimable now', dotClass: 'success' }
+      : { label: 'not claimable now', dotClass: 'danger' };
+  };
+
+  if (!isValid) {
+    return (
+      <div className="scan-page">
+        <ScanHeader />
+        <p className="error">
+          {!id?.startsWith('B')
+            ? 'Claimable balance view requires a B... balance ID'
+            : `Invalid claimable balance ID: ${id}`}
+        </p>
+        <p>
+          <Link href="/">back to search</Link>
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="scan-page page-cb">
+      <ScanHeader />
+
+      <AddressDisplay address={id} label="Claimable Balance" />
+
+      {loading ? (
+        <>
+          <div className="section-title">Balance</div>
+          <div className="tx-meta">
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Amount</span>
+              <SkeletonText width="120px" />
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Asset</span>
+              <SkeletonText width="100px" />
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Sponsor</span>
+              <SkeletonText width="100px" />
+            </div>
+          </div>
+          <div className="section-title">Claimants</div>
+          <SkeletonActivity count={2} />
+        </>
+      ) : error ? (
+        <p className="error">{formatErrorMessage(error)}</p>
+      ) : (
+        <>
+          <div className="section-title">Balance</div>
+
+          <div className="tx-meta">
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Amount</span>
+              <span className="tx-meta-value">
+                <Amount value={balance.amount} /> {balance.asset.code}
+              </span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Asset</span>
+              <span className="tx-meta-value">
+                <Link href={`/token/${balance.asset.contractId}`}>
+                  {balance.asset.isNative ? 'XLM (native)' : balance.asset.code}
+                </Link>
+                {balance.asset.issuer && (
+                  <> issued by <AddressLink address={balance.asset.issuer} /></>
+                )}
+              </span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Sponsor</span>
+              <span className="tx-meta-value">
+                {balance.sponsor ? <AddressLink address={balance.sponsor} /> : 'none'}
+              </span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Clawback</span>
+              <span className="tx-meta-value">
+                {balance.flagNames.includes('clawback_enabled') ? 'enabled' : 'disabled'}
+              </span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Last Modified</span>
+              <span className="tx-meta-value">ledger {balance.lastModifiedLedger}</span>
+            </div>
+          </div>
+
+          <div className="section-title">Claimants ({balance.claimants.length})</div>
+
+          <div className="card">
+            {balance.claimants.map((claimant, i) => {
+              const status = getClaimStatus(claimant.predicate);
+              return (
+                <div key={i} className="card-item">
+                  <div className="activity-card-header">
+                    <div className="event-type">
+                      <span className={`event-dot ${status.dotClass}`} />
+                      {status.label}
+                    </div>
+                  </div>
+                  <div className="activity-description">
+                    claimable by <AddressLink address={claimant.destination} />{' '}
+                    {describeClaimPredicate(claimant.predicate)}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      <p style={{ marginTop: '24px' }}>
+        <Link href="/">← new search</Link>
+      </p>
+    </div>
+  );
+}
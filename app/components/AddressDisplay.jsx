@@ -10,7 +10,7 @@ import { useNetwork } from './NetworkContext';
  * @param {Object} props
  * @param {string} props.address - The full address to display
  * @param {string} [props.label] - Optional label (e.g., "Account", "Token", "Transaction")
- * @param {string} [props.type] - Override address type for stellar.expert link ('account', 'contract', 'tx')
+ * @param {string} [props.type] - Override address type for stellar.expert link ('account', 'contract', 'tx', 'ledger')
  */
 export default function AddressDisplay({ address, label, type }) {
   const [copied, setCopied] = useState(false);
@@ -25,8 +25,8 @@ export default function AddressDisplay({ address, label, type }) {
 
   // Determine stellar.expert URL using current network from context
   let explorerUrl;
-  if (type === 'tx') {
-    explorerUrl = getStellarExpertUrl('', network).replace(/\/$/, '') + `/tx/${address}`;
+  if (type === 'tx' || type === 'ledger') {
+    explorerUrl = getStellarExpertUrl('', network).replace(/\/$/, '') + `/${type}/${address}`;
   } else {
     explorerUrl = getStellarExpertUrl(address, network);
   }
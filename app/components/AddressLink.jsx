@@ -6,31 +6,35 @@ import {
   shortenAddressSmall,
   getAddressPath,
 } from '@/utils/scan/helpers';
+import { parseMuxedAddress } from '@/utils/scan/validation';
 
 /**
  * Smart address link that routes based on address type
  * - G... addresses -> /account/
+ * - M... addresses -> /account/ (muxed; shown as the base account + mux ID)
  * - C... addresses -> /contract/
  * - L... addresses -> /lp/ (liquidity pools)
- * - B... addresses -> not linked (claimable balance IDs)
+ * - B... addresses -> /cb/ (claimable balances)
  *
  * @param {Object} props
  * @param {string} props.address - The full address
  * @param {string} [props.display] - Optional custom display text
  * @param {boolean} [props.short] - Use shorter format (4..4 vs 6....6)
  * @param {boolean} [props.nested] - Render as span with click navigation (for use inside Link cards)
+ * @param {string} [props.muxId] - Mux ID of a muxed recipient (e.g. CAP-67 to_muxed_id)
  */
-export default function AddressLink({ address, display, short = true, nested = false }) {
+export default function AddressLink({ address, display, short = true, nested = false, muxId }) {
   const router = useRouter();
 
   if (!address) return <span>?</span>;
 
-  const displayText = display || (short ? shortenAddressSmall(address) : address);
+  // Muxed accounts display as their base account plus the mux ID
+  const muxed = parseMuxedAddress(address);
+  const baseAddress = muxed?.baseAddress ?? address;
+  const shownMuxId = muxed?.muxId ?? muxId;
 
-  // B... addresses are claimable balance IDs, not linkable accounts
-  if (address.startsWith('B')) {
-    return <span className="text-secondary">{displayText}</span>;
-  }
+  const displayText = display
+    || `${short ? shortenAddressSmall(baseAddress) : baseAddress}${shownMuxId ? ` (mux ${shownMuxId})` : ''}`;
 
   const href = getAddressPath(address);
 
@@ -40,6 +44,7 @@ export default function AddressLink({ address, display, short = true, nested = f
     return (
       <span
         className="nested-link"
+        title={muxed ? address : undefined}
         onClick={(e) => {
           e.preventDefault();
           e.stopPropagation();
@@ -53,7 +58,7 @@ export default function AddressLink({ address, display, short = true, nested = f
 
   // Standard Link for non-nested usage
   return (
-    <Link href={href}>
+    <Link href={href} title={muxed ? address : undefined}>
       {displayText}
     </Link>
   );
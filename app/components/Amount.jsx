@@ -0,0 +1,32 @@
+'use client';
+
+import { formatRawAmount } from '@/utils/stellar/helpers';
+
+/**
+ * Token amount formatted for display, with the exact value on hover
+ * Rounding and compact notation only affect the visible text; the title
+ * always carries every digit of the raw amount.
+ *
+ * @param {Object} props
+ * @param {bigint|string|number} props.value - Raw integer amount
+ * @param {number} [props.decimals=7] - Token decimals
+ * @param {number} [props.maxFractionDigits=7] - Fraction digits to show
+ * @param {boolean} [props.compact=false] - Abbreviate with K/M/B/T suffixes
+ * @param {string} [props.className] - Extra class for the wrapper span
+ */
+export default function Amount({ value, decimals = 7, maxFractionDigits = 7, compact = false, className }) {
+  let display;
+  let exact;
+  try {
+    exact = formatRawAmount(value, decimals);
+    display = formatRawAmount(value, decimals, { maxFractionDigits, compact });
+  } catch {
+    return <span className={className}>{String(value ?? '?')}</span>;
+  }
+
+  return (
+    <span className={className} title={display !== exact ? exact : undefined}>
+      {display}
+    </span>
+  );
+}
@@ -0,0 +1,78 @@
+'use client';
+
+import { formatScVal } from '@/utils/scan';
+import AddressLink from './AddressLink';
+import DecodedCall from './DecodedCall';
+
+/**
+ * One authorized invocation and, indented below it, the calls it authorizes
+ */
+function Invocation({ invocation, depth }) {
+  return (
+    <>
+      <div className="auth-invocation" style={{ paddingLeft: `${depth * 16}px` }}>
+        {depth > 0 && <span className="text-secondary">└ </span>}
+        {invocation.type === 'invoke' ? (
+          <span className="decoded-call">
+            <AddressLink address={invocation.contractId} />.
+            {invocation.decoded ? (
+              <DecodedCall decoded={invocation.decoded} />
+            ) : (
+              <>{invocation.functionName}({invocation.args.map(formatScVal).join(', ')})</>
+            )}
+          </span>
+        ) : (
+          <span className="decoded-call">
+            create contract ({invocation.executable})
+            {invocation.args.length > 0 && ` with constructor(${invocation.args.map(formatScVal).join(', ')})`}
+          </span>
+        )}
+      </div>
+      {invocation.subInvocations.map((sub, i) => (
+        <Invocation key={i} invocation={sub} depth={depth + 1} />
+      ))}
+    </>
+  );
+}
+
+/**
+ * Soroban authorization entries as trees of authorized calls
+ * Each entry shows who authorizes (the tx source account, or an address
+ * with its nonce and signature expiry) and the invocation tree it covers.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.entries - Parsed entries (see parseAuthEntry); invoke nodes
+ *   carrying a `decoded` call (see getTransactionAuth) show spec-decoded args
+ */
+export default function AuthEntries({ entries }) {
+  if (entries.length === 0) {
+    return <p>no authorization required</p>;
+  }
+
+  return (
+    <div className="card">
+      {entries.map((entry, i) => (
+        <div key={i} className="card-item">
+          <div className="activity-card-header">
+            <div className="event-type">
+              {entry.credentials === 'source_account' ? (
+                'transaction source account'
+              ) : (
+                <>
+                  <AddressLink address={entry.address} />
+                  {!entry.signed && <span className="text-secondary">&nbsp;(unsigned)</span>}
+                </>
+              )}
+            </div>
+            {entry.credentials === 'address' && (
+              <span className="activity-timestamp">
+                nonce {entry.nonce} · expires at ledger {entry.signatureExpirationLedger}
+              </span>
+            )}
+          </div>
+          <Invocation invocation={entry.invocation} depth={0} />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 'use client';
 
 import Link from 'next/link';
+import Amount from './Amount';
 
 /**
  * Display a list of token balances as cards
@@ -10,6 +11,8 @@ import Link from 'next/link';
  * @param {string} props.balances[].contractId - Token contract ID
  * @param {string} props.balances[].symbol - Token symbol
  * @param {string} props.balances[].balance - Formatted balance
+ * @param {string} [props.balances[].rawBalance] - Raw balance; shown with an exact-value tooltip when present
+ * @param {number} [props.balances[].decimals] - Token decimals for rawBalance
  * @param {boolean} [props.balances[].isManual] - Whether this is a manually tracked asset
  * @param {function} [props.onRemove] - Callback when remove is clicked (receives contractId)
  * @param {string} [props.emptyMessage='no token balances found'] - Message when list is empty
@@ -44,7 +47,11 @@ export default function BalanceList({
               </span>
             )}
           </div>
-          <div className="balance-amount">{b.balance}</div>
+          <div className="balance-amount">
+            {b.rawBalance !== undefined
+              ? <Amount value={b.rawBalance} decimals={b.decimals ?? 7} />
+              : b.balance}
+          </div>
         </Link>
       ))}
     </div>
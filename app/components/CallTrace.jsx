@@ -0,0 +1,63 @@
+'use client';
+
+import AddressLink from './AddressLink';
+import DecodedCall from './DecodedCall';
+
+/**
+ * Errors logged by a call, e.g. "Error::LowBalance (Error(Contract, #10)): balance is not sufficient"
+ */
+function TraceErrors({ errors, depth }) {
+  return errors.map((error, i) => (
+    <div key={i} className="call-trace-line error" style={{ paddingLeft: `${depth * 16}px` }}>
+      ✗ {error.name ? `${error.name} (${error.error})` : error.error}
+      {error.message && `: ${error.message}`}
+      {error.details.length > 0 && ` [${error.details.join(', ')}]`}
+    </div>
+  ));
+}
+
+/**
+ * One contract call, its errors and, indented below it, the calls it made
+ */
+function Call({ call, depth }) {
+  return (
+    <>
+      <div className="call-trace-line" style={{ paddingLeft: `${depth * 16}px` }}>
+        {depth > 0 && <span className="text-secondary">└ </span>}
+        <span className={`event-dot ${call.failed ? 'danger' : 'success'}`} />
+        <span className="decoded-call">
+          <AddressLink address={call.contractId} />.<DecodedCall decoded={call.decoded} />
+        </span>
+        {call.returned ? (
+          <span className="text-secondary"> → {call.returnValue}</span>
+        ) : (
+          <span className="error"> failed</span>
+        )}
+      </div>
+      <TraceErrors errors={call.errors} depth={depth + 1} />
+      {call.calls.map((sub, i) => (
+        <Call key={i} call={sub} depth={depth + 1} />
+      ))}
+    </>
+  );
+}
+
+/**
+ * Contract call stack of a Soroban transaction, rebuilt from diagnostic events
+ * Calls that never returned are marked failed, with the errors they logged.
+ *
+ * @param {Object} props
+ * @param {Object} props.trace - From getTransactionCallTrace ({calls, errors})
+ */
+export default function CallTrace({ trace }) {
+  return (
+    <div className="card">
+      <div className="card-item">
+        {trace.calls.map((call, i) => (
+          <Call key={i} call={call} depth={0} />
+        ))}
+        <TraceErrors errors={trace.errors} depth={0} />
+      </div>
+    </div>
+  );
+}
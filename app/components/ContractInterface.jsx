@@ -0,0 +1,122 @@
+'use client';
+
+import { formatSpecType, formatFunctionSignature } from '@/utils/scan';
+
+/**
+ * Contract interface from its contractspecv0 section
+ * Lists functions, then the user-defined types, error codes and events.
+ *
+ * @param {Object} props
+ * @param {Object} props.spec - Parsed spec (see getContractSpec)
+ */
+export default function ContractInterface({ spec }) {
+  const types = [
+    ...spec.structs.map(udt => ({
+      kind: 'struct',
+      name: udt.name,
+      doc: udt.doc,
+      lines: udt.fields.map(f => `${f.name}: ${formatSpecType(f.type)}`),
+    })),
+    ...spec.unions.map(udt => ({
+      kind: 'enum',
+      name: udt.name,
+      doc: udt.doc,
+      lines: udt.cases.map(c => c.types.length > 0
+        ? `${c.name}(${c.types.map(formatSpecType).join(', ')})`
+        : c.name),
+    })),
+    ...spec.enums.map(udt => ({
+      kind: 'enum',
+      name: udt.name,
+      doc: udt.doc,
+      lines: udt.cases.map(c => `${c.name} = ${c.value}`),
+    })),
+  ];
+
+  return (
+    <>
+      <div className="section-title">Functions ({spec.functions.length})</div>
+
+      {spec.functions.length === 0 ? (
+        <p>no functions</p>
+      ) : (
+        <div className="card">
+          {spec.functions.map(fn => (
+            <div key={fn.name} className="card-item">
+              <div className="storage-key">{formatFunctionSignature(fn)}</div>
+              {fn.doc && <div className="activity-description">{fn.doc}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {types.length > 0 && (
+        <>
+          <div className="section-title">Types ({types.length})</div>
+          <div className="card">
+            {types.map(udt => (
+              <div key={udt.name} className="card-item">
+                <div className="storage-key">
+                  <span className="text-secondary">{udt.kind}</span> {udt.name}
+                </div>
+                {udt.doc && <div className="activity-description">{udt.doc}</div>}
+                <div className="storage-value">
+                  {udt.lines.map((line, i) => (
+                    <span key={i} className="tx-meta-line">{line}</span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {spec.errorEnums.length > 0 && (
+        <>
+          <div className="section-title">Errors</div>
+          <div className="card">
+            {spec.errorEnums.map(udt => (
+              <div key={udt.name} className="card-item">
+                <div className="storage-key">{udt.name}</div>
+                <div className="storage-value">
+                  {udt.cases.map(c => (
+                    <span key={c.value} className="tx-meta-line" title={c.doc || undefined}>
+                      #{c.value} {c.name}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {spec.events.length > 0 && (
+        <>
+          <div className="section-title">Events ({spec.events.length})</div>
+          <div className="card">
+            {spec.events.map(event => (
+              <div key={event.name} className="card-item">
+                <div className="storage-key">
+                  {event.name}
+                  {event.prefixTopics.length > 0 && (
+                    <span className="text-secondary"> [{event.prefixTopics.join(', ')}]</span>
+                  )}
+                </div>
+                {event.doc && <div className="activity-description">{event.doc}</div>}
+                <div className="storage-value">
+                  {event.params.map(param => (
+                    <span key={param.name} className="tx-meta-line">
+                      {param.name}: {formatSpecType(param.type)}
+                      {param.location === 'topic' && ' (topic)'}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,34 @@
+'use client';
+
+import AddressLink from './AddressLink';
+
+/**
+ * A decoded contract call or event, e.g. transfer(from: GABC…, to: CDEF…, amount: 12.5 USDC)
+ * Address values link to their pages; everything else is shown in full.
+ *
+ * @param {Object} props
+ * @param {Object} props.decoded - From decodeInvocation / decodeContractEvent
+ * @param {boolean} [props.nested] - Render address links for use inside Link cards
+ */
+export default function DecodedCall({ decoded, nested = false }) {
+  const name = decoded.functionName ?? decoded.name;
+  const params = decoded.args ?? decoded.params;
+
+  return (
+    <span className="decoded-call">
+      {name}(
+      {params.map((param, i) => (
+        <span key={i}>
+          {i > 0 && ', '}
+          {param.name && <span className="text-secondary" title={param.type || undefined}>{param.name}: </span>}
+          {param.address ? (
+            <AddressLink address={param.address} nested={nested} />
+          ) : (
+            param.value
+          )}
+        </span>
+      ))}
+      )
+    </span>
+  );
+}
@@ -0,0 +1,68 @@
+'use client';
+
+import AddressLink from './AddressLink';
+
+/**
+ * One result code with its explanation and likely fix
+ */
+function ResultCode({ label, result }) {
+  return (
+    <div className="card-item">
+      <div className="activity-card-header">
+        <div className="event-type">
+          <span className="event-dot danger" />
+          {label}
+        </div>
+        <span className="storage-key">{result.code} ({result.horizonCode})</span>
+      </div>
+      {result.explanation && <div className="activity-description">{result.explanation}</div>}
+      {result.fix && <div className="text-secondary">Fix: {result.fix}</div>}
+    </div>
+  );
+}
+
+/**
+ * Why a transaction failed: the transaction result code, the failing
+ * operations' codes and the contract errors its diagnostic events logged,
+ * each with an explanation and a likely fix.
+ *
+ * @param {Object} props
+ * @param {Object} props.failure - From getTransactionFailure
+ */
+export default function FailureDiagnosis({ failure }) {
+  const result = failure.inner || failure;
+  const failedOperations = result.operations.filter(op => !op.success);
+
+  return (
+    <div className="card">
+      {failure.inner ? (
+        <ResultCode label="Fee bump inner transaction" result={failure.inner} />
+      ) : (
+        <ResultCode label="Transaction" result={failure} />
+      )}
+      {failedOperations.map(op => (
+        <ResultCode
+          key={op.index}
+          label={`Operation #${op.index + 1}${op.type ? ` (${op.type.replace(/_/g, ' ')})` : ''}`}
+          result={op}
+        />
+      ))}
+      {failure.contractErrors.map((error, i) => (
+        <div key={i} className="card-item">
+          <div className="activity-card-header">
+            <div className="event-type">
+              <span className="event-dot danger" />
+              {error.name || error.error}
+            </div>
+            {error.contractId && <AddressLink address={error.contractId} />}
+          </div>
+          {error.name && <div className="storage-key">{error.error}</div>}
+          {error.doc && <div className="activity-description">{error.doc}</div>}
+          {error.message && <div className="activity-description">{error.message}</div>}
+          <div className="text-secondary">{error.explanation}</div>
+          {error.fix && <div className="text-secondary">Fix: {error.fix}</div>}
+        </div>
+      ))}
+    </div>
+  );
+}
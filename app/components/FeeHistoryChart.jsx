@@ -0,0 +1,47 @@
+'use client';
+
+import { buildChartPoints } from '@/utils/scan';
+import { formatNumber } from '@/utils/scan/helpers';
+
+const WIDTH = 600;
+const HEIGHT = 120;
+
+/**
+ * Line chart of inclusion fees over the session
+ * Plots the median and 90th percentile next to the base fee, all on one
+ * scale starting at zero.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.history - Samples from appendFeeSample, oldest first
+ * @param {'soroban'|'classic'} props.kind - Which distribution to plot
+ */
+export default function FeeHistoryChart({ history, kind }) {
+  if (history.length < 2) {
+    return <p className="text-secondary">collecting samples... the chart fills in as new ledgers close</p>;
+  }
+
+  const p50 = history.map(s => s[kind]?.p50 ?? null);
+  const p90 = history.map(s => s[kind]?.p90 ?? null);
+  const base = history.map(s => s.baseFee);
+  const top = Math.max(0, ...p50, ...p90, ...base) * 1.1;
+
+  return (
+    <>
+      <svg
+        className="fee-chart"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`${kind} inclusion fee history`}
+      >
+        <polyline className="fee-chart-base" points={buildChartPoints(base, WIDTH, HEIGHT, top)} />
+        <polyline className="fee-chart-p90" points={buildChartPoints(p90, WIDTH, HEIGHT, top)} />
+        <polyline className="fee-chart-p50" points={buildChartPoints(p50, WIDTH, HEIGHT, top)} />
+      </svg>
+      <p className="fee-chart-legend">
+        — p50 · - - p90 · thin line: base fee · scale 0–{formatNumber(Math.round(top))} stroops ·
+        ledgers {history[0].ledger}–{history[history.length - 1].ledger}
+      </p>
+    </>
+  );
+}
@@ -0,0 +1,39 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+
+/**
+ * Link to a ledger's page (/ledger/[sequence])
+ *
+ * @param {Object} props
+ * @param {number|string} props.sequence - Ledger sequence
+ * @param {string} [props.display] - Optional custom display text
+ * @param {boolean} [props.nested] - Render as span with click navigation (for use inside Link cards)
+ */
+export default function LedgerLink({ sequence, display, nested = false }) {
+  const router = useRouter();
+
+  if (!sequence) return <span>N/A</span>;
+
+  const href = `/ledger/${sequence}`;
+  const displayText = display || String(sequence);
+
+  // Nested inside a Link card: avoid nested <a> tags and the card's own click
+  if (nested) {
+    return (
+      <span
+        className="nested-link"
+        onClick={(e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          router.push(href);
+        }}
+      >
+        {displayText}
+      </span>
+    );
+  }
+
+  return <Link href={href}>{displayText}</Link>;
+}
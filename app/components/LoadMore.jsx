@@ -0,0 +1,46 @@
+'use client';
+
+import { formatErrorMessage } from '@/utils/scan/helpers';
+
+/**
+ * Footer for paginated activity lists
+ * Reveals already loaded items first ("show more"), then fetches the next
+ * page from the server ("load older") while a continuation cursor remains.
+ *
+ * @param {Object} props
+ * @param {boolean} props.hasHidden - Whether loaded items are still hidden
+ * @param {function} props.onShowMore - Reveal more loaded items
+ * @param {boolean} [props.hasOlder] - Whether an older page can be fetched
+ * @param {function} [props.onLoadOlder] - Fetch the next page
+ * @param {boolean} [props.loading] - Whether the next page is being fetched
+ * @param {string} [props.error] - Error from the last fetch attempt
+ * @param {string} [props.label] - Link text for fetching the next page
+ */
+export default function LoadMore({ hasHidden, onShowMore, hasOlder = false, onLoadOlder, loading = false, error = null, label = 'load older' }) {
+  if (hasHidden) {
+    return (
+      <p style={{ textAlign: 'center' }}>
+        <a href="#" onClick={(e) => { e.preventDefault(); onShowMore(); }}>
+          show more
+        </a>
+      </p>
+    );
+  }
+
+  if (!hasOlder) return null;
+
+  return (
+    <>
+      {error && <p className="error" style={{ textAlign: 'center' }}>{formatErrorMessage(error)}</p>}
+      <p style={{ textAlign: 'center' }}>
+        {loading ? (
+          <span className="text-secondary">loading...</span>
+        ) : (
+          <a href="#" onClick={(e) => { e.preventDefault(); onLoadOlder(); }}>
+            {label}
+          </a>
+        )}
+      </p>
+    </>
+  );
+}
@@ -0,0 +1,158 @@
+'use client';
+
+import { useState } from 'react';
+import {
+  parseRangeInput,
+  resolveLedgerRange,
+  formatLedgerRange,
+  formatErrorMessage,
+} from '@/utils/scan';
+
+/**
+ * Ledger/date range filter for activity lists
+ * Collapsed to a single link until opened. Dates are resolved to ledgers
+ * (using real ledger close times) before onChange is called; errors thrown
+ * by onChange (e.g. the ranged query failing) are shown in the picker.
+ *
+ * @param {Object} props
+ * @param {{startLedger: number, endLedger: number, clamped?: boolean}|null} props.range - Active range
+ * @param {function} props.onChange - Async; called with the resolved range, or null to clear
+ */
+export default function RangePicker({ range, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('ledger');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setBusy(true);
+    try {
+      const resolved = await resolveLedgerRange(parseRangeInput({ mode, from, to }));
+      await onChange(resolved);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClear = async () => {
+    setError(null);
+    setBusy(true);
+    try {
+      await onChange(null);
+      setFrom('');
+      setTo('');
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setFrom('');
+    setTo('');
+    setError(null);
+  };
+
+  if (!open) {
+    return (
+      <>
+        {error && <p className="error">{formatErrorMessage(error)}</p>}
+        <p className="range-summary">
+          {busy ? (
+            <span className="text-secondary">loading...</span>
+          ) : range ? (
+            <>
+              <span>{formatLedgerRange(range)}, oldest first</span>
+              {range.clamped && <span className="text-secondary"> (clamped to RPC retention)</span>}
+              {' | '}
+              <a href="#" onClick={(e) => { e.preventDefault(); setOpen(true); }}>edit</a>
+              {' | '}
+              <a href="#" onClick={(e) => { e.preventDefault(); handleClear(); }}>clear</a>
+            </>
+          ) : (
+            <a href="#" onClick={(e) => { e.preventDefault(); setOpen(true); }}>filter by range</a>
+          )}
+        </p>
+      </>
+    );
+  }
+
+  const inputType = mode === 'date' ? 'datetime-local' : 'text';
+  const inputMode = mode === 'ledger' ? 'numeric' : undefined;
+
+  return (
+    <form className="range-picker" onSubmit={handleApply}>
+      <div className="range-picker-modes">
+        <a
+          href="#"
+          className={mode === 'ledger' ? 'active' : ''}
+          onClick={(e) => { e.preventDefault(); switchMode('ledger'); }}
+        >
+          ledgers
+        </a>
+        {' | '}
+        <a
+          href="#"
+          className={mode === 'date' ? 'active' : ''}
+          onClick={(e) => { e.preventDefault(); switchMode('date'); }}
+        >
+          dates
+        </a>
+      </div>
+      <div className="range-picker-inputs">
+        <div className="form-group">
+          <label htmlFor="range-from">from</label>
+          <input
+            id="range-from"
+            type={inputType}
+            inputMode={inputMode}
+            placeholder={mode === 'ledger' ? 'oldest retained' : undefined}
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            disabled={busy}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="range-to">to</label>
+          <input
+            id="range-to"
+            type={inputType}
+            inputMode={inputMode}
+            placeholder={mode === 'ledger' ? 'latest' : undefined}
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            disabled={busy}
+          />
+        </div>
+      </div>
+      {error && <p className="error">{formatErrorMessage(error)}</p>}
+      <p className="range-picker-actions">
+        {busy ? (
+          <span className="text-secondary">loading...</span>
+        ) : (
+          <>
+            <button type="submit" className="link-button">apply</button>
+            {' | '}
+            <a href="#" onClick={(e) => { e.preventDefault(); setOpen(false); setError(null); }}>cancel</a>
+            {range && (
+              <>
+                {' | '}
+                <a href="#" onClick={(e) => { e.preventDefault(); handleClear(); }}>clear</a>
+              </>
+            )}
+          </>
+        )}
+      </p>
+    </form>
+  );
+}
@@ -0,0 +1,314 @@
+'use client';
+
+import { useState } from 'react';
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  simulateContractCall,
+  encodeXdr,
+  parseSpecInput,
+  isTextInput,
+  formatSpecType,
+  decodeReturnValue,
+  decodeContractEvent,
+  formatScVal,
+  formatErrorMessage,
+  formatNumber,
+} from '@/utils/scan';
+import { formatRawAmount } from '@/utils/stellar/amount';
+import DecodedCall from './DecodedCall';
+
+/**
+ * "Read contract" panel: call a function through simulation
+ * Nothing is signed or submitted. Argument inputs come from the contract
+ * spec; raw mode takes a function name and a JSON array of ScVals
+ * (stellar-xdr-json format) for contracts without a spec.
+ *
+ * @param {Object} props
+ * @param {string} props.contractId - The C... contract address
+ * @param {Object|null} props.spec - Parsed spec (see getContractSpec)
+ */
+export default function ReadContract({ contractId, spec }) {
+  const functions = (spec?.functions || []).filter(fn => !fn.name.startsWith('__'));
+
+  const [mode, setMode] = useState(functions.length > 0 ? 'form' : 'raw');
+  const [functionName, setFunctionName] = useState(functions[0]?.name || '');
+  const [inputs, setInputs] = useState({});
+  const [rawArgs, setRawArgs] = useState('[]');
+  const [argErrors, setArgErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null); // { functionName, ...simulation summary }
+
+  const fn = mode === 'form' ? functions.find(f => f.name === functionName) : null;
+
+  const selectFunction = (name) => {
+    setFunctionName(name);
+    setInputs({});
+    setArgErrors({});
+    setResult(null);
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setArgErrors({});
+    setError(null);
+    setResult(null);
+  };
+
+  // Encode the form (or raw JSON) into ScVals, reporting per-argument errors
+  const encodeArgs = async () => {
+    if (mode === 'raw') {
+      let values;
+      try {
+        values = JSON.parse(rawArgs);
+      } catch {
+        throw new Error('Arguments must be a JSON array of ScVals');
+      }
+      if (!Array.isArray(values)) {
+        throw new Error('Arguments must be a JSON array of ScVals');
+      }
+      return Promise.all(values.map(async (value, i) => {
+        try {
+          return StellarSdk.xdr.ScVal.fromXDR(await encodeXdr('ScVal', value), 'base64');
+        } catch (err) {
+          throw new Error(`Argument ${i + 1}: ${err.message || err}`);
+        }
+      }));
+    }
+
+    const errors = {};
+    const args = fn.inputs.map(input => {
+      try {
+        return parseSpecInput(input.type, inputs[input.name] ?? '', spec);
+      } catch (err) {
+        errors[input.name] = err.message;
+        return null;
+      }
+    });
+    setArgErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      throw new Error('Fix the highlighted arguments');
+    }
+    return args;
+  };
+
+  const handleCall = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setResult(null);
+
+    const name = functionName.trim();
+    if (!name) {
+      setError('Function name is required');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const args = await encodeArgs();
+      const simulation = await simulateContractCall(contractId, name, args);
+      setResult({ functionName: name, ...simulation });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const contractEvents = result ? result.events.filter(event => event.type === 'contract') : [];
+
+  return (
+    <>
+      <form className="contract-form" onSubmit={handleCall}>
+        <div className="range-picker-modes">
+          {functions.length > 0 ? (
+            <a
+              href="#"
+              className={mode === 'form' ? 'active' : ''}
+              onClick={(e) => { e.preventDefault(); switchMode('form'); }}
+            >
+              form
+            </a>
+          ) : (
+            <span className="text-secondary">no spec</span>
+          )}
+          {' | '}
+          <a
+            href="#"
+            className={mode === 'raw' ? 'active' : ''}
+            onClick={(e) => { e.preventDefault(); switchMode('raw'); }}
+          >
+            raw ScVal JSON
+          </a>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="read-function">function</label>
+          {mode === 'form' ? (
+            <select
+              id="read-function"
+              value={functionName}
+              onChange={(e) => selectFunction(e.target.value)}
+              disabled={busy}
+            >
+              {functions.map(f => (
+                <option key={f.name} value={f.name}>{f.name}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              id="read-function"
+              type="text"
+              placeholder="e.g. balance"
+              value={functionName}
+              onChange={(e) => setFunctionName(e.target.value)}
+              disabled={busy}
+            />
+          )}
+          {fn?.doc && <small>{fn.doc}</small>}
+        </div>
+
+        {fn?.inputs.map(input => (
+          <div key={input.name} className="form-group">
+            <label htmlFor={`read-arg-${input.name}`}>
+              {input.name}: {formatSpecType(input.type)}
+            </label>
+            {input.type.type === 'bool' ? (
+              <select
+                id={`read-arg-${input.name}`}
+                value={inputs[input.name] ?? ''}
+                onChange={(e) => setInputs(prev => ({ ...prev, [input.name]: e.target.value }))}
+                disabled={busy}
+              >
+                <option value="" disabled>choose</option>
+                <option value="true">true</option>
+                <option value="false">false</option>
+              </select>
+            ) : isTextInput(input.type) ? (
+              <input
+                id={`read-arg-${input.name}`}
+                type="text"
+                placeholder={input.type.type === 'option' ? 'empty for None' : undefined}
+                value={inputs[input.name] ?? ''}
+                onChange={(e) => setInputs(prev => ({ ...prev, [input.name]: e.target.value }))}
+                disabled={busy}
+              />
+            ) : (
+              <textarea
+                id={`read-arg-${input.name}`}
+                rows={3}
+                placeholder="JSON"
+                value={inputs[input.name] ?? ''}
+                onChange={(e) => setInputs(prev => ({ ...prev, [input.name]: e.target.value }))}
+                disabled={busy}
+              />
+            )}
+            {input.doc && <small>{input.doc}</small>}
+            {argErrors[input.name] && <p className="error">{argErrors[input.name]}</p>}
+          </div>
+        ))}
+
+        {mode === 'raw' && (
+          <div className="form-group">
+            <label htmlFor="read-raw-args">arguments</label>
+            <textarea
+              id="read-raw-args"
+              rows={4}
+              placeholder='[{"address": "G..."}, {"i128": "1000"}]'
+              value={rawArgs}
+              onChange={(e) => setRawArgs(e.target.value)}
+              disabled={busy}
+            />
+          </div>
+        )}
+
+        {error && <p className="error">{formatErrorMessage(error)}</p>}
+        <p className="range-picker-actions">
+          {busy ? (
+            <span className="text-secondary">simulating...</span>
+          ) : (
+            <button type="submit" className="link-button">simulate call</button>
+          )}
+        </p>
+      </form>
+
+      {result && (
+        <>
+          <div className="section-title">Result</div>
+          <div className="tx-meta">
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Status</span>
+              <span className="tx-meta-value">
+                <span className={`event-dot ${result.success ? 'success' : 'danger'}`} />
+                {result.success ? 'success' : 'failed'}
+                {result.restoreRequired && ' (needs archived entries restored)'}
+              </span>
+            </div>
+            {result.success && (
+              <div className="tx-meta-item tx-meta-full">
+                <span className="tx-meta-label">Return Value</span>
+                <span className="tx-meta-value storage-value">
+                  {decodeReturnValue(spec, result.functionName, result.returnValue)}
+                </span>
+              </div>
+            )}
+            {result.error && (
+              <div className="tx-meta-item tx-meta-full">
+                <span className="tx-meta-label">Error</span>
+                <span className="tx-meta-value storage-value">{result.error}</span>
+              </div>
+            )}
+            {result.resources && (
+              <>
+                <div className="tx-meta-item">
+                  <span className="tx-meta-label">Instructions</span>
+                  <span className="tx-meta-value">{formatNumber(result.resources.instructions)}</span>
+                </div>
+                <div className="tx-meta-item">
+                  <span className="tx-meta-label">Read / Write Bytes</span>
+                  <span className="tx-meta-value">
+                    {formatNumber(result.resources.diskReadBytes)} / {formatNumber(result.resources.writeBytes)}
+                  </span>
+                </div>
+                <div className="tx-meta-item">
+                  <span className="tx-meta-label">Entries Read / Written</span>
+                  <span className="tx-meta-value">
+                    {result.resources.readEntries} / {result.resources.writeEntries}
+                  </span>
+                </div>
+                <div className="tx-meta-item">
+                  <span className="tx-meta-label">Min Resource Fee</span>
+                  <span className="tx-meta-value">{formatRawAmount(result.minResourceFee, 7)} XLM</span>
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="section-title">Events ({contractEvents.length})</div>
+          {contractEvents.length === 0 ? (
+            <p>no contract events</p>
+          ) : (
+            <div className="card">
+              {contractEvents.map((event, i) => {
+                const decoded = event.contractId === contractId
+                  ? decodeContractEvent(spec, event.topics, event.data)
+                  : null;
+                return (
+                  <div key={i} className="card-item">
+                    {decoded ? (
+                      <DecodedCall decoded={decoded} />
+                    ) : (
+                      <div className="storage-value">
+                        [{event.topics.map(formatScVal).join(', ')}] {formatScVal(event.data)}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+}
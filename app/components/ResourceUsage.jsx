@@ -0,0 +1,97 @@
+'use client';
+
+import { formatNumber } from '@/utils/scan';
+import { formatRawAmount } from '@/utils/stellar/amount';
+
+const show = (value) => (value === null ? '—' : formatNumber(value));
+const xlm = (stroops) => (stroops === null ? '—' : `${formatRawAmount(stroops, 7)} XLM`);
+const percent = (value) => (value === null ? '—' : `${value.toFixed(1)}%`);
+
+/**
+ * Declared vs consumed Soroban resources and the resource fee split
+ * Consumption and charged fees are blank when the RPC returned no
+ * diagnostic events or meta for them.
+ *
+ * @param {Object} props
+ * @param {Object} props.usage - From getTransactionResources ({resources, fees})
+ */
+export default function ResourceUsage({ usage }) {
+  const { resources, fees } = usage;
+
+  return (
+    <div className="card">
+      <div className="card-item">
+        <table className="resource-table">
+          <thead>
+            <tr>
+              <th>Resource</th>
+              <th>Declared</th>
+              <th>Consumed</th>
+              <th>Utilization</th>
+            </tr>
+          </thead>
+          <tbody>
+            {resources.map(row => (
+              <tr key={row.name}>
+                <td>{row.name}</td>
+                <td>{show(row.declared)}</td>
+                <td>{show(row.consumed)}</td>
+                <td className={row.utilization > 100 ? 'error' : undefined}>{percent(row.utilization)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="card-item">
+        <table className="resource-table">
+          <thead>
+            <tr>
+              <th>Fee</th>
+              <th>Declared</th>
+              <th>Charged</th>
+              <th>Utilization</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>Inclusion fee</td>
+              <td>{xlm(fees.inclusionFeeBid)}</td>
+              <td>{xlm(fees.inclusionFee)}</td>
+              <td>—</td>
+            </tr>
+            <tr>
+              <td>Non-refundable resource fee</td>
+              <td>{xlm(fees.nonRefundable)}</td>
+              <td>{xlm(fees.nonRefundable)}</td>
+              <td>—</td>
+            </tr>
+            <tr>
+              <td>Refundable resource fee</td>
+              <td>{xlm(fees.maxRefundable)}</td>
+              <td>{xlm(fees.refundable)}</td>
+              <td>{percent(fees.refundableUtilization)}</td>
+            </tr>
+            <tr>
+              <td className="text-secondary">└ rent</td>
+              <td>—</td>
+              <td>{xlm(fees.rent)}</td>
+              <td>—</td>
+            </tr>
+            <tr>
+              <td>Refund (fee event)</td>
+              <td>—</td>
+              <td className="activity-amount positive">{xlm(fees.refund)}</td>
+              <td>—</td>
+            </tr>
+            <tr>
+              <td>Total</td>
+              <td>{xlm(fees.maxFee)}</td>
+              <td>{xlm(fees.feeCharged)}</td>
+              <td>—</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
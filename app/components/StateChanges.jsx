@@ -0,0 +1,53 @@
+'use client';
+
+const DOT_CLASSES = { created: 'success', deleted: 'danger', updated: '', restored: '' };
+
+// Missing fields (created/deleted entries) and empty strings both need a mark
+const show = (value) => (value === null ? '∅' : value || '—');
+
+function scopeLabel(change) {
+  if (change.scope === 'operation') return `op #${change.operationIndex + 1}`;
+  return change.scope === 'before' ? 'before operations' : 'after operations';
+}
+
+/**
+ * Ledger entries a transaction changed, with before/after field diffs
+ * Changed fields of updated entries are highlighted; all other fields use the
+ * secondary text color.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.changes - From getTransactionStateChanges
+ */
+export default function StateChanges({ changes }) {
+  if (changes.length === 0) {
+    return <p>no state changes</p>;
+  }
+
+  return (
+    <div className="card">
+      {changes.map((change, i) => (
+        <div key={i} className="card-item">
+          <div className="activity-card-header">
+            <div className="event-type">
+              <span className={`event-dot ${DOT_CLASSES[change.type]}`} />
+              {change.type} {change.key.type.replace(/_/g, ' ')}
+            </div>
+            <span className="activity-timestamp">{scopeLabel(change)}</span>
+          </div>
+          <div className="storage-key">{change.key.label}</div>
+          {change.fields.map(field => (
+            <div
+              key={field.name}
+              className={`state-diff-field${change.type === 'updated' && field.changed ? ' changed' : ''}`}
+            >
+              <span className="text-secondary">{field.name}: </span>
+              {change.type === 'updated' && field.changed
+                ? `${show(field.before)} → ${show(field.after)}`
+                : show(field.after ?? field.before)}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
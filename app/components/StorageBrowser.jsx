@@ -0,0 +1,262 @@
+'use client';
+
+import { useState } from 'react';
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  getContractData,
+  encodeXdr,
+  parseSpecInput,
+  isTextInput,
+  formatSpecType,
+  formatSpecValue,
+  formatScVal,
+  estimateTtl,
+  formatErrorMessage,
+  formatNumber,
+} from '@/utils/scan';
+import { formatDuration } from '@/utils/scan/helpers';
+
+// Key types offered besides the spec's own types
+const PRIMITIVE_KEY_TYPES = ['symbol', 'string', 'address', 'u32', 'u64', 'i128', 'bytes'];
+
+/**
+ * Key types for the builder: the spec's user-defined types (DataKey enums
+ * and the like), common primitives, and raw ScVal JSON
+ * @returns {Array<{id: string, label: string, type: object|null}>}
+ */
+function getKeyTypes(spec) {
+  const udts = [...(spec?.unions || []), ...(spec?.structs || []), ...(spec?.enums || [])]
+    .filter(udt => !udt.lib)
+    .map(udt => ({ id: `udt:${udt.name}`, label: udt.name, type: { type: 'udt', name: udt.name } }));
+  return [
+    ...udts,
+    ...PRIMITIVE_KEY_TYPES.map(name => ({ id: name, label: name, type: { type: name } })),
+    { id: 'raw', label: 'raw ScVal JSON', type: null },
+  ];
+}
+
+// Placeholder showing how a key of this type is entered
+function keyPlaceholder(keyType, spec) {
+  if (!keyType.type) return '{"symbol": "Admin"}';
+  const union = spec?.unions.find(u => u.name === keyType.type.name);
+  if (union) {
+    const unionCase = union.cases.find(c => c.types.length > 0) || union.cases[0];
+    return unionCase.types.length > 0
+      ? `["${unionCase.name}", ${unionCase.types.map(t => `<${formatSpecType(t)}>`).join(', ')}]`
+      : `"${unionCase.name}"`;
+  }
+  return isTextInput(keyType.type) ? undefined : 'JSON';
+}
+
+// "~3 days left (51,840 ledgers)", or archived/expired once the TTL has run out
+function formatTimeToArchive({ durability, liveUntilLedgerSeq, latestLedger }) {
+  if (!liveUntilLedgerSeq) return 'unknown';
+  const { ledgersLeft, secondsLeft, expired } = estimateTtl(liveUntilLedgerSeq, latestLedger);
+  if (expired) {
+    return durability === 'temporary'
+      ? 'expired (temporary entries are deleted)'
+      : 'archived (must be restored before use)';
+  }
+  return `~${formatDuration(secondsLeft)} left (${formatNumber(ledgersLeft)} ledgers)`;
+}
+
+/**
+ * Contract storage browser
+ * Lists instance storage and looks up persistent/temporary entries by key.
+ * Keys are built from the contract spec's types (or raw ScVal JSON) and read
+ * with getLedgerEntries, showing each entry's value and TTL.
+ *
+ * @param {Object} props
+ * @param {string} props.contractId - The C... contract address
+ * @param {Object|null} props.instance - Instance entry (see getContractInstance)
+ * @param {Object|null} props.spec - Parsed spec (see getContractSpec)
+ */
+export default function StorageBrowser({ contractId, instance, spec }) {
+  const keyTypes = getKeyTypes(spec);
+
+  const [keyTypeId, setKeyTypeId] = useState(keyTypes[0].id);
+  const [keyText, setKeyText] = useState('');
+  const [durability, setDurability] = useState('persistent'); // 'persistent' | 'temporary' | 'both'
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [results, setResults] = useState([]); // Newest lookup first
+
+  const keyType = keyTypes.find(t => t.id === keyTypeId) || keyTypes[0];
+
+  const formatKey = (key, type) => (type ? formatSpecValue(type, key, spec) : formatScVal(key));
+
+  // Build the key ScVal from the input
+  const buildKey = async () => {
+    if (keyType.type) {
+      return parseSpecInput(keyType.type, keyText, spec);
+    }
+    let value;
+    try {
+      value = JSON.parse(keyText);
+    } catch {
+      throw new Error('Key must be a ScVal in JSON, e.g. {"symbol": "Admin"}');
+    }
+    return StellarSdk.xdr.ScVal.fromXDR(await encodeXdr('ScVal', value), 'base64');
+  };
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setBusy(true);
+
+    try {
+      const key = await buildKey();
+      const durabilities = durability === 'both' ? ['persistent', 'temporary'] : [durability];
+      const entries = await getContractData(contractId, durabilities.map(d => ({ key, durability: d })));
+      const looked = entries.map(entry => ({
+        ...entry,
+        id: `${entry.durability}:${key.toXDR('base64')}`,
+        keyType: keyType.type,
+      }));
+
+      // A repeated lookup replaces the earlier result for the same key
+      setResults(prev => [...looked, ...prev.filter(r => !looked.some(l => l.id === r.id))]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="section-title">Instance Storage</div>
+
+      {!instance ? (
+        <p>contract instance not found (not deployed, or archived)</p>
+      ) : (
+        <>
+          <p className="text-secondary">
+            {instance.storage.length} {instance.storage.length === 1 ? 'entry' : 'entries'}, live with the instance:{' '}
+            {formatTimeToArchive({ durability: 'persistent', ...instance })}
+          </p>
+          {instance.storage.length > 0 && (
+            <div className="card">
+              {instance.storage.map((item, i) => (
+                <div key={i} className="card-item">
+                  <div className="storage-key">{formatScVal(item.key)}</div>
+                  <div className="storage-value">{formatScVal(item.value)}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="section-title">Look Up Entry</div>
+
+      <form className="contract-form" onSubmit={handleLookup}>
+        <div className="form-group">
+          <label htmlFor="storage-durability">durability</label>
+          <select
+            id="storage-durability"
+            value={durability}
+            onChange={(e) => setDurability(e.target.value)}
+            disabled={busy}
+          >
+            <option value="persistent">persistent</option>
+            <option value="temporary">temporary</option>
+            <option value="both">both</option>
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="storage-key-type">key type</label>
+          <select
+            id="storage-key-type"
+            value={keyType.id}
+            onChange={(e) => { setKeyTypeId(e.target.value); setError(null); }}
+            disabled={busy}
+          >
+            {keyTypes.map(t => (
+              <option key={t.id} value={t.id}>{t.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="storage-key">key</label>
+          {keyType.type && isTextInput(keyType.type) ? (
+            <input
+              id="storage-key"
+              type="text"
+              placeholder={keyPlaceholder(keyType, spec)}
+              value={keyText}
+              onChange={(e) => setKeyText(e.target.value)}
+              disabled={busy}
+            />
+          ) : (
+            <textarea
+              id="storage-key"
+              rows={3}
+              placeholder={keyPlaceholder(keyType, spec)}
+              value={keyText}
+              onChange={(e) => setKeyText(e.target.value)}
+              disabled={busy}
+            />
+          )}
+        </div>
+
+        {error && <p className="error">{formatErrorMessage(error)}</p>}
+        <p className="range-picker-actions">
+          {busy ? (
+            <span className="text-secondary">looking up...</span>
+          ) : (
+            <>
+              <button type="submit" className="link-button">look up</button>
+              {results.length > 0 && (
+                <>
+                  {' | '}
+                  <button type="button" className="link-button" onClick={() => setResults([])}>clear</button>
+                </>
+              )}
+            </>
+          )}
+        </p>
+      </form>
+
+      {results.length > 0 && (
+        <div className="card">
+          {results.map(entry => (
+            <div key={entry.id} className="card-item">
+              <div className="storage-key">{formatKey(entry.key, entry.keyType)}</div>
+              {entry.found ? (
+                <>
+                  <div className="storage-value">{formatScVal(entry.value)}</div>
+                  <div className="tx-meta">
+                    <div className="tx-meta-item">
+                      <span className="tx-meta-label">Durability</span>
+                      <span className="tx-meta-value">{entry.durability}</span>
+                    </div>
+                    <div className="tx-meta-item">
+                      <span className="tx-meta-label">Live Until</span>
+                      <span className="tx-meta-value">ledger {entry.liveUntilLedgerSeq ?? 'unknown'}</span>
+                    </div>
+                    <div className="tx-meta-item">
+                      <span className="tx-meta-label">Time to Archive</span>
+                      <span className="tx-meta-value">{formatTimeToArchive(entry)}</span>
+                    </div>
+                    <div className="tx-meta-item">
+                      <span className="tx-meta-label">Last Modified</span>
+                      <span className="tx-meta-value">ledger {entry.lastModifiedLedger}</span>
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <div className="storage-value">
+                  no {entry.durability} entry (never written,{' '}
+                  {entry.durability === 'temporary' ? 'or expired' : 'or archived and evicted'})
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
@@ -6,7 +6,21 @@
 export { default as ScanHeader } from './ScanHeader';
 export { default as AddressDisplay } from './AddressDisplay';
 export { default as AddressLink } from './AddressLink';
+export { default as LedgerLink } from './LedgerLink';
+export { default as Amount } from './Amount';
 export { default as BalanceList } from './BalanceList';
+export { default as ContractInterface } from './ContractInterface';
+export { default as DecodedCall } from './DecodedCall';
+export { default as AuthEntries } from './AuthEntries';
+export { default as CallTrace } from './CallTrace';
+export { default as StateChanges } from './StateChanges';
+export { default as FailureDiagnosis } from './FailureDiagnosis';
+export { default as ResourceUsage } from './ResourceUsage';
+export { default as ReadContract } from './ReadContract';
+export { default as StorageBrowser } from './StorageBrowser';
+export { default as LoadMore } from './LoadMore';
+export { default as RangePicker } from './RangePicker';
+export { default as FeeHistoryChart } from './FeeHistoryChart';
 export { default as NetworkSelector } from './NetworkSelector';
 export { default as ThemeToggle } from './ThemeToggle';
 export { NetworkProvider, useNetwork } from './NetworkContext';
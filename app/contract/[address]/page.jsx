@@ -5,14 +5,22 @@ import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import {
   isValidAddress,
-  getTokenBalance,
+  getTokenBalances,
   getTokenMetadata,
+  getContractInstance,
+  getContractCode,
+  estimateTtl,
+  formatScVal,
+  STELLAR_ASSET_SPEC,
   getContractInvocations,
+  getContractInvocationsInRange,
   getRecentTransfers,
+  getRecentTransfersInRange,
   extractContractIds,
   cacheSacMetadata,
+  mergeActivity,
 } from '@/utils/scan';
-import { rawToDisplay, formatTokenBalance } from '@/utils/stellar/helpers';
+import { formatRawAmount } from '@/utils/stellar/helpers';
 import {
   formatRelativeTime,
   formatTopicValue,
@@ -20,8 +28,25 @@ import {
   formatErrorMessage,
   parseAssetName,
   formatNumber,
+  formatDuration,
 } from '@/utils/scan/helpers';
-import { useNetwork, ScanHeader, AddressDisplay, AddressLink, SkeletonActivity, SkeletonBalance } from '@/app/components';
+import {
+  useNetwork,
+  ScanHeader,
+  AddressDisplay,
+  AddressLink,
+  LedgerLink,
+  Amount,
+  LoadMore,
+  RangePicker,
+  SkeletonActivity,
+  SkeletonBalance,
+  SkeletonText,
+  ContractInterface,
+  DecodedCall,
+  ReadContract,
+  StorageBrowser,
+} from '@/app/components';
 import '@/app/scan.css';
 
 export default function ContractPage({ params }) {
@@ -36,31 +61,86 @@ export default function ContractPage({ params }) {
   const [error, setError] = useState(null);
   const [visibleTransfers, setVisibleTransfers] = useState(10);
   const [visibleInvocations, setVisibleInvocations] = useState(10);
+  const [transfersCursor, setTransfersCursor] = useState(null);
+  const [invocationsCursor, setInvocationsCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(null); // 'transfers' | 'invocations' | null
+  const [olderError, setOlderError] = useState({});
+  const [range, setRange] = useState(null); // Optional ledger range filter
+  const [activityLoading, setActivityLoading] = useState(false);
+  const [contractInfo, setContractInfo] = useState(null); // { instance, code } from ledger entries
+  const [contractInfoLoading, setContractInfoLoading] = useState(true);
+  const [contractInfoError, setContractInfoError] = useState(null);
+  const [tab, setTab] = useState('overview'); // 'overview' | 'interface' | 'read' | 'storage'
 
   const isContract = address?.startsWith('C');
   const isValid = isValidAddress(address) && isContract;
 
   useEffect(() => {
     if (isValid && !networkLoading) {
-      loadData();
+      // Ledger ranges don't carry over between contracts or networks
+      setRange(null);
+      loadData(null);
+      loadContractInfo();
     }
   }, [address, isValid, network, networkLoading]);
 
-  const loadData = async () => {
+  // Fetch the instance entry, then the Wasm code it points to
+  const loadContractInfo = async () => {
+    setContractInfoLoading(true);
+    setContractInfoError(null);
+
+    try {
+      const instance = await getContractInstance(address);
+      const code = instance?.executable.type === 'wasm'
+        ? await getContractCode(instance.executable.wasmHash)
+        : null;
+      setContractInfo(instance ? { instance, code } : null);
+    } catch (err) {
+      console.warn('Error loading contract info:', err);
+      setContractInfo(null);
+      setContractInfoError(err.message);
+    } finally {
+      setContractInfoLoading(false);
+    }
+  };
+
+  // "ledger N (~3 days left)" for an entry's TTL
+  const formatTtl = ({ liveUntilLedgerSeq, latestLedger }) => {
+    if (!liveUntilLedgerSeq) return 'unknown';
+    const { secondsLeft, expired } = estimateTtl(liveUntilLedgerSeq, latestLedger);
+    return expired
+      ? `ledger ${liveUntilLedgerSeq} (archived)`
+      : `ledger ${liveUntilLedgerSeq} (~${formatDuration(secondsLeft)} left)`;
+  };
+
+  // Ranged feeds read oldest first; the default feeds read newest first
+  const fetchTransfers = (activeRange, pageCursor = null) => activeRange
+    ? getRecentTransfersInRange(address, activeRange, 200, pageCursor)
+    : getRecentTransfers(address, 200, pageCursor);
+
+  const fetchInvocations = (activeRange, pageCursor = null) => activeRange
+    ? getContractInvocationsInRange(address, activeRange, 200, pageCursor)
+    : getContractInvocations(address, 200, pageCursor);
+
+  const loadData = async (activeRange = range) => {
     setLoading(true);
     setError(null);
     setVisibleTransfers(10);
     setVisibleInvocations(10);
+    setOlderError({});
 
     try {
       // Fetch transfers and invocations in parallel
-      const [transferList, invocationList] = await Promise.all([
-        getRecentTransfers(address),
-        getContractInvocations(address),
+      const [transferPage, invocationPage] = await Promise.all([
+        fetchTransfers(activeRange),
+        fetchInvocations(activeRange),
       ]);
+      const transferList = transferPage.activity;
 
       setTransfers(transferList);
-      setInvocations(invocationList);
+      setTransfersCursor(transferPage.cursor);
+      setInvocations(invocationPage.activity);
+      setInvocationsCursor(invocationPage.cursor);
 
       // Extract unique contract IDs from transfers to get token metadata
       const contractIds = extractContractIds(transferList);
@@ -78,55 +158,34 @@ export default function ContractPage({ params }) {
       }
 
       if (contractIds.length > 0) {
-        // Fetch metadata and balances for each token in parallel
+        // Fetch all balances in one batch, and metadata for non-SAC tokens
         // For SAC tokens (with cached metadata), skip metadata fetch
-        const tokenData = await Promise.all(
-          contractIds.map(async (contractId) => {
-            const cachedSac = sacMetadataCache[contractId];
-
+        const [rawBalances, metadataList] = await Promise.all([
+          getTokenBalances(address, contractIds),
+          Promise.all(contractIds.map(async (contractId) => {
+            if (sacMetadataCache[contractId]) return sacMetadataCache[contractId];
             try {
-              if (cachedSac) {
-                // SAC token - we already have metadata, only fetch balance
-                const rawBalance = await getTokenBalance(address, contractId);
-                const displayBalance = rawToDisplay(rawBalance, 7);
-                return {
-                  contractId,
-                  symbol: cachedSac.symbol,
-                  name: cachedSac.name || cachedSac.symbol,
-                  rawBalance,
-                  balance: formatTokenBalance(displayBalance, 7),
-                  decimals: 7,
-                };
-              }
-
-              // Non-SAC token - fetch both metadata and balance
-              const [metadata, rawBalance] = await Promise.all([
-                getTokenMetadata(contractId),
-                getTokenBalance(address, contractId),
-              ]);
-              const decimals = metadata.decimals ?? 7;
-              const displayBalance = rawToDisplay(rawBalance, decimals);
-              return {
-                contractId,
-                symbol: metadata.symbol === 'native' ? 'XLM' : metadata.symbol,
-                name: metadata.name,
-                rawBalance,
-                balance: formatTokenBalance(displayBalance, decimals),
-                decimals,
-              };
+              return await getTokenMetadata(contractId);
             } catch (e) {
               console.log(`Token data unavailable for ${contractId}`);
-              return {
-                contractId,
-                symbol: cachedSac?.symbol || '???',
-                name: cachedSac?.name || cachedSac?.symbol || 'Unknown',
-                rawBalance: '0',
-                balance: '0',
-                decimals: 7,
-              };
+              return null;
             }
-          })
-        );
+          })),
+        ]);
+
+        const tokenData = contractIds.map((contractId, i) => {
+          const metadata = metadataList[i] || { symbol: '???', name: 'Unknown', decimals: 7 };
+          const decimals = metadata.decimals ?? 7;
+          const rawBalance = rawBalances[contractId] ?? '0';
+          return {
+            contractId,
+            symbol: metadata.symbol === 'native' ? 'XLM' : metadata.symbol,
+            name: metadata.name || metadata.symbol,
+            rawBalance,
+            balance: formatRawAmount(rawBalance, decimals),
+            decimals,
+          };
+        });
 
         // Build token info lookup map
         const infoMap = {};
@@ -151,11 +210,93 @@ export default function ContractPage({ params }) {
     }
   };
 
-  const formatAmount = (amount, contractId) => {
-    const info = tokenInfo[contractId];
-    const decimals = info?.decimals ?? 7;
-    const displayAmount = rawToDisplay(amount, decimals);
-    return formatTokenBalance(displayAmount, decimals);
+  // Resolve symbols/decimals for tokens introduced by a newly loaded page
+  const resolveNewTokens = async (activity) => {
+    for (const t of activity) {
+      if (t.sacSymbol && t.contractId) {
+        cacheSacMetadata(t.contractId, t.sacSymbol, t.sacName);
+      }
+    }
+    const unknownIds = extractContractIds(activity.filter(t => !t.sacSymbol))
+      .filter(id => !tokenInfo[id]);
+    const entries = await Promise.all(
+      unknownIds.map(async (contractId) => {
+        try {
+          const metadata = await getTokenMetadata(contractId);
+          const symbol = metadata.symbol === 'native' ? 'XLM' : metadata.symbol;
+          return [contractId, { symbol, decimals: metadata.decimals ?? 7 }];
+        } catch {
+          return [contractId, { symbol: '???', decimals: 7 }];
+        }
+      })
+    );
+    setTokenInfo(prev => ({ ...prev, ...Object.fromEntries(entries) }));
+  };
+
+  // Reload both feeds for a new range, keeping balances in place;
+  // errors are shown by the picker
+  const applyRange = async (nextRange) => {
+    setActivityLoading(true);
+    try {
+      const [transferPage, invocationPage] = await Promise.all([
+        fetchTransfers(nextRange),
+        fetchInvocations(nextRange),
+      ]);
+      await resolveNewTokens(transferPage.activity);
+      setRange(nextRange);
+      setTransfers(transferPage.activity);
+      setTransfersCursor(transferPage.cursor);
+      setInvocations(invocationPage.activity);
+      setInvocationsCursor(invocationPage.cursor);
+      setVisibleTransfers(10);
+      setVisibleInvocations(10);
+      setOlderError({});
+    } finally {
+      setActivityLoading(false);
+    }
+  };
+
+  // Fetch the next page of transfers and resolve any tokens it introduces
+  const loadOlderTransfers = async () => {
+    if (!transfersCursor || loadingOlder) return;
+    setLoadingOlder('transfers');
+    setOlderError(prev => ({ ...prev, transfers: null }));
+
+    try {
+      const page = await fetchTransfers(range, transfersCursor);
+      setTransfers(prev => mergeActivity(prev, page.activity, range ? 'asc' : 'desc'));
+      setTransfersCursor(page.cursor);
+      setVisibleTransfers(v => v + 10);
+      await resolveNewTokens(page.activity);
+    } catch (err) {
+      console.warn('Error loading older transfers:', err);
+      setOlderError(prev => ({ ...prev, transfers: err.message }));
+    } finally {
+      setLoadingOlder(null);
+    }
+  };
+
+  // Fetch the next page of invocation events
+  const loadOlderInvocations = async () => {
+    if (!invocationsCursor || loadingOlder) return;
+    setLoadingOlder('invocations');
+    setOlderError(prev => ({ ...prev, invocations: null }));
+
+    try {
+      const page = await fetchInvocations(range, invocationsCursor);
+      setInvocations(prev => mergeActivity(prev, page.activity, range ? 'asc' : 'desc'));
+      setInvocationsCursor(page.cursor);
+      setVisibleInvocations(v => v + 10);
+    } catch (err) {
+      console.warn('Error loading older invocations:', err);
+      setOlderError(prev => ({ ...prev, invocations: err.message }));
+    } finally {
+      setLoadingOlder(null);
+    }
+  };
+
+  const getDecimals = (contractId) => {
+    return tokenInfo[contractId]?.decimals ?? 7;
   };
 
   const getSymbol = (contractId) => {
@@ -231,194 +372,394 @@ export default function ContractPage({ params }) {
         <Link href={`/token/${address}`}>switch to token view →</Link>
       </p>
 
-      {loading ? (
-        <>
-          <div className="section-title">Balances</div>
-          <div className="balance-list">
-            <SkeletonBalance count={2} />
-          </div>
-          <div className="section-title">Recent Activity</div>
-          <SkeletonActivity count={3} />
-          <div className="section-title">Recent Invocations</div>
+      <p className="page-tabs">
+        <a
+          href="#"
+          className={tab === 'overview' ? 'active' : ''}
+          onClick={(e) => { e.preventDefault(); setTab('overview'); }}
+        >
+          overview
+        </a>
+        {' | '}
+        <a
+          href="#"
+          className={tab === 'interface' ? 'active' : ''}
+          onClick={(e) => { e.preventDefault(); setTab('interface'); }}
+        >
+          interface
+        </a>
+        {' | '}
+        <a
+          href="#"
+          className={tab === 'read' ? 'active' : ''}
+          onClick={(e) => { e.preventDefault(); setTab('read'); }}
+        >
+          read
+        </a>
+        {' | '}
+        <a
+          href="#"
+          className={tab === 'storage' ? 'active' : ''}
+          onClick={(e) => { e.preventDefault(); setTab('storage'); }}
+        >
+          storage
+        </a>
+      </p>
+
+      {tab === 'storage' ? (
+        contractInfoLoading ? (
+          <SkeletonActivity count={2} />
+        ) : contractInfoError ? (
+          <p className="error">{formatErrorMessage(contractInfoError)}</p>
+        ) : (
+          <StorageBrowser
+            key={address}
+            contractId={address}
+            instance={contractInfo?.instance || null}
+            spec={contractInfo?.code?.spec || null}
+          />
+        )
+      ) : tab === 'read' ? (
+        contractInfoLoading ? (
+          <SkeletonActivity count={2} />
+        ) : (
+          <ReadContract
+            key={address}
+            contractId={address}
+            spec={contractInfo?.instance.executable.type === 'stellar_asset'
+              ? STELLAR_ASSET_SPEC
+              : contractInfo?.code?.spec || null}
+          />
+        )
+      ) : tab === 'interface' ? (
+        contractInfoLoading ? (
           <SkeletonActivity count={3} />
-        </>
-      ) : error ? (
-        <p className="error">{formatErrorMessage(error)}</p>
+        ) : contractInfoError ? (
+          <p className="error">{formatErrorMessage(contractInfoError)}</p>
+        ) : contractInfo?.instance.executable.type === 'stellar_asset' ? (
+          <>
+            <p className="text-secondary">built-in Stellar Asset Contract interface</p>
+            <ContractInterface spec={STELLAR_ASSET_SPEC} />
+          </>
+        ) : contractInfo?.code?.spec ? (
+          <ContractInterface spec={contractInfo.code.spec} />
+        ) : (
+          <p>
+            {!contractInfo
+              ? 'contract instance not found (not deployed, or archived)'
+              : !contractInfo.code
+                  ? 'contract code not found on ledger (archived?)'
+                  : 'no interface spec (contractspecv0) in this contract\'s Wasm'}
+          </p>
+        )
       ) : (
         <>
-          <div className="section-title">Balances</div>
+          <div className="section-title">Contract</div>
 
-          {balances.length === 0 ? (
-            <p>no token balances found</p>
-          ) : (
-            <div className="balance-list">
-              {balances.map((b) => (
-                <Link href={`/token/${b.contractId}`} key={b.contractId} className="balance-card">
-                  <div className="balance-card-header">
-                    <span className="balance-symbol">{b.symbol}</span>
-                  </div>
-                  <div className="balance-amount">{b.balance}</div>
-                </Link>
-              ))}
+          {contractInfoLoading ? (
+            <div className="tx-meta">
+              <div className="tx-meta-item">
+                <span className="tx-meta-label">Executable</span>
+                <SkeletonText width="160px" />
+              </div>
+              <div className="tx-meta-item">
+                <span className="tx-meta-label">TTL</span>
+                <SkeletonText width="120px" />
+              </div>
             </div>
-          )}
-
-          <div className="section-title">
-            Recent Activity
-            <a
-              href="#"
-              className="refresh-btn"
-              onClick={(e) => { e.preventDefault(); setVisibleTransfers(10); loadData(); }}
-            >
-              refresh ↻
-            </a>
-          </div>
-
-          {transfers.length === 0 ? (
-            <p>no activity found</p>
+          ) : contractInfoError ? (
+            <p className="error">{formatErrorMessage(contractInfoError)}</p>
+          ) : !contractInfo ? (
+            <p>contract instance not found (not deployed, or archived)</p>
           ) : (() => {
-            // Group transfers by transaction hash
-            const txGroups = [];
-            const txMap = new Map();
-            for (const t of transfers) {
-              if (!txMap.has(t.txHash)) {
-                const group = { txHash: t.txHash, timestamp: t.timestamp, events: [] };
-                txMap.set(t.txHash, group);
-                txGroups.push(group);
-              }
-              txMap.get(t.txHash).events.push(t);
-            }
+            const { instance, code } = contractInfo;
 
             return (
               <>
-                <div className="card">
-                  {txGroups.slice(0, visibleTransfers).map((group) => (
-                    <Link href={`/tx/${group.txHash}`} key={group.txHash} className="card-item">
-                      {group.events.map((t, eventIndex) => {
-                        const typeInfo = getEventTypeInfo(t.type);
-
-                        return (
-                          <div key={eventIndex} style={{ marginBottom: eventIndex < group.events.length - 1 ? '12px' : '0' }}>
-                            <div className="activity-card-header">
-                              <div className="event-type">
-                                <span className={`event-dot ${typeInfo.dotClass}`} />
-                                {typeInfo.label}
-                              </div>
-                              {eventIndex === 0 && (
-                                <span className="activity-timestamp" title={new Date(group.timestamp).toLocaleString()}>
-                                  {formatRelativeTime(group.timestamp)}
-                                </span>
-                              )}
-                            </div>
-
-                            <div className="activity-addresses">
-                              {t.type === 'mint' ? (
-                                <>→ <AddressLink address={t.to} nested /></>
-                              ) : t.type === 'burn' || t.type === 'clawback' ? (
-                                <AddressLink address={t.from} nested />
-                              ) : (
-                                <>
-                                  <AddressLink address={t.from} nested />
-                                  {' → '}
-                                  <AddressLink address={t.to} nested />
-                                </>
-                              )}
-                            </div>
-
-                            <div className="activity-footer">
-                              <span className={`activity-amount ${
-                                t.type === 'mint' ? 'positive' :
-                                t.type === 'clawback' || t.type === 'burn' ? 'negative' : ''
-                              }`}>
-                                {t.type === 'mint' && '+'}
-                                {(t.type === 'burn' || t.type === 'clawback') && '-'}
-                                {formatAmount(t.amount, t.contractId)}{' '}
-                                <span
-                                  className="nested-link"
-                                  onClick={(e) => { e.preventDefault(); e.stopPropagation(); router.push(`/token/${t.contractId}`); }}
-                                >{t.sacSymbol || getSymbol(t.contractId)}</span>
+                <div className="tx-meta">
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Executable</span>
+                    <span className="tx-meta-value">
+                      {instance.executable.type === 'wasm' ? (
+                        <span title={instance.executable.wasmHash}>
+                          Wasm {shortenAddressSmall(instance.executable.wasmHash)}
+                        </span>
+                      ) : (
+                        'Stellar Asset Contract'
+                      )}
+                    </span>
+                  </div>
+                  <div className="tx-meta-item">
+                    <span className="tx-meta-label">Instance TTL</span>
+                    <span className="tx-meta-value">{formatTtl(instance)}</span>
+                  </div>
+                  {instance.executable.type === 'wasm' && !code && (
+                    <div className="tx-meta-item">
+                      <span className="tx-meta-label">Code</span>
+                      <span className="tx-meta-value">not found on ledger (archived?)</span>
+                    </div>
+                  )}
+                  {code && (
+                    <>
+                      <div className="tx-meta-item">
+                        <span className="tx-meta-label">Code Size</span>
+                        <span className="tx-meta-value">{formatNumber(code.size)} bytes</span>
+                      </div>
+                      <div className="tx-meta-item">
+                        <span className="tx-meta-label">Code TTL</span>
+                        <span className="tx-meta-value">{formatTtl(code)}</span>
+                      </div>
+                      {code.envMeta && (
+                        <div className="tx-meta-item">
+                          <span className="tx-meta-label">Protocol</span>
+                          <span className="tx-meta-value">
+                            {code.envMeta.protocol}
+                            {code.envMeta.preRelease > 0 && ` (pre-release ${code.envMeta.preRelease})`}
+                          </span>
+                        </div>
+                      )}
+                      {code.meta.length > 0 && (
+                        <div className="tx-meta-item tx-meta-full">
+                          <span className="tx-meta-label">Meta</span>
+                          <span className="tx-meta-value">
+                            {code.meta.map((item, i) => (
+                              <span key={i} className="tx-meta-line">
+                                {item.key}: {item.value}
                               </span>
-                              {eventIndex === group.events.length - 1 && (
-                                <span className="activity-tx-link">
-                                  tx:{group.txHash?.substring(0, 4)}
-                                </span>
-                              )}
-                            </div>
-                          </div>
-                        );
-                      })}
-                    </Link>
-                  ))}
+                            ))}
+                          </span>
+                        </div>
+                      )}
+                    </>
+                  )}
                 </div>
 
-                {visibleTransfers < txGroups.length && (
-                  <p style={{ textAlign: 'center' }}>
-                    <a href="#" onClick={(e) => { e.preventDefault(); setVisibleTransfers(v => v + 10); }}>
-                      show more
-                    </a>
-                  </p>
+                <div className="section-title">Instance Storage</div>
+
+                {instance.storage.length === 0 ? (
+                  <p>no instance storage</p>
+                ) : (
+                  <div className="card">
+                    {instance.storage.map((item, i) => (
+                      <div key={i} className="card-item">
+                        <div className="storage-key">{formatScVal(item.key)}</div>
+                        <div className="storage-value">{formatScVal(item.value)}</div>
+                      </div>
+                    ))}
+                  </div>
                 )}
               </>
             );
           })()}
 
-          <div className="section-title">
-            Recent Invocations
-            <a
-              href="#"
-              className="refresh-btn"
-              onClick={(e) => { e.preventDefault(); setVisibleInvocations(10); loadData(); }}
-            >
-              refresh ↻
-            </a>
-          </div>
-
-          {invocations.length === 0 ? (
-            <p>no invocations found</p>
+          {loading ? (
+            <>
+              <div className="section-title">Balances</div>
+              <div className="balance-list">
+                <SkeletonBalance count={2} />
+              </div>
+              <div className="section-title">Recent Activity</div>
+              <SkeletonActivity count={3} />
+              <div className="section-title">Recent Invocations</div>
+              <SkeletonActivity count={3} />
+            </>
+          ) : error ? (
+            <p className="error">{formatErrorMessage(error)}</p>
           ) : (
             <>
-              <div className="card">
-                {invocations.slice(0, visibleInvocations).map((inv, index) => (
-                  <Link href={`/tx/${inv.txHash}`} key={`${inv.txHash}-${index}`} className="card-item">
-                    <div className="activity-card-header">
-                      <div className="event-type">
-                        <span className={`event-dot ${inv.inSuccessfulContractCall ? '' : 'danger'}`} />
-                        {inv.eventType}
-                        {!inv.inSuccessfulContractCall && <span className="failed-badge">failed</span>}
+              <div className="section-title">Balances</div>
+
+              {balances.length === 0 ? (
+                <p>no token balances found</p>
+              ) : (
+                <div className="balance-list">
+                  {balances.map((b) => (
+                    <Link href={`/token/${b.contractId}`} key={b.contractId} className="balance-card">
+                      <div className="balance-card-header">
+                        <span className="balance-symbol">{b.symbol}</span>
                       </div>
-                      <span className="activity-timestamp" title={new Date(inv.timestamp).toLocaleString()}>
-                        {formatRelativeTime(inv.timestamp)}
-                      </span>
-                    </div>
-
-                    {inv.topics.length > 0 && (
-                      <div className="invocation-topics">
-                        {inv.topics.map((topic, i) => (
-                          <span key={i} className="invocation-topic">
-                            {renderTopicLink(topic)}
-                          </span>
-                        ))}
+                      <div className="balance-amount">
+                        <Amount value={b.rawBalance} decimals={b.decimals} />
                       </div>
-                    )}
+                    </Link>
+                  ))}
+                </div>
+              )}
 
-                    <div className="activity-footer">
-                      {inv.value !== null && (
-                        <span className="invocation-value">{formatTopicValue(inv.value)}</span>
-                      )}
-                      <span className="activity-tx-link">
-                        tx:{inv.txHash?.substring(0, 4)}
-                      </span>
+              <div className="section-title">
+                Recent Activity
+                <a
+                  href="#"
+                  className="refresh-btn"
+                  onClick={(e) => { e.preventDefault(); setVisibleTransfers(10); loadData(); }}
+                >
+                  refresh ↻
+                </a>
+              </div>
+
+              <RangePicker range={range} onChange={applyRange} />
+
+              {activityLoading ? (
+                <SkeletonActivity count={3} />
+              ) : transfers.length === 0 ? (
+                <p>{range ? 'no activity in this range' : 'no activity found'}</p>
+              ) : (() => {
+                // Group transfers by transaction hash
+                const txGroups = [];
+                const txMap = new Map();
+                for (const t of transfers) {
+                  if (!txMap.has(t.txHash)) {
+                    const group = { txHash: t.txHash, timestamp: t.timestamp, events: [] };
+                    txMap.set(t.txHash, group);
+                    txGroups.push(group);
+                  }
+                  txMap.get(t.txHash).events.push(t);
+                }
+
+                return (
+                  <>
+                    <div className="card">
+                      {txGroups.slice(0, visibleTransfers).map((group) => (
+                        <Link href={`/tx/${group.txHash}`} key={group.txHash} className="card-item">
+                          {group.events.map((t, eventIndex) => {
+                            const typeInfo = getEventTypeInfo(t.type);
+
+                            return (
+                              <div key={eventIndex} style={{ marginBottom: eventIndex < group.events.length - 1 ? '12px' : '0' }}>
+                                <div className="activity-card-header">
+                                  <div className="event-type">
+                                    <span className={`event-dot ${typeInfo.dotClass}`} />
+                                    {typeInfo.label}
+                                  </div>
+                                  {eventIndex === 0 && (
+                                    <span className="activity-timestamp" title={new Date(group.timestamp).toLocaleString()}>
+                                      {formatRelativeTime(group.timestamp)}
+                                    </span>
+                                  )}
+                                </div>
+
+                                <div className="activity-addresses">
+                                  {t.type === 'mint' ? (
+                                    <>→ <AddressLink address={t.to} muxId={t.toMuxedId} nested /></>
+                                  ) : t.type === 'burn' || t.type === 'clawback' ? (
+                                    <AddressLink address={t.from} nested />
+                                  ) : (
+                                    <>
+                                      <AddressLink address={t.from} nested />
+                                      {' → '}
+                                      <AddressLink address={t.to} muxId={t.toMuxedId} nested />
+                                    </>
+                                  )}
+                                </div>
+
+                                <div className="activity-footer">
+                                  <span className={`activity-amount ${
+                                    t.type === 'mint' ? 'positive' :
+                                    t.type === 'clawback' || t.type === 'burn' ? 'negative' : ''
+                                  }`}>
+                                    {t.type === 'mint' && '+'}
+                                    {(t.type === 'burn' || t.type === 'clawback') && '-'}
+                                    <Amount value={t.amount} decimals={getDecimals(t.contractId)} />{' '}
+                                    <span
+                                      className="nested-link"
+                                      onClick={(e) => { e.preventDefault(); e.stopPropagation(); router.push(`/token/${t.contractId}`); }}
+                                    >{t.sacSymbol || getSymbol(t.contractId)}</span>
+                                  </span>
+                                  {eventIndex === group.events.length - 1 && (
+                                    <span className="activity-tx-link">
+                                      <LedgerLink sequence={t.ledger} display={`#${t.ledger}`} nested />{' '}
+                                      tx:{group.txHash?.substring(0, 4)}
+                                    </span>
+                                  )}
+                                </div>
+                              </div>
+                            );
+                          })}
+                        </Link>
+                      ))}
                     </div>
-                  </Link>
-                ))}
+
+                    <LoadMore
+                      hasHidden={visibleTransfers < txGroups.length}
+                      onShowMore={() => setVisibleTransfers(v => v + 10)}
+                      hasOlder={!!transfersCursor}
+                      onLoadOlder={loadOlderTransfers}
+                      loading={loadingOlder === 'transfers'}
+                      error={olderError.transfers}
+                      label={range ? 'load more' : 'load older'}
+                    />
+                  </>
+                );
+              })()}
+
+              <div className="section-title">
+                Recent Invocations
+                <a
+                  href="#"
+                  className="refresh-btn"
+                  onClick={(e) => { e.preventDefault(); setVisibleInvocations(10); loadData(); }}
+                >
+                  refresh ↻
+                </a>
               </div>
 
-              {visibleInvocations < invocations.length && (
-                <p style={{ textAlign: 'center' }}>
-                  <a href="#" onClick={(e) => { e.preventDefault(); setVisibleInvocations(v => v + 10); }}>
-                    show more
-                  </a>
-                </p>
+              {activityLoading ? (
+                <SkeletonActivity count={3} />
+              ) : invocations.length === 0 ? (
+                <p>{range ? 'no invocations in this range' : 'no invocations found'}</p>
+              ) : (
+                <>
+                  <div className="card">
+                    {invocations.slice(0, visibleInvocations).map((inv, index) => (
+                      <Link href={`/tx/${inv.txHash}`} key={`${inv.txHash}-${index}`} className="card-item">
+                        <div className="activity-card-header">
+                          <div className="event-type">
+                            <span className={`event-dot ${inv.inSuccessfulContractCall ? '' : 'danger'}`} />
+                            {inv.eventType}
+                            {!inv.inSuccessfulContractCall && <span className="failed-badge">failed</span>}
+                          </div>
+                          <span className="activity-timestamp" title={new Date(inv.timestamp).toLocaleString()}>
+                            {formatRelativeTime(inv.timestamp)}
+                          </span>
+                        </div>
+
+                        {inv.decoded ? (
+                          <div className="activity-description">
+                            <DecodedCall decoded={inv.decoded} nested />
+                          </div>
+                        ) : inv.topics.length > 0 && (
+                          <div className="invocation-topics">
+                            {inv.topics.map((topic, i) => (
+                              <span key={i} className="invocation-topic">
+                                {renderTopicLink(topic)}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+
+                        <div className="activity-footer">
+                          {!inv.decoded && inv.value !== null && (
+                            <span className="invocation-value">{formatTopicValue(inv.value)}</span>
+                          )}
+                          <span className="activity-tx-link">
+                            <LedgerLink sequence={inv.ledger} display={`#${inv.ledger}`} nested />{' '}
+                            tx:{inv.txHash?.substring(0, 4)}
+                          </span>
+                        </div>
+                      </Link>
+                    ))}
+                  </div>
+
+                  <LoadMore
+                    hasHidden={visibleInvocations < invocations.length}
+                    onShowMore={() => setVisibleInvocations(v => v + 10)}
+                    hasOlder={!!invocationsCursor}
+                    onLoadOlder={loadOlderInvocations}
+                    loading={loadingOlder === 'invocations'}
+                    error={olderError.invocations}
+                    label={range ? 'load more' : 'load older'}
+                  />
+                </>
               )}
             </>
           )}
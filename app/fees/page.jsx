@@ -0,0 +1,165 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { getFeeStats, appendFeeSample, FEE_PERCENTILES } from '@/utils/scan';
+import { formatNumber, formatErrorMessage } from '@/utils/scan/helpers';
+import {
+  ScanHeader,
+  LedgerLink,
+  FeeHistoryChart,
+  useNetwork,
+  SkeletonText,
+} from '@/app/components';
+import '@/app/scan.css';
+
+// Roughly two ledgers; samples from an unchanged ledger are dropped
+const POLL_INTERVAL_MS = 10000;
+
+const FEE_KINDS = [
+  { kind: 'soroban', title: 'Soroban Inclusion Fees', unit: 'per transaction, on top of the resource fee' },
+  { kind: 'classic', title: 'Classic Inclusion Fees', unit: 'per operation' },
+];
+
+export default function FeesPage() {
+  const { network, isLoading: networkLoading } = useNetwork();
+  const [stats, setStats] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (networkLoading) return;
+
+    setStats(null);
+    setHistory([]);
+    setLoading(true);
+    setError(null);
+
+    let cancelled = false;
+    const poll = async () => {
+      // Don't poll in background tabs
+      if (typeof document !== 'undefined' && document.hidden) return;
+
+      try {
+        const latest = await getFeeStats();
+        if (cancelled) return;
+        setStats(latest);
+        setHistory(prev => appendFeeSample(prev, latest, Date.now()));
+        setError(null);
+      } catch (err) {
+        if (cancelled) return;
+        console.warn('Error loading fee stats:', err);
+        setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [network, networkLoading]);
+
+  const renderStatus = (distribution) => {
+    if (!distribution) return 'no data';
+    return distribution.surge
+      ? <span className="warning">surge pricing</span>
+      : <span className="success">normal</span>;
+  };
+
+  return (
+    <div className="scan-page page-fees">
+      <ScanHeader />
+
+      <div className="section-title">Network Fees</div>
+
+      {loading ? (
+        <div className="tx-meta">
+          <div className="tx-meta-item">
+            <span className="tx-meta-label">Latest Ledger</span>
+            <SkeletonText width="100px" />
+          </div>
+          <div className="tx-meta-item">
+            <span className="tx-meta-label">Base Fee</span>
+            <SkeletonText width="80px" />
+          </div>
+          <div className="tx-meta-item">
+            <span className="tx-meta-label">Soroban</span>
+            <SkeletonText width="80px" />
+          </div>
+          <div className="tx-meta-item">
+            <span className="tx-meta-label">Classic</span>
+            <SkeletonText width="80px" />
+          </div>
+        </div>
+      ) : !stats ? (
+        <p className="error">{formatErrorMessage(error)}</p>
+      ) : (
+        <>
+          {error && <p className="error">{formatErrorMessage(error)}</p>}
+
+          <div className="tx-meta">
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Latest Ledger</span>
+              <span className="tx-meta-value"><LedgerLink sequence={stats.latestLedger} /></span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Base Fee</span>
+              <span className="tx-meta-value">{formatNumber(stats.baseFee)} stroops</span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Soroban</span>
+              <span className="tx-meta-value">{renderStatus(stats.soroban)}</span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Classic</span>
+              <span className="tx-meta-value">{renderStatus(stats.classic)}</span>
+            </div>
+          </div>
+          <p className="text-secondary">
+            Without surge pricing every transaction pays the base fee. When ledgers fill up, the
+            fee to get in rises; bid at least the percentile you want to beat. Updates every{' '}
+            {POLL_INTERVAL_MS / 1000} s while this page is open.
+          </p>
+
+          {FEE_KINDS.map(({ kind, title, unit }) => {
+            const distribution = stats[kind];
+            return (
+              <React.Fragment key={kind}>
+                <div className="section-title">{title}</div>
+
+                {!distribution ? (
+                  <p>no fee data</p>
+                ) : (
+                  <>
+                    <p className="text-secondary">
+                      stroops {unit}, from {formatNumber(distribution.transactionCount)} transactions
+                      over the last {formatNumber(distribution.ledgerCount)} ledgers
+                    </p>
+                    <div className="tx-meta">
+                      {['min', 'mode', ...FEE_PERCENTILES, 'max'].map(key => (
+                        <div key={key} className="tx-meta-item">
+                          <span className="tx-meta-label">{key}</span>
+                          <span className="tx-meta-value">{formatNumber(distribution[key])}</span>
+                        </div>
+                      ))}
+                    </div>
+                    <FeeHistoryChart history={history} kind={kind} />
+                  </>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </>
+      )}
+
+      <p style={{ marginTop: '24px' }}>
+        <Link href="/">← new search</Link>
+      </p>
+    </div>
+  );
+}
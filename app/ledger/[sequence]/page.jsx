@@ -0,0 +1,245 @@
+'use client'
+
+import React, { useState, useEffect, use } from 'react';
+import Link from 'next/link';
+import { getLedger, getTransactionsInRange } from '@/utils/scan';
+import { formatUnixTimestamp, formatNumber, formatErrorMessage } from '@/utils/scan/helpers';
+import {
+  ScanHeader,
+  AddressDisplay,
+  AddressLink,
+  LedgerLink,
+  Amount,
+  LoadMore,
+  useNetwork,
+  SkeletonActivity,
+  SkeletonText,
+} from '@/app/components';
+import '@/app/scan.css';
+
+const TX_PAGE_SIZE = 50;
+
+export default function LedgerPage({ params }) {
+  const { sequence: sequenceParam } = use(params);
+  const { network, isLoading: networkLoading } = useNetwork();
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [txCursor, setTxCursor] = useState(null);
+  const [visibleTxs, setVisibleTxs] = useState(25);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [moreError, setMoreError] = useState(null);
+  const [txError, setTxError] = useState(null);
+
+  const sequence = /^\d+$/.test(sequenceParam) ? parseInt(sequenceParam, 10) : NaN;
+  const isValid = Number.isSafeInteger(sequence) && sequence > 0;
+
+  useEffect(() => {
+    if (isValid && !networkLoading) {
+      loadData();
+    }
+  }, [sequence, isValid, network, networkLoading]);
+
+  const loadData = async () => {
+    setLoading(true);
+    setError(null);
+    setTransactions([]);
+    setTxCursor(null);
+    setVisibleTxs(25);
+    setMoreError(null);
+    setTxError(null);
+
+    try {
+      const header = await getLedger(sequence);
+      if (!header) {
+        setError(`Ledger ${sequence} has not closed yet`);
+        return;
+      }
+      setLedger(header);
+
+      // The header is still useful when the transactions can't be listed
+      try {
+        const page = await getTransactionsInRange({ startLedger: sequence, endLedger: sequence, limit: TX_PAGE_SIZE });
+        setTransactions(page.transactions);
+        setTxCursor(page.cursor);
+      } catch (err) {
+        console.warn('Error loading ledger transactions:', err);
+        setTxError(err.message);
+      }
+    } catch (err) {
+      console.warn('Error loading ledger:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadMoreTransactions = async () => {
+    if (!txCursor || loadingMore) return;
+    setLoadingMore(true);
+    setMoreError(null);
+
+    try {
+      const page = await getTransactionsInRange({ endLedger: sequence, cursor: txCursor, limit: TX_PAGE_SIZE });
+      setTransactions(prev => [...prev, ...page.transactions]);
+      setTxCursor(page.cursor);
+      setVisibleTxs(v => v + 25);
+    } catch (err) {
+      console.warn('Error loading more transactions:', err);
+      setMoreError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (!isValid) {
+    return (
+      <div className="scan-page">
+        <ScanHeader />
+        <p className="error">Invalid ledger sequence: {sequenceParam}</p>
+        <p>
+          <Link href="/">back to search</Link>
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="scan-page page-ledger">
+      <ScanHeader />
+
+      <AddressDisplay address={String(sequence)} label="Ledger" type="ledger" />
+
+      {loading ? (
+        <>
+          <div className="section-title">Ledger Info</div>
+          <div className="tx-meta">
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Closed</span>
+              <SkeletonText width="150px" />
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Protocol</span>
+              <SkeletonText width="40px" />
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Transactions</span>
+              <SkeletonText width="60px" />
+            </div>
+            <div className="tx-meta-item tx-meta-full">
+              <span className="tx-meta-label">Hash</span>
+              <SkeletonText width="100%" />
+            </div>
+          </div>
+          <div className="section-title">Transactions</div>
+          <SkeletonActivity count={3} />
+        </>
+      ) : error ? (
+        <p className="error">{formatErrorMessage(error)}</p>
+      ) : (
+        <>
+          <div className="section-title">Ledger Info</div>
+
+          <div className="tx-meta">
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Closed</span>
+              <span className="tx-meta-value">{formatUnixTimestamp(ledger.closeTime)}</span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Protocol</span>
+              <span className="tx-meta-value">{ledger.protocolVersion}</span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Transactions</span>
+              <span className="tx-meta-value">
+                {ledger.txCount ?? 'unknown'} (max tx set size {formatNumber(ledger.maxTxSetSize)})
+              </span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Base Fee</span>
+              <span className="tx-meta-value">{formatNumber(ledger.baseFee)} stroops</span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Base Reserve</span>
+              <span className="tx-meta-value"><Amount value={ledger.baseReserve} /> XLM</span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Total Coins</span>
+              <span className="tx-meta-value"><Amount value={ledger.totalCoins} /> XLM</span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Fee Pool</span>
+              <span className="tx-meta-value"><Amount value={ledger.feePool} /> XLM</span>
+            </div>
+            <div className="tx-meta-item tx-meta-full">
+              <span className="tx-meta-label">Hash</span>
+              <span className="tx-meta-value">{ledger.hash}</span>
+            </div>
+            <div className="tx-meta-item tx-meta-full">
+              <span className="tx-meta-label">Previous Hash</span>
+              <span className="tx-meta-value">
+                <LedgerLink sequence={sequence - 1} display={ledger.previousHash} />
+              </span>
+            </div>
+          </div>
+
+          <p className="range-picker-actions">
+            {sequence > 1 && <LedgerLink sequence={sequence - 1} display="← previous ledger" />}
+            {sequence > 1 && sequence < ledger.latestLedger && ' | '}
+            {sequence < ledger.latestLedger && <LedgerLink sequence={sequence + 1} display="next ledger →" />}
+          </p>
+
+          <div className="section-title">Transactions ({ledger.txCount ?? transactions.length})</div>
+
+          {txError ? (
+            <p className="error">{formatErrorMessage(txError)}</p>
+          ) : transactions.length === 0 ? (
+            <p>no transactions in this ledger</p>
+          ) : (
+            <>
+              <div className="card">
+                {transactions.slice(0, visibleTxs).map(tx => (
+                  <Link href={`/tx/${tx.hash}`} key={tx.hash} className="card-item">
+                    <div className="activity-card-header">
+                      <div className="event-type">
+                        <span className={`event-dot ${tx.status === 'SUCCESS' ? '' : 'danger'}`} />
+                        {tx.operationCount} {tx.operationCount === 1 ? 'operation' : 'operations'}
+                        {tx.status !== 'SUCCESS' && <span className="failed-badge">failed</span>}
+                      </div>
+                      <span className="activity-timestamp">
+                        fee <Amount value={tx.feeCharged} /> XLM
+                      </span>
+                    </div>
+                    <div className="activity-description">{tx.summary}</div>
+                    <div className="activity-footer">
+                      <span className="text-secondary">
+                        from <AddressLink address={tx.sourceAccount} nested />
+                        {tx.feeSource && <> (fee paid by <AddressLink address={tx.feeSource} nested />)</>}
+                      </span>
+                      <span className="activity-tx-link">tx:{tx.hash.substring(0, 4)}</span>
+                    </div>
+                  </Link>
+                ))}
+              </div>
+
+              <LoadMore
+                hasHidden={visibleTxs < transactions.length}
+                onShowMore={() => setVisibleTxs(v => v + 25)}
+                hasOlder={!!txCursor}
+                onLoadOlder={loadMoreTransactions}
+                loading={loadingMore}
+                error={moreError}
+                label="load more"
+              />
+            </>
+          )}
+        </>
+      )}
+
+      <p style={{ marginTop: '24px' }}>
+        <Link href="/">← new search</Link>
+      </p>
+    </div>
+  );
+}
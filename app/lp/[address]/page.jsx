@@ -8,12 +8,15 @@ import {
   getLiquidityPoolData,
   getRecentTransfers,
   cacheSacMetadata,
+  mergeActivity,
 } from '@/utils/scan';
-import { rawToDisplay, formatTokenBalance } from '@/utils/stellar/helpers';
 import {
   ScanHeader,
   AddressDisplay,
   AddressLink,
+  LedgerLink,
+  Amount,
+  LoadMore,
   useNetwork,
   SkeletonActivity,
   SkeletonText,
@@ -31,6 +34,9 @@ export default function LiquidityPoolPage({ params }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [visibleCount, setVisibleCount] = useState(10);
+  const [cursor, setCursor] = useState(null); // Continuation cursor for older activity
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [olderError, setOlderError] = useState(null);
 
   const isPool = address?.startsWith('L');
   const isValid = isValidAddress(address) && isPool;
@@ -45,10 +51,12 @@ export default function LiquidityPoolPage({ params }) {
     setLoading(true);
     setError(null);
     setVisibleCount(10);
+    setCursor(null);
+    setOlderError(null);
 
     try {
       // Fetch pool data and transfers in parallel
-      const [pool, poolTransfers] = await Promise.all([
+      const [pool, transferPage] = await Promise.all([
         getLiquidityPoolData(address),
         getRecentTransfers(address),
       ]);
@@ -59,8 +67,10 @@ export default function LiquidityPoolPage({ params }) {
         return;
       }
 
+      const poolTransfers = transferPage.activity;
       setPoolData(pool);
       setTransfers(poolTransfers);
+      setCursor(transferPage.cursor);
 
       // Cache SAC metadata from transfer events
       for (const t of poolTransfers) {
@@ -83,10 +93,28 @@ export default function LiquidityPoolPage({ params }) {
     }
   };
 
-  const formatReserve = (amount) => {
-    // Stellar classic assets have 7 decimal places
-    const displayAmount = rawToDisplay(amount, 7);
-    return formatTokenBalance(displayAmount, 7);
+  // Fetch the next page of transfers and merge it into what's already shown
+  const loadOlder = async () => {
+    if (!cursor || loadingOlder) return;
+    setLoadingOlder(true);
+    setOlderError(null);
+
+    try {
+      const page = await getRecentTransfers(address, 200, cursor);
+      for (const t of page.activity) {
+        if (t.sacSymbol && t.contractId) {
+          cacheSacMetadata(t.contractId, t.sacSymbol, t.sacName);
+        }
+      }
+      setTransfers(prev => mergeActivity(prev, page.activity));
+      setCursor(page.cursor);
+      setVisibleCount(v => v + 10);
+    } catch (err) {
+      console.warn('Error loading older transfers:', err);
+      setOlderError(err.message);
+    } finally {
+      setLoadingOlder(false);
+    }
   };
 
   const formatFee = (feeBps) => {
@@ -94,19 +122,12 @@ export default function LiquidityPoolPage({ params }) {
     return `${(feeBps / 100).toFixed(2)}%`;
   };
 
-  const formatPoolShares = (shares) => {
-    const displayAmount = rawToDisplay(shares, 7);
-    return formatTokenBalance(displayAmount, 2);
-  };
-
   // Format transfer for display with token symbol
   const formatTransfer = (t) => {
     const info = tokenInfo[t.contractId];
-    const decimals = info?.decimals ?? 7;
-    const displayAmount = rawToDisplay(t.amount, decimals);
     return {
       ...t,
-      formattedAmount: formatTokenBalance(displayAmount, decimals),
+      decimals: info?.decimals ?? 7,
       // Use sacSymbol from event topic if available (SAC transfers), otherwise fall back to tokenInfo
       symbol: t.sacSymbol || info?.symbol || '???',
     };
@@ -196,7 +217,7 @@ export default function LiquidityPoolPage({ params }) {
             </div>
             <div className="tx-meta-item">
               <span className="tx-meta-label">Pool Shares</span>
-              <span className="tx-meta-value">{formatPoolShares(poolData.totalPoolShares)}</span>
+              <span className="tx-meta-value"><Amount value={poolData.totalPoolShares} maxFractionDigits={2} /></span>
             </div>
             <div className="tx-meta-item">
               <span className="tx-meta-label">Trustlines</span>
@@ -211,14 +232,14 @@ export default function LiquidityPoolPage({ params }) {
               <div className="balance-card-header">
                 <span className="balance-symbol">{poolData.assetA.code}</span>
               </div>
-              <div className="balance-amount">{formatReserve(poolData.assetA.reserve)}</div>
+              <div className="balance-amount"><Amount value={poolData.assetA.reserve} compact /></div>
             </Link>
 
             <Link href={`/token/${poolData.assetB.contractId}`} className="balance-card">
               <div className="balance-card-header">
                 <span className="balance-symbol">{poolData.assetB.code}</span>
               </div>
-              <div className="balance-amount">{formatReserve(poolData.assetB.reserve)}</div>
+              <div className="balance-amount"><Amount value={poolData.assetB.reserve} compact /></div>
             </Link>
           </div>
 
@@ -273,14 +294,14 @@ export default function LiquidityPoolPage({ params }) {
 
                             <div className="activity-addresses">
                               {t.type === 'mint' ? (
-                                <>→ <AddressLink address={t.to} nested /></>
+                                <>→ <AddressLink address={t.to} muxId={t.toMuxedId} nested /></>
                               ) : t.type === 'burn' || t.type === 'clawback' ? (
                                 <AddressLink address={t.from} nested />
                               ) : (
                                 <>
                                   <AddressLink address={t.from} nested />
                                   {' → '}
-                                  <AddressLink address={t.to} nested />
+                                  <AddressLink address={t.to} muxId={t.toMuxedId} nested />
                                 </>
                               )}
                             </div>
@@ -292,7 +313,7 @@ export default function LiquidityPoolPage({ params }) {
                               }`}>
                                 {t.type === 'mint' && '+'}
                                 {(t.type === 'burn' || t.type === 'clawback') && '-'}
-                                {ft.formattedAmount}{' '}
+                                <Amount value={t.amount} decimals={ft.decimals} />{' '}
                                 <span
                                   className="nested-link"
                                   onClick={(e) => { e.preventDefault(); e.stopPropagation(); router.push(`/token/${t.contractId}`); }}
@@ -300,6 +321,7 @@ export default function LiquidityPoolPage({ params }) {
                               </span>
                               {eventIndex === group.events.length - 1 && (
                                 <span className="activity-tx-link">
+                                  <LedgerLink sequence={t.ledger} display={`#${t.ledger}`} nested />{' '}
                                   tx:{group.txHash?.substring(0, 4)}
                                 </span>
                               )}
@@ -311,13 +333,14 @@ export default function LiquidityPoolPage({ params }) {
                   ))}
                 </div>
 
-                {visibleCount < txGroups.length && (
-                  <p style={{ textAlign: 'center' }}>
-                    <a href="#" onClick={(e) => { e.preventDefault(); setVisibleCount(v => v + 10); }}>
-                      show more
-                    </a>
-                  </p>
-                )}
+                <LoadMore
+                  hasHidden={visibleCount < txGroups.length}
+                  onShowMore={() => setVisibleCount(v => v + 10)}
+                  hasOlder={!!cursor}
+                  onLoadOlder={loadOlder}
+                  loading={loadingOlder}
+                  error={olderError}
+                />
               </>
             );
           })()}
@@ -6,14 +6,16 @@ import Link from 'next/link';
 import * as StellarSdk from '@stellar/stellar-sdk';
 import {
   isValidAddress,
+  isValidClaimableBalanceId,
   getRecentTokenActivity,
   getTokenMetadata,
   getPoolShareMetadata,
   extractContractIds,
+  mergeActivity,
 } from '@/utils/scan';
-import { rawToDisplay, formatTokenBalance } from '@/utils/stellar/helpers';
-import { ScanHeader, AddressLink, useNetwork, SkeletonActivity } from './components';
+import { ScanHeader, AddressLink, LedgerLink, Amount, LoadMore, useNetwork, SkeletonActivity } from './components';
 import { formatRelativeTime } from '@/utils/scan/helpers';
+import { summarizeTransaction, movementFromActivity } from '@/utils/scan/summary';
 import { getNetworkConfig } from '@/utils/config';
 import './scan.css';
 
@@ -27,6 +29,9 @@ export default function ScanPage() {
   const [loading, setLoading] = useState(true);
   const [activityError, setActivityError] = useState(null);
   const [visibleCount, setVisibleCount] = useState(10);
+  const [cursor, setCursor] = useState(null); // Continuation cursor for older activity
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [olderError, setOlderError] = useState(null);
 
   useEffect(() => {
     if (!networkLoading) {
@@ -36,42 +41,50 @@ export default function ScanPage() {
 
   const resetVisibleCount = () => setVisibleCount(10);
 
+  // Fetch symbol/decimals for the given token contracts
+  const resolveTokenInfo = async (contractIds) => {
+    const infoMap = {};
+
+    await Promise.all(
+      contractIds.map(async (contractId) => {
+        try {
+          const metadata = await getTokenMetadata(contractId);
+          infoMap[contractId] = {
+            symbol: metadata.symbol === 'native' ? 'XLM' : metadata.symbol,
+            decimals: metadata.decimals ?? 7,
+          };
+        } catch {
+          // Try to detect pool share tokens
+          const poolMeta = await getPoolShareMetadata(contractId);
+          if (poolMeta) {
+            infoMap[contractId] = {
+              symbol: poolMeta.symbol,
+              decimals: poolMeta.decimals,
+              isPoolShare: true,
+            };
+          } else {
+            infoMap[contractId] = { symbol: '???', decimals: 7 };
+          }
+        }
+      })
+    );
+
+    return infoMap;
+  };
+
   const loadRecentActivity = async () => {
     setLoading(true);
     setActivityError(null);
+    setCursor(null);
+    setOlderError(null);
 
     try {
-      const transfers = await getRecentTokenActivity(200);
-      setActivity(transfers);
+      const page = await getRecentTokenActivity(200);
+      setActivity(page.activity);
+      setCursor(page.cursor);
 
       // Extract unique contract IDs and fetch metadata
-      const contractIds = extractContractIds(transfers);
-      const infoMap = {};
-
-      await Promise.all(
-        contractIds.map(async (contractId) => {
-          try {
-            const metadata = await getTokenMetadata(contractId);
-            infoMap[contractId] = {
-              symbol: metadata.symbol === 'native' ? 'XLM' : metadata.symbol,
-              decimals: metadata.decimals ?? 7,
-            };
-          } catch {
-            // Try to detect pool share tokens
-            const poolMeta = await getPoolShareMetadata(contractId);
-            if (poolMeta) {
-              infoMap[contractId] = {
-                symbol: poolMeta.symbol,
-                decimals: poolMeta.decimals,
-                isPoolShare: true,
-              };
-            } else {
-              infoMap[contractId] = { symbol: '???', decimals: 7 };
-            }
-          }
-        })
-      );
-
+      const infoMap = await resolveTokenInfo(extractContractIds(page.activity));
       setTokenInfo(infoMap);
     } catch (err) {
       console.error('Error loading recent activity:', err);
@@ -81,14 +94,35 @@ export default function ScanPage() {
     }
   };
 
+  // Fetch the next page of activity and metadata for any new tokens
+  const loadOlderActivity = async () => {
+    if (!cursor || loadingOlder) return;
+    setLoadingOlder(true);
+    setOlderError(null);
+
+    try {
+      const page = await getRecentTokenActivity(200, cursor);
+      setActivity(prev => mergeActivity(prev, page.activity));
+      setCursor(page.cursor);
+      setVisibleCount(v => v + 10);
+
+      const unknownIds = extractContractIds(page.activity).filter(id => !tokenInfo[id]);
+      const infoMap = await resolveTokenInfo(unknownIds);
+      setTokenInfo(prev => ({ ...prev, ...infoMap }));
+    } catch (err) {
+      console.warn('Error loading older activity:', err);
+      setOlderError(err.message);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
   // Format transfer for display
   const formatTransfer = (item) => {
     const info = tokenInfo[item.contractId];
-    const decimals = info?.decimals ?? 7;
-    const displayAmount = rawToDisplay(item.amount, decimals);
     return {
       ...item,
-      formattedAmount: formatTokenBalance(displayAmount, decimals),
+      decimals: info?.decimals ?? 7,
       // Use sacSymbol from event topic if available (SAC transfers), otherwise fall back to tokenInfo
       symbol: item.sacSymbol || info?.symbol || '???',
     };
@@ -115,6 +149,12 @@ export default function ScanPage() {
       return;
     }
 
+    // Plain integers are ledger sequences
+    if (/^\d+$/.test(trimmedInput)) {
+      router.push(`/ledger/${parseInt(trimmedInput, 10)}`);
+      return;
+    }
+
     // Check if input is in asset:issuer format (e.g., USDC:GA5ZSE...)
     if (trimmedInput.includes(':')) {
       const [assetCode, issuer] = trimmedInput.split(':');
@@ -142,9 +182,19 @@ export default function ScanPage() {
       }
     }
 
+    // Claimable balance IDs
+    if (trimmedInput.startsWith('B')) {
+      if (!isValidClaimableBalanceId(trimmedInput)) {
+        setError('Invalid claimable balance ID');
+        return;
+      }
+      router.push(`/cb/${trimmedInput}`);
+      return;
+    }
+
     // Regular address handling
     if (!isValidAddress(trimmedInput)) {
-      setError('Invalid input. Enter a G/C/L address, tx hash, or ASSET:ISSUER');
+      setError('Invalid input. Enter a G/M/C/L/B address, tx hash, ledger number, or ASSET:ISSUER');
       return;
     }
 
@@ -197,7 +247,7 @@ export default function ScanPage() {
             name="search"
             value={address}
             onChange={(e) => setAddress(e.target.value)}
-            placeholder="Search address, tx hash, or ASSET:ISSUER..."
+            placeholder="Search address, tx hash, ledger, or ASSET:ISSUER..."
             autoComplete="off"
             spellCheck="false"
           />
@@ -206,6 +256,10 @@ export default function ScanPage() {
         {error && <p className="error">{error}</p>}
       </form>
 
+      <p className="text-secondary">
+        tools: <Link href="/fees">network fees</Link> · <Link href="/xdr">xdr decoder</Link> · <Link href="/simulate">simulate</Link>
+      </p>
+
       <div className="section-title">
         Recent Token Activity
         <a
@@ -231,6 +285,11 @@ export default function ScanPage() {
             <div className="card">
               {txGroups.slice(0, visibleCount).map((group) => (
                 <Link href={`/tx/${group.txHash}`} key={group.txHash} className="card-item">
+                  <div className="activity-description">
+                    {summarizeTransaction({
+                      movements: group.events.map(item => movementFromActivity(item, formatTransfer(item))),
+                    })}
+                  </div>
                   {group.events.map((item, eventIndex) => {
                     const formatted = formatTransfer(item);
                     const typeInfo = getEventTypeInfo(item.type, item.isRefund);
@@ -251,14 +310,14 @@ export default function ScanPage() {
 
                         <div className="activity-addresses">
                           {item.type === 'mint' ? (
-                            <>→ <AddressLink address={item.to} nested /></>
+                            <>→ <AddressLink address={item.to} muxId={item.toMuxedId} nested /></>
                           ) : item.type === 'burn' || item.type === 'fee' ? (
                             <AddressLink address={item.from} nested />
                           ) : (
                             <>
                               <AddressLink address={item.from} nested />
                               {' → '}
-                              <AddressLink address={item.to} nested />
+                              <AddressLink address={item.to} muxId={item.toMuxedId} nested />
                             </>
                           )}
                         </div>
@@ -270,7 +329,7 @@ export default function ScanPage() {
                           }`}>
                             {(item.type === 'mint' || item.isRefund) && '+'}
                             {(item.type === 'burn' || item.type === 'clawback' || (item.type === 'fee' && !item.isRefund)) && '-'}
-                            {formatted.formattedAmount}{' '}
+                            <Amount value={item.amount} decimals={formatted.decimals} />{' '}
                             <span
                               className="nested-link"
                               onClick={(e) => { e.preventDefault(); e.stopPropagation(); router.push(`/token/${item.contractId}`); }}
@@ -278,6 +337,7 @@ export default function ScanPage() {
                           </span>
                           {eventIndex === group.events.length - 1 && (
                             <span className="activity-tx-link">
+                              <LedgerLink sequence={item.ledger} display={`#${item.ledger}`} nested />{' '}
                               tx:{group.txHash?.substring(0, 4)}
                             </span>
                           )}
@@ -289,13 +349,14 @@ export default function ScanPage() {
               ))}
             </div>
 
-            {visibleCount < txGroups.length && (
-              <p style={{ textAlign: 'center' }}>
-                <a href="#" onClick={(e) => { e.preventDefault(); setVisibleCount(v => v + 10); }}>
-                  show more
-                </a>
-              </p>
-            )}
+            <LoadMore
+              hasHidden={visibleCount < txGroups.length}
+              onShowMore={() => setVisibleCount(v => v + 10)}
+              hasOlder={!!cursor}
+              onLoadOlder={loadOlderActivity}
+              loading={loadingOlder}
+              error={olderError}
+            />
           </>
         );
       })()}
@@ -0,0 +1,247 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import {
+  simulateTransactionEnvelope,
+  normalizeXdrInput,
+  formatScVal,
+  formatErrorMessage,
+  formatNumber,
+} from '@/utils/scan';
+import { formatRawAmount } from '@/utils/stellar/amount';
+import {
+  ScanHeader,
+  AddressLink,
+  AuthEntries,
+  DecodedCall,
+  useNetwork,
+} from '@/app/components';
+import '@/app/scan.css';
+
+export default function SimulatePage() {
+  const searchParams = useSearchParams();
+  const { network, isLoading: networkLoading } = useNetwork();
+  const [envelope, setEnvelope] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  // An envelope in the URL (?xdr=) is simulated once the network is known
+  useEffect(() => {
+    const shared = normalizeXdrInput(searchParams.get('xdr'));
+    if (shared && !networkLoading) {
+      setEnvelope(shared);
+      simulate(shared);
+    }
+  }, [networkLoading]);
+
+  // Results belong to the network they were simulated on
+  useEffect(() => {
+    setResult(null);
+  }, [network]);
+
+  const simulate = async (input) => {
+    const xdr = normalizeXdrInput(input);
+    setError(null);
+    setResult(null);
+    if (!xdr) {
+      setError('Paste a base64 transaction envelope');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      setResult(await simulateTransactionEnvelope(xdr));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderFootprint = (title, keys) => (
+    <>
+      <div className="section-title">{title} ({keys.length})</div>
+      {keys.length === 0 ? (
+        <p>none</p>
+      ) : (
+        <div className="card">
+          {keys.map((key, i) => (
+            <div key={i} className="card-item">
+              <div className="storage-value">
+                <span className="text-secondary">{key.type.replace(/_/g, ' ')}</span> {key.label}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  return (
+    <div className="scan-page page-simulate">
+      <ScanHeader />
+
+      <div className="section-title">Simulate Transaction</div>
+      <p className="text-secondary">
+        Runs <code>simulateTransaction</code> on {network}. Nothing is signed or submitted.
+      </p>
+
+      <form className="contract-form" onSubmit={(e) => { e.preventDefault(); simulate(envelope); }}>
+        <div className="form-group">
+          <label htmlFor="simulate-envelope">transaction envelope (base64)</label>
+          <textarea
+            id="simulate-envelope"
+            rows={6}
+            placeholder="AAAAAgAAAAB..."
+            value={envelope}
+            onChange={(e) => setEnvelope(e.target.value)}
+            disabled={busy}
+            spellCheck="false"
+          />
+        </div>
+
+        {error && <p className="error">{formatErrorMessage(error)}</p>}
+        <p className="range-picker-actions">
+          {busy ? (
+            <span className="text-secondary">simulating...</span>
+          ) : (
+            <button type="submit" className="link-button">simulate</button>
+          )}
+        </p>
+      </form>
+
+      {result && (
+        <>
+          <div className="section-title">Result</div>
+          <div className="tx-meta">
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Status</span>
+              <span className="tx-meta-value">
+                <span className={`event-dot ${result.success ? 'success' : 'danger'}`} />
+                {result.success ? 'success' : 'failed'}
+                {result.restoreRequired && ' (needs archived entries restored)'}
+              </span>
+            </div>
+            <div className="tx-meta-item">
+              <span className="tx-meta-label">Simulated At</span>
+              <span className="tx-meta-value">ledger {result.latestLedger}</span>
+            </div>
+            {result.isFeeBump && (
+              <div className="tx-meta-item">
+                <span className="tx-meta-label">Fee Bump</span>
+                <span className="tx-meta-value">simulated the inner transaction</span>
+              </div>
+            )}
+            {result.invocations.map((call, i) => (
+              <div key={i} className="tx-meta-item tx-meta-full">
+                <span className="tx-meta-label">Call</span>
+                <span className="tx-meta-value">
+                  <AddressLink address={call.contractId} />.<DecodedCall decoded={call} />
+                </span>
+              </div>
+            ))}
+            {result.success && (
+              <div className="tx-meta-item tx-meta-full">
+                <span className="tx-meta-label">Return Value</span>
+                <span className="tx-meta-value storage-value">
+                  {result.decodedReturnValue ?? formatScVal(result.returnValue)}
+                </span>
+              </div>
+            )}
+            {result.error && (
+              <div className="tx-meta-item tx-meta-full">
+                <span className="tx-meta-label">Error</span>
+                <span className="tx-meta-value storage-value">{result.error}</span>
+              </div>
+            )}
+            {result.resources && (
+              <>
+                <div className="tx-meta-item">
+                  <span className="tx-meta-label">Instructions</span>
+                  <span className="tx-meta-value">{formatNumber(result.resources.instructions)}</span>
+                </div>
+                <div className="tx-meta-item">
+                  <span className="tx-meta-label">Read / Write Bytes</span>
+                  <span className="tx-meta-value">
+                    {formatNumber(result.resources.diskReadBytes)} / {formatNumber(result.resources.writeBytes)}
+                  </span>
+                </div>
+                <div className="tx-meta-item">
+                  <span className="tx-meta-label">Entries Read / Written</span>
+                  <span className="tx-meta-value">
+                    {result.resources.readEntries} / {result.resources.writeEntries}
+                  </span>
+                </div>
+                <div className="tx-meta-item">
+                  <span className="tx-meta-label">Min Resource Fee</span>
+                  <span className="tx-meta-value">{formatRawAmount(result.minResourceFee, 7)} XLM</span>
+                </div>
+              </>
+            )}
+          </div>
+
+          {result.success && (
+            <>
+              <div className="section-title">Authorization ({result.auth.length})</div>
+              <AuthEntries entries={result.auth} />
+
+              {result.footprint && renderFootprint('Footprint: Read Only', result.footprint.readOnly)}
+              {result.footprint && renderFootprint('Footprint: Read Write', result.footprint.readWrite)}
+
+              <div className="section-title">State Changes ({result.stateChanges.length})</div>
+              {result.stateChanges.length === 0 ? (
+                <p>no state changes reported</p>
+              ) : (
+                <div className="card">
+                  {result.stateChanges.map((change, i) => (
+                    <div key={i} className="card-item">
+                      <div className="event-type">
+                        <span className={`event-dot ${change.type === 'deleted' ? 'danger' : change.type === 'created' ? 'success' : ''}`} />
+                        {change.type}
+                      </div>
+                      <div className="storage-key">{change.key.label}</div>
+                      {(change.beforeValue !== null || change.afterValue !== null) && (
+                        <div className="storage-value">
+                          {change.beforeValue ?? '∅'} → {change.afterValue ?? '∅'}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="section-title">Diagnostic Events ({result.events.length})</div>
+          {result.events.length === 0 ? (
+            <p>no events</p>
+          ) : (
+            <div className="card">
+              {result.events.map((event, i) => (
+                <div key={i} className="card-item">
+                  <div className="activity-card-header">
+                    <div className="event-type">
+                      <span className={`event-dot ${event.inSuccessfulContractCall ? '' : 'danger'}`} />
+                      {event.type}
+                    </div>
+                    {event.contractId && <AddressLink address={event.contractId} />}
+                  </div>
+                  <div className="storage-value">
+                    [{event.topics.map(formatScVal).join(', ')}] {formatScVal(event.data)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      <p style={{ marginTop: '24px' }}>
+        <Link href="/">← new search</Link>
+      </p>
+    </div>
+  );
+}
@@ -6,13 +6,18 @@ import {
   isValidAddress,
   getTokenMetadata,
   getTokenTransfers,
+  getTokenTransfersInRange,
   cacheSacMetadata,
+  mergeActivity,
 } from '@/utils/scan';
-import { rawToDisplay, formatTokenBalance } from '@/utils/stellar/helpers';
 import {
   ScanHeader,
   AddressDisplay,
   AddressLink,
+  LedgerLink,
+  Amount,
+  LoadMore,
+  RangePicker,
   useNetwork,
   SkeletonActivity,
   SkeletonText,
@@ -28,32 +33,47 @@ export default function TokenPage({ params }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [visibleCount, setVisibleCount] = useState(10);
+  const [cursor, setCursor] = useState(null); // Continuation cursor for older activity
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [olderError, setOlderError] = useState(null);
+  const [range, setRange] = useState(null); // Optional ledger range filter
+  const [activityLoading, setActivityLoading] = useState(false);
 
   const isContract = address?.startsWith('C');
   const isValid = isValidAddress(address) && isContract;
 
   useEffect(() => {
     if (isValid && !networkLoading) {
-      loadData();
+      // Ledger ranges don't carry over between tokens or networks
+      setRange(null);
+      loadData(null);
     }
   }, [address, isValid, network, networkLoading]);
 
-  const loadData = async () => {
+  // Ranged feeds read oldest first; the default feed reads newest first
+  const fetchTransfers = (activeRange, pageCursor = null) => activeRange
+    ? getTokenTransfersInRange(address, activeRange, 200, pageCursor)
+    : getTokenTransfers(address, 200, pageCursor);
+
+  const loadData = async (activeRange = range) => {
     setLoading(true);
     setError(null);
     setVisibleCount(10);
+    setCursor(null);
+    setOlderError(null);
 
     try {
       // Fetch metadata and transfers in parallel
       // Metadata may fail for non-token contracts - that's ok
       const [tokenMetadata, tokenTransfers] = await Promise.allSettled([
         getTokenMetadata(address),
-        getTokenTransfers(address),
+        fetchTransfers(activeRange),
       ]);
 
       // Get transfers first so we can extract SAC metadata if needed
-      const transferList = tokenTransfers.status === 'fulfilled' ? tokenTransfers.value : [];
+      const transferList = tokenTransfers.status === 'fulfilled' ? tokenTransfers.value.activity : [];
       setTransfers(transferList);
+      setCursor(tokenTransfers.status === 'fulfilled' ? tokenTransfers.value.cursor : null);
 
       // Use metadata if available
       if (tokenMetadata.status === 'fulfilled') {
@@ -83,12 +103,42 @@ export default function TokenPage({ params }) {
     }
   };
 
-  const formatAmount = (amount) => {
-    const decimals = metadata?.decimals ?? 7;
-    const displayAmount = rawToDisplay(amount, decimals);
-    return formatTokenBalance(displayAmount, decimals);
+  // Fetch the next page of transfers and merge it into what's already shown
+  const loadOlder = async () => {
+    if (!cursor || loadingOlder) return;
+    setLoadingOlder(true);
+    setOlderError(null);
+
+    try {
+      const page = await fetchTransfers(range, cursor);
+      setTransfers(prev => mergeActivity(prev, page.activity, range ? 'asc' : 'desc'));
+      setCursor(page.cursor);
+      setVisibleCount(v => v + 10);
+    } catch (err) {
+      console.warn('Error loading older transfers:', err);
+      setOlderError(err.message);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Reload just the feed for a new range; errors are shown by the picker
+  const applyRange = async (nextRange) => {
+    setActivityLoading(true);
+    try {
+      const page = await fetchTransfers(nextRange);
+      setRange(nextRange);
+      setTransfers(page.activity);
+      setCursor(page.cursor);
+      setVisibleCount(10);
+      setOlderError(null);
+    } finally {
+      setActivityLoading(false);
+    }
   };
 
+  const getDecimals = () => metadata?.decimals ?? 7;
+
   const getSymbol = () => {
     if (!metadata) return '???';
     return metadata.symbol === 'native' ? 'XLM' : metadata.symbol;
@@ -214,8 +264,12 @@ export default function TokenPage({ params }) {
             </a>
           </div>
 
-          {transfers.length === 0 ? (
-            <p>no activity found</p>
+          <RangePicker range={range} onChange={applyRange} />
+
+          {activityLoading ? (
+            <SkeletonActivity count={5} />
+          ) : transfers.length === 0 ? (
+            <p>{range ? 'no activity in this range' : 'no activity found'}</p>
           ) : (() => {
             // Group transfers by transaction hash
             const txGroups = [];
@@ -253,7 +307,7 @@ export default function TokenPage({ params }) {
 
                             <div className="activity-addresses">
                               {t.type === 'mint' ? (
-                                <>→ <AddressLink address={t.to} nested /></>
+                                <>→ <AddressLink address={t.to} muxId={t.toMuxedId} nested /></>
                               ) : t.type === 'burn' ? (
                                 <AddressLink address={t.from} nested />
                               ) : t.type === 'clawback' ? (
@@ -262,7 +316,7 @@ export default function TokenPage({ params }) {
                                 <>
                                   <AddressLink address={t.from} nested />
                                   {' → '}
-                                  <AddressLink address={t.to} nested />
+                                  <AddressLink address={t.to} muxId={t.toMuxedId} nested />
                                 </>
                               )}
                             </div>
@@ -274,10 +328,11 @@ export default function TokenPage({ params }) {
                               }`}>
                                 {t.type === 'mint' && '+'}
                                 {(t.type === 'burn' || t.type === 'clawback') && '-'}
-                                {formatAmount(t.amount)} {getSymbol()}
+                                <Amount value={t.amount} decimals={getDecimals()} /> {getSymbol()}
                               </span>
                               {eventIndex === group.events.length - 1 && (
                                 <span className="activity-tx-link">
+                                  <LedgerLink sequence={t.ledger} display={`#${t.ledger}`} nested />{' '}
                                   tx:{group.txHash?.substring(0, 4)}
                                 </span>
                               )}
@@ -289,13 +344,15 @@ export default function TokenPage({ params }) {
                   ))}
                 </div>
 
-                {visibleCount < txGroups.length && (
-                  <p style={{ textAlign: 'center' }}>
-                    <a href="#" onClick={(e) => { e.preventDefault(); setVisibleCount(v => v + 10); }}>
-                      show more
-                    </a>
-                  </p>
-                )}
+                <LoadMore
+                  hasHidden={visibleCount < txGroups.length}
+                  onShowMore={() => setVisibleCount(v => v + 10)}
+                  hasOlder={!!cursor}
+                  onLoadOlder={loadOlder}
+                  loading={loadingOlder}
+                  error={olderError}
+                  label={range ? 'load more' : 'load older'}
+                />
               </>
             );
           })()}
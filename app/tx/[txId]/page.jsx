@@ -2,11 +2,13 @@
 
 import React, { useState, useEffect, use } from 'react';
 import Link from 'next/link';
-import { getTransaction, initXdrDecoder, decodeXdr, getTokenMetadata, getPoolShareMetadata, cacheSacMetadata } from '@/utils/scan';
+import { getTransaction, initXdrDecoder, decodeXdr, getTokenMetadata, getPoolShareMetadata, cacheSacMetadata, decodeTransactionInvocations, getTransactionAuth, getTransactionCallTrace, getTransactionStateChanges, getTransactionFailure, getTransactionResources } from '@/utils/scan';
 import { formatOperations } from '@/utils/scan/operations';
-import { rawToDisplay, formatTokenBalance } from '@/utils/stellar/helpers';
+import { getEventAmount, getEventParties, computeBalanceChanges } from '@/utils/scan/deltas';
+import { summarizeTransaction, movementFromEvent } from '@/utils/scan/summary';
+import { formatRawAmount } from '@/utils/stellar/helpers';
 import { getAddressPath, formatUnixTimestamp, shortenAddress, formatErrorMessage } from '@/utils/scan/helpers';
-import { ScanHeader, AddressDisplay, AddressLink, useNetwork, SkeletonText, SkeletonCard } from '@/app/components';
+import { ScanHeader, AddressDisplay, AddressLink, LedgerLink, DecodedCall, AuthEntries, CallTrace, StateChanges, FailureDiagnosis, ResourceUsage, useNetwork, SkeletonText, SkeletonCard } from '@/app/components';
 
 // SEP-41 token event types
 const SEP41_EVENT_TYPES = ['transfer', 'mint', 'burn', 'clawback', 'approve', 'set_admin'];
@@ -20,11 +22,18 @@ export default function TransactionPage({ params }) {
   const [txData, setTxData] = useState(null);
   const [decodedXdrs, setDecodedXdrs] = useState({});
   const [operations, setOperations] = useState([]);
+  const [invocations, setInvocations] = useState([]); // Spec-decoded contract calls by operation
+  const [auth, setAuth] = useState([]); // Soroban authorization entries (decoded call trees)
+  const [callTrace, setCallTrace] = useState(null); // Contract call stack from diagnostic events
+  const [stateChanges, setStateChanges] = useState([]); // Ledger entry diffs from the meta
+  const [failure, setFailure] = useState(null); // Explained result codes and contract errors of failed txs
+  const [resourceUsage, setResourceUsage] = useState(null); // Declared vs consumed Soroban resources and fees
   const [events, setEvents] = useState([]);
   const [sourceAccount, setSourceAccount] = useState(null);
   const [sponsorAccount, setSponsorAccount] = useState(null); // For fee bump txs
   const [memo, setMemo] = useState(null); // { type, value }
   const [tokenInfo, setTokenInfo] = useState({}); // { contractId: { symbol, name, decimals } }
+  const [balanceChanges, setBalanceChanges] = useState([]); // Net change per participant and token
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expandedSections, setExpandedSections] = useState({});
@@ -46,6 +55,25 @@ export default function TransactionPage({ params }) {
     }
   }, [xdrReady, txData]);
 
+  useEffect(() => {
+    setInvocations([]);
+    setAuth([]);
+    setCallTrace(null);
+    setStateChanges([]);
+    setFailure(null);
+    setResourceUsage(null);
+    if (txData?.envelopeXdr) {
+      loadInvocations();
+      loadAuth();
+      loadCallTrace();
+      loadStateChanges();
+      loadResourceUsage();
+    }
+    if (txData?.status === 'FAILED') {
+      loadFailure();
+    }
+  }, [txData]);
+
   const loadTransaction = async () => {
     setLoading(true);
     setError(null);
@@ -61,6 +89,60 @@ export default function TransactionPage({ params }) {
     }
   };
 
+  // Decode contract calls with the invoked contracts' specs (best effort)
+  const loadInvocations = async () => {
+    try {
+      setInvocations(await decodeTransactionInvocations(txData));
+    } catch (err) {
+      console.warn('Error decoding contract invocations:', err);
+    }
+  };
+
+  // Authorization trees of Soroban operations (best effort)
+  const loadAuth = async () => {
+    try {
+      setAuth(await getTransactionAuth(txData));
+    } catch (err) {
+      console.warn('Error decoding authorization entries:', err);
+    }
+  };
+
+  // Cross-contract call stack (best effort; needs diagnostic events)
+  const loadCallTrace = async () => {
+    try {
+      setCallTrace(await getTransactionCallTrace(txData));
+    } catch (err) {
+      console.warn('Error building call trace:', err);
+    }
+  };
+
+  // Why a failed transaction failed (best effort; contract errors need diagnostic events)
+  const loadFailure = async () => {
+    try {
+      setFailure(await getTransactionFailure(txData));
+    } catch (err) {
+      console.warn('Error diagnosing failed transaction:', err);
+    }
+  };
+
+  // Ledger entries the transaction touched, as before/after diffs
+  const loadStateChanges = () => {
+    try {
+      setStateChanges(getTransactionStateChanges(txData));
+    } catch (err) {
+      console.warn('Error parsing state changes:', err);
+    }
+  };
+
+  // Soroban resource declarations vs consumption, and the fee split
+  const loadResourceUsage = () => {
+    try {
+      setResourceUsage(getTransactionResources(txData));
+    } catch (err) {
+      console.warn('Error reading resource usage:', err);
+    }
+  };
+
   // Helper to check if an event is a SEP-41 token event
   const isSep41Event = (event) => {
     if (!event.topics || event.topics.length === 0) return false;
@@ -240,6 +322,7 @@ export default function TransactionPage({ params }) {
 
     setDecodedXdrs(decoded);
     setEvents(tokenEvents);
+    setBalanceChanges(computeBalanceChanges(tokenEvents));
 
     // Extract SAC metadata from events with 4th topic (stellar-xdr-json format)
     // SAC transfers have topics[3] as { string: "SYMBOL:ISSUER" } or { string: "native" }
@@ -399,13 +482,26 @@ export default function TransactionPage({ params }) {
           <div className="section-title">Transaction Info</div>
 
           <div className="tx-meta">
+            {operations.length > 0 && (
+              <div className="tx-meta-item tx-meta-full">
+                <span className="tx-meta-label">Summary</span>
+                <span className="tx-meta-value">
+                  {summarizeTransaction({
+                    source: sourceAccount,
+                    operations,
+                    movements: events.map(event => movementFromEvent(event, tokenInfo[event.contractId])),
+                    failed: txData.status === 'FAILED',
+                  })}
+                </span>
+              </div>
+            )}
             <div className="tx-meta-item">
               <span className="tx-meta-label">Status</span>
               <span className={`tx-meta-value ${getStatusColor(txData.status)}`}>{txData.status}</span>
             </div>
             <div className="tx-meta-item">
               <span className="tx-meta-label">Ledger</span>
-              <span className="tx-meta-value">{txData.ledger || 'N/A'}</span>
+              <span className="tx-meta-value"><LedgerLink sequence={txData.ledger} /></span>
             </div>
             <div className="tx-meta-item">
               <span className="tx-meta-label">Timestamp</span>
@@ -435,9 +531,49 @@ export default function TransactionPage({ params }) {
             )}
           </div>
 
+          {failure && (
+            <>
+              <div className="section-title">Failure</div>
+              <FailureDiagnosis failure={failure} />
+            </>
+          )}
+
+          {balanceChanges.length > 0 && (
+            <>
+              <div className="section-title" style={failure ? { marginTop: '16px' } : undefined}>Balance Changes</div>
+              <div className="card">
+                {balanceChanges.map(participant => (
+                  <div key={participant.address} className="card-item balance-change">
+                    <AddressLink address={participant.address} />
+                    <span className="balance-change-amounts">
+                      {participant.changes.map(change => {
+                        const token = tokenInfo[change.contractId];
+                        const symbol = token?.symbol === 'native' ? 'XLM' : (token?.symbol || '???');
+                        const amount = BigInt(change.amount);
+                        const fee = BigInt(change.fee);
+                        return (
+                          <span key={change.contractId} className={`activity-amount ${amount > 0n ? 'positive' : amount < 0n ? 'negative' : ''}`}>
+                            {amount > 0n && '+'}
+                            {formatRawAmount(change.amount, token?.decimals ?? 7)} {symbol}
+                            {fee !== 0n && (
+                              <span className="text-secondary">
+                                {' '}({fee > 0n ? 'fee' : 'fee refund'} {formatRawAmount(fee > 0n ? fee : -fee, 7)})
+                              </span>
+                            )}
+                          </span>
+                        );
+                      })}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
           <div
             className="collapsible-header"
             onClick={() => toggleSection('operations')}
+            style={balanceChanges.length > 0 || failure ? { marginTop: '16px' } : undefined}
           >
             <span className="collapsible-icon">{expandedSections.operations === false ? '+' : '−'}</span>
             <span>Operations ({operations.length})</span>
@@ -455,6 +591,8 @@ export default function TransactionPage({ params }) {
                     .join(' ');
                 };
 
+                const invocation = invocations.find(inv => inv.operationIndex === op.index);
+
                 // Render description with linked addresses
                 const renderOpDescription = () => {
                   const { description, details } = op;
@@ -463,7 +601,7 @@ export default function TransactionPage({ params }) {
                   const addressMap = {};
                   if (details) {
                     for (const [key, value] of Object.entries(details)) {
-                      if (typeof value === 'string' && (value.startsWith('G') || value.startsWith('C') || value.startsWith('L')) && value.length >= 56) {
+                      if (typeof value === 'string' && /^[GCLB]/.test(value) && value.length >= 56) {
                         const shortened = value.substring(0, 5);
                         if (description.includes(shortened)) {
                           addressMap[shortened] = value;
@@ -510,9 +648,24 @@ export default function TransactionPage({ params }) {
                         </Link>
                       )}
                     </div>
-                    <div className="activity-description">
-                      {renderOpDescription()}
-                    </div>
+                    {invocation ? (
+                      <>
+                        <div className="activity-description">
+                          <DecodedCall decoded={invocation} />
+                          {' on '}
+                          <AddressLink address={invocation.contractId} />
+                        </div>
+                        {invocation.returnValue !== null && (
+                          <div className="activity-description text-secondary">
+                            returned <span className="decoded-call">{invocation.returnValue}</span>
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <div className="activity-description">
+                        {renderOpDescription()}
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -523,6 +676,82 @@ export default function TransactionPage({ params }) {
             <p style={{ marginTop: '8px' }} className="text-secondary">{xdrReady ? 'no operations' : 'loading...'}</p>
           )}
 
+          {auth.length > 0 && (
+            <>
+              <div
+                className="collapsible-header"
+                onClick={() => toggleSection('auth')}
+                style={{ marginTop: '16px' }}
+              >
+                <span className="collapsible-icon">{expandedSections.auth === false ? '+' : '−'}</span>
+                <span>Authorization ({auth.length})</span>
+              </div>
+
+              {expandedSections.auth !== false && (
+                <div style={{ marginTop: '8px' }}>
+                  <AuthEntries entries={auth} />
+                </div>
+              )}
+            </>
+          )}
+
+          {callTrace && (
+            <>
+              <div
+                className="collapsible-header"
+                onClick={() => toggleSection('trace')}
+                style={{ marginTop: '16px' }}
+              >
+                <span className="collapsible-icon">{expandedSections.trace === false ? '+' : '−'}</span>
+                <span>Call Trace</span>
+              </div>
+
+              {expandedSections.trace !== false && (
+                <div style={{ marginTop: '8px' }}>
+                  <CallTrace trace={callTrace} />
+                </div>
+              )}
+            </>
+          )}
+
+          {stateChanges.length > 0 && (
+            <>
+              <div
+                className="collapsible-header"
+                onClick={() => toggleSection('stateChanges')}
+                style={{ marginTop: '16px' }}
+              >
+                <span className="collapsible-icon">{expandedSections.stateChanges === false ? '+' : '−'}</span>
+                <span>State Changes ({stateChanges.length})</span>
+              </div>
+
+              {expandedSections.stateChanges !== false && (
+                <div style={{ marginTop: '8px' }}>
+                  <StateChanges changes={stateChanges} />
+                </div>
+              )}
+            </>
+          )}
+
+          {resourceUsage && (
+            <>
+              <div
+                className="collapsible-header"
+                onClick={() => toggleSection('resources')}
+                style={{ marginTop: '16px' }}
+              >
+                <span className="collapsible-icon">{expandedSections.resources === false ? '+' : '−'}</span>
+                <span>Resources &amp; Fees</span>
+              </div>
+
+              {expandedSections.resources !== false && (
+                <div style={{ marginTop: '8px' }}>
+                  <ResourceUsage usage={resourceUsage} />
+                </div>
+              )}
+            </>
+          )}
+
           <div
             className="collapsible-header"
             onClick={() => toggleSection('events')}
@@ -539,73 +768,19 @@ export default function TransactionPage({ params }) {
                 const symbol = token?.symbol === 'native' ? 'XLM' : (token?.symbol || '???');
                 const decimals = token?.decimals ?? 7;
 
-                // Extract raw amount from event data
-                const getRawAmount = () => {
-                  if (!event.data) return null;
-
-                  const parseNumericScVal = (val) => {
-                    if (!val) return null;
-                    if (val.i128 !== undefined) return BigInt(val.i128);
-                    if (val.u128 !== undefined) return BigInt(val.u128);
-                    if (val.i64 !== undefined) return BigInt(val.i64);
-                    if (val.u64 !== undefined) return BigInt(val.u64);
-                    if (val.i32 !== undefined) return BigInt(val.i32);
-                    if (val.u32 !== undefined) return BigInt(val.u32);
-                    return null;
-                  };
-
-                  if (event.data.map && Array.isArray(event.data.map)) {
-                    for (const entry of event.data.map) {
-                      if (entry.key?.symbol === 'amount') {
-                        return parseNumericScVal(entry.val);
-                      }
-                    }
-                    return null;
-                  }
-
-                  return parseNumericScVal(event.data);
-                };
-
-                const rawAmount = getRawAmount();
+                const rawAmount = getEventAmount(event);
                 const formattedAmount = rawAmount
-                  ? formatTokenBalance(rawToDisplay(rawAmount, decimals), decimals)
+                  ? formatRawAmount(rawAmount, decimals)
                   : null;
 
-                // Extract addresses from topics based on event type
-                const getAddress = (topicIndex) => event.topics?.[topicIndex]?.address;
-
-                let fromAddr = null;
-                let toAddr = null;
-
-                switch (event.eventType) {
-                  case 'transfer':
-                  case 'approve':
-                    fromAddr = getAddress(1);
-                    toAddr = getAddress(2);
-                    break;
-                  case 'mint':
-                    toAddr = getAddress(1);
-                    break;
-                  case 'burn':
-                  case 'clawback':
-                    fromAddr = getAddress(1);
-                    break;
-                  case 'set_admin':
-                    fromAddr = getAddress(1);
-                    break;
-                  case 'fee':
-                    fromAddr = getAddress(1);
-                    break;
-                  default:
-                    fromAddr = getAddress(1);
-                    toAddr = getAddress(2);
-                }
+                // Addresses from topics based on event type
+                const { from: fromAddr, to: toAddr } = getEventParties(event);
 
                 // For fee events, check if it's a refund (negative amount)
                 const isRefund = event.eventType === 'fee' && rawAmount !== null && rawAmount < 0n;
                 const absAmount = rawAmount !== null && rawAmount < 0n ? -rawAmount : rawAmount;
                 const displayAmount = event.eventType === 'fee' && absAmount !== null
-                  ? formatTokenBalance(rawToDisplay(absAmount, 7), 7)
+                  ? formatRawAmount(absAmount, 7)
                   : formattedAmount;
 
                 // Get event type display info
@@ -0,0 +1,211 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import {
+  decodeXdr,
+  encodeXdr,
+  getXdrTypes,
+  guessXdrType,
+  COMMON_XDR_TYPES,
+  normalizeXdrInput,
+  buildXdrShareUrl,
+  parseXdrShareParams,
+} from '@/utils/scan';
+import { copyToClipboard } from '@/utils/scan/helpers';
+import { ScanHeader, useNetwork } from '@/app/components';
+import '@/app/scan.css';
+
+const AUTO = 'auto';
+
+// The decoder throws plain strings
+const errorText = (err) => String(err?.message ?? err);
+
+export default function XdrPage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { network } = useNetwork();
+  const [types, setTypes] = useState([]);
+  const [type, setType] = useState(AUTO);
+  const [xdrText, setXdrText] = useState('');
+  const [jsonText, setJsonText] = useState('');
+  const [guesses, setGuesses] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // Load the type list, then decode a shared payload if the URL carries one
+  useEffect(() => {
+    const init = async () => {
+      try {
+        setTypes(await getXdrTypes());
+      } catch (err) {
+        setError(`Failed to load the XDR decoder: ${errorText(err)}`);
+        return;
+      }
+
+      const shared = parseXdrShareParams(searchParams);
+      if (shared.xdr) {
+        setXdrText(shared.xdr);
+        await decode(shared.xdr, shared.type || AUTO);
+      }
+    };
+    init();
+  }, []);
+
+  const decode = async (input, selectedType) => {
+    const xdr = normalizeXdrInput(input);
+    setError(null);
+    if (!xdr) {
+      setError('Paste base64 XDR to decode');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      let decodeType = selectedType;
+      if (selectedType === AUTO) {
+        setGuesses([]);
+        const matches = await guessXdrType(xdr);
+        if (matches.length === 0) {
+          setError('No XDR type decodes this input completely');
+          return;
+        }
+        decodeType = matches[0];
+        setGuesses(matches);
+        setType(decodeType);
+      }
+
+      const json = await decodeXdr(decodeType, xdr);
+      setJsonText(JSON.stringify(json, null, 2));
+    } catch (err) {
+      setError(`Decode failed: ${errorText(err)}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const encode = async () => {
+    setError(null);
+    if (type === AUTO) {
+      setError('Pick a type to encode as');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      setXdrText(await encodeXdr(type, jsonText));
+    } catch (err) {
+      setError(`Encode failed: ${errorText(err)}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Put the payload in the address bar and copy the link
+  const share = () => {
+    const url = buildXdrShareUrl({ type: type === AUTO ? null : type, xdr: xdrText, network });
+    router.replace(url, { scroll: false });
+    copyToClipboard(`${window.location.origin}${url}`, setCopied);
+  };
+
+  const otherTypes = types.filter(t => !COMMON_XDR_TYPES.includes(t));
+
+  return (
+    <div className="scan-page page-xdr">
+      <ScanHeader />
+
+      <div className="section-title">XDR Decoder / Encoder</div>
+      <p className="text-secondary">
+        Decodes locally in the browser; nothing is sent to the network.
+      </p>
+
+      <form className="contract-form" onSubmit={(e) => { e.preventDefault(); decode(xdrText, type); }}>
+        <div className="form-group">
+          <label htmlFor="xdr-type">type</label>
+          <select
+            id="xdr-type"
+            value={type}
+            onChange={(e) => { setType(e.target.value); setGuesses([]); }}
+            disabled={busy || types.length === 0}
+          >
+            <option value={AUTO}>auto-detect</option>
+            <optgroup label="common">
+              {COMMON_XDR_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+            </optgroup>
+            <optgroup label="all types">
+              {otherTypes.map(t => <option key={t} value={t}>{t}</option>)}
+            </optgroup>
+          </select>
+          {guesses.length > 1 && (
+            <p className="text-secondary">
+              also decodes as:{' '}
+              {guesses.filter(t => t !== type).slice(0, 7).map((t, i) => (
+                <React.Fragment key={t}>
+                  {i > 0 && ', '}
+                  <button type="button" className="link-button" onClick={() => { setType(t); decode(xdrText, t); }}>
+                    {t}
+                  </button>
+                </React.Fragment>
+              ))}
+              {guesses.length > 8 && ` and ${guesses.length - 8} more`}
+            </p>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="xdr-base64">xdr (base64)</label>
+          <textarea
+            id="xdr-base64"
+            rows={4}
+            placeholder="AAAAAgAAAAB..."
+            value={xdrText}
+            onChange={(e) => setXdrText(e.target.value)}
+            disabled={busy}
+            spellCheck="false"
+          />
+        </div>
+
+        <p className="range-picker-actions">
+          {busy ? (
+            <span className="text-secondary">working...</span>
+          ) : (
+            <>
+              <button type="submit" className="link-button">decode ↓</button>
+              {' | '}
+              <button type="button" className="link-button" onClick={encode}>encode ↑</button>
+              {xdrText && (
+                <>
+                  {' | '}
+                  <button type="button" className="link-button" onClick={share}>
+                    {copied ? 'link copied!' : 'share link'}
+                  </button>
+                </>
+              )}
+            </>
+          )}
+        </p>
+
+        {error && <p className="error">{error}</p>}
+
+        <div className="form-group">
+          <label htmlFor="xdr-json">json</label>
+          <textarea
+            id="xdr-json"
+            rows={16}
+            placeholder="Decoded JSON appears here; edit it and encode to get base64 back"
+            value={jsonText}
+            onChange={(e) => setJsonText(e.target.value)}
+            disabled={busy}
+            spellCheck="false"
+          />
+        </div>
+      </form>
+
+      <p style={{ marginTop: '24px' }}>
+        <Link href="/">← new search</Link>
+      </p>
+    </div>
+  );
+}
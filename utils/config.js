@@ -26,6 +26,13 @@ const RPC_DEFAULTS = {
   backoffMaxMs: getEnvNumber('NEXT_PUBLIC_RPC_BACKOFF_MAX_MS', 2000),
 };
 
+// Comma-separated CODE:ISSUER list, e.g. "USDC:GA5Z...,EURC:GDHU..."
+const getEnvList = (key, fallback) => {
+  const value = getEnvString(key, null);
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
 const CAP67DB_DEFAULT_URL = getEnvString(
   'NEXT_PUBLIC_CAP67DB_URL',
   'https://159-65-224-222.sslip.io'
@@ -45,6 +52,10 @@ const NETWORKS = {
       'https://stellar.expert/explorer/testnet'
     ),
     passphrase: 'Test SDF Network ; September 2015',
+    // Assets probed for trustlines on account pages
+    knownAssets: getEnvList('NEXT_PUBLIC_KNOWN_ASSETS_TESTNET', [
+      'USDC:GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5',
+    ]),
   },
   mainnet: {
     name: 'mainnet',
@@ -58,6 +69,11 @@ const NETWORKS = {
       'https://stellar.expert/explorer/public'
     ),
     passphrase: 'Public Global Stellar Network ; September 2015',
+    knownAssets: getEnvList('NEXT_PUBLIC_KNOWN_ASSETS_MAINNET', [
+      'USDC:GA5ZSEJYB37JRC5AVCIA5MOP4RHTM335X2KGX3IHOJAPP5RE34K4KZVN',
+      'EURC:GDHU6WRG4IEQXM5NZ4BMPKOXHW76MZM4Y2IEMFDVXBSDP6SJY4ITNPP2',
+      'AQUA:GBNZILSTVQZ4R7IKQDGHYGY2QXL5QOFJYQMXPKWRRM5PAV7Y4M67AQUA',
+    ]),
   },
 };
 
@@ -104,6 +120,7 @@ const config = {
       sorobanRpcUrlPublic: networkConfig.sorobanRpcUrlPublic,
       explorerUrl: networkConfig.explorerUrl,
       cap67dbUrl: CAP67DB_DEFAULT_URL,
+      knownAssets: networkConfig.knownAssets,
     };
   },
   get rpc() {
@@ -11,6 +11,7 @@
  */
 
 import config from '../config.js';
+import { getNextCursor } from './pagination.js';
 
 const CAP67DB_URL = config.stellar.cap67dbUrl;
 
@@ -109,6 +110,8 @@ export function adaptEvent(event, targetAddress = null) {
     timestamp: event.closed_at,
     contractId: event.contract_id,
     amount: BigInt(event.amount),
+    // Set when the data payload is {amount, to_muxed_id} (recipient is muxed)
+    toMuxedId: event.to_muxed_id != null ? String(event.to_muxed_id) : null,
     sacSymbol: symbol,
     sacName: name,
     inSuccessfulContractCall: event.successful && event.in_successful_txn,
@@ -183,74 +186,86 @@ const NON_TOKEN_TYPES = ['fee', 'set_authorized'];
  * Fetch and adapt token events for an address (excludes fees)
  * @param {string} address - Address to fetch activity for
  * @param {number} limit - Maximum events to return
- * @returns {Promise<Array>} Array of adapted events
+ * @param {string} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: string|null}>} Adapted events and next cursor
  */
-export async function getAddressActivity(address, limit = 200) {
+export async function getAddressActivity(address, limit = 200, cursor = null) {
   const result = await fetchEvents({
     account: address,
     limit,
     order: 'desc',
+    cursor,
   });
 
   // Filter out fee and set_authorized events client-side
-  return (result.events || [])
+  const activity = (result.events || [])
     .filter(e => !NON_TOKEN_TYPES.includes(e.type))
     .map(e => adaptEvent(e, address));
+  return { activity, cursor: getNextCursor(result, limit) };
 }
 
 /**
  * Fetch and adapt all events for an address (includes fees)
  * @param {string} address - Address to fetch activity for
  * @param {number} limit - Maximum events to return
- * @returns {Promise<Array>} Array of adapted events
+ * @param {string} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: string|null}>} Adapted events and next cursor
  */
-export async function getAddressActivityWithFees(address, limit = 200) {
+export async function getAddressActivityWithFees(address, limit = 200, cursor = null) {
   const result = await fetchEvents({
     account: address,
     limit,
     order: 'desc',
+    cursor,
   });
 
   // Filter out set_authorized events, keep fees
-  return (result.events || [])
+  const activity = (result.events || [])
     .filter(e => e.type !== 'set_authorized')
     .map(e => adaptEvent(e, address));
+  return { activity, cursor: getNextCursor(result, limit) };
 }
 
 /**
  * Fetch and adapt network-wide token activity (includes all event types)
  * @param {number} limit - Maximum events to return
- * @returns {Promise<Array>} Array of adapted events
+ * @param {string} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: string|null}>} Adapted events and next cursor
  */
-export async function getNetworkActivity(limit = 200) {
+export async function getNetworkActivity(limit = 200, cursor = null) {
   const result = await fetchEvents({
     limit,
     order: 'desc',
+    cursor,
   });
 
   // Filter out only set_authorized events
-  return (result.events || [])
+  const activity = (result.events || [])
     .filter(e => e.type !== 'set_authorized')
     .map(e => adaptEvent(e));
+  return { activity, cursor: getNextCursor(result, limit) };
 }
 
 /**
  * Fetch and adapt token activity for a specific contract (excludes fees)
  * @param {string} contractId - Token contract ID
  * @param {number} limit - Maximum events to return
- * @returns {Promise<Array>} Array of adapted events
+ * @param {string} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: string|null}>} Adapted events and next cursor
  */
-export async function getContractActivity(contractId, limit = 200) {
+export async function getContractActivity(contractId, limit = 200, cursor = null) {
   const result = await fetchEvents({
     contractId,
     limit,
     order: 'desc',
+    cursor,
   });
 
   // Filter out fee and set_authorized events client-side
-  return (result.events || [])
+  const activity = (result.events || [])
     .filter(e => !NON_TOKEN_TYPES.includes(e.type))
     .map(e => adaptEvent(e));
+  return { activity, cursor: getNextCursor(result, limit) };
 }
 
 /**
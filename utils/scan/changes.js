@@ -0,0 +1,340 @@
+/**
+ * Ledger state diffs for Stellar MiniScan
+ *
+ * Pure helpers that turn TransactionMeta ledger entry changes into
+ * before/after field diffs for the tx page's "State Changes" section.
+ *
+ * Notes:
+ * - Core writes a `state` change (the entry as it was) right before each
+ *   `updated` or `removed` change of the same key; the two are paired here.
+ * - Change types match simulateTransaction's stateChanges (see simulation.js),
+ *   so a removed entry is reported as `deleted`.
+ * - Entries are flattened to display strings per field so any two versions
+ *   can be compared; amounts are shown in units (7 decimals).
+ * - lastModifiedLedgerSeq changes on every write and is left out.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { formatRawAmount } from '../stellar/amount.js';
+import { formatScVal } from './scval.js';
+import { describeLedgerKey, formatLedgerAsset } from './simulation.js';
+import {
+  parseAccountEntry,
+  parseTrustlineEntry,
+  parseClaimableBalanceEntry,
+  parseContractDataEntry,
+  parseContractInstance,
+} from './entries.js';
+
+const { xdr } = StellarSdk;
+
+const CHANGE_TYPES = {
+  ledgerEntryCreated: 'created',
+  ledgerEntryUpdated: 'updated',
+  ledgerEntryRemoved: 'deleted',
+  ledgerEntryRestored: 'restored',
+};
+
+const encodeAccount = (accountId) => StellarSdk.StrKey.encodeEd25519PublicKey(accountId.ed25519());
+const units = (amount) => formatRawAmount(amount.toString(), 7);
+
+/**
+ * Get the ledger key of a ledger entry
+ * @param {StellarSdk.xdr.LedgerEntry} entry - Ledger entry
+ * @returns {StellarSdk.xdr.LedgerKey} Key the entry is stored under
+ */
+export function ledgerEntryKey(entry) {
+  const data = entry.data();
+  switch (data.switch().name) {
+    case 'account':
+      return xdr.LedgerKey.account(new xdr.LedgerKeyAccount({ accountId: data.account().accountId() }));
+    case 'trustline': {
+      const trustline = data.trustLine();
+      return xdr.LedgerKey.trustline(new xdr.LedgerKeyTrustLine({
+        accountId: trustline.accountId(),
+        asset: trustline.asset(),
+      }));
+    }
+    case 'offer': {
+      const offer = data.offer();
+      return xdr.LedgerKey.offer(new xdr.LedgerKeyOffer({ sellerId: offer.sellerId(), offerId: offer.offerId() }));
+    }
+    case 'data': {
+      const entryData = data.data();
+      return xdr.LedgerKey.data(new xdr.LedgerKeyData({
+        accountId: entryData.accountId(),
+        dataName: entryData.dataName(),
+      }));
+    }
+    case 'claimableBalance':
+      return xdr.LedgerKey.claimableBalance(new xdr.LedgerKeyClaimableBalance({
+        balanceId: data.claimableBalance().balanceId(),
+      }));
+    case 'liquidityPool':
+      return xdr.LedgerKey.liquidityPool(new xdr.LedgerKeyLiquidityPool({
+        liquidityPoolId: data.liquidityPool().liquidityPoolId(),
+      }));
+    case 'contractData': {
+      const contractData = data.contractData();
+      return xdr.LedgerKey.contractData(new xdr.LedgerKeyContractData({
+        contract: contractData.contract(),
+        key: contractData.key(),
+        durability: contractData.durability(),
+      }));
+    }
+    case 'contractCode':
+      return xdr.LedgerKey.contractCode(new xdr.LedgerKeyContractCode({ hash: data.contractCode().hash() }));
+    case 'configSetting':
+      return xdr.LedgerKey.configSetting(new xdr.LedgerKeyConfigSetting({
+        configSettingId: data.configSetting().switch(),
+      }));
+    case 'ttl':
+      return xdr.LedgerKey.ttl(new xdr.LedgerKeyTtl({ keyHash: data.ttl().keyHash() }));
+    default:
+      throw new Error(`Unsupported ledger entry type: ${data.switch().name}`);
+  }
+}
+
+// Data entry values are arbitrary bytes; show text when it is printable
+function formatDataValue(value) {
+  const text = value.toString('utf8');
+  return /^[\x20-\x7e]*$/.test(text) ? text : value.toString('base64');
+}
+
+/**
+ * Flatten a ledger entry into display fields
+ * @param {StellarSdk.xdr.LedgerEntry} entry - Ledger entry
+ * @returns {Object<string, string>} Field name -> display value, in display order
+ */
+export function flattenLedgerEntry(entry) {
+  const data = entry.data();
+  let fields;
+
+  switch (data.switch().name) {
+    case 'account': {
+      const account = parseAccountEntry(data.account());
+      const { thresholds } = account;
+      fields = {
+        balance: `${units(account.balance)} XLM`,
+        seqNum: account.seqNum,
+        numSubEntries: String(account.numSubEntries),
+        numSponsored: String(account.numSponsored),
+        numSponsoring: String(account.numSponsoring),
+        homeDomain: account.homeDomain,
+        inflationDest: account.inflationDest ?? '',
+        flags: account.flagNames.join(', '),
+        thresholds: `master ${thresholds.masterWeight} / low ${thresholds.low} / med ${thresholds.medium} / high ${thresholds.high}`,
+        signers: account.signers.map(signer => `${signer.key} (${signer.weight})`).join(', '),
+        buyingLiabilities: units(account.liabilities.buying),
+        sellingLiabilities: units(account.liabilities.selling),
+      };
+      break;
+    }
+    case 'trustline': {
+      const trustline = parseTrustlineEntry(data.trustLine());
+      fields = {
+        asset: formatLedgerAsset(data.trustLine().asset()),
+        balance: units(trustline.balance),
+        limit: units(trustline.limit),
+        flags: trustline.flagNames.join(', '),
+        buyingLiabilities: units(trustline.liabilities.buying),
+        sellingLiabilities: units(trustline.liabilities.selling),
+      };
+      break;
+    }
+    case 'offer': {
+      const offer = data.offer();
+      fields = {
+        seller: encodeAccount(offer.sellerId()),
+        offerId: offer.offerId().toString(),
+        selling: formatLedgerAsset(offer.selling()),
+        buying: formatLedgerAsset(offer.buying()),
+        amount: units(offer.amount()),
+        price: `${offer.price().n()}/${offer.price().d()}`,
+        flags: offer.flags() & 0x1 ? 'passive' : '',
+      };
+      break;
+    }
+    case 'data': {
+      const entryData = data.data();
+      fields = {
+        name: entryData.dataName().toString(),
+        value: formatDataValue(entryData.dataValue()),
+      };
+      break;
+    }
+    case 'claimableBalance': {
+      const balance = parseClaimableBalanceEntry(data.claimableBalance());
+      fields = {
+        asset: formatLedgerAsset(data.claimableBalance().asset()),
+        amount: units(balance.amount),
+        claimants: balance.claimants.map(claimant => claimant.destination).join(', '),
+        flags: balance.flagNames.join(', '),
+      };
+      break;
+    }
+    case 'liquidityPool': {
+      const pool = data.liquidityPool().body().constantProduct();
+      const params = pool.params();
+      fields = {
+        assetA: formatLedgerAsset(params.assetA()),
+        assetB: formatLedgerAsset(params.assetB()),
+        fee: `${params.fee()} bps`,
+        reserveA: units(pool.reserveA()),
+        reserveB: units(pool.reserveB()),
+        totalPoolShares: units(pool.totalPoolShares()),
+        poolSharesTrustLineCount: pool.poolSharesTrustLineCount().toString(),
+      };
+      break;
+    }
+    case 'contractData': {
+      const contractData = data.contractData();
+      const { contractId, key, value, durability } = parseContractDataEntry(contractData);
+      fields = { contract: contractId, durability };
+
+      if (key.switch().name === 'scvLedgerKeyContractInstance') {
+        // Instance storage items get a field each so single-key writes stand out
+        const instance = parseContractInstance(contractData);
+        fields.executable = instance.executable.type === 'wasm'
+          ? `wasm ${instance.executable.wasmHash}`
+          : 'stellar asset';
+        for (const item of instance.storage) {
+          fields[`storage ${formatScVal(item.key)}`] = formatScVal(item.value);
+        }
+      } else {
+        fields.key = formatScVal(key);
+        fields.value = formatScVal(value);
+      }
+      break;
+    }
+    case 'contractCode': {
+      const code = data.contractCode();
+      fields = {
+        hash: code.hash().toString('hex'),
+        size: `${code.code().length} bytes`,
+      };
+      break;
+    }
+    case 'ttl': {
+      const ttl = data.ttl();
+      fields = {
+        keyHash: ttl.keyHash().toString('hex'),
+        liveUntilLedgerSeq: String(ttl.liveUntilLedgerSeq()),
+      };
+      break;
+    }
+    case 'configSetting':
+      fields = { setting: data.configSetting().switch().name };
+      break;
+    default:
+      fields = {};
+  }
+
+  // Sponsorship lives in the LedgerEntry extension
+  const ext = entry.ext();
+  if (ext.switch() === 1 && ext.v1().sponsoringId()) {
+    fields.sponsor = encodeAccount(ext.v1().sponsoringId());
+  }
+
+  return fields;
+}
+
+/**
+ * Compare two versions of a ledger entry field by field
+ * @param {StellarSdk.xdr.LedgerEntry|null} before - Entry before the change (null when created)
+ * @param {StellarSdk.xdr.LedgerEntry|null} after - Entry after the change (null when deleted)
+ * @returns {Array<{name: string, before: string|null, after: string|null, changed: boolean}>}
+ *   Fields in display order; a field missing on one side is null there
+ */
+export function diffLedgerEntries(before, after) {
+  const beforeFields = before ? flattenLedgerEntry(before) : {};
+  const afterFields = after ? flattenLedgerEntry(after) : {};
+  const names = [...new Set([...Object.keys(afterFields), ...Object.keys(beforeFields)])];
+
+  return names.map(name => {
+    const beforeValue = name in beforeFields ? beforeFields[name] : null;
+    const afterValue = name in afterFields ? afterFields[name] : null;
+    return { name, before: beforeValue, after: afterValue, changed: beforeValue !== afterValue };
+  });
+}
+
+/**
+ * Pair ledger entry changes with the prior state of the entries they touch
+ * @param {StellarSdk.xdr.LedgerEntryChange[]} changes - Changes in meta order
+ * @returns {Array<{type: string, key: object, before: StellarSdk.xdr.LedgerEntry|null, after: StellarSdk.xdr.LedgerEntry|null}>}
+ *   type is 'created', 'updated', 'deleted' or 'restored'; key is described (see describeLedgerKey)
+ */
+export function pairLedgerEntryChanges(changes) {
+  const prior = new Map();
+  const paired = [];
+
+  for (const change of changes || []) {
+    const kind = change.switch().name;
+
+    if (kind === 'ledgerEntryState') {
+      prior.set(ledgerEntryKey(change.state()).toXDR('base64'), change.state());
+      continue;
+    }
+
+    const type = CHANGE_TYPES[kind];
+    if (!type) continue;
+
+    const key = kind === 'ledgerEntryRemoved' ? change.removed() : ledgerEntryKey(change.value());
+    const keyXdr = key.toXDR('base64');
+    const before = type === 'updated' || type === 'deleted' ? (prior.get(keyXdr) ?? null) : null;
+    prior.delete(keyXdr);
+
+    paired.push({
+      type,
+      key: describeLedgerKey(key),
+      before,
+      after: type === 'deleted' ? null : change.value(),
+    });
+  }
+
+  return paired;
+}
+
+/**
+ * Get the ledger entry changes of transaction meta, grouped by when they applied
+ * @param {StellarSdk.xdr.TransactionMeta} meta - Transaction meta (v0–v4)
+ * @returns {Array<{scope: 'before'|'operation'|'after', operationIndex: number|null, changes: StellarSdk.xdr.LedgerEntryChange[]}>}
+ *   'before'/'after' are the transaction-level changes around the operations (sequence bump, refunds)
+ */
+export function getMetaChangeGroups(meta) {
+  const version = meta.switch();
+  const body = meta.value();
+  const operations = version === 0 ? body : body.operations();
+
+  const groups = [];
+  if (version === 1) {
+    groups.push({ scope: 'before', operationIndex: null, changes: body.txChanges() });
+  } else if (version >= 2) {
+    groups.push({ scope: 'before', operationIndex: null, changes: body.txChangesBefore() });
+  }
+  operations.forEach((operation, operationIndex) => {
+    groups.push({ scope: 'operation', operationIndex, changes: operation.changes() });
+  });
+  if (version >= 2) {
+    groups.push({ scope: 'after', operationIndex: null, changes: body.txChangesAfter() });
+  }
+
+  return groups.filter(group => group.changes.length > 0);
+}
+
+/**
+ * Turn transaction meta into before/after diffs of every ledger entry it touched
+ * @param {StellarSdk.xdr.TransactionMeta} meta - Transaction meta
+ * @returns {Array<object>} {scope, operationIndex, type, key, fields} per change, in meta order
+ *   (fields from diffLedgerEntries)
+ */
+export function parseMetaStateChanges(meta) {
+  return getMetaChangeGroups(meta).flatMap(({ scope, operationIndex, changes }) =>
+    pairLedgerEntryChanges(changes).map(change => ({
+      scope,
+      operationIndex,
+      type: change.type,
+      key: change.key,
+      fields: diffLedgerEntries(change.before, change.after),
+    })));
+}
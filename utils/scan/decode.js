@@ -0,0 +1,297 @@
+/**
+ * Spec-aware ScVal decoding for Stellar MiniScan
+ *
+ * Uses a contract's interface (see spec.js) to name invocation arguments,
+ * render user-defined types (structs, enums, error codes) by name, and show
+ * token amounts with their decimals. Values that don't match the declared
+ * type fall back to the generic formatScVal rendering.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { formatRawAmount } from '../stellar/amount.js';
+import { formatScVal, formatScError } from './scval.js';
+import { formatSpecType } from './spec.js';
+
+// Text content of a symbol or string ScVal, or null
+function scValText(scVal) {
+  const name = scVal?.switch().name;
+  if (name === 'scvSymbol') return scVal.sym().toString();
+  if (name === 'scvString') return scVal.str().toString();
+  return null;
+}
+
+/**
+ * Find the error enum case for a contract error code
+ * @param {object|null} spec - Parsed spec
+ * @param {number} code - Contract error code (Error(Contract, #code))
+ * @returns {{enumName: string, name: string, doc: string, value: number}|null} Matching case or null
+ */
+export function resolveContractError(spec, code) {
+  for (const errorEnum of spec?.errorEnums || []) {
+    const match = errorEnum.cases.find(c => c.value === code);
+    if (match) return { enumName: errorEnum.name, ...match };
+  }
+  return null;
+}
+
+/**
+ * Format an ScVal according to its declared spec type
+ * @param {object} type - Type descriptor (see parseSpecType)
+ * @param {StellarSdk.xdr.ScVal} scVal - Value to format
+ * @param {object} [spec] - Spec used to resolve user-defined types
+ * @returns {string} Display string
+ */
+export function formatSpecValue(type, scVal, spec = null) {
+  if (!scVal) return 'void';
+  const kind = scVal.switch().name;
+
+  try {
+    switch (type.type) {
+      case 'option':
+        return kind === 'scvVoid' ? 'None' : formatSpecValue(type.value, scVal, spec);
+
+      case 'result':
+        return kind === 'scvError'
+          ? formatSpecValue(type.error, scVal, spec)
+          : formatSpecValue(type.ok, scVal, spec);
+
+      case 'error': {
+        if (kind !== 'scvError') break;
+        const error = scVal.error();
+        if (error.switch().name === 'sceContract') {
+          const match = resolveContractError(spec, error.contractCode());
+          if (match) return `${match.enumName}::${match.name}`;
+        }
+        return formatScError(error);
+      }
+
+      case 'vec':
+        if (kind !== 'scvVec') break;
+        return `[${(scVal.vec() || []).map(item => formatSpecValue(type.element, item, spec)).join(', ')}]`;
+
+      case 'map':
+        if (kind !== 'scvMap') break;
+        return `{${(scVal.map() || [])
+          .map(entry => `${formatSpecValue(type.key, entry.key(), spec)}: ${formatSpecValue(type.value, entry.val(), spec)}`)
+          .join(', ')}}`;
+
+      case 'tuple': {
+        const items = kind === 'scvVec' ? scVal.vec() || [] : null;
+        if (!items || items.length !== type.items.length) break;
+        return `(${items.map((item, i) => formatSpecValue(type.items[i], item, spec)).join(', ')})`;
+      }
+
+      case 'udt':
+        return formatUdtValue(type.name, scVal, spec) ?? formatScVal(scVal);
+
+      default:
+        break;
+    }
+  } catch {
+    // Shape didn't match the declared type
+  }
+
+  return formatScVal(scVal);
+}
+
+/**
+ * Format a user-defined type value by name (struct, union, enum or error enum)
+ * @returns {string|null} Display string, or null if the value doesn't match the type
+ */
+function formatUdtValue(name, scVal, spec) {
+  const kind = scVal.switch().name;
+
+  const struct = spec?.structs.find(s => s.name === name);
+  if (struct) {
+    // Tuple structs (fields named 0, 1, ...) are encoded as vecs
+    if (kind === 'scvVec') {
+      const items = scVal.vec() || [];
+      if (items.length !== struct.fields.length) return null;
+      return `${name}(${items.map((item, i) => formatSpecValue(struct.fields[i].type, item, spec)).join(', ')})`;
+    }
+    if (kind !== 'scvMap') return null;
+    const fields = (scVal.map() || []).map(entry => {
+      const fieldName = scValText(entry.key());
+      const field = struct.fields.find(f => f.name === fieldName);
+      const value = field ? formatSpecValue(field.type, entry.val(), spec) : formatScVal(entry.val());
+      return `${fieldName ?? formatScVal(entry.key())}: ${value}`;
+    });
+    return `${name} {${fields.join(', ')}}`;
+  }
+
+  const union = spec?.unions.find(u => u.name === name);
+  if (union) {
+    const [tag, ...values] = kind === 'scvVec' ? scVal.vec() || [] : [];
+    const unionCase = union.cases.find(c => c.name === scValText(tag));
+    if (!unionCase || values.length !== unionCase.types.length) return null;
+    if (values.length === 0) return `${name}::${unionCase.name}`;
+    return `${name}::${unionCase.name}(${values.map((value, i) => formatSpecValue(unionCase.types[i], value, spec)).join(', ')})`;
+  }
+
+  const enumType = spec?.enums.find(e => e.name === name);
+  if (enumType) {
+    if (kind !== 'scvU32') return null;
+    const match = enumType.cases.find(c => c.value === scVal.u32());
+    return match ? `${name}::${match.name}` : null;
+  }
+
+  const errorEnum = spec?.errorEnums.find(e => e.name === name);
+  if (errorEnum) {
+    const code = kind === 'scvU32' ? scVal.u32()
+      : kind === 'scvError' && scVal.error().switch().name === 'sceContract' ? scVal.error().contractCode()
+        : null;
+    const match = errorEnum.cases.find(c => c.value === code);
+    return match ? `${name}::${match.name}` : null;
+  }
+
+  return null;
+}
+
+/**
+ * Decode one named value (argument, event param) for display
+ * i128 values named "amount" are shown in token units when token metadata is given.
+ * @param {{name: string, type: object}|null} param - Declared parameter, if known
+ * @param {StellarSdk.xdr.ScVal} scVal - Value
+ * @param {object} options - {spec, token: {symbol, decimals}}
+ * @returns {{name: string|null, type: string|null, value: string, address: string|null}}
+ */
+function decodeParam(param, scVal, { spec = null, token = null } = {}) {
+  let value;
+  if (param?.name === 'amount' && param.type.type === 'i128' && token && scVal?.switch().name === 'scvI128') {
+    const symbol = token.symbol === 'native' ? 'XLM' : token.symbol;
+    value = `${formatRawAmount(StellarSdk.scValToNative(scVal), token.decimals ?? 7)} ${symbol}`;
+  } else {
+    value = param ? formatSpecValue(param.type, scVal, spec) : formatScVal(scVal);
+  }
+
+  return {
+    name: param?.name ?? null,
+    type: param ? formatSpecType(param.type) : null,
+    value,
+    address: scVal?.switch().name === 'scvAddress' ? StellarSdk.Address.fromScVal(scVal).toString() : null,
+  };
+}
+
+/**
+ * Decode a contract invocation's arguments
+ * Without a spec (or for unknown functions), arguments are unnamed.
+ * @param {object|null} spec - Parsed spec
+ * @param {string} functionName - Invoked function
+ * @param {StellarSdk.xdr.ScVal[]} args - Argument values
+ * @param {object} [options] - {token: {symbol, decimals}} for amount formatting
+ * @returns {{functionName: string, args: Array<object>, known: boolean}} Decoded call
+ */
+export function decodeInvocation(spec, functionName, args, options = {}) {
+  const fn = spec?.functions.find(f => f.name === functionName);
+  const known = !!fn && fn.inputs.length === args.length;
+
+  return {
+    functionName,
+    args: args.map((arg, i) => decodeParam(known ? fn.inputs[i] : null, arg, { ...options, spec })),
+    known,
+  };
+}
+
+/**
+ * Decode an authorized invocation tree with the invoked contracts' specs
+ * @param {object} invocation - From parseAuthorizedInvocation
+ * @param {(contractId: string) => Promise<{spec: object|null, token: object|null}>} getContext -
+ *   Resolves the spec and token metadata of an invoked contract
+ * @returns {Promise<object>} The same tree with a `decoded` call (see decodeInvocation) on invoke
+ *   nodes; create_contract nodes get `decoded: null`
+ */
+export async function decodeAuthorizedInvocation(invocation, getContext) {
+  const subInvocations = await Promise.all(
+    invocation.subInvocations.map(sub => decodeAuthorizedInvocation(sub, getContext))
+  );
+  if (invocation.type !== 'invoke') {
+    return { ...invocation, decoded: null, subInvocations };
+  }
+
+  const { spec, token } = await getContext(invocation.contractId);
+  return {
+    ...invocation,
+    decoded: decodeInvocation(spec, invocation.functionName, invocation.args, { token }),
+    subInvocations,
+  };
+}
+
+/**
+ * Decode a function's return value
+ * @param {object|null} spec - Parsed spec
+ * @param {string} functionName - Invoked function
+ * @param {StellarSdk.xdr.ScVal} scVal - Return value
+ * @param {object} [options] - {token: {symbol, decimals}}
+ * @returns {string} Display string
+ */
+export function decodeReturnValue(spec, functionName, scVal, options = {}) {
+  const output = spec?.functions.find(f => f.name === functionName)?.outputs[0];
+  if (!output) return formatScVal(scVal);
+
+  // balance()/allowance() etc. return token amounts
+  const param = { name: output.type === 'i128' ? 'amount' : null, type: output };
+  return decodeParam(param, scVal, { ...options, spec }).value;
+}
+
+/**
+ * Decode a contract event using the spec's event definitions
+ * Events match on their prefix topics; topic params follow the prefix and
+ * data params are read from the event data (single value, vec or map).
+ * @param {object|null} spec - Parsed spec
+ * @param {StellarSdk.xdr.ScVal[]} topics - Event topics
+ * @param {StellarSdk.xdr.ScVal|null} data - Event data
+ * @param {object} [options] - {token: {symbol, decimals}}
+ * @returns {{name: string, params: Array<object>}|null} Decoded event, or null if no definition matches
+ */
+export function decodeContractEvent(spec, topics, data, options = {}) {
+  const prefixes = topics.map(scValText);
+
+  for (const event of spec?.events || []) {
+    const { prefixTopics } = event;
+    if (!prefixTopics.every((prefix, i) => prefixes[i] === prefix)) continue;
+
+    const topicParams = event.params.filter(p => p.location === 'topic');
+    const dataParams = event.params.filter(p => p.location === 'data');
+    if (topics.length < prefixTopics.length + topicParams.length) continue;
+
+    let dataValues;
+    if (dataParams.length === 0) {
+      dataValues = [];
+    } else if (event.dataFormat === 'singleValue') {
+      if (dataParams.length !== 1) continue;
+      dataValues = [data];
+    } else if (event.dataFormat === 'vec') {
+      const items = data?.switch().name === 'scvVec' ? data.vec() || [] : null;
+      if (!items || items.length !== dataParams.length) continue;
+      dataValues = items;
+    } else {
+      const entries = data?.switch().name === 'scvMap' ? data.map() || [] : null;
+      if (!entries) continue;
+      dataValues = dataParams.map(p => entries.find(e => scValText(e.key()) === p.name)?.val() ?? null);
+    }
+
+    const decodeOptions = { ...options, spec };
+    return {
+      name: event.name,
+      params: [
+        ...topicParams.map((param, i) => decodeParam(param, topics[prefixTopics.length + i], decodeOptions)),
+        ...dataParams.map((param, i) => decodeParam(param, dataValues[i], decodeOptions)),
+      ],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Format a decoded call or event as a single line
+ * @param {{functionName?: string, name?: string, args?: Array, params?: Array}} decoded - From decodeInvocation/decodeContractEvent
+ * @returns {string} e.g. "transfer(from: G..., to: C..., amount: 12.5 USDC)"
+ */
+export function formatDecodedCall(decoded) {
+  const name = decoded.functionName ?? decoded.name;
+  const params = (decoded.args ?? decoded.params)
+    .map(p => (p.name ? `${p.name}: ${p.value}` : p.value))
+    .join(', ');
+  return `${name}(${params})`;
+}
@@ -0,0 +1,106 @@
+/**
+ * Net balance changes for Stellar MiniScan
+ *
+ * Pure helpers that sum a transaction's token events (SEP-41 / CAP-67, as
+ * decoded by stellar-xdr-json on the tx page) into each participant's net
+ * change per token.
+ *
+ * Notes:
+ * - Topic layouts follow CAP-67: transfer(from, to), mint(to), burn(from),
+ *   clawback(from), fee(from). Older mint and clawback events lead with the
+ *   admin address (mint(admin, to), clawback(admin, from)); an address in
+ *   the third topic marks that layout. A negative fee amount is a refund.
+ * - approve and set_admin don't move balances and are skipped.
+ */
+
+// Numeric stellar-xdr-json ScVal as a BigInt, or null
+function parseJsonInteger(val) {
+  if (!val) return null;
+  for (const type of ['i128', 'u128', 'i64', 'u64', 'i32', 'u32']) {
+    if (val[type] !== undefined) return BigInt(val[type]);
+  }
+  return null;
+}
+
+/**
+ * Get the raw amount of a decoded token event
+ * Muxed transfers carry a map with an `amount` entry instead of a bare integer.
+ * @param {object} event - Event with stellar-xdr-json `data`
+ * @returns {bigint|null} Raw amount, or null if the data has none
+ */
+export function getEventAmount(event) {
+  if (!event?.data) return null;
+  if (Array.isArray(event.data.map)) {
+    const entry = event.data.map.find(item => item.key?.symbol === 'amount');
+    return entry ? parseJsonInteger(entry.val) : null;
+  }
+  return parseJsonInteger(event.data);
+}
+
+/**
+ * Get the sending and receiving addresses of a decoded token event
+ * @param {object} event - Event with `eventType` and stellar-xdr-json `topics`
+ * @returns {{from: string|null, to: string|null}} Addresses from the topics
+ */
+export function getEventParties(event) {
+  const address = (index) => event.topics?.[index]?.address ?? null;
+  switch (event.eventType) {
+    case 'mint':
+      return { from: null, to: address(2) ?? address(1) };
+    case 'clawback':
+      return { from: address(2) ?? address(1), to: null };
+    case 'burn':
+    case 'set_admin':
+    case 'fee':
+      return { from: address(1), to: null };
+    default:
+      return { from: address(1), to: address(2) };
+  }
+}
+
+/**
+ * Sum token events into each participant's net change per token
+ * @param {Array<object>} events - Token events from the tx page ({eventType, contractId, topics, data})
+ * @returns {Array<{address: string, changes: Array<{contractId: string, amount: string, fee: string}>}>}
+ *   Participants in order of first appearance. amount is the signed raw net change
+ *   (fees included); fee is the net fee paid (charge minus refund) within it, '0' if none.
+ *   Tokens that net to zero without a fee are left out, as are participants with no changes.
+ */
+export function computeBalanceChanges(events) {
+  const participants = new Map();
+
+  const add = (address, contractId, amount, fee = 0n) => {
+    if (!address || !contractId) return;
+    if (!participants.has(address)) participants.set(address, new Map());
+    const tokens = participants.get(address);
+    const current = tokens.get(contractId) || { amount: 0n, fee: 0n };
+    tokens.set(contractId, { amount: current.amount + amount, fee: current.fee + fee });
+  };
+
+  for (const event of events || []) {
+    if (event.eventType === 'approve' || event.eventType === 'set_admin') continue;
+    const amount = getEventAmount(event);
+    if (amount === null) continue;
+
+    const { from, to } = getEventParties(event);
+    if (event.eventType === 'fee') {
+      add(from, event.contractId, -amount, amount);
+      continue;
+    }
+    add(from, event.contractId, -amount);
+    add(to, event.contractId, amount);
+  }
+
+  return [...participants.entries()]
+    .map(([address, tokens]) => ({
+      address,
+      changes: [...tokens.entries()]
+        .filter(([, change]) => change.amount !== 0n || change.fee !== 0n)
+        .map(([contractId, change]) => ({
+          contractId,
+          amount: change.amount.toString(),
+          fee: change.fee.toString(),
+        })),
+    }))
+    .filter(participant => participant.changes.length > 0);
+}
@@ -0,0 +1,271 @@
+/**
+ * Spec-typed input encoding for Stellar MiniScan
+ *
+ * Turns user input from the "read contract" form into ScVals according to
+ * the declared argument types (see spec.js). Primitive arguments are typed
+ * as plain text; vecs, maps, tuples and user-defined types are entered as
+ * JSON. Errors name the offending value so the form can show them inline.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+const { xdr } = StellarSdk;
+
+// Bit width and signedness of the integer types nativeToScVal can build
+const BIG_INT_TYPES = {
+  u64: [64, false],
+  i64: [64, true],
+  timepoint: [64, false],
+  duration: [64, false],
+  u128: [128, false],
+  i128: [128, true],
+  u256: [256, false],
+  i256: [256, true],
+};
+
+const SYMBOL_PATTERN = /^[a-zA-Z0-9_]{0,32}$/;
+
+/**
+ * Parse an integer from text, a number or a bigint
+ * @returns {bigint} Integer value
+ * @throws {Error} If the value isn't an integer or is out of range
+ */
+function toInteger(value, bits, signed, typeName) {
+  let big;
+  if (typeof value === 'bigint') {
+    big = value;
+  } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    big = BigInt(value);
+  } else if (typeof value === 'string' && /^[-+]?\d+$/.test(value.trim())) {
+    big = BigInt(value.trim());
+  } else {
+    throw new Error(`expected an integer for ${typeName}, got ${JSON.stringify(value)}`);
+  }
+
+  const min = signed ? -(1n << BigInt(bits - 1)) : 0n;
+  const max = signed ? (1n << BigInt(bits - 1)) - 1n : (1n << BigInt(bits)) - 1n;
+  if (big < min || big > max) {
+    throw new Error(`${big} is out of range for ${typeName}`);
+  }
+  return big;
+}
+
+// Hex text (optionally 0x-prefixed) to bytes
+function toBytes(value, length = null) {
+  const hex = String(value).trim().replace(/^0x/i, '');
+  if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+    throw new Error(`expected hex bytes, got ${JSON.stringify(value)}`);
+  }
+  const bytes = Buffer.from(hex, 'hex');
+  if (length !== null && bytes.length !== length) {
+    throw new Error(`expected ${length} bytes, got ${bytes.length}`);
+  }
+  return bytes;
+}
+
+// Map entries must be sorted by key; symbol/string keys sort by their bytes
+function sortMapEntries(entries) {
+  const text = (scVal) => {
+    const name = scVal.switch().name;
+    if (name === 'scvSymbol') return scVal.sym().toString();
+    if (name === 'scvString') return scVal.str().toString();
+    return null;
+  };
+  return [...entries].sort((a, b) => {
+    const keyA = text(a.key());
+    const keyB = text(b.key());
+    if (keyA === null || keyB === null) return 0;
+    return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+  });
+}
+
+/**
+ * Convert a JS value to an ScVal of the declared spec type
+ * @param {object} type - Type descriptor (see parseSpecType)
+ * @param {any} value - Text for primitives, JSON values for compound types
+ * @param {object} [spec] - Spec used to resolve user-defined types
+ * @returns {StellarSdk.xdr.ScVal} Encoded value
+ * @throws {Error} If the value doesn't fit the type
+ */
+export function specValueToScVal(type, value, spec = null) {
+  if (BIG_INT_TYPES[type.type]) {
+    const [bits, signed] = BIG_INT_TYPES[type.type];
+    return StellarSdk.nativeToScVal(toInteger(value, bits, signed, type.type), { type: type.type });
+  }
+
+  switch (type.type) {
+    case 'bool':
+      if (value === true || value === 'true') return xdr.ScVal.scvBool(true);
+      if (value === false || value === 'false') return xdr.ScVal.scvBool(false);
+      throw new Error(`expected true or false, got ${JSON.stringify(value)}`);
+
+    case 'void':
+      return xdr.ScVal.scvVoid();
+
+    case 'u32':
+      return xdr.ScVal.scvU32(Number(toInteger(value, 32, false, 'u32')));
+
+    case 'i32':
+      return xdr.ScVal.scvI32(Number(toInteger(value, 32, true, 'i32')));
+
+    case 'string':
+      if (typeof value !== 'string') throw new Error(`expected a string, got ${JSON.stringify(value)}`);
+      return xdr.ScVal.scvString(value);
+
+    case 'symbol':
+      if (typeof value !== 'string' || !SYMBOL_PATTERN.test(value)) {
+        throw new Error(`expected a symbol (up to 32 of a-z, A-Z, 0-9, _), got ${JSON.stringify(value)}`);
+      }
+      return xdr.ScVal.scvSymbol(value);
+
+    case 'address':
+    case 'muxedAddress': {
+      const address = String(value).trim();
+      const valid = StellarSdk.StrKey.isValidEd25519PublicKey(address)
+        || StellarSdk.StrKey.isValidContract(address)
+        || (type.type === 'muxedAddress' && StellarSdk.StrKey.isValidMed25519PublicKey(address));
+      if (!valid) throw new Error(`invalid address: ${JSON.stringify(value)}`);
+      return new StellarSdk.Address(address).toScVal();
+    }
+
+    case 'bytes':
+      return xdr.ScVal.scvBytes(toBytes(value));
+
+    case 'bytesN':
+      return xdr.ScVal.scvBytes(toBytes(value, type.n));
+
+    case 'option':
+      return value === null || value === undefined || value === ''
+        ? xdr.ScVal.scvVoid()
+        : specValueToScVal(type.value, value, spec);
+
+    case 'vec':
+      if (!Array.isArray(value)) throw new Error(`expected a JSON array, got ${JSON.stringify(value)}`);
+      return xdr.ScVal.scvVec(value.map(item => specValueToScVal(type.element, item, spec)));
+
+    case 'tuple':
+      if (!Array.isArray(value) || value.length !== type.items.length) {
+        throw new Error(`expected a JSON array of ${type.items.length} values`);
+      }
+      return xdr.ScVal.scvVec(value.map((item, i) => specValueToScVal(type.items[i], item, spec)));
+
+    case 'map': {
+      // {"key": value} objects, or [[key, value], ...] for non-string keys
+      const pairs = Array.isArray(value) ? value : value && typeof value === 'object' ? Object.entries(value) : null;
+      if (!pairs) throw new Error(`expected a JSON object, got ${JSON.stringify(value)}`);
+      return xdr.ScVal.scvMap(sortMapEntries(pairs.map(([key, val]) => new xdr.ScMapEntry({
+        key: specValueToScVal(type.key, key, spec),
+        val: specValueToScVal(type.value, val, spec),
+      }))));
+    }
+
+    case 'error':
+      return xdr.ScVal.scvError(xdr.ScError.sceContract(Number(toInteger(value, 32, false, 'error code'))));
+
+    case 'udt':
+      return udtToScVal(type.name, value, spec);
+
+    default:
+      throw new Error(`${type.type} arguments can only be entered in raw mode`);
+  }
+}
+
+// Struct: {"field": value} (or an array for tuple structs); union: "Case",
+// ["Case", ...values] or {"Case": [...values]}; enums: case name or value
+function udtToScVal(name, value, spec) {
+  const struct = spec?.structs.find(s => s.name === name);
+  if (struct) {
+    const isTupleStruct = struct.fields.length > 0 && struct.fields.every((f, i) => f.name === String(i));
+    if (isTupleStruct) {
+      return specValueToScVal({ type: 'tuple', items: struct.fields.map(f => f.type) }, value, spec);
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`expected a JSON object for ${name}`);
+    }
+    return xdr.ScVal.scvMap(sortMapEntries(struct.fields.map(field => {
+      if (!(field.name in value)) throw new Error(`${name} is missing field ${field.name}`);
+      return new xdr.ScMapEntry({
+        key: xdr.ScVal.scvSymbol(field.name),
+        val: specValueToScVal(field.type, value[field.name], spec),
+      });
+    })));
+  }
+
+  const union = spec?.unions.find(u => u.name === name);
+  if (union) {
+    let caseName;
+    let values;
+    if (typeof value === 'string') {
+      [caseName, values] = [value, []];
+    } else if (Array.isArray(value)) {
+      [caseName, ...values] = value;
+    } else if (value && typeof value === 'object' && Object.keys(value).length === 1) {
+      const [[key, val]] = Object.entries(value);
+      [caseName, values] = [key, Array.isArray(val) ? val : [val]];
+    }
+    const unionCase = union.cases.find(c => c.name === caseName);
+    if (!unionCase) {
+      throw new Error(`expected one of ${union.cases.map(c => c.name).join(', ')} for ${name}`);
+    }
+    if (values.length !== unionCase.types.length) {
+      throw new Error(`${name}::${unionCase.name} takes ${unionCase.types.length} value(s)`);
+    }
+    return xdr.ScVal.scvVec([
+      xdr.ScVal.scvSymbol(unionCase.name),
+      ...values.map((item, i) => specValueToScVal(unionCase.types[i], item, spec)),
+    ]);
+  }
+
+  const enumType = spec?.enums.find(e => e.name === name) || spec?.errorEnums.find(e => e.name === name);
+  if (enumType) {
+    const match = enumType.cases.find(c => c.name === value || String(c.value) === String(value));
+    if (!match) {
+      throw new Error(`expected one of ${enumType.cases.map(c => c.name).join(', ')} for ${name}`);
+    }
+    return spec.errorEnums.includes(enumType)
+      ? xdr.ScVal.scvError(xdr.ScError.sceContract(match.value))
+      : xdr.ScVal.scvU32(match.value);
+  }
+
+  throw new Error(`unknown type ${name}`);
+}
+
+/**
+ * Whether an argument of this type is typed as plain text (vs JSON)
+ * @param {object} type - Type descriptor
+ * @returns {boolean} True for primitives (and options of primitives)
+ */
+export function isTextInput(type) {
+  if (type.type === 'option') return isTextInput(type.value);
+  return !['vec', 'map', 'tuple', 'udt', 'result'].includes(type.type);
+}
+
+/**
+ * Parse one form input into an ScVal
+ * @param {object} type - Declared argument type
+ * @param {string} text - Input text (JSON for compound types, see isTextInput)
+ * @param {object} [spec] - Spec used to resolve user-defined types
+ * @returns {StellarSdk.xdr.ScVal} Encoded argument
+ * @throws {Error} If the input doesn't fit the type
+ */
+export function parseSpecInput(type, text, spec = null) {
+  if (isTextInput(type)) {
+    // Strings keep their whitespace; an empty optional is None
+    const value = type.type === 'string' || (type.type === 'option' && type.value.type === 'string')
+      ? text
+      : text.trim();
+    return specValueToScVal(type, value, spec);
+  }
+
+  if (type.type === 'option' && text.trim() === '') {
+    return xdr.ScVal.scvVoid();
+  }
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    throw new Error('invalid JSON');
+  }
+  return specValueToScVal(type, value, spec);
+}
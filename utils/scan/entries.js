@@ -0,0 +1,599 @@
+/**
+ * Ledger entry parsers for Stellar MiniScan
+ *
+ * Pure functions that turn XDR ledger entries (from getLedgerEntries) into
+ * plain objects for display. Amounts stay as raw stroop strings so they can
+ * be formatted exactly.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+/**
+ * Base reserve used when the ledger header can't be read (0.5 XLM)
+ */
+export const DEFAULT_BASE_RESERVE = 5000000;
+
+/**
+ * Account flags (AccountFlags in Stellar-ledger-entries.x)
+ */
+export const ACCOUNT_FLAGS = [
+  { name: 'auth_required', mask: 0x1 },
+  { name: 'auth_revocable', mask: 0x2 },
+  { name: 'auth_immutable', mask: 0x4 },
+  { name: 'auth_clawback_enabled', mask: 0x8 },
+];
+
+/**
+ * Encode an XDR AccountId as a G... address
+ * @param {StellarSdk.xdr.PublicKey} accountId - XDR account ID
+ * @returns {string} G... address
+ */
+function encodeAccountId(accountId) {
+  return StellarSdk.StrKey.encodeEd25519PublicKey(accountId.ed25519());
+}
+
+/**
+ * Decode a flags bitmask into flag names
+ * @param {number} flags - Bitmask
+ * @param {Array<{name: string, mask: number}>} [definitions] - Flag definitions
+ * @returns {string[]} Names of set flags
+ */
+export function decodeFlags(flags, definitions = ACCOUNT_FLAGS) {
+  return definitions.filter(({ mask }) => (flags & mask) !== 0).map(({ name }) => name);
+}
+
+/**
+ * Parse an XDR AccountEntry
+ * @param {StellarSdk.xdr.AccountEntry} entry - Account entry
+ * @returns {object} Account fields (amounts as raw stroop strings)
+ */
+export function parseAccountEntry(entry) {
+  const thresholds = entry.thresholds();
+  const signers = entry.signers().map(signer => ({
+    key: StellarSdk.SignerKey.encodeSignerKey(signer.key()),
+    weight: signer.weight(),
+    sponsor: null,
+  }));
+
+  let liabilities = { buying: '0', selling: '0' };
+  let numSponsored = 0;
+  let numSponsoring = 0;
+  let seqLedger = null;
+  let seqTime = null;
+
+  // Extensions nest: v1 (liabilities) -> v2 (sponsorship) -> v3 (seq ledger/time)
+  const ext = entry.ext();
+  if (ext.switch() === 1) {
+    const v1 = ext.v1();
+    liabilities = {
+      buying: v1.liabilities().buying().toString(),
+      selling: v1.liabilities().selling().toString(),
+    };
+
+    const v1Ext = v1.ext();
+    if (v1Ext.switch() === 2) {
+      const v2 = v1Ext.v2();
+      numSponsored = v2.numSponsored();
+      numSponsoring = v2.numSponsoring();
+      // signerSponsoringIDs is parallel to signers
+      v2.signerSponsoringIDs().forEach((sponsorId, i) => {
+        if (sponsorId && signers[i]) {
+          signers[i].sponsor = encodeAccountId(sponsorId);
+        }
+      });
+
+      const v2Ext = v2.ext();
+      if (v2Ext.switch() === 3) {
+        seqLedger = v2Ext.v3().seqLedger();
+        seqTime = v2Ext.v3().seqTime().toString();
+      }
+    }
+  }
+
+  const flags = entry.flags();
+  const inflationDest = entry.inflationDest();
+
+  return {
+    accountId: encodeAccountId(entry.accountId()),
+    balance: entry.balance().toString(),
+    seqNum: entry.seqNum().toString(),
+    numSubEntries: entry.numSubEntries(),
+    numSponsored,
+    numSponsoring,
+    homeDomain: entry.homeDomain().toString(),
+    inflationDest: inflationDest ? encodeAccountId(inflationDest) : null,
+    flags,
+    flagNames: decodeFlags(flags),
+    thresholds: {
+      masterWeight: thresholds[0],
+      low: thresholds[1],
+      medium: thresholds[2],
+      high: thresholds[3],
+    },
+    signers,
+    liabilities,
+    seqLedger,
+    seqTime,
+  };
+}
+
+/**
+ * Get the sponsor of a ledger entry from its LedgerEntry extension
+ * @param {string} [extXdr] - Base64 LedgerEntryExt (getLedgerEntries `extXdr`)
+ * @returns {string|null} Sponsoring G... address, or null
+ */
+export function parseEntrySponsor(extXdr) {
+  if (!extXdr) return null;
+  try {
+    const ext = StellarSdk.xdr.LedgerEntryExt.fromXDR(extXdr, 'base64');
+    if (ext.switch() !== 1) return null;
+    const sponsor = ext.v1().sponsoringId();
+    return sponsor ? encodeAccountId(sponsor) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Calculate an account's minimum balance
+ * (2 + subentries + sponsoring - sponsored) * base reserve
+ * @param {{numSubEntries: number, numSponsoring: number, numSponsored: number}} account - Parsed account
+ * @param {number|string|bigint} baseReserve - Base reserve in stroops
+ * @returns {string} Minimum balance in stroops
+ */
+export function calculateMinimumBalance(account, baseReserve) {
+  const entries = 2n
+    + BigInt(account.numSubEntries)
+    + BigInt(account.numSponsoring)
+    - BigInt(account.numSponsored);
+  return (entries * BigInt(baseReserve)).toString();
+}
+
+/**
+ * Calculate how much XLM an account can spend
+ * Balance minus the minimum balance and XLM already committed to offers
+ * @param {{balance: string, liabilities: {selling: string}}} account - Parsed account
+ * @param {string} minimumBalance - Minimum balance in stroops
+ * @returns {string} Spendable balance in stroops (never negative)
+ */
+export function calculateSpendableBalance(account, minimumBalance) {
+  const spendable = BigInt(account.balance)
+    - BigInt(minimumBalance)
+    - BigInt(account.liabilities.selling);
+  return (spendable > 0n ? spendable : 0n).toString();
+}
+
+// ============================================
+// Trustlines
+// ============================================
+
+/**
+ * Trustline flags (TrustLineFlags in Stellar-ledger-entries.x)
+ */
+export const TRUSTLINE_FLAGS = [
+  { name: 'authorized', mask: 0x1 },
+  { name: 'authorized_to_maintain_liabilities', mask: 0x2 },
+  { name: 'clawback_enabled', mask: 0x4 },
+];
+
+/**
+ * Parse a "CODE:ISSUER" asset name (the format SAC names use)
+ * @param {string} name - Asset name
+ * @returns {{code: string, issuer: string}|null} Asset, or null if not a classic asset name
+ */
+export function parseClassicAssetName(name) {
+  if (typeof name !== 'string') return null;
+  const [code, issuer, ...rest] = name.split(':');
+  if (rest.length > 0 || !/^[a-zA-Z0-9]{1,12}$/.test(code || '')) return null;
+  if (!StellarSdk.StrKey.isValidEd25519PublicKey(issuer || '')) return null;
+  return { code, issuer };
+}
+
+/**
+ * Collect the assets and pools to probe for trustlines
+ * Sources with a "CODE:ISSUER" name become credit assets; sources marked as
+ * pool shares (see getPoolShareMetadata) are probed by pool ID, which is the
+ * same hash as the pool share token's contract ID. Other contracts (custom
+ * SEP-41 tokens, the native SAC) have no trustline and are skipped.
+ * @param {Array<{contractId?: string, name?: string, isPoolShare?: boolean}|string>} sources - Candidate sources
+ * @returns {{assets: Array<{code: string, issuer: string}>, poolIds: string[]}} Deduped candidates
+ */
+export function collectTrustlineCandidates(sources) {
+  const assets = new Map();
+  const poolIds = new Set();
+
+  for (const source of sources) {
+    const { contractId, name, isPoolShare } = typeof source === 'string' ? { name: source } : (source || {});
+    const asset = parseClassicAssetName(name);
+    if (asset) {
+      assets.set(`${asset.code}:${asset.issuer}`, asset);
+    } else if (isPoolShare && contractId && StellarSdk.StrKey.isValidContract(contractId)) {
+      poolIds.add(StellarSdk.StrKey.encodeLiquidityPool(StellarSdk.StrKey.decodeContract(contractId)));
+    }
+  }
+
+  return { assets: [...assets.values()], poolIds: [...poolIds] };
+}
+
+/**
+ * Build a trustline ledger key
+ * @param {string} address - G... account address
+ * @param {{code: string, issuer: string}|{poolId: string}} asset - Credit asset, or L... pool ID
+ * @returns {StellarSdk.xdr.LedgerKey} Trustline ledger key
+ */
+export function buildTrustlineKey(address, asset) {
+  const trustlineAsset = asset.poolId
+    ? StellarSdk.xdr.TrustLineAsset.assetTypePoolShare(
+      StellarSdk.xdr.PoolId.fromXDR(StellarSdk.StrKey.decodeLiquidityPool(asset.poolId))
+    )
+    : new StellarSdk.Asset(asset.code, asset.issuer).toTrustLineXDRObject();
+
+  return StellarSdk.xdr.LedgerKey.trustline(
+    new StellarSdk.xdr.LedgerKeyTrustLine({
+      accountId: StellarSdk.Keypair.fromPublicKey(address).xdrAccountId(),
+      asset: trustlineAsset,
+    })
+  );
+}
+
+/**
+ * Parse an XDR TrustLineEntry
+ * @param {StellarSdk.xdr.TrustLineEntry} entry - Trustline entry
+ * @returns {object} Trustline fields (amounts as raw stroop strings)
+ */
+export function parseTrustlineEntry(entry) {
+  const trustlineAsset = entry.asset();
+  let asset;
+  switch (trustlineAsset.switch().name) {
+    case 'assetTypePoolShare':
+      asset = {
+        type: 'pool_share',
+        poolId: StellarSdk.StrKey.encodeLiquidityPool(trustlineAsset.liquidityPoolId()),
+      };
+      break;
+    case 'assetTypeCreditAlphanum4':
+    case 'assetTypeCreditAlphanum12': {
+      const alphaNum = trustlineAsset.switch().name === 'assetTypeCreditAlphanum4'
+        ? trustlineAsset.alphaNum4()
+        : trustlineAsset.alphaNum12();
+      asset = {
+        type: 'credit',
+        code: alphaNum.assetCode().toString().replace(/\0+$/, ''),
+        issuer: encodeAccountId(alphaNum.issuer()),
+      };
+      break;
+    }
+    default:
+      asset = { type: 'native' };
+  }
+
+  let liabilities = { buying: '0', selling: '0' };
+  let liquidityPoolUseCount = 0;
+
+  // Extensions nest: v1 (liabilities) -> v2 (pool use count)
+  const ext = entry.ext();
+  if (ext.switch() === 1) {
+    const v1 = ext.v1();
+    liabilities = {
+      buying: v1.liabilities().buying().toString(),
+      selling: v1.liabilities().selling().toString(),
+    };
+    if (v1.ext().switch() === 2) {
+      liquidityPoolUseCount = v1.ext().v2().liquidityPoolUseCount();
+    }
+  }
+
+  const flags = entry.flags();
+
+  return {
+    ...asset,
+    balance: entry.balance().toString(),
+    limit: entry.limit().toString(),
+    flags,
+    flagNames: decodeFlags(flags, TRUSTLINE_FLAGS),
+    authorized: (flags & 0x1) !== 0,
+    liabilities,
+    liquidityPoolUseCount,
+  };
+}
+
+// ============================================
+// SAC Balances
+// ============================================
+
+/**
+ * Balance a SAC reports for the asset's issuer (i64 max)
+ */
+export const ISSUER_BALANCE = '9223372036854775807';
+
+/**
+ * Build the ledger key that holds a holder's balance of a Stellar Asset Contract
+ * The SAC keeps classic holders' balances in classic entries: the account
+ * entry for XLM, trustlines for credit assets and pool reserves for
+ * liquidity pools. Contract holders get a persistent ["Balance", address]
+ * contract data entry.
+ * @param {string} holder - G..., C... or L... address
+ * @param {string} contractId - SAC contract ID
+ * @param {{code: string, issuer: string|null, isNative: boolean}} asset - The SAC's asset
+ * @returns {StellarSdk.xdr.LedgerKey|null} Ledger key, or null if the holder is the issuer
+ */
+export function buildSacBalanceKey(holder, contractId, asset) {
+  if (holder.startsWith('G')) {
+    if (asset.isNative) {
+      return StellarSdk.xdr.LedgerKey.account(
+        new StellarSdk.xdr.LedgerKeyAccount({
+          accountId: StellarSdk.Keypair.fromPublicKey(holder).xdrAccountId(),
+        })
+      );
+    }
+    // Issuers have no trustline to their own asset
+    if (holder === asset.issuer) return null;
+    return buildTrustlineKey(holder, asset);
+  }
+
+  if (holder.startsWith('L')) {
+    return StellarSdk.xdr.LedgerKey.liquidityPool(
+      new StellarSdk.xdr.LedgerKeyLiquidityPool({
+        liquidityPoolId: StellarSdk.xdr.PoolId.fromXDR(StellarSdk.StrKey.decodeLiquidityPool(holder)),
+      })
+    );
+  }
+
+  return StellarSdk.xdr.LedgerKey.contractData(
+    new StellarSdk.xdr.LedgerKeyContractData({
+      contract: new StellarSdk.Address(contractId).toScAddress(),
+      key: StellarSdk.xdr.ScVal.scvVec([
+        StellarSdk.xdr.ScVal.scvSymbol('Balance'),
+        new StellarSdk.Address(holder).toScVal(),
+      ]),
+      durability: StellarSdk.xdr.ContractDataDurability.persistent(),
+    })
+  );
+}
+
+/**
+ * Read a SAC balance from the entry returned for buildSacBalanceKey
+ * @param {StellarSdk.xdr.LedgerEntryData} data - Ledger entry data
+ * @param {{code: string, issuer: string|null, isNative: boolean}} asset - The SAC's asset
+ * @returns {string} Raw balance
+ */
+export function parseSacBalanceEntry(data, asset) {
+  switch (data.switch().name) {
+    case 'account':
+      return data.account().balance().toString();
+    case 'trustline':
+      return data.trustLine().balance().toString();
+    case 'liquidityPool': {
+      const cp = data.liquidityPool().body().constantProduct();
+      const assetXdr = (asset.isNative
+        ? StellarSdk.Asset.native()
+        : new StellarSdk.Asset(asset.code, asset.issuer)).toXDRObject().toXDR('base64');
+      if (cp.params().assetA().toXDR('base64') === assetXdr) return cp.reserveA().toString();
+      if (cp.params().assetB().toXDR('base64') === assetXdr) return cp.reserveB().toString();
+      return '0';
+    }
+    case 'contractData': {
+      // { amount: i128, authorized: bool, clawback: bool }
+      const value = StellarSdk.scValToNative(data.contractData().val());
+      const amount = typeof value === 'object' && value !== null ? value.amount : value;
+      return amount !== undefined ? amount.toString() : '0';
+    }
+    default:
+      return '0';
+  }
+}
+
+// ============================================
+// Claimable Balances
+// ============================================
+
+/**
+ * Claimable balance flags (ClaimableBalanceFlags in Stellar-ledger-entries.x)
+ */
+export const CLAIMABLE_BALANCE_FLAGS = [
+  { name: 'clawback_enabled', mask: 0x1 },
+];
+
+/**
+ * Build the ledger key of a claimable balance
+ * @param {string} balanceId - B... claimable balance ID
+ * @returns {StellarSdk.xdr.LedgerKey} Claimable balance ledger key
+ */
+export function buildClaimableBalanceKey(balanceId) {
+  // The strkey payload is the ID type byte followed by the 32-byte hash
+  const payload = StellarSdk.StrKey.decodeClaimableBalance(balanceId);
+  return StellarSdk.xdr.LedgerKey.claimableBalance(
+    new StellarSdk.xdr.LedgerKeyClaimableBalance({
+      balanceId: StellarSdk.xdr.ClaimableBalanceId.claimableBalanceIdTypeV0(payload.subarray(1)),
+    })
+  );
+}
+
+/**
+ * Convert an XDR ClaimPredicate into a plain tree
+ * Times are unix seconds as strings.
+ * @param {StellarSdk.xdr.ClaimPredicate|null} predicate - Claim predicate
+ * @returns {object} {type: 'unconditional'} | {type: 'and'|'or', predicates} |
+ *   {type: 'not', predicate} | {type: 'before', time} | {type: 'beforeRelative', seconds}
+ */
+export function parseClaimPredicate(predicate) {
+  if (!predicate) return { type: 'unconditional' };
+
+  switch (predicate.switch().name) {
+    case 'claimPredicateAnd':
+      return { type: 'and', predicates: predicate.andPredicates().map(parseClaimPredicate) };
+    case 'claimPredicateOr':
+      return { type: 'or', predicates: predicate.orPredicates().map(parseClaimPredicate) };
+    case 'claimPredicateNot':
+      return { type: 'not', predicate: parseClaimPredicate(predicate.notPredicate()) };
+    case 'claimPredicateBeforeAbsoluteTime':
+      return { type: 'before', time: predicate.absBefore().toString() };
+    case 'claimPredicateBeforeRelativeTime':
+      return { type: 'beforeRelative', seconds: predicate.relBefore().toString() };
+    default:
+      return { type: 'unconditional' };
+  }
+}
+
+/**
+ * Check whether a predicate allows claiming at a given time
+ * Relative times are converted to absolute ones when a balance is created,
+ * so they can't be evaluated on their own.
+ * @param {object} predicate - Parsed predicate (see parseClaimPredicate)
+ * @param {number} now - Unix seconds
+ * @returns {boolean|null} Whether it can be claimed, or null if unknown
+ */
+export function evaluateClaimPredicate(predicate, now) {
+  switch (predicate.type) {
+    case 'unconditional':
+      return true;
+    case 'before':
+      return now < Number(predicate.time);
+    case 'not': {
+      const inner = evaluateClaimPredicate(predicate.predicate, now);
+      return inner === null ? null : !inner;
+    }
+    case 'and': {
+      const results = predicate.predicates.map(p => evaluateClaimPredicate(p, now));
+      if (results.includes(false)) return false;
+      return results.includes(null) ? null : true;
+    }
+    case 'or': {
+      const results = predicate.predicates.map(p => evaluateClaimPredicate(p, now));
+      if (results.includes(true)) return true;
+      return results.includes(null) ? null : false;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse an XDR ClaimableBalanceEntry
+ * @param {StellarSdk.xdr.ClaimableBalanceEntry} entry - Claimable balance entry
+ * @returns {object} {balanceId, asset, amount, claimants: [{destination, predicate}], flags, flagNames}
+ */
+export function parseClaimableBalanceEntry(entry) {
+  const hash = entry.balanceId().v0();
+  const asset = entry.asset();
+  let assetInfo;
+  switch (asset.switch().name) {
+    case 'assetTypeCreditAlphanum4':
+    case 'assetTypeCreditAlphanum12': {
+      const alphaNum = asset.switch().name === 'assetTypeCreditAlphanum4' ? asset.alphaNum4() : asset.alphaNum12();
+      assetInfo = {
+        code: alphaNum.assetCode().toString().replace(/\0+$/, ''),
+        issuer: encodeAccountId(alphaNum.issuer()),
+        isNative: false,
+      };
+      break;
+    }
+    default:
+      assetInfo = { code: 'XLM', issuer: null, isNative: true };
+  }
+
+  const ext = entry.ext();
+  const flags = ext.switch() === 1 ? ext.v1().flags() : 0;
+
+  return {
+    balanceId: StellarSdk.StrKey.encodeClaimableBalance(Buffer.concat([Buffer.from([0]), hash])),
+    asset: assetInfo,
+    amount: entry.amount().toString(),
+    claimants: entry.claimants().map(claimant => ({
+      destination: encodeAccountId(claimant.v0().destination()),
+      predicate: parseClaimPredicate(claimant.v0().predicate()),
+    })),
+    flags,
+    flagNames: decodeFlags(flags, CLAIMABLE_BALANCE_FLAGS),
+  };
+}
+
+// ============================================
+// Contracts
+// ============================================
+
+/**
+ * Build the ledger key of a contract data entry
+ * @param {string} contractId - C... contract address
+ * @param {StellarSdk.xdr.ScVal} key - Storage key
+ * @param {'persistent'|'temporary'} durability - Storage durability
+ * @returns {StellarSdk.xdr.LedgerKey} Contract data ledger key
+ */
+export function buildContractDataKey(contractId, key, durability) {
+  return StellarSdk.xdr.LedgerKey.contractData(
+    new StellarSdk.xdr.LedgerKeyContractData({
+      contract: new StellarSdk.Address(contractId).toScAddress(),
+      key,
+      durability: durability === 'temporary'
+        ? StellarSdk.xdr.ContractDataDurability.temporary()
+        : StellarSdk.xdr.ContractDataDurability.persistent(),
+    })
+  );
+}
+
+/**
+ * Build the ledger key of a contract's instance entry
+ * @param {string} contractId - C... contract address
+ * @returns {StellarSdk.xdr.LedgerKey} Contract instance ledger key
+ */
+export function buildContractInstanceKey(contractId) {
+  return buildContractDataKey(contractId, StellarSdk.xdr.ScVal.scvLedgerKeyContractInstance(), 'persistent');
+}
+
+/**
+ * Parse a contract data entry
+ * @param {StellarSdk.xdr.ContractDataEntry} entry - Contract data entry
+ * @returns {{contractId: string, key: StellarSdk.xdr.ScVal, value: StellarSdk.xdr.ScVal, durability: 'persistent'|'temporary'}}
+ */
+export function parseContractDataEntry(entry) {
+  return {
+    contractId: StellarSdk.Address.fromScAddress(entry.contract()).toString(),
+    key: entry.key(),
+    value: entry.val(),
+    durability: entry.durability().name,
+  };
+}
+
+/**
+ * Build the ledger key of a ContractCode entry
+ * @param {string} wasmHash - Hex Wasm hash
+ * @returns {StellarSdk.xdr.LedgerKey} Contract code ledger key
+ */
+export function buildContractCodeKey(wasmHash) {
+  return StellarSdk.xdr.LedgerKey.contractCode(
+    new StellarSdk.xdr.LedgerKeyContractCode({ hash: Buffer.from(wasmHash, 'hex') })
+  );
+}
+
+/**
+ * Parse a contract instance from its contract data entry
+ * @param {StellarSdk.xdr.ContractDataEntry} entry - Instance entry (key = LedgerKeyContractInstance)
+ * @returns {{executable: {type: 'wasm', wasmHash: string}|{type: 'stellar_asset'}, storage: Array<{key: StellarSdk.xdr.ScVal, value: StellarSdk.xdr.ScVal}>}}
+ */
+export function parseContractInstance(entry) {
+  const instance = entry.val().instance();
+  const executable = instance.executable();
+
+  return {
+    executable: executable.switch().name === 'contractExecutableWasm'
+      ? { type: 'wasm', wasmHash: executable.wasmHash().toString('hex') }
+      : { type: 'stellar_asset' },
+    storage: (instance.storage() || []).map(item => ({ key: item.key(), value: item.val() })),
+  };
+}
+
+/**
+ * Estimate how long until an entry's TTL runs out
+ * @param {number} liveUntilLedgerSeq - Last ledger the entry is live
+ * @param {number} latestLedger - Current ledger
+ * @param {number} [secondsPerLedger=5] - Average ledger close time
+ * @returns {{ledgersLeft: number, secondsLeft: number, expired: boolean}}
+ */
+export function estimateTtl(liveUntilLedgerSeq, latestLedger, secondsPerLedger = 5) {
+  const ledgersLeft = Math.max(0, liveUntilLedgerSeq - latestLedger);
+  return {
+    ledgersLeft,
+    secondsLeft: ledgersLeft * secondsPerLedger,
+    expired: liveUntilLedgerSeq < latestLedger,
+  };
+}
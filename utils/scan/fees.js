@@ -0,0 +1,100 @@
+/**
+ * Fee statistics for Stellar MiniScan
+ *
+ * Pure functions over RPC getFeeStats results: parsing the inclusion fee
+ * distributions, detecting surge pricing, and building the in-session
+ * history shown on the fees page.
+ *
+ * Notes:
+ * - Inclusion fees are per operation for classic transactions and per
+ *   transaction for Soroban; both are in stroops.
+ * - Without surge pricing every transaction is charged the base fee, so a
+ *   median above the base fee means ledgers are full.
+ */
+
+// Percentiles reported by getFeeStats, lowest first
+export const FEE_PERCENTILES = ['p10', 'p20', 'p30', 'p40', 'p50', 'p60', 'p70', 'p80', 'p90', 'p95', 'p99'];
+
+// Network base fee when the ledger header can't be read (stroops)
+export const DEFAULT_BASE_FEE = 100;
+
+/**
+ * Parse an inclusion fee distribution from getFeeStats
+ * @param {object} raw - `sorobanInclusionFee` or `inclusionFee` (string values)
+ * @returns {object|null} {min, max, mode, p10..p99, transactionCount, ledgerCount} as numbers
+ */
+export function parseFeeDistribution(raw) {
+  if (!raw) return null;
+
+  const distribution = {
+    min: Number(raw.min),
+    max: Number(raw.max),
+    mode: Number(raw.mode),
+    transactionCount: Number(raw.transactionCount ?? 0),
+    ledgerCount: Number(raw.ledgerCount ?? 0),
+  };
+  for (const percentile of FEE_PERCENTILES) {
+    distribution[percentile] = Number(raw[percentile]);
+  }
+  return distribution;
+}
+
+/**
+ * Whether recent transactions were surge priced
+ * @param {object|null} distribution - Parsed distribution (see parseFeeDistribution)
+ * @param {number} baseFee - Base fee of the latest ledger (stroops)
+ * @returns {boolean} True when the median charged fee is above the base fee
+ */
+export function isSurgePricing(distribution, baseFee) {
+  if (!distribution || distribution.transactionCount === 0) return false;
+  return distribution.p50 > baseFee;
+}
+
+/**
+ * Append a fee stats sample to the in-session history
+ * Samples from a ledger already in the history are ignored.
+ * @param {Array<object>} history - Earlier samples, oldest first
+ * @param {object} stats - Result of getFeeStats
+ * @param {number} time - Sample time (ms)
+ * @param {number} [maxSamples=60] - Samples to keep
+ * @returns {Array<object>} New history of {time, ledger, baseFee, soroban, classic}
+ */
+export function appendFeeSample(history, stats, time, maxSamples = 60) {
+  const last = history[history.length - 1];
+  if (last && last.ledger >= stats.latestLedger) {
+    return history;
+  }
+
+  const sample = {
+    time,
+    ledger: stats.latestLedger,
+    baseFee: stats.baseFee,
+    soroban: stats.soroban,
+    classic: stats.classic,
+  };
+  return [...history, sample].slice(-maxSamples);
+}
+
+/**
+ * Build SVG polyline points for a series of values
+ * Values are spread evenly across the width and scaled between 0 and the
+ * largest value; missing values are skipped.
+ * @param {Array<number|null>} values - Series values, oldest first
+ * @param {number} width - Chart width
+ * @param {number} height - Chart height
+ * @param {number} [maxValue] - Top of the scale (defaults to the series max)
+ * @returns {string} Points attribute ("x,y x,y ...")
+ */
+export function buildChartPoints(values, width, height, maxValue) {
+  const top = maxValue ?? Math.max(0, ...values.filter(v => v != null));
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+
+  return values
+    .map((value, i) => {
+      if (value == null || Number.isNaN(value)) return null;
+      const y = top > 0 ? height - (value / top) * height : height;
+      return `${+(i * step).toFixed(2)},${+y.toFixed(2)}`;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
@@ -7,6 +7,7 @@
 
 import config, { getNetworkConfig } from '@/utils/config';
 import { StrKey } from '@stellar/stellar-sdk';
+import { formatDecimal } from '@/utils/stellar/amount';
 
 /**
  * Shorten an address for display (6....6 format)
@@ -81,6 +82,80 @@ export const formatRelativeTime = (timestamp) => {
   return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 };
 
+/**
+ * Format a duration in seconds as its two largest units (e.g., "3 days 4 hr", "12 min")
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration string
+ */
+export const formatDuration = (seconds) => {
+  if (!Number.isFinite(seconds) || seconds < 60) {
+    return `${Math.max(0, Math.floor(seconds || 0))} sec`;
+  }
+
+  const units = [
+    { label: 'day', seconds: 86400, plural: true },
+    { label: 'hr', seconds: 3600 },
+    { label: 'min', seconds: 60 },
+  ];
+  const parts = [];
+  let remaining = Math.floor(seconds);
+  for (const unit of units) {
+    const count = Math.floor(remaining / unit.seconds);
+    remaining -= count * unit.seconds;
+    if (count > 0 || parts.length > 0) {
+      parts.push(`${count} ${unit.label}${unit.plural && count !== 1 ? 's' : ''}`);
+    }
+    if (parts.length === 2) break;
+  }
+  return parts.filter(part => !part.startsWith('0 ')).join(' ');
+};
+
+/**
+ * Format unix seconds as a UTC date, with the time unless it's midnight
+ * @param {string|number} seconds - Unix seconds
+ * @returns {string} e.g. "2026-01-01" or "2026-01-01 14:30 UTC"
+ */
+const formatPredicateTime = (seconds) => {
+  const date = new Date(Number(seconds) * 1000);
+  if (Number.isNaN(date.getTime())) return `unix time ${seconds}`;
+  const [day, time] = date.toISOString().split('T');
+  return time.startsWith('00:00:00') ? day : `${day} ${time.substring(0, 5)} UTC`;
+};
+
+/**
+ * Describe a claim predicate in plain language
+ * @param {object} predicate - Parsed predicate (see parseClaimPredicate)
+ * @returns {string} e.g. "at any time", "after 2026-01-01", "after 2026-01-01 and before 2026-02-01"
+ */
+export const describeClaimPredicate = (predicate) => {
+  // Compound predicates nested in and/or/not get parentheses
+  const wrap = (p) => (p.type === 'and' || p.type === 'or'
+    ? `(${describeClaimPredicate(p)})`
+    : describeClaimPredicate(p));
+
+  switch (predicate.type) {
+    case 'unconditional':
+      return 'at any time';
+    case 'before':
+      return `before ${formatPredicateTime(predicate.time)}`;
+    case 'beforeRelative':
+      return `within ${formatDuration(Number(predicate.seconds))} of creation`;
+    case 'and':
+      return predicate.predicates.map(wrap).join(' and ');
+    case 'or':
+      return predicate.predicates.map(wrap).join(' or ');
+    case 'not': {
+      const inner = predicate.predicate;
+      if (inner.type === 'before') return `after ${formatPredicateTime(inner.time)}`;
+      if (inner.type === 'beforeRelative') return `after ${formatDuration(Number(inner.seconds))} from creation`;
+      if (inner.type === 'unconditional') return 'never';
+      return `not ${wrap(inner)}`;
+    }
+    default:
+      return 'under unknown conditions';
+  }
+};
+
 /**
  * Format time only (no date) from timestamp
  * @param {string|number} timestamp - ISO string or Unix timestamp
@@ -93,7 +168,7 @@ export const formatTimeOnly = (timestamp) => {
 
 /**
  * Get the internal route path for an address based on its type
- * G... -> /account/, C... -> /contract/, L... -> /lp/
+ * G... -> /account/, C... -> /contract/, L... -> /lp/, B... -> /cb/
  * @param {string} addr - The address
  * @returns {string} The route path
  */
@@ -105,6 +180,9 @@ export const getAddressPath = (addr) => {
   if (addr.startsWith('L')) {
     return `/lp/${addr}`;
   }
+  if (addr.startsWith('B')) {
+    return `/cb/${addr}`;
+  }
   return `/account/${addr}`;
 };
 
@@ -131,6 +209,15 @@ export const getStellarExpertUrl = (addr, network) => {
       return `${explorerUrl}/liquidity-pool/${addr}`;
     }
   }
+  if (addr.startsWith('B')) {
+    // Claimable balance - stellar.expert uses the hex ID (type + hash)
+    try {
+      const payload = StrKey.decodeClaimableBalance(addr);
+      return `${explorerUrl}/claimable-balance/000000${payload.toString('hex')}`;
+    } catch {
+      return `${explorerUrl}/claimable-balance/${addr}`;
+    }
+  }
   if (addr.startsWith('C')) {
     return `${explorerUrl}/contract/${addr}`;
   }
@@ -190,18 +277,17 @@ export const parseAssetName = (assetName) => {
 
 /**
  * Format a large number with thousands separators
+ * Exact for bigints and decimal strings of any size; fraction digits are kept
  * @param {number|bigint|string} num - The number to format
  * @returns {string} Formatted number string
  */
 export const formatNumber = (num) => {
   if (num === null || num === undefined) return '';
-  const str = String(num);
-  // Handle negative numbers
-  const isNegative = str.startsWith('-');
-  const absStr = isNegative ? str.slice(1) : str;
-  // Add commas as thousands separators
-  const formatted = absStr.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-  return isNegative ? `-${formatted}` : formatted;
+  try {
+    return formatDecimal(num);
+  } catch {
+    return String(num);
+  }
 };
 
 /**
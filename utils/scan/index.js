@@ -14,9 +14,39 @@ export * from './helpers.js';
 export * from './operations.js';
 
 // Re-export from new modules
-export { isValidAddress, extractContractIds } from './validation.js';
+export {
+  isValidAddress,
+  isValidClaimableBalanceId,
+  parseMuxedAddress,
+  extractContractIds,
+} from './validation.js';
 export { storageManager, createStorageManager } from './storage.js';
+export { mergeActivity } from './pagination.js';
+export { parseRangeInput, formatLedgerRange } from './range.js';
+export { FEE_PERCENTILES, appendFeeSample, buildChartPoints } from './fees.js';
+export { COMMON_XDR_TYPES, normalizeXdrInput, buildXdrShareUrl, parseXdrShareParams } from './xdr.js';
+export {
+  parseAccountEntry,
+  decodeFlags,
+  calculateMinimumBalance,
+  calculateSpendableBalance,
+  parseClassicAssetName,
+  parseTrustlineEntry,
+  estimateTtl,
+  evaluateClaimPredicate,
+} from './entries.js';
+export { formatScVal, formatScError } from './scval.js';
+export { formatSpecType, formatFunctionSignature, STELLAR_ASSET_SPEC } from './spec.js';
 export {
+  formatDecodedCall,
+  formatSpecValue,
+  resolveContractError,
+  decodeReturnValue,
+  decodeContractEvent,
+} from './decode.js';
+export { parseSpecInput, isTextInput } from './encode.js';
+export {
+  parseEventData,
   parseTokenEvent,
   parseFeeEvent,
   parseContractEvent,
@@ -43,6 +73,56 @@ import {
   buildTransfersOnlyFilters,
 } from './rpc.js';
 import { storageManager } from './storage.js';
+import { fetchEventsPage, paginateActivity, mergeEventStreams, sortActivity } from './pagination.js';
+import { findLedgerByCloseTime } from './range.js';
+import { formatOperations, getEnvelopeSource, summarizeOperations } from './operations.js';
+import { parseLedgerHeader, countLedgerTransactions } from './ledger.js';
+import { DEFAULT_BASE_FEE, parseFeeDistribution, isSurgePricing } from './fees.js';
+import { rankXdrTypes } from './xdr.js';
+import {
+  DEFAULT_BASE_RESERVE,
+  parseAccountEntry,
+  parseEntrySponsor,
+  calculateMinimumBalance,
+  calculateSpendableBalance,
+  collectTrustlineCandidates,
+  buildTrustlineKey,
+  parseTrustlineEntry,
+  parseClassicAssetName,
+  buildSacBalanceKey,
+  parseSacBalanceEntry,
+  ISSUER_BALANCE,
+  buildContractInstanceKey,
+  buildContractCodeKey,
+  buildContractDataKey,
+  parseContractInstance,
+  parseContractDataEntry,
+  buildClaimableBalanceKey,
+  parseClaimableBalanceEntry,
+} from './entries.js';
+import { parseWasmCustomSections, parseContractMeta, parseContractEnvMeta } from './wasm.js';
+import { parseContractSpec, STELLAR_ASSET_SPEC, isTokenSpec } from './spec.js';
+import { decodeInvocation, decodeReturnValue, decodeAuthorizedInvocation } from './decode.js';
+import { formatScVal } from './scval.js';
+import {
+  summarizeSimulation,
+  parseEnvelopeAuth,
+  getEnvelopeOperations,
+  parseDiagnosticEvents,
+  parseSorobanResources,
+} from './simulation.js';
+import { getMetaDiagnosticEvents, splitCallArgs, buildCallTrace } from './trace.js';
+import { parseMetaStateChanges } from './changes.js';
+import { parseTransactionResult, explainScError } from './results.js';
+import {
+  getEnvelopeSorobanData,
+  parseCoreMetrics,
+  compareResources,
+  getMetaResourceFees,
+  getMetaFeeRefund,
+  splitResourceFee,
+} from './resources.js';
+import { mapWithConcurrency } from './queue.js';
 import * as cap67db from './cap67db.js';
 
 // XDR decoder state (lazy loaded WASM)
@@ -79,6 +159,29 @@ async function rpcCall(method, params) {
   });
 }
 
+// Maximum keys per getLedgerEntries request
+const LEDGER_ENTRIES_BATCH_SIZE = 200;
+
+/**
+ * Fetch ledger entries, splitting into as few getLedgerEntries requests as the
+ * per-request key limit allows
+ * @param {string[]} keys - Base64 LedgerKey XDRs
+ * @returns {Promise<{entries: Array<object>, latestLedger: number}>} Raw entries (any order)
+ */
+async function getLedgerEntriesBatched(keys) {
+  const batches = [];
+  for (let i = 0; i < keys.length; i += LEDGER_ENTRIES_BATCH_SIZE) {
+    batches.push(keys.slice(i, i + LEDGER_ENTRIES_BATCH_SIZE));
+  }
+  const results = await Promise.all(
+    batches.map(batch => rpcCall('getLedgerEntries', { keys: batch }))
+  );
+  return {
+    entries: results.flatMap(result => result.entries || []),
+    latestLedger: Math.max(...results.map(result => result.latestLedger || 0)),
+  };
+}
+
 /**
  * Get the latest ledger sequence from the RPC
  * @returns {Promise<number>} Latest ledger sequence
@@ -111,6 +214,76 @@ export async function getLedgerRange() {
   };
 }
 
+/**
+ * Get the close time of a single ledger from RPC getLedgers
+ * @param {number} sequence - Ledger sequence
+ * @returns {Promise<number>} Close time in unix seconds
+ */
+async function getLedgerCloseTime(sequence) {
+  const result = await rpcCall('getLedgers', { startLedger: sequence, pagination: { limit: 1 } });
+  const ledger = result.ledgers?.[0];
+  if (!ledger) {
+    throw new Error(`Ledger ${sequence} not found`);
+  }
+  return Number(ledger.ledgerCloseTime);
+}
+
+/**
+ * Resolve a parsed range (see parseRangeInput) to an inclusive ledger range
+ * Dates are mapped to ledgers using real close times from getLedgers, and the
+ * result is clamped to the RPC retention window.
+ * @param {object} input - Parsed range
+ * @param {number} [input.startLedger] - Start ledger
+ * @param {number} [input.endLedger] - End ledger
+ * @param {number} [input.startTime] - Start time (unix seconds)
+ * @param {number} [input.endTime] - End time (unix seconds)
+ * @returns {Promise<{startLedger: number, endLedger: number, clamped: boolean}>}
+ * @throws {Error} If the range falls entirely outside retention
+ */
+export async function resolveLedgerRange({ startLedger, endLedger, startTime, endTime }) {
+  const { oldestLedger } = await rpcCall('getHealth');
+  const bounds = await rpcCall('getLedgers', { startLedger: oldestLedger, pagination: { limit: 1 } });
+
+  const oldest = {
+    sequence: bounds.oldestLedger ?? oldestLedger,
+    closeTime: Number(bounds.oldestLedgerCloseTime ?? bounds.ledgers?.[0]?.ledgerCloseTime),
+  };
+  const latest = {
+    sequence: bounds.latestLedger,
+    closeTime: Number(bounds.latestLedgerCloseTime),
+  };
+
+  let start = startLedger;
+  if (start === undefined) {
+    start = startTime === undefined
+      ? oldest.sequence
+      : await findLedgerByCloseTime(startTime, oldest, latest, getLedgerCloseTime);
+  }
+
+  let end = endLedger;
+  if (end === undefined) {
+    // Last ledger that closed at or before endTime
+    end = endTime === undefined
+      ? latest.sequence
+      : (await findLedgerByCloseTime(endTime + 1, oldest, latest, getLedgerCloseTime)) - 1;
+  }
+
+  const clampedStart = Math.max(start, oldest.sequence);
+  const clampedEnd = Math.min(end, latest.sequence);
+  if (clampedStart > clampedEnd) {
+    throw new Error(
+      `Range is outside the RPC retention window (ledgers ${oldest.sequence}-${latest.sequence})`
+    );
+  }
+
+  return {
+    startLedger: clampedStart,
+    endLedger: clampedEnd,
+    clamped: clampedStart !== start || clampedEnd !== end
+      || (startTime !== undefined && startTime < oldest.closeTime),
+  };
+}
+
 /**
  * Create an RPC server for scan operations
  * Uses the shared RPC URL from config
@@ -163,6 +336,94 @@ export async function getTokenBalance(address, tokenContractId, { rpcServer } =
   }
 }
 
+// Simultaneous balance simulations for custom tokens
+const BALANCE_SIMULATION_CONCURRENCY = 4;
+
+/**
+ * Identify a Stellar Asset Contract from cached metadata
+ * SAC names are "CODE:ISSUER" (or "native"); the asset's derived contract ID
+ * must match, so a custom token can't pass itself off as a SAC.
+ * @param {string} contractId - Token contract ID
+ * @returns {{code: string, issuer: string|null, isNative: boolean}|null} Asset, or null if not a known SAC
+ */
+function resolveSacAsset(contractId) {
+  if (contractId === StellarSdk.Asset.native().contractId(config.networkPassphrase)) {
+    return { code: 'XLM', issuer: null, isNative: true };
+  }
+
+  const metadata = storageManager.getCachedMetadata(contractId, config.stellar.network);
+  const asset = parseClassicAssetName(metadata?.name);
+  if (!asset) return null;
+
+  try {
+    return getAssetContractId({ ...asset, isNative: false }) === contractId
+      ? { ...asset, isNative: false }
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get raw balances for many tokens at once
+ * SAC balances are read straight from ledger entries in one batched
+ * getLedgerEntries call; custom SEP-41 tokens are simulated with limited
+ * concurrency. Tokens whose balance can't be read report '0', as with
+ * getTokenBalance.
+ * @param {string} address - The address to check (G..., C... or L...)
+ * @param {string[]} contractIds - Token contract IDs
+ * @param {object} deps - Dependencies
+ * @returns {Promise<Object<string, string>>} Raw balances keyed by contract ID
+ */
+export async function getTokenBalances(address, contractIds, {
+  rpcServer,
+  concurrency = BALANCE_SIMULATION_CONCURRENCY,
+} = {}) {
+  const balances = {};
+  const sacKeys = new Map(); // key XDR -> { contractId, asset }
+  const simulated = [];
+
+  for (const contractId of new Set(contractIds)) {
+    const asset = resolveSacAsset(contractId);
+    if (!asset) {
+      simulated.push(contractId);
+      continue;
+    }
+    const key = buildSacBalanceKey(address, contractId, asset);
+    // No key means the holder is the issuer; a missing entry means no balance
+    balances[contractId] = key ? '0' : ISSUER_BALANCE;
+    if (key) {
+      sacKeys.set(key.toXDR('base64'), { contractId, asset });
+    }
+  }
+
+  if (sacKeys.size > 0) {
+    try {
+      const { entries } = await getLedgerEntriesBatched([...sacKeys.keys()]);
+      for (const entry of entries) {
+        const target = sacKeys.get(entry.key);
+        if (!target) continue;
+        const data = StellarSdk.xdr.LedgerEntryData.fromXDR(entry.xdr, 'base64');
+        balances[target.contractId] = parseSacBalanceEntry(data, target.asset);
+      }
+    } catch (error) {
+      console.warn('Error reading SAC balance entries, falling back to simulation:', error);
+      simulated.push(...[...sacKeys.values()].map(({ contractId }) => contractId));
+    }
+  }
+
+  if (simulated.length > 0) {
+    rpcServer = rpcServer || createScanRpcServer();
+    const results = await mapWithConcurrency(simulated, concurrency,
+      contractId => getTokenBalance(address, contractId, { rpcServer }));
+    simulated.forEach((contractId, i) => {
+      balances[contractId] = results[i];
+    });
+  }
+
+  return balances;
+}
+
 /**
  * Get token metadata (name, symbol, decimals) using SEP-41
  * Uses localStorage cache since metadata never changes
@@ -249,20 +510,44 @@ export async function getTokenMetadata(tokenContractId, { rpcServer } = {}) {
 // Account Activity
 // ============================================
 
+/**
+ * Fetch one page of events from getEvents (see fetchEventsPage)
+ * @param {Array} filters - getEvents filters
+ * @param {number} limit - Page size
+ * @param {string|null} cursor - Continuation cursor from a previous page
+ * @param {{startLedger: number, endLedger: number}|null} range - Inclusive ledger range
+ * @returns {Promise<{events: Array, cursor: string|null}>} Raw events and next cursor
+ */
+function getEventsPage(filters, limit, cursor = null, range = null) {
+  return fetchEventsPage(params => rpcCall('getEvents', params), {
+    filters,
+    limit,
+    cursor,
+    range,
+    getLatestLedger,
+  });
+}
+
 /**
  * Get recent token activity for an address (any token)
  * Uses cap67db for mainnet, falls back to RPC for testnet or on failure
  * @param {string} address - Address to fetch activity for
  * @param {number} limit - Maximum events to return (default 200)
- * @returns {Promise<Array>} Array of parsed token events
+ * @param {object} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: object|null}>} Parsed token events and next-page cursor
  */
-export async function getRecentTransfers(address, limit = 200) {
+export async function getRecentTransfers(address, limit = 200, cursor = null) {
+  if (cursor?.source === 'cap67db') {
+    const page = await cap67db.getAddressActivity(address, limit, cursor.cursor);
+    return { activity: page.activity, cursor: page.cursor && { source: 'cap67db', cursor: page.cursor } };
+  }
+
   // Try cap67db for mainnet
-  if (!config.isTestnet) {
+  if (!cursor && !config.isTestnet) {
     try {
-      const activity = await cap67db.getAddressActivity(address, limit);
-      if (activity.length > 0) {
-        return activity;
+      const page = await cap67db.getAddressActivity(address, limit);
+      if (page.activity.length > 0) {
+        return { activity: page.activity, cursor: page.cursor && { source: 'cap67db', cursor: page.cursor } };
       }
       // Empty result - fall through to RPC (cap67db might not have data yet)
     } catch (error) {
@@ -271,20 +556,37 @@ export async function getRecentTransfers(address, limit = 200) {
   }
 
   // Fallback to RPC
-  try {
-    const startLedger = await getLatestLedger();
-    const filter = buildTokenEventFilters(address);
+  return getRecentTransfersFromRpc(address, limit, cursor);
+}
 
-    const result = await rpcCall('getEvents', {
-      startLedger: startLedger,
-      filters: [filter],
-      pagination: { limit: limit * 5, order: 'desc' }
-    });
+/**
+ * Get token activity for an address within a ledger range (oldest first)
+ * Ranged queries always go to RPC, so they are bounded by its retention window
+ * @param {string} address - Address to fetch activity for
+ * @param {{startLedger: number, endLedger: number}} range - Inclusive ledger range
+ * @param {number} limit - Maximum events to return (default 200)
+ * @param {object} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: object|null}>} Parsed token events and next-page cursor
+ */
+export async function getRecentTransfersInRange(address, range, limit = 200, cursor = null) {
+  return getRecentTransfersFromRpc(address, limit, cursor, range);
+}
 
-    const events = result.events || [];
+/**
+ * Get token activity for an address from RPC getEvents
+ * @param {string} address - Address to fetch activity for
+ * @param {number} limit - Maximum events to return
+ * @param {object|null} cursor - Continuation cursor from a previous page
+ * @param {{startLedger: number, endLedger: number}|null} [range] - Inclusive ledger range
+ * @returns {Promise<{activity: Array, cursor: object|null}>}
+ */
+async function getRecentTransfersFromRpc(address, limit, cursor, range = null) {
+  try {
+    const filter = buildTokenEventFilters(address);
+    const page = await getEventsPage([filter], limit * 5, cursor?.cursor, range);
 
     const uniqueById = new Map();
-    for (const event of events) {
+    for (const event of page.events) {
       if (uniqueById.has(event.id)) continue;
       const parsed = parseTokenEvent(event, address);
       if (parsed) {
@@ -292,10 +594,10 @@ export async function getRecentTransfers(address, limit = 200) {
       }
     }
 
-    const activity = [...uniqueById.values()];
-    activity.sort((a, b) => b.ledger - a.ledger);
+    const activity = sortActivity([...uniqueById.values()], range ? 'asc' : 'desc');
 
-    return activity.slice(0, limit);
+    const result = paginateActivity(activity, limit, page.cursor);
+    return { activity: result.activity, cursor: result.cursor && { source: 'rpc', cursor: result.cursor } };
   } catch (error) {
     console.warn('Error fetching transfer history:', error);
     throw error;
@@ -307,45 +609,81 @@ export async function getRecentTransfers(address, limit = 200) {
  * Uses cap67db for mainnet, falls back to RPC for testnet or on failure
  * @param {string} address - Address to fetch activity for
  * @param {number} limit - Maximum events to return (default 200)
- * @returns {Promise<{activity: Array, tokenEventsFailed: boolean}>} Activity and partial failure flag
+ * @param {object} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, tokenEventsFailed: boolean, cursor: object|null}>} Activity, partial failure flag and next-page cursor
  */
-export async function getAccountActivity(address, limit = 200) {
+export async function getAccountActivity(address, limit = 200, cursor = null) {
+  if (cursor?.source === 'cap67db') {
+    const page = await cap67db.getAddressActivityWithFees(address, limit, cursor.cursor);
+    return {
+      activity: page.activity,
+      tokenEventsFailed: false,
+      cursor: page.cursor && { source: 'cap67db', cursor: page.cursor },
+    };
+  }
+
   // Try cap67db for mainnet
-  if (!config.isTestnet) {
+  if (!cursor && !config.isTestnet) {
     try {
-      const activity = await cap67db.getAddressActivityWithFees(address, limit);
+      const page = await cap67db.getAddressActivityWithFees(address, limit);
       // cap67db returns combined results, no partial failures
-      return { activity, tokenEventsFailed: false };
+      return {
+        activity: page.activity,
+        tokenEventsFailed: false,
+        cursor: page.cursor && { source: 'cap67db', cursor: page.cursor },
+      };
     } catch (error) {
       console.warn('cap67db failed, falling back to RPC:', error.message);
     }
   }
 
   // Fallback to RPC
+  return getAccountActivityFromRpc(address, limit, cursor);
+}
+
+/**
+ * Get unified account activity within a ledger range (oldest first)
+ * Ranged queries always go to RPC, so they are bounded by its retention window
+ * @param {string} address - Address to fetch activity for
+ * @param {{startLedger: number, endLedger: number}} range - Inclusive ledger range
+ * @param {number} limit - Maximum events to return (default 200)
+ * @param {object} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, tokenEventsFailed: boolean, cursor: object|null}>} Activity, partial failure flag and next-page cursor
+ */
+export async function getAccountActivityInRange(address, range, limit = 200, cursor = null) {
+  return getAccountActivityFromRpc(address, limit, cursor, range);
+}
+
+/**
+ * Get unified account activity from RPC getEvents (token + fee streams)
+ * @param {string} address - Address to fetch activity for
+ * @param {number} limit - Maximum events per stream
+ * @param {object|null} cursor - Continuation cursor from a previous page
+ * @param {{startLedger: number, endLedger: number}|null} [range] - Inclusive ledger range
+ * @returns {Promise<{activity: Array, tokenEventsFailed: boolean, cursor: object|null}>}
+ */
+async function getAccountActivityFromRpc(address, limit, cursor, range = null) {
+  const order = range ? 'asc' : 'desc';
+
   try {
     const xlmContractId = StellarSdk.Asset.native().contractId(config.networkPassphrase);
-    const startLedger = await getLatestLedger();
 
     const tokenFilter = buildTokenEventFilters(address);
     const feeFilter = buildFeeEventFilters(address, xlmContractId);
 
+    // Each stream keeps its own cursor; an exhausted stream is not queried again
+    const [tokenCursor, feeCursor] = cursor?.cursors || [null, null];
+    const exhausted = { events: [], cursor: null };
+
     // Two parallel queries - use allSettled so partial failures still return data
     const [tokenResult, feeResult] = await Promise.allSettled([
-      rpcCall('getEvents', {
-        startLedger: startLedger,
-        filters: [tokenFilter],
-        pagination: { limit, order: 'desc' }
-      }),
-      rpcCall('getEvents', {
-        startLedger: startLedger,
-        filters: [feeFilter],
-        pagination: { limit, order: 'desc' }
-      }),
+      cursor && !tokenCursor ? exhausted : getEventsPage([tokenFilter], limit, tokenCursor, range),
+      cursor && !feeCursor ? exhausted : getEventsPage([feeFilter], limit, feeCursor, range),
     ]);
 
-    // Extract events from successful results
-    const tokenEvents = tokenResult.status === 'fulfilled' ? (tokenResult.value.events || []) : [];
-    const feeEvents = feeResult.status === 'fulfilled' ? (feeResult.value.events || []) : [];
+    // Extract pages from successful results
+    const tokenPage = tokenResult.status === 'fulfilled' ? tokenResult.value : exhausted;
+    const feePage = feeResult.status === 'fulfilled' ? feeResult.value : exhausted;
     const tokenEventsFailed = tokenResult.status === 'rejected';
 
     // If both failed, throw the token error (more relevant to user)
@@ -353,7 +691,8 @@ export async function getAccountActivity(address, limit = 200) {
       throw tokenResult.reason;
     }
 
-    const allEvents = [...tokenEvents, ...feeEvents];
+    // Hold back events the other stream hasn't reached yet
+    const { events: allEvents, cursors } = mergeEventStreams([tokenPage, feePage], order);
 
     const uniqueById = new Map();
     for (const event of allEvents) {
@@ -377,10 +716,14 @@ export async function getAccountActivity(address, limit = 200) {
       }
     }
 
-    const activity = [...uniqueById.values()];
-    activity.sort((a, b) => b.ledger - a.ledger);
+    const activity = sortActivity([...uniqueById.values()], order);
 
-    return { activity: activity.slice(0, limit), tokenEventsFailed };
+    const hasMore = cursors.some(Boolean);
+    return {
+      activity,
+      tokenEventsFailed,
+      cursor: hasMore ? { source: 'rpc', cursors } : null,
+    };
   } catch (error) {
     console.error('Error fetching account activity:', error);
     throw error;
@@ -432,24 +775,29 @@ export async function getFeeEvents(address, limit = 200) {
  * Get recent token activity across all contracts (network-wide)
  * Uses cap67db for mainnet, falls back to RPC for testnet or on failure
  * @param {number} limit - Maximum events to return (default 50)
- * @returns {Promise<Array>} Array of parsed token events
+ * @param {object} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: object|null}>} Parsed token events and next-page cursor
  */
-export async function getRecentTokenActivity(limit = 50) {
+export async function getRecentTokenActivity(limit = 50, cursor = null) {
+  if (cursor?.source === 'cap67db') {
+    const page = await cap67db.getNetworkActivity(limit, cursor.cursor);
+    return { activity: page.activity, cursor: page.cursor && { source: 'cap67db', cursor: page.cursor } };
+  }
+
   // Try cap67db for mainnet
-  if (!config.isTestnet) {
+  if (!cursor && !config.isTestnet) {
     try {
-      return await cap67db.getNetworkActivity(limit);
+      const page = await cap67db.getNetworkActivity(limit);
+      return { activity: page.activity, cursor: page.cursor && { source: 'cap67db', cursor: page.cursor } };
     } catch (error) {
       console.warn('cap67db failed, falling back to RPC:', error.message);
     }
   }
 
   // Fallback to RPC
-  const startLedger = await getLatestLedger();
-
-  const parseEvents = (events) => {
+  const parseEvents = (page, transfersOnly) => {
     const uniqueById = new Map();
-    for (const event of events) {
+    for (const event of page.events) {
       if (uniqueById.has(event.id)) continue;
       const parsed = parseTokenEvent(event);
       if (parsed) {
@@ -458,35 +806,36 @@ export async function getRecentTokenActivity(limit = 50) {
     }
     const activity = [...uniqueById.values()];
     activity.sort((a, b) => b.ledger - a.ledger);
-    return activity.slice(0, limit);
+
+    const result = paginateActivity(activity, limit, page.cursor);
+    return {
+      activity: result.activity,
+      cursor: result.cursor && { source: 'rpc', cursor: result.cursor, transfersOnly },
+    };
   };
 
-  try {
-    const filter = buildNetworkActivityFilters();
-    const result = await rpcCall('getEvents', {
-      startLedger: startLedger,
-      filters: [filter],
-      pagination: { limit: limit * 4, order: 'desc' }
-    });
-    return parseEvents(result.events || []);
-  } catch (error) {
-    if (error.code === -32001) {
-      console.warn('Combined query hit RPC limits, falling back to transfers only');
-      try {
-        const filter = buildTransfersOnlyFilters();
-        const result = await rpcCall('getEvents', {
-          startLedger: startLedger,
-          filters: [filter],
-          pagination: { limit, order: 'desc' }
-        });
-        return parseEvents(result.events || []);
-      } catch (fallbackError) {
-        console.error('Fallback query also failed:', fallbackError);
-        throw fallbackError;
+  // Keep paging with the transfers-only filter once we've had to fall back to it
+  if (!cursor?.transfersOnly) {
+    try {
+      const filter = buildNetworkActivityFilters();
+      const page = await getEventsPage([filter], limit * 4, cursor?.cursor);
+      return parseEvents(page, false);
+    } catch (error) {
+      if (error.code !== -32001) {
+        console.error('Error fetching recent token activity:', error);
+        throw error;
       }
+      console.warn('Combined query hit RPC limits, falling back to transfers only');
     }
-    console.error('Error fetching recent token activity:', error);
-    throw error;
+  }
+
+  try {
+    const filter = buildTransfersOnlyFilters();
+    const page = await getEventsPage([filter], limit, cursor?.cursor);
+    return parseEvents(page, true);
+  } catch (fallbackError) {
+    console.error('Fallback query also failed:', fallbackError);
+    throw fallbackError;
   }
 }
 
@@ -495,15 +844,21 @@ export async function getRecentTokenActivity(limit = 50) {
  * Uses cap67db for mainnet, falls back to RPC for testnet or on failure
  * @param {string} tokenContractId - Token contract ID
  * @param {number} limit - Maximum events to return (default 200)
- * @returns {Promise<Array>} Array of parsed token events
+ * @param {object} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: object|null}>} Parsed token events and next-page cursor
  */
-export async function getTokenTransfers(tokenContractId, limit = 200) {
+export async function getTokenTransfers(tokenContractId, limit = 200, cursor = null) {
+  if (cursor?.source === 'cap67db') {
+    const page = await cap67db.getContractActivity(tokenContractId, limit, cursor.cursor);
+    return { activity: page.activity, cursor: page.cursor && { source: 'cap67db', cursor: page.cursor } };
+  }
+
   // Try cap67db for mainnet
-  if (!config.isTestnet) {
+  if (!cursor && !config.isTestnet) {
     try {
-      const activity = await cap67db.getContractActivity(tokenContractId, limit);
-      if (activity.length > 0) {
-        return activity;
+      const page = await cap67db.getContractActivity(tokenContractId, limit);
+      if (page.activity.length > 0) {
+        return { activity: page.activity, cursor: page.cursor && { source: 'cap67db', cursor: page.cursor } };
       }
       // Empty result - fall through to RPC (cap67db might not have data yet)
     } catch (error) {
@@ -512,20 +867,37 @@ export async function getTokenTransfers(tokenContractId, limit = 200) {
   }
 
   // Fallback to RPC
-  try {
-    const startLedger = await getLatestLedger();
-    const filter = buildTokenActivityFilters(tokenContractId);
+  return getTokenTransfersFromRpc(tokenContractId, limit, cursor);
+}
 
-    const result = await rpcCall('getEvents', {
-      startLedger: startLedger,
-      filters: [filter],
-      pagination: { limit: limit * 4, order: 'desc' }
-    });
+/**
+ * Get activity for a specific token contract within a ledger range (oldest first)
+ * Ranged queries always go to RPC, so they are bounded by its retention window
+ * @param {string} tokenContractId - Token contract ID
+ * @param {{startLedger: number, endLedger: number}} range - Inclusive ledger range
+ * @param {number} limit - Maximum events to return (default 200)
+ * @param {object} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: object|null}>} Parsed token events and next-page cursor
+ */
+export async function getTokenTransfersInRange(tokenContractId, range, limit = 200, cursor = null) {
+  return getTokenTransfersFromRpc(tokenContractId, limit, cursor, range);
+}
 
-    const events = result.events || [];
+/**
+ * Get activity for a specific token contract from RPC getEvents
+ * @param {string} tokenContractId - Token contract ID
+ * @param {number} limit - Maximum events to return
+ * @param {object|null} cursor - Continuation cursor from a previous page
+ * @param {{startLedger: number, endLedger: number}|null} [range] - Inclusive ledger range
+ * @returns {Promise<{activity: Array, cursor: object|null}>}
+ */
+async function getTokenTransfersFromRpc(tokenContractId, limit, cursor, range = null) {
+  try {
+    const filter = buildTokenActivityFilters(tokenContractId);
+    const page = await getEventsPage([filter], limit * 4, cursor?.cursor, range);
 
     const uniqueById = new Map();
-    for (const event of events) {
+    for (const event of page.events) {
       if (uniqueById.has(event.id)) continue;
       const parsed = parseTokenEvent(event);
       if (parsed) {
@@ -533,10 +905,10 @@ export async function getTokenTransfers(tokenContractId, limit = 200) {
       }
     }
 
-    const activity = [...uniqueById.values()];
-    activity.sort((a, b) => b.ledger - a.ledger);
+    const activity = sortActivity([...uniqueById.values()], range ? 'asc' : 'desc');
 
-    return activity.slice(0, limit);
+    const result = paginateActivity(activity, limit, page.cursor);
+    return { activity: result.activity, cursor: result.cursor && { source: 'rpc', cursor: result.cursor } };
   } catch (error) {
     console.error('Error fetching token transfers:', error);
     throw error;
@@ -551,25 +923,48 @@ export async function getTokenTransfers(tokenContractId, limit = 200) {
  * Get recent invocations for a contract
  * @param {string} contractId - Contract ID
  * @param {number} limit - Maximum events to return (default 200)
- * @returns {Promise<Array>} Array of parsed invocation events
+ * @param {object} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: object|null}>} Parsed invocation events and next-page cursor
  */
-export async function getContractInvocations(contractId, limit = 200) {
-  try {
-    const startLedger = await getLatestLedger();
+export async function getContractInvocations(contractId, limit = 200, cursor = null) {
+  return getContractInvocationsFromRpc(contractId, limit, cursor);
+}
 
-    const result = await rpcCall('getEvents', {
-      startLedger: startLedger,
-      filters: [
-        {
-          type: 'contract',
-          contractIds: [contractId],
-        }
-      ],
-      pagination: { limit: limit, order: 'desc' }
-    });
+/**
+ * Get invocations for a contract within a ledger range (oldest first)
+ * @param {string} contractId - Contract ID
+ * @param {{startLedger: number, endLedger: number}} range - Inclusive ledger range
+ * @param {number} limit - Maximum events to return (default 200)
+ * @param {object} [cursor] - Continuation cursor from a previous page
+ * @returns {Promise<{activity: Array, cursor: object|null}>} Parsed invocation events and next-page cursor
+ */
+export async function getContractInvocationsInRange(contractId, range, limit = 200, cursor = null) {
+  return getContractInvocationsFromRpc(contractId, limit, cursor, range);
+}
 
-    const events = result.events || [];
-    return events.map(event => parseContractEvent(event));
+/**
+ * Get invocations for a contract from RPC getEvents
+ * @param {string} contractId - Contract ID
+ * @param {number} limit - Maximum events to return
+ * @param {object|null} cursor - Continuation cursor from a previous page
+ * @param {{startLedger: number, endLedger: number}|null} [range] - Inclusive ledger range
+ * @returns {Promise<{activity: Array, cursor: object|null}>}
+ */
+async function getContractInvocationsFromRpc(contractId, limit, cursor, range = null) {
+  try {
+    const filter = {
+      type: 'contract',
+      contractIds: [contractId],
+    };
+    const [page, { spec, token }] = await Promise.all([
+      getEventsPage([filter], limit, cursor?.cursor, range),
+      getDecodeContext(contractId),
+    ]);
+
+    return {
+      activity: page.events.map(event => parseContractEvent(event, spec, { token })),
+      cursor: page.cursor && { source: 'rpc', cursor: page.cursor },
+    };
   } catch (error) {
     console.error('Error fetching contract invocations:', error);
     throw error;
@@ -633,9 +1028,85 @@ export async function getTransaction(txHash) {
     envelopeXdr: result.envelopeXdr,
     resultXdr: result.resultXdr,
     resultMetaXdr: result.resultMetaXdr,
+    // Newer RPCs return diagnostic events next to the meta instead of inside it
+    diagnosticEventsXdr: result.events?.diagnosticEventsXdr ?? result.diagnosticEventsXdr ?? [],
+  };
+}
+
+/**
+ * Summarize a getTransactions result for list views
+ * @param {object} tx - Transaction from RPC getTransactions
+ * @returns {Promise<object>} Status, source, operation count, fee charged and a one-line summary
+ */
+async function summarizeRpcTransaction(tx) {
+  let operations = [];
+  let source = { sourceAccount: null, feeSource: null };
+  try {
+    const envelope = await decodeXdr('TransactionEnvelope', tx.envelopeXdr);
+    operations = formatOperations(envelope);
+    source = getEnvelopeSource(envelope);
+  } catch {
+    // Leave the summary empty; the tx page shows the decode error
+  }
+
+  let feeCharged = null;
+  try {
+    feeCharged = StellarSdk.xdr.TransactionResult.fromXDR(tx.resultXdr, 'base64').feeCharged().toString();
+  } catch {
+    // Unreadable result
+  }
+
+  return {
+    hash: tx.txHash,
+    status: tx.status,
+    ledger: tx.ledger,
+    createdAt: tx.createdAt,
+    applicationOrder: tx.applicationOrder,
+    feeBump: tx.feeBump,
+    ...source,
+    operationCount: operations.length,
+    feeCharged,
+    summary: summarizeOperations(operations),
   };
 }
 
+/**
+ * Get transactions in a ledger range from RPC getTransactions
+ * Pages forward in application order; pass the returned cursor to continue.
+ * @param {object} options
+ * @param {number} [options.startLedger] - First ledger (required without a cursor)
+ * @param {number} [options.endLedger] - Last ledger to include (open-ended if omitted)
+ * @param {string} [options.cursor] - Cursor from a previous page
+ * @param {number} [options.limit=50] - Page size
+ * @returns {Promise<{transactions: Array, cursor: string|null, latestLedger: number}>} Summarized
+ *   transactions; cursor is null once the range (or retention) is exhausted
+ */
+export async function getTransactionsInRange({ startLedger, endLedger, cursor, limit = 50 } = {}) {
+  if (!cursor && (!Number.isInteger(startLedger) || startLedger <= 0)) {
+    throw new Error('Invalid start ledger - must be a positive integer');
+  }
+
+  try {
+    const params = cursor
+      ? { pagination: { cursor, limit } }
+      : { startLedger, pagination: { limit } };
+    const result = await rpcCall('getTransactions', params);
+
+    const all = result.transactions || [];
+    const inRange = endLedger ? all.filter(tx => tx.ledger <= endLedger) : all;
+    const exhausted = all.length < limit || inRange.length < all.length;
+
+    return {
+      transactions: await Promise.all(inRange.map(summarizeRpcTransaction)),
+      cursor: exhausted ? null : result.cursor || null,
+      latestLedger: result.latestLedger,
+    };
+  } catch (error) {
+    console.warn('Error fetching transactions:', error);
+    throw error;
+  }
+}
+
 // ============================================
 // XDR Decoding
 // ============================================
@@ -678,46 +1149,779 @@ export async function decodeXdr(typeName, xdrBase64) {
   }
 }
 
-// ============================================
-// Liquidity Pools
-// ============================================
-
 /**
- * Parse an Asset XDR into a readable format
- * @param {object} asset - The XDR Asset object
- * @returns {object} Parsed asset info
+ * Encode JSON to XDR using the stellar-xdr-json library
+ * @param {string} typeName - The XDR type name
+ * @param {object|string} json - The JSON value (or its string form)
+ * @returns {Promise<string>} The base64-encoded XDR
  */
-function parseAssetXdr(asset) {
-  const assetType = asset.switch().name;
-
-  if (assetType === 'assetTypeNative') {
-    return { code: 'XLM', issuer: null, isNative: true };
+export async function encodeXdr(typeName, json) {
+  if (!xdrDecoderReady) {
+    await initXdrDecoder();
   }
 
-  if (assetType === 'assetTypeCreditAlphanum4') {
-    const alphaNum4 = asset.alphaNum4();
-    return {
-      code: alphaNum4.assetCode().toString().replace(/\0+$/, ''),
-      issuer: StellarSdk.StrKey.encodeEd25519PublicKey(alphaNum4.issuer().ed25519()),
-      isNative: false,
-    };
-  }
+  const jsonString = typeof json === 'string' ? json : JSON.stringify(json);
+  return xdrDecoderModule.encode(typeName, jsonString);
+}
 
-  if (assetType === 'assetTypeCreditAlphanum12') {
-    const alphaNum12 = asset.alphaNum12();
-    return {
-      code: alphaNum12.assetCode().toString().replace(/\0+$/, ''),
-      issuer: StellarSdk.StrKey.encodeEd25519PublicKey(alphaNum12.issuer().ed25519()),
-      isNative: false,
-    };
+/**
+ * List every XDR type the decoder knows
+ * @returns {Promise<Array<string>>} Type names, A–Z
+ */
+export async function getXdrTypes() {
+  if (!xdrDecoderReady) {
+    await initXdrDecoder();
   }
 
-  return { code: 'UNKNOWN', issuer: null, isNative: false };
+  return [...xdrDecoderModule.types()].sort((a, b) => a.localeCompare(b));
 }
 
 /**
- * Get the contract ID for a classic Stellar asset (SAC)
- * @param {object} assetInfo - Asset info with code and issuer
+ * Detect which XDR types a value decodes as completely
+ * @param {string} xdrBase64 - The base64-encoded XDR
+ * @returns {Promise<Array<string>>} Matching types, most likely first (see rankXdrTypes)
+ */
+export async function guessXdrType(xdrBase64) {
+  if (!xdrDecoderReady) {
+    await initXdrDecoder();
+  }
+
+  try {
+    return rankXdrTypes(xdrDecoderModule.guess(xdrBase64));
+  } catch {
+    // Not valid base64
+    return [];
+  }
+}
+
+// ============================================
+// Accounts
+// ============================================
+
+// Base fee and base reserve per network (they change only by validator vote), re-read hourly
+const ledgerParamsCache = new Map();
+const LEDGER_PARAMS_REFRESH_MS = 60 * 60 * 1000;
+
+/**
+ * Get the network's base fee and base reserve from the latest ledger header
+ * The header is read at most hourly per network. If it can't be read, the
+ * last values read are returned (DEFAULT_BASE_FEE / DEFAULT_BASE_RESERVE
+ * before the first successful read).
+ * @param {number} [latestLedger] - Latest ledger sequence, if already known
+ * @returns {Promise<{baseFee: number, baseReserve: number}>} Values in stroops
+ */
+async function getLedgerParams(latestLedger = null) {
+  const network = config.stellar.network;
+  const cached = ledgerParamsCache.get(network);
+  if (cached && Date.now() - cached.fetchedAt < LEDGER_PARAMS_REFRESH_MS) {
+    return cached.params;
+  }
+  const fallback = cached?.params ?? { baseFee: DEFAULT_BASE_FEE, baseReserve: DEFAULT_BASE_RESERVE };
+
+  try {
+    const startLedger = latestLedger ?? await getLatestLedger();
+    const result = await rpcCall('getLedgers', { startLedger, pagination: { limit: 1 } });
+    const headerXdr = result.ledgers?.[0]?.headerXdr;
+    if (!headerXdr) {
+      return fallback;
+    }
+    const { baseFee, baseReserve } = parseLedgerHeader(headerXdr);
+    const params = { baseFee, baseReserve };
+    ledgerParamsCache.set(network, { params, fetchedAt: Date.now() });
+    return params;
+  } catch (error) {
+    console.warn('Error fetching base fee and reserve, using last known values:', error);
+    return fallback;
+  }
+}
+
+/**
+ * Get a classic account's ledger entry
+ * Includes reserve math: minimum balance and spendable XLM (balance minus
+ * the minimum balance and selling liabilities).
+ * @param {string} address - The G... account address
+ * @returns {Promise<object|null>} Parsed account entry, or null if the account doesn't exist
+ */
+export async function getAccountEntry(address) {
+  if (!address || !address.startsWith('G')) {
+    throw new Error('Invalid account address - must start with G');
+  }
+
+  try {
+    const ledgerKey = StellarSdk.xdr.LedgerKey.account(
+      new StellarSdk.xdr.LedgerKeyAccount({
+        accountId: StellarSdk.Keypair.fromPublicKey(address).xdrAccountId(),
+      })
+    );
+
+    const keyBase64 = ledgerKey.toXDR('base64');
+    const [result, { baseReserve }] = await Promise.all([
+      rpcCall('getLedgerEntries', { keys: [keyBase64] }),
+      getLedgerParams(),
+    ]);
+
+    if (!result.entries || result.entries.length === 0) {
+      return null;
+    }
+
+    const entry = result.entries[0];
+    const ledgerEntry = StellarSdk.xdr.LedgerEntryData.fromXDR(entry.xdr, 'base64');
+    const account = parseAccountEntry(ledgerEntry.account());
+    const minimumBalance = calculateMinimumBalance(account, baseReserve);
+
+    return {
+      ...account,
+      sponsor: parseEntrySponsor(entry.extXdr),
+      baseReserve: String(baseReserve),
+      minimumBalance,
+      spendableBalance: calculateSpendableBalance(account, minimumBalance),
+      lastModifiedLedger: entry.lastModifiedLedgerSeq,
+      latestLedger: result.latestLedger,
+    };
+  } catch (error) {
+    console.warn('Error fetching account entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Probe an account's trustlines for known assets
+ * Finds holdings that haven't moved within event retention. Candidates are
+ * tracked assets, cached SAC metadata, pool share tokens seen so far (see
+ * getPoolShareMetadata), the configured known-asset list and any extra
+ * contract IDs (e.g. from activity); all keys are fetched with
+ * getLedgerEntries in as few requests as possible.
+ * @param {string} address - The G... account address
+ * @param {string[]} [contractIds] - Extra token contract IDs to probe
+ * @returns {Promise<{trustlines: Array<object>, probed: number, latestLedger: number|null}>}
+ */
+export async function getAccountTrustlines(address, contractIds = []) {
+  if (!address || !address.startsWith('G')) {
+    throw new Error('Invalid account address - must start with G');
+  }
+
+  const network = config.stellar.network;
+  const cachedMetadata = storageManager.getAllCachedMetadata(network);
+  const { assets, poolIds } = collectTrustlineCandidates([
+    ...storageManager.getTrackedAssets(network),
+    ...Object.entries(cachedMetadata).map(([contractId, metadata]) => ({ contractId, name: metadata.name })),
+    ...storageManager.getPoolShareTokens(network).map(contractId => ({ contractId, isPoolShare: true })),
+    ...(config.stellar.knownAssets || []),
+    ...contractIds.map(contractId => ({ contractId, name: cachedMetadata[contractId]?.name })),
+  ]);
+
+  const keys = [
+    ...assets.map(asset => buildTrustlineKey(address, asset)),
+    ...poolIds.map(poolId => buildTrustlineKey(address, { poolId })),
+  ].map(key => key.toXDR('base64'));
+
+  if (keys.length === 0) {
+    return { trustlines: [], probed: 0, latestLedger: null };
+  }
+
+  try {
+    const { entries, latestLedger } = await getLedgerEntriesBatched(keys);
+
+    const trustlines = entries.map(entry => {
+      const ledgerEntry = StellarSdk.xdr.LedgerEntryData.fromXDR(entry.xdr, 'base64');
+      const trustline = parseTrustlineEntry(ledgerEntry.trustLine());
+      const contractId = trustline.type === 'pool_share'
+        ? StellarSdk.StrKey.encodeContract(StellarSdk.StrKey.decodeLiquidityPool(trustline.poolId))
+        : getAssetContractId({ ...trustline, isNative: false });
+      return {
+        ...trustline,
+        contractId,
+        sponsor: parseEntrySponsor(entry.extXdr),
+        lastModifiedLedger: entry.lastModifiedLedgerSeq,
+      };
+    });
+
+    // Credit assets by code, then pool shares
+    trustlines.sort((a, b) => (a.type === 'pool_share') - (b.type === 'pool_share')
+      || (a.code || a.poolId).localeCompare(b.code || b.poolId));
+
+    return {
+      trustlines,
+      probed: keys.length,
+      latestLedger,
+    };
+  } catch (error) {
+    console.warn('Error fetching trustlines:', error);
+    throw error;
+  }
+}
+
+// ============================================
+// Contracts
+// ============================================
+
+/**
+ * Get a contract's instance entry
+ * @param {string} contractId - The C... contract address
+ * @returns {Promise<object|null>} Executable, instance storage and TTL, or null if not found
+ */
+export async function getContractInstance(contractId) {
+  if (!contractId || !contractId.startsWith('C')) {
+    throw new Error('Invalid contract address - must start with C');
+  }
+
+  try {
+    const keyBase64 = buildContractInstanceKey(contractId).toXDR('base64');
+    const result = await rpcCall('getLedgerEntries', { keys: [keyBase64] });
+
+    if (!result.entries || result.entries.length === 0) {
+      return null;
+    }
+
+    const entry = result.entries[0];
+    const ledgerEntry = StellarSdk.xdr.LedgerEntryData.fromXDR(entry.xdr, 'base64');
+
+    return {
+      ...parseContractInstance(ledgerEntry.contractData()),
+      lastModifiedLedger: entry.lastModifiedLedgerSeq,
+      liveUntilLedgerSeq: entry.liveUntilLedgerSeq ?? null,
+      latestLedger: result.latestLedger,
+    };
+  } catch (error) {
+    console.warn('Error fetching contract instance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Look up contract data entries (persistent or temporary storage) by key
+ * @param {string} contractId - The C... contract address
+ * @param {Array<{key: StellarSdk.xdr.ScVal, durability: 'persistent'|'temporary'}>} lookups - Keys to read
+ * @returns {Promise<Array<object>>} One result per lookup, in order:
+ *   {key, durability, found, value, lastModifiedLedger, liveUntilLedgerSeq, latestLedger}
+ */
+export async function getContractData(contractId, lookups) {
+  if (!contractId || !contractId.startsWith('C')) {
+    throw new Error('Invalid contract address - must start with C');
+  }
+
+  try {
+    const keys = lookups.map(({ key, durability }) =>
+      buildContractDataKey(contractId, key, durability).toXDR('base64')
+    );
+    const { entries, latestLedger } = await getLedgerEntriesBatched(keys);
+    const entriesByKey = new Map(entries.map(entry => [entry.key, entry]));
+
+    return lookups.map(({ key, durability }, i) => {
+      const entry = entriesByKey.get(keys[i]);
+      if (!entry) {
+        return { key, durability, found: false, value: null, latestLedger };
+      }
+      const data = StellarSdk.xdr.LedgerEntryData.fromXDR(entry.xdr, 'base64').contractData();
+      return {
+        ...parseContractDataEntry(data),
+        found: true,
+        lastModifiedLedger: entry.lastModifiedLedgerSeq,
+        liveUntilLedgerSeq: entry.liveUntilLedgerSeq ?? null,
+        latestLedger,
+      };
+    });
+  } catch (error) {
+    console.warn('Error fetching contract data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a ContractCode entry and the metadata embedded in its WASM
+ * The parsed interface is cached per Wasm hash (see getContractSpec)
+ * @param {string} wasmHash - Hex Wasm hash (from the contract instance)
+ * @returns {Promise<object|null>} Code size, WASM bytes, contractmetav0 entries,
+ *   interface version, interface spec and TTL, or null if the code isn't on ledger
+ */
+export async function getContractCode(wasmHash) {
+  try {
+    const keyBase64 = buildContractCodeKey(wasmHash).toXDR('base64');
+    const result = await rpcCall('getLedgerEntries', { keys: [keyBase64] });
+
+    if (!result.entries || result.entries.length === 0) {
+      return null;
+    }
+
+    const entry = result.entries[0];
+    const ledgerEntry = StellarSdk.xdr.LedgerEntryData.fromXDR(entry.xdr, 'base64');
+    const wasm = ledgerEntry.contractCode().code();
+
+    // Metadata is best effort - a malformed section shouldn't hide the code entry
+    let meta = [];
+    let envMeta = null;
+    let spec = storageManager.getCachedContractSpec(wasmHash);
+    try {
+      const sections = parseWasmCustomSections(wasm);
+      meta = parseContractMeta(sections);
+      envMeta = parseContractEnvMeta(sections);
+      if (!spec) {
+        spec = parseContractSpec(sections);
+        if (spec) storageManager.setCachedContractSpec(wasmHash, spec);
+      }
+    } catch (e) {
+      console.warn('Error parsing contract WASM metadata:', e);
+    }
+
+    return {
+      wasmHash,
+      wasm,
+      size: wasm.length,
+      meta,
+      envMeta,
+      spec,
+      lastModifiedLedger: entry.lastModifiedLedgerSeq,
+      liveUntilLedgerSeq: entry.liveUntilLedgerSeq ?? null,
+      latestLedger: result.latestLedger,
+    };
+  } catch (error) {
+    console.warn('Error fetching contract code:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a contract's interface (functions, types, errors and events)
+ * Specs are cached per Wasm hash, so only the instance entry is read once cached.
+ * Stellar Asset Contracts get the built-in STELLAR_ASSET_SPEC.
+ * @param {string} contractId - The C... contract address
+ * @returns {Promise<object|null>} Parsed spec, or null if the contract isn't found
+ *   or its Wasm has no contractspecv0 section
+ */
+export async function getContractSpec(contractId) {
+  const instance = await getContractInstance(contractId);
+  if (!instance) return null;
+  if (instance.executable.type === 'stellar_asset') return STELLAR_ASSET_SPEC;
+
+  const { wasmHash } = instance.executable;
+  const cached = storageManager.getCachedContractSpec(wasmHash);
+  if (cached) return cached;
+
+  const code = await getContractCode(wasmHash);
+  return code?.spec || null;
+}
+
+/**
+ * Call a contract function through simulation (never signed or submitted)
+ * @param {string} contractId - The C... contract address
+ * @param {string} functionName - Function to call
+ * @param {StellarSdk.xdr.ScVal[]} args - Encoded arguments
+ * @param {object} deps - Dependencies
+ * @returns {Promise<object>} Simulation summary: {success, error, returnValue,
+ *   minResourceFee, resources, events, restoreRequired, latestLedger}
+ */
+export async function simulateContractCall(contractId, functionName, args = [], { rpcServer } = {}) {
+  rpcServer = rpcServer || createScanRpcServer();
+
+  try {
+    const placeholderKeypair = StellarSdk.Keypair.random();
+    const placeholderAccount = new StellarSdk.Account(placeholderKeypair.publicKey(), '0');
+    const contract = new StellarSdk.Contract(contractId);
+
+    const tx = new StellarSdk.TransactionBuilder(placeholderAccount, {
+      fee: '10000',
+      networkPassphrase: config.networkPassphrase
+    })
+      .addOperation(contract.call(functionName, ...args))
+      .setTimeout(30)
+      .build();
+
+    return summarizeSimulation(await rpcServer.simulateTransaction(tx));
+  } catch (error) {
+    console.warn('Error simulating contract call:', error);
+    throw error;
+  }
+}
+
+// Decode context per network + contract for this session (complete lookups only)
+const decodeContextCache = new Map();
+
+/**
+ * Get what's needed to decode a contract's calls and events: its spec, plus
+ * token metadata when the spec is a SEP-41 token (for amount formatting)
+ * Never throws - a contract that can't be read decodes generically. Failed
+ * lookups are dropped from the cache so the next call retries them.
+ * @param {string} contractId - The C... contract address
+ * @returns {Promise<{spec: object|null, token: object|null}>} Decode context
+ */
+async function getDecodeContext(contractId) {
+  const cacheKey = `${config.stellar.network}:${contractId}`;
+  if (!decodeContextCache.has(cacheKey)) {
+    const loadContext = async () => {
+      let failed = false;
+      const spec = await getContractSpec(contractId).catch((error) => {
+        console.warn('Error fetching contract spec:', error);
+        failed = true;
+        return null;
+      });
+      const token = isTokenSpec(spec)
+        ? await getTokenMetadata(contractId).catch(() => {
+          failed = true;
+          return null;
+        })
+        : null;
+      if (failed) {
+        decodeContextCache.delete(cacheKey);
+      }
+      return { spec, token };
+    };
+    decodeContextCache.set(cacheKey, loadContext());
+  }
+  return decodeContextCache.get(cacheKey);
+}
+
+/**
+ * Decode a transaction's contract invocations with the invoked contracts' specs
+ * @param {{envelopeXdr: string, resultMetaXdr?: string}} tx - Transaction from getTransaction
+ * @returns {Promise<Array<object>>} One entry per invoke_contract operation:
+ *   {operationIndex, contractId, functionName, args, known, returnValue}
+ */
+export async function decodeTransactionInvocations(tx) {
+  if (!tx?.envelopeXdr) return [];
+
+  const operations = getEnvelopeOperations(StellarSdk.xdr.TransactionEnvelope.fromXDR(tx.envelopeXdr, 'base64'));
+
+  const calls = [];
+  operations.forEach((op, operationIndex) => {
+    if (op.body().switch().name !== 'invokeHostFunction') return;
+    const hostFunction = op.body().invokeHostFunctionOp().hostFunction();
+    if (hostFunction.switch().name !== 'hostFunctionTypeInvokeContract') return;
+
+    const invoke = hostFunction.invokeContract();
+    calls.push({
+      operationIndex,
+      contractId: StellarSdk.Address.fromScAddress(invoke.contractAddress()).toString(),
+      functionName: invoke.functionName().toString(),
+      args: invoke.args(),
+    });
+  });
+  if (calls.length === 0) return [];
+
+  // Soroban transactions have a single operation, so the return value is its own
+  let returnValue = null;
+  if (tx.resultMetaXdr) {
+    try {
+      const meta = StellarSdk.xdr.TransactionMeta.fromXDR(tx.resultMetaXdr, 'base64');
+      const version = meta.switch();
+      if (version === 3 || version === 4) {
+        returnValue = meta.value().sorobanMeta()?.returnValue() ?? null;
+      }
+    } catch (error) {
+      console.warn('Error reading transaction return value:', error);
+    }
+  }
+
+  return Promise.all(calls.map(async (call) => {
+    const { spec, token } = await getDecodeContext(call.contractId);
+    const decoded = decodeInvocation(spec, call.functionName, call.args, { token });
+    return {
+      operationIndex: call.operationIndex,
+      contractId: call.contractId,
+      ...decoded,
+      returnValue: returnValue && calls.length === 1
+        ? decodeReturnValue(spec, call.functionName, returnValue, { token })
+        : null,
+    };
+  }));
+}
+
+/**
+ * Get a transaction's Soroban authorization entries as decoded call trees
+ * @param {{envelopeXdr: string}} tx - Transaction from getTransaction
+ * @returns {Promise<Array<object>>} One entry per SorobanAuthorizationEntry (see parseAuthEntry),
+ *   with the operationIndex it belongs to and decoded invocations
+ */
+export async function getTransactionAuth(tx) {
+  if (!tx?.envelopeXdr) return [];
+
+  const entries = parseEnvelopeAuth(StellarSdk.xdr.TransactionEnvelope.fromXDR(tx.envelopeXdr, 'base64'));
+  return Promise.all(entries.map(async (entry) => ({
+    ...entry,
+    invocation: await decodeAuthorizedInvocation(entry.invocation, getDecodeContext),
+  })));
+}
+
+/**
+ * Decode a call trace node (and its sub-calls) with the called contract's spec
+ * @param {object} call - From buildCallTrace
+ * @returns {Promise<object>} The call with `decoded` (see decodeInvocation), a decoded
+ *   `returnValue` string (null if it never returned) and formatted errors
+ */
+async function decodeTraceCall(call) {
+  const { spec, token } = await getDecodeContext(call.contractId);
+  const fn = spec?.functions.find(f => f.name === call.functionName);
+  const args = splitCallArgs(call.data, fn?.inputs.length);
+
+  return {
+    contractId: call.contractId,
+    decoded: decodeInvocation(spec, call.functionName, args, { token }),
+    returnValue: call.returned ? decodeReturnValue(spec, call.functionName, call.returnValue, { token }) : null,
+    returned: call.returned,
+    failed: call.failed,
+    errors: call.errors.map(error => formatTraceError(error, error.contractId === call.contractId ? spec : null)),
+    calls: await Promise.all(call.calls.map(decodeTraceCall)),
+  };
+}
+
+// Error event for display: {contractId, error: 'Error(Contract, #10)', name: 'Error::LowBalance'|null,
+// message, details: [strings]}; contract error names come from the raising contract's spec
+function formatTraceError(error, spec = null) {
+  const scError = error.error?.switch().name === 'scvError' ? error.error.error() : null;
+  return {
+    contractId: error.contractId,
+    error: error.error ? formatScVal(error.error) : null,
+    name: scError ? explainScError(scError, spec).name : null,
+    message: error.message,
+    details: error.details.map(formatScVal),
+  };
+}
+
+// Diagnostic events of a transaction: from the meta (v3 soroban_meta or v4) or,
+// when the RPC returns them separately, from getTransaction's diagnosticEventsXdr
+function getTransactionDiagnosticEvents(tx) {
+  let events = [];
+  if (tx?.resultMetaXdr) {
+    const meta = StellarSdk.xdr.TransactionMeta.fromXDR(tx.resultMetaXdr, 'base64');
+    events = getMetaDiagnosticEvents(meta);
+  }
+  if (events.length === 0 && tx?.diagnosticEventsXdr?.length) {
+    events = tx.diagnosticEventsXdr.map(event => StellarSdk.xdr.DiagnosticEvent.fromXDR(event, 'base64'));
+  }
+  return events;
+}
+
+/**
+ * Get a Soroban transaction's contract call trace from its diagnostic events
+ * Events are read from the meta (v3 soroban_meta or v4) or, when the RPC
+ * returns them separately, from getTransaction's diagnosticEventsXdr.
+ * @param {{resultMetaXdr?: string, diagnosticEventsXdr?: string[]}} tx - Transaction from getTransaction
+ * @returns {Promise<{calls: Array<object>, errors: Array<object>}|null>} Decoded call tree
+ *   (see decodeTraceCall) and errors raised outside any call; null without fn_call events
+ */
+export async function getTransactionCallTrace(tx) {
+  const trace = buildCallTrace(parseDiagnosticEvents(getTransactionDiagnosticEvents(tx)));
+  if (trace.calls.length === 0) return null;
+
+  return {
+    calls: await Promise.all(trace.calls.map(decodeTraceCall)),
+    errors: trace.errors.map(formatTraceError),
+  };
+}
+
+/**
+ * Diagnose why a transaction failed
+ * Decodes the result into explained transaction and operation codes and, for
+ * failed contract calls, explains the errors the diagnostic events logged,
+ * naming contract errors from each contract's error enum.
+ * @param {{resultXdr?: string, resultMetaXdr?: string, diagnosticEventsXdr?: string[]}} tx - Transaction from getTransaction
+ * @returns {Promise<object|null>} Result (see parseTransactionResult) with `contractErrors`:
+ *   [{contractId, error, name, doc, explanation, fix, message}], innermost first; null without a result
+ */
+export async function getTransactionFailure(tx) {
+  if (!tx?.resultXdr) return null;
+  const result = parseTransactionResult(StellarSdk.xdr.TransactionResult.fromXDR(tx.resultXdr, 'base64'));
+
+  const trace = buildCallTrace(parseDiagnosticEvents(getTransactionDiagnosticEvents(tx)));
+  const logged = [];
+  const collect = (calls) => calls.forEach(call => {
+    collect(call.calls);
+    logged.push(...call.errors);
+  });
+  collect(trace.calls);
+  logged.push(...trace.errors);
+
+  // The same error is usually logged again by every frame it propagates through
+  const seen = new Set();
+  const contractErrors = [];
+  for (const entry of logged) {
+    if (entry.error?.switch().name !== 'scvError') continue;
+    const { spec } = entry.contractId ? await getDecodeContext(entry.contractId) : { spec: null };
+    const explained = explainScError(entry.error.error(), spec);
+    const key = `${entry.contractId}:${explained.error}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    contractErrors.push({ contractId: entry.contractId, ...explained, message: entry.message });
+  }
+
+  return { ...result, contractErrors };
+}
+
+/**
+ * Get a Soroban transaction's declared vs consumed resources and its fee breakdown
+ * Consumption needs the core_metrics diagnostic events; the charged and
+ * refunded fees need TransactionMeta soroban_meta ext v1 and v4 fee events.
+ * @param {{envelopeXdr: string, resultXdr?: string, resultMetaXdr?: string, diagnosticEventsXdr?: string[]}} tx - Transaction from getTransaction
+ * @returns {object|null} {resources (see compareResources), fees (see splitResourceFee)}; null for classic transactions
+ */
+export function getTransactionResources(tx) {
+  if (!tx?.envelopeXdr) return null;
+  const envelope = StellarSdk.xdr.TransactionEnvelope.fromXDR(tx.envelopeXdr, 'base64');
+  const data = getEnvelopeSorobanData(envelope);
+  if (!data) return null;
+
+  const declared = parseSorobanResources(data);
+  const metrics = parseCoreMetrics(parseDiagnosticEvents(getTransactionDiagnosticEvents(tx)));
+  const meta = tx.resultMetaXdr ? StellarSdk.xdr.TransactionMeta.fromXDR(tx.resultMetaXdr, 'base64') : null;
+  const feeCharged = tx.resultXdr
+    ? StellarSdk.xdr.TransactionResult.fromXDR(tx.resultXdr, 'base64').feeCharged().toString()
+    : null;
+  // A fee bump's outer fee is the one offered
+  const fee = envelope.switch().name === 'envelopeTypeTxFeeBump'
+    ? envelope.feeBump().tx().fee().toString()
+    : envelope.value().tx().fee().toString();
+
+  return {
+    resources: compareResources(declared, metrics),
+    fees: splitResourceFee({
+      fee,
+      resourceFee: declared.resourceFee,
+      feeCharged,
+      charged: meta ? getMetaResourceFees(meta) : null,
+      refund: meta ? getMetaFeeRefund(meta) : null,
+    }),
+  };
+}
+
+/**
+ * Get the ledger entries a transaction changed, as before/after field diffs
+ * @param {{resultMetaXdr?: string}} tx - Transaction from getTransaction
+ * @returns {Array<object>} Changes in meta order (see parseMetaStateChanges)
+ */
+export function getTransactionStateChanges(tx) {
+  if (!tx?.resultMetaXdr) return [];
+  return parseMetaStateChanges(StellarSdk.xdr.TransactionMeta.fromXDR(tx.resultMetaXdr, 'base64'));
+}
+
+/**
+ * Simulate a pasted transaction envelope (never signed or submitted)
+ * Fee bumps are simulated through their inner transaction.
+ * @param {string} envelopeXdr - Base64 TransactionEnvelope
+ * @param {object} deps - Dependencies
+ * @returns {Promise<object>} Simulation summary (see summarizeSimulation) plus the decoded
+ *   `invocations` (see decodeTransactionInvocations) and `decodedReturnValue`
+ */
+export async function simulateTransactionEnvelope(envelopeXdr, { rpcServer } = {}) {
+  rpcServer = rpcServer || createScanRpcServer();
+
+  let tx;
+  try {
+    tx = StellarSdk.TransactionBuilder.fromXDR(envelopeXdr, config.networkPassphrase);
+  } catch {
+    throw new Error('Invalid transaction envelope XDR');
+  }
+  const isFeeBump = tx instanceof StellarSdk.FeeBumpTransaction;
+  if (isFeeBump) {
+    tx = tx.innerTransaction;
+  }
+
+  try {
+    const summary = summarizeSimulation(await rpcServer.simulateTransaction(tx));
+
+    let invocations = [];
+    try {
+      invocations = await decodeTransactionInvocations({ envelopeXdr: tx.toXDR() });
+    } catch (error) {
+      console.warn('Error decoding simulated invocations:', error);
+    }
+
+    let decodedReturnValue = null;
+    if (summary.success && summary.returnValue && invocations.length === 1) {
+      const { contractId, functionName } = invocations[0];
+      const { spec, token } = await getDecodeContext(contractId);
+      decodedReturnValue = decodeReturnValue(spec, functionName, summary.returnValue, { token });
+    }
+
+    const auth = await Promise.all(summary.auth.map(async (entry) => ({
+      ...entry,
+      invocation: await decodeAuthorizedInvocation(entry.invocation, getDecodeContext),
+    })));
+
+    return { ...summary, auth, isFeeBump, invocations, decodedReturnValue };
+  } catch (error) {
+    console.warn('Error simulating transaction:', error);
+    throw error;
+  }
+}
+
+// ============================================
+// Claimable Balances
+// ============================================
+
+/**
+ * Get a claimable balance entry
+ * @param {string} balanceId - The B... claimable balance ID
+ * @returns {Promise<object|null>} Amount, asset, claimants with predicates and sponsor, or null if not found (claimed or clawed back)
+ */
+export async function getClaimableBalance(balanceId) {
+  if (!balanceId || !balanceId.startsWith('B')) {
+    throw new Error('Invalid claimable balance ID - must start with B');
+  }
+
+  try {
+    const keyBase64 = buildClaimableBalanceKey(balanceId).toXDR('base64');
+    const result = await rpcCall('getLedgerEntries', { keys: [keyBase64] });
+
+    if (!result.entries || result.entries.length === 0) {
+      return null;
+    }
+
+    const entry = result.entries[0];
+    const ledgerEntry = StellarSdk.xdr.LedgerEntryData.fromXDR(entry.xdr, 'base64');
+    const balance = parseClaimableBalanceEntry(ledgerEntry.claimableBalance());
+
+    return {
+      ...balance,
+      asset: { ...balance.asset, contractId: getAssetContractId(balance.asset) },
+      sponsor: parseEntrySponsor(entry.extXdr),
+      lastModifiedLedger: entry.lastModifiedLedgerSeq,
+      latestLedger: result.latestLedger,
+    };
+  } catch (error) {
+    console.warn('Error fetching claimable balance:', error);
+    throw error;
+  }
+}
+
+// ============================================
+// Liquidity Pools
+// ============================================
+
+/**
+ * Parse an Asset XDR into a readable format
+ * @param {object} asset - The XDR Asset object
+ * @returns {object} Parsed asset info
+ */
+function parseAssetXdr(asset) {
+  const assetType = asset.switch().name;
+
+  if (assetType === 'assetTypeNative') {
+    return { code: 'XLM', issuer: null, isNative: true };
+  }
+
+  if (assetType === 'assetTypeCreditAlphanum4') {
+    const alphaNum4 = asset.alphaNum4();
+    return {
+      code: alphaNum4.assetCode().toString().replace(/\0+$/, ''),
+      issuer: StellarSdk.StrKey.encodeEd25519PublicKey(alphaNum4.issuer().ed25519()),
+      isNative: false,
+    };
+  }
+
+  if (assetType === 'assetTypeCreditAlphanum12') {
+    const alphaNum12 = asset.alphaNum12();
+    return {
+      code: alphaNum12.assetCode().toString().replace(/\0+$/, ''),
+      issuer: StellarSdk.StrKey.encodeEd25519PublicKey(alphaNum12.issuer().ed25519()),
+      isNative: false,
+    };
+  }
+
+  return { code: 'UNKNOWN', issuer: null, isNative: false };
+}
+
+/**
+ * Get the contract ID for a classic Stellar asset (SAC)
+ * @param {object} assetInfo - Asset info with code and issuer
  * @returns {string} The contract ID
  */
 function getAssetContractId(assetInfo) {
@@ -747,6 +1951,9 @@ export async function getPoolShareMetadata(contractId) {
       return null;
     }
 
+    // Remember the pool share so trustline probing can find it later
+    storageManager.addPoolShareToken(contractId, config.stellar.network);
+
     const symbol = `${poolData.assetA.code}:${poolData.assetB.code}`;
 
     return {
@@ -822,6 +2029,76 @@ export async function getLiquidityPoolData(poolAddress) {
   }
 }
 
+// ============================================
+// Ledgers
+// ============================================
+
+/**
+ * Get a ledger's header from RPC getLedgers
+ * Only ledgers inside the RPC retention window can be fetched.
+ * @param {number} sequence - Ledger sequence
+ * @returns {Promise<object|null>} Parsed header (see parseLedgerHeader) plus txCount, or null if not closed yet
+ */
+export async function getLedger(sequence) {
+  if (!Number.isInteger(sequence) || sequence <= 0) {
+    throw new Error('Invalid ledger sequence - must be a positive integer');
+  }
+
+  try {
+    const latestLedger = await getLatestLedger();
+    if (sequence > latestLedger) {
+      return null;
+    }
+
+    const result = await rpcCall('getLedgers', { startLedger: sequence, pagination: { limit: 1 } });
+    const ledger = result.ledgers?.[0];
+    if (!ledger || ledger.sequence !== sequence) {
+      return null;
+    }
+
+    return {
+      ...parseLedgerHeader(ledger.headerXdr),
+      txCount: countLedgerTransactions(ledger.metadataXdr),
+      latestLedger: result.latestLedger,
+      oldestLedger: result.oldestLedger,
+    };
+  } catch (error) {
+    console.warn('Error fetching ledger:', error);
+    throw error;
+  }
+}
+
+// ============================================
+// Fees
+// ============================================
+
+/**
+ * Get recent inclusion fee statistics from RPC getFeeStats
+ * Adds the latest ledger's base fee and whether each kind of transaction is
+ * currently surge priced.
+ * @returns {Promise<object>} {latestLedger, baseFee, soroban, classic}; distributions in stroops
+ *   (see parseFeeDistribution) with a `surge` flag
+ */
+export async function getFeeStats() {
+  try {
+    const stats = await rpcCall('getFeeStats', {});
+    const { baseFee } = await getLedgerParams(stats.latestLedger);
+
+    const soroban = parseFeeDistribution(stats.sorobanInclusionFee);
+    const classic = parseFeeDistribution(stats.inclusionFee);
+
+    return {
+      latestLedger: stats.latestLedger,
+      baseFee,
+      soroban: soroban && { ...soroban, surge: isSurgePricing(soroban, baseFee) },
+      classic: classic && { ...classic, surge: isSurgePricing(classic, baseFee) },
+    };
+  } catch (error) {
+    console.warn('Error fetching fee stats:', error);
+    throw error;
+  }
+}
+
 // ============================================
 // Backward Compatibility Exports
 // ============================================
@@ -0,0 +1,64 @@
+/**
+ * Ledger header parsing for Stellar MiniScan
+ *
+ * Pure functions that turn getLedgers results (LedgerHeaderHistoryEntry and
+ * LedgerCloseMeta XDR) into plain objects for display. Coin amounts stay as
+ * raw stroop strings so they can be formatted exactly.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+/**
+ * Parse a ledger header
+ * @param {string} headerXdr - Base64 LedgerHeaderHistoryEntry (getLedgers `headerXdr`)
+ * @returns {object} {sequence, hash, previousHash, protocolVersion, closeTime, totalCoins, feePool,
+ *   baseFee, baseReserve, maxTxSetSize, txSetHash}
+ */
+export function parseLedgerHeader(headerXdr) {
+  const entry = StellarSdk.xdr.LedgerHeaderHistoryEntry.fromXDR(headerXdr, 'base64');
+  const header = entry.header();
+  const scpValue = header.scpValue();
+
+  return {
+    sequence: header.ledgerSeq(),
+    hash: entry.hash().toString('hex'),
+    previousHash: header.previousLedgerHash().toString('hex'),
+    protocolVersion: header.ledgerVersion(),
+    closeTime: Number(scpValue.closeTime().toString()),
+    totalCoins: header.totalCoins().toString(),
+    feePool: header.feePool().toString(),
+    baseFee: header.baseFee(),
+    baseReserve: header.baseReserve(),
+    maxTxSetSize: header.maxTxSetSize(),
+    txSetHash: scpValue.txSetHash().toString('hex'),
+  };
+}
+
+/**
+ * Count the transactions applied in a ledger
+ * Reads only up to the length of txProcessing, so the per-transaction results
+ * and meta (the bulk of a LedgerCloseMeta) are never decoded.
+ * @param {string} metadataXdr - Base64 LedgerCloseMeta (getLedgers `metadataXdr`)
+ * @returns {number|null} Transaction count, or null if the meta can't be read
+ */
+export function countLedgerTransactions(metadataXdr) {
+  if (!metadataXdr) return null;
+  try {
+    const { xdr } = StellarSdk;
+    const reader = new StellarSdk.cereal.XdrReader(Buffer.from(metadataXdr, 'base64'));
+    const version = reader.readInt32BE();
+    if (version === 0) {
+      xdr.LedgerHeaderHistoryEntry.read(reader);
+      xdr.TransactionSet.read(reader);
+    } else if (version === 1 || version === 2) {
+      xdr.LedgerCloseMetaExt.read(reader);
+      xdr.LedgerHeaderHistoryEntry.read(reader);
+      xdr.GeneralizedTransactionSet.read(reader);
+    } else {
+      return null;
+    }
+    return reader.readUInt32BE();
+  } catch {
+    return null;
+  }
+}
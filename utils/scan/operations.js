@@ -7,6 +7,9 @@
  * Reference: https://developers.stellar.org/docs/learn/fundamentals/transactions/list-of-operations
  */
 
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { formatRawAmount } from '../stellar/amount.js';
+
 /**
  * Formats a Stellar address for display (first 5 chars)
  * @param {string} addr - Full Stellar address
@@ -17,8 +20,27 @@ export function shortenAddress(addr) {
   return addr.substring(0, 5);
 }
 
+/**
+ * Combines the hi/lo parts of a 128/256-bit integer (older stellar-xdr-json output)
+ * @param {object} parts - {hi, lo} or {hi_hi, hi_lo, lo_hi, lo_lo}
+ * @param {boolean} signed - Whether the top part is signed
+ * @returns {bigint|null} Integer value, or null if the parts are missing
+ */
+function combineIntParts(parts, signed) {
+  const words = parts.hi_hi !== undefined
+    ? [parts.hi_hi, parts.hi_lo, parts.lo_hi, parts.lo_lo]
+    : [parts.hi, parts.lo];
+  if (words.some(word => word === undefined)) return null;
+
+  return words.reduce((acc, word, i) => {
+    const value = i === 0 && signed ? BigInt.asIntN(64, BigInt(word)) : BigInt.asUintN(64, BigInt(word));
+    return (acc << 64n) + value;
+  }, 0n);
+}
+
 /**
  * Formats a single invoke argument value for display
+ * Values are shown in full: exact integers, every vec/map element, whole strings.
  * @param {any} arg - Argument value (can be various ScVal types)
  * @returns {string} Formatted argument string
  */
@@ -31,11 +53,8 @@ function formatInvokeArg(arg) {
     if (arg.startsWith('G') || arg.startsWith('C')) {
       return shortenAddress(arg);
     }
-    // Truncate long strings
-    if (arg.length > 20) {
-      return `"${arg.substring(0, 17)}..."`;
-    }
-    return `"${arg}"`;
+    // Unit variants (e.g. "void", "ledger_key_contract_instance")
+    return arg;
   }
   if (typeof arg === 'number' || typeof arg === 'bigint') {
     return String(arg);
@@ -53,34 +72,44 @@ function formatInvokeArg(arg) {
       return shortenAddress(addrStr);
     }
     // Integer types
-    if ('i128' in arg || 'i256' in arg || 'u128' in arg || 'u256' in arg) {
-      const val = arg.i128 || arg.i256 || arg.u128 || arg.u256;
-      if (typeof val === 'object' && (val.lo !== undefined || val.hi !== undefined)) {
-        // Combine hi/lo for large numbers - just show simplified
-        return '...';
+    for (const key of ['i128', 'i256', 'u128', 'u256']) {
+      if (!(key in arg)) continue;
+      const val = arg[key];
+      if (typeof val === 'object' && val !== null) {
+        const combined = combineIntParts(val, key.startsWith('i'));
+        return combined === null ? '?' : combined.toString();
       }
       return String(val);
     }
-    if ('i32' in arg) return String(arg.i32);
-    if ('i64' in arg) return String(arg.i64);
-    if ('u32' in arg) return String(arg.u32);
-    if ('u64' in arg) return String(arg.u64);
+    for (const key of ['i32', 'i64', 'u32', 'u64', 'timepoint', 'duration']) {
+      if (key in arg) return String(arg[key]);
+    }
     // Symbol/String
     if ('symbol' in arg || 'Symbol' in arg) return arg.symbol || arg.Symbol;
     if ('string' in arg || 'String' in arg) {
-      const str = arg.string || arg.String;
-      return str.length > 15 ? `"${str.substring(0, 12)}..."` : `"${str}"`;
+      return JSON.stringify(arg.string ?? arg.String);
     }
     // Boolean
     if ('bool' in arg || 'Bool' in arg) return String(arg.bool ?? arg.Bool);
-    // Vec/Map - just indicate they exist
-    if ('vec' in arg || 'Vec' in arg) return '[...]';
-    if ('map' in arg || 'Map' in arg) return '{...}';
-    // Bytes
-    if ('bytes' in arg || 'Bytes' in arg) return '0x...';
+    // Vec/Map
+    if ('vec' in arg || 'Vec' in arg) {
+      return `[${(arg.vec ?? arg.Vec ?? []).map(formatInvokeArg).join(', ')}]`;
+    }
+    if ('map' in arg || 'Map' in arg) {
+      const entries = arg.map ?? arg.Map ?? [];
+      return `{${entries.map(entry => `${formatInvokeArg(entry.key)}: ${formatInvokeArg(entry.val)}`).join(', ')}}`;
+    }
+    // Bytes (hex)
+    if ('bytes' in arg || 'Bytes' in arg) return `0x${arg.bytes ?? arg.Bytes}`;
+    // Errors, e.g. { contract: 3 } or { budget: "exceeded_limit" }
+    if ('error' in arg && arg.error && typeof arg.error === 'object') {
+      const [type, code] = Object.entries(arg.error)[0] || [];
+      const pascal = (name) => String(name).replace(/(?:^|_)(\w)/g, (_, c) => c.toUpperCase());
+      return type === 'contract' ? `Error(Contract, #${code})` : `Error(${pascal(type)}, ${pascal(code)})`;
+    }
   }
 
-  return '...';
+  return '?';
 }
 
 /**
@@ -90,12 +119,7 @@ function formatInvokeArg(arg) {
  */
 function formatInvokeArgs(args) {
   if (!args || !Array.isArray(args) || args.length === 0) return '';
-  // Limit to first 3 args to keep description concise
-  const formatted = args.slice(0, 3).map(formatInvokeArg);
-  if (args.length > 3) {
-    formatted.push('...');
-  }
-  return formatted.join(', ');
+  return args.map(formatInvokeArg).join(', ');
 }
 
 /**
@@ -154,18 +178,7 @@ export function formatAmount(amount, decimals = 7) {
   if (amount === undefined || amount === null) return '?';
 
   try {
-    const amountStr = String(amount);
-    const amountBigInt = BigInt(amountStr);
-    const divisor = BigInt(10 ** decimals);
-    const whole = amountBigInt / divisor;
-    const fraction = amountBigInt % divisor;
-
-    if (fraction === 0n) {
-      return whole.toString();
-    }
-
-    const fractionStr = fraction.toString().padStart(decimals, '0').replace(/0+$/, '');
-    return `${whole}.${fractionStr}`;
+    return formatRawAmount(amount, decimals);
   } catch {
     return String(amount);
   }
@@ -314,8 +327,9 @@ export function formatOperation(op) {
       const sendMax = formatAmount(data.send_max || data.sendMax);
       const destAsset = formatAsset(data.dest_asset || data.destAsset);
       const destAmount = formatAmount(data.dest_amount || data.destAmount);
+      const path = (data.path || []).map(formatAsset);
       description = `swap up to ${sendMax} ${sendAsset} for ${destAmount} ${destAsset} to ${shortenAddress(destination)}`;
-      details = { destination, sendAsset, sendMax, destAsset, destAmount };
+      details = { destination, sendAsset, sendMax, destAsset, destAmount, path };
       break;
     }
 
@@ -325,8 +339,9 @@ export function formatOperation(op) {
       const sendAmount = formatAmount(data.send_amount || data.sendAmount);
       const destAsset = formatAsset(data.dest_asset || data.destAsset);
       const destMin = formatAmount(data.dest_min || data.destMin);
+      const path = (data.path || []).map(formatAsset);
       description = `swap ${sendAmount} ${sendAsset} for at least ${destMin} ${destAsset} to ${shortenAddress(destination)}`;
-      details = { destination, sendAsset, sendAmount, destAsset, destMin };
+      details = { destination, sendAsset, sendAmount, destAsset, destMin, path };
       break;
     }
 
@@ -774,3 +789,42 @@ export function formatOperations(envelope) {
     ...formatOperation(op),
   }));
 }
+
+/**
+ * Get the source accounts of a decoded transaction envelope
+ * @param {object} envelope - Decoded TransactionEnvelope
+ * @returns {{sourceAccount: string|null, feeSource: string|null}} Source of the (inner)
+ *   transaction, and the fee bump's fee source (null when not a fee bump)
+ */
+export function getEnvelopeSource(envelope) {
+  const feeBump = envelope?.tx_fee_bump?.tx;
+  if (feeBump) {
+    return {
+      sourceAccount: feeBump.inner_tx?.tx?.tx?.source_account || null,
+      feeSource: feeBump.fee_source || null,
+    };
+  }
+  // Pre-protocol 13 envelopes carry the raw ed25519 key (hex) instead of an account
+  const v0Source = envelope?.tx_v0?.tx?.source_account_ed25519;
+  if (v0Source) {
+    return {
+      sourceAccount: StellarSdk.StrKey.encodeEd25519PublicKey(Buffer.from(v0Source, 'hex')),
+      feeSource: null,
+    };
+  }
+  return {
+    sourceAccount: envelope?.tx?.tx?.source_account || null,
+    feeSource: null,
+  };
+}
+
+/**
+ * One-line summary of a transaction's operations
+ * @param {Array<object>} operations - Formatted operations (see formatOperations)
+ * @returns {string} First operation's description, plus a count of the rest
+ */
+export function summarizeOperations(operations) {
+  if (!operations || operations.length === 0) return 'no operations';
+  const [first, ...rest] = operations;
+  return rest.length > 0 ? `${first.description} (+${rest.length} more)` : first.description;
+}
@@ -0,0 +1,162 @@
+/**
+ * Pagination helpers for Stellar MiniScan
+ *
+ * Pure functions for working with getEvents / cap67db continuation cursors
+ * and for merging pages of activity on the client.
+ *
+ * Notes:
+ * - RPC event IDs double as getEvents cursors, and are zero-padded so
+ *   they compare correctly as strings.
+ * - A page with fewer events than requested means retention has run out.
+ */
+
+/**
+ * Get the cursor for the next page of a getEvents-style response
+ * @param {object} result - Response with `events` and `cursor`
+ * @param {number} limit - The page size that was requested
+ * @returns {string|null} Cursor for the next page, or null if exhausted
+ */
+export function getNextCursor(result, limit) {
+  const events = result?.events || [];
+  if (events.length === 0 || events.length < limit) {
+    return null;
+  }
+  return result.cursor || events[events.length - 1].id || null;
+}
+
+/**
+ * Fetch one page of events from getEvents
+ * Without a range, the first page starts at the latest ledger and walks back
+ * (newest first). With a range, pages walk forward from range.startLedger
+ * (oldest first). Later pages continue from a cursor; RPC rejects
+ * startLedger/endLedger in cursor mode, so those pages are clipped to
+ * range.endLedger here and the feed ends once a page passes it.
+ * @param {function(object): Promise<object>} getEvents - Calls RPC getEvents with the given params
+ * @param {object} page
+ * @param {Array} page.filters - getEvents filters
+ * @param {number} page.limit - Page size
+ * @param {string|null} [page.cursor] - Continuation cursor from a previous page
+ * @param {{startLedger: number, endLedger: number}|null} [page.range] - Inclusive ledger range
+ * @param {function(): Promise<number>} [page.getLatestLedger] - Start of an unranged first page
+ * @returns {Promise<{events: Array, cursor: string|null}>} Raw events and next cursor
+ */
+export async function fetchEventsPage(getEvents, { filters, limit, cursor = null, range = null, getLatestLedger }) {
+  const order = range ? 'asc' : 'desc';
+  let params;
+  if (cursor) {
+    params = { filters, pagination: { cursor, limit, order } };
+  } else {
+    params = { startLedger: range ? range.startLedger : await getLatestLedger(), filters, pagination: { limit, order } };
+    if (range) {
+      // RPC endLedger is exclusive
+      params.endLedger = range.endLedger + 1;
+    }
+  }
+
+  const result = await getEvents(params);
+  const events = result?.events || [];
+  const nextCursor = getNextCursor(result, limit);
+  if (!range) {
+    return { events, cursor: nextCursor };
+  }
+
+  const inRange = events.filter(event => event.ledger <= range.endLedger);
+  return { events: inRange, cursor: inRange.length < events.length ? null : nextCursor };
+}
+
+/**
+ * Truncate parsed activity to a page without leaving a gap
+ * When the parsed list is longer than the page, continue from the last kept
+ * event instead of the response cursor (which points past the dropped ones).
+ * @param {Array} activity - Parsed events, in page order
+ * @param {number} limit - Page size
+ * @param {string|null} nextCursor - Cursor after the full response
+ * @returns {{activity: Array, cursor: string|null}}
+ */
+export function paginateActivity(activity, limit, nextCursor) {
+  if (activity.length > limit) {
+    const page = activity.slice(0, limit);
+    return { activity: page, cursor: page[page.length - 1].id ?? nextCursor };
+  }
+  return { activity, cursor: nextCursor };
+}
+
+/**
+ * Merge raw pages from several getEvents queries into one gapless page
+ *
+ * Each stream walks through history at its own pace. Events past the
+ * shallowest unexhausted stream are held back (and that stream's cursor
+ * rewound to the horizon) so that a later page never contains anything that
+ * belongs before the current one.
+ *
+ * @param {Array<{events: Array, cursor: string|null}>} streams - Raw pages with their next cursors
+ * @param {'desc'|'asc'} [order='desc'] - Direction the streams were fetched in
+ * @returns {{events: Array, cursors: Array<string|null>}} Kept events and per-stream next cursors
+ */
+export function mergeEventStreams(streams, order = 'desc') {
+  const isPast = order === 'asc'
+    ? (id, horizon) => id > horizon
+    : (id, horizon) => id < horizon;
+
+  let horizon = null;
+  for (const { events, cursor } of streams) {
+    if (!cursor || events.length === 0) continue;
+    const last = events[events.length - 1].id;
+    if (horizon === null || isPast(horizon, last)) {
+      horizon = last;
+    }
+  }
+
+  const events = [];
+  const cursors = streams.map(({ events: streamEvents, cursor }) => {
+    const kept = horizon === null
+      ? streamEvents
+      : streamEvents.filter(e => !isPast(e.id, horizon));
+    events.push(...kept);
+    return kept.length < streamEvents.length ? horizon : cursor;
+  });
+
+  return { events, cursors };
+}
+
+/**
+ * Get a stable de-duplication key for a parsed activity item
+ * @param {object} item - Parsed event
+ * @returns {string}
+ */
+function getActivityKey(item) {
+  if (item.id) return item.id;
+  return `${item.txHash}:${item.type}:${item.from}:${item.to}:${item.amount}`;
+}
+
+/**
+ * Merge a newly loaded page into already loaded activity
+ * De-duplicates by event ID and keeps the list sorted by ledger.
+ * @param {Array} existing - Activity already shown
+ * @param {Array} incoming - Newly fetched page
+ * @param {'desc'|'asc'} [order='desc'] - Newest first, or oldest first for ranged feeds
+ * @returns {Array} Merged activity
+ */
+export function mergeActivity(existing, incoming, order = 'desc') {
+  const byKey = new Map();
+  for (const item of [...(existing || []), ...(incoming || [])]) {
+    const key = getActivityKey(item);
+    if (!byKey.has(key)) {
+      byKey.set(key, item);
+    }
+  }
+  const merged = [...byKey.values()];
+  return sortActivity(merged, order);
+}
+
+/**
+ * Sort parsed activity by ledger, keeping event order within a ledger
+ * @param {Array} activity - Parsed events (sorted in place)
+ * @param {'desc'|'asc'} [order='desc'] - Newest first or oldest first
+ * @returns {Array} The same array
+ */
+export function sortActivity(activity, order = 'desc') {
+  return activity.sort(order === 'asc'
+    ? (a, b) => a.ledger - b.ledger
+    : (a, b) => b.ledger - a.ledger);
+}
@@ -7,6 +7,7 @@
 
 import * as StellarSdk from '@stellar/stellar-sdk';
 import { scValToAddress, scValToAmount } from '../stellar/helpers.js';
+import { decodeContractEvent } from './decode.js';
 
 /**
  * Check if an ScVal is an address type
@@ -72,12 +73,50 @@ export function extractSacMetadata(topic) {
  * @returns {bigint} The amount (0n if parse fails)
  */
 export function parseEventValue(valueXdr) {
-  if (!valueXdr) return 0n;
+  return parseEventData(valueXdr).amount;
+}
+
+/**
+ * Read the to_muxed_id field of a {amount, to_muxed_id} event data map
+ * CAP-67 allows a u64 (muxed account ID), bytes, string or symbol (from a memo).
+ * @param {StellarSdk.xdr.ScVal} scVal - Event data
+ * @returns {string|null} The ID (bytes as hex), or null if absent
+ */
+function extractMuxedId(scVal) {
+  if (scVal.switch().name !== 'scvMap') return null;
+  const entry = (scVal.map() || []).find(e =>
+    e.key().switch().name === 'scvSymbol' && e.key().sym().toString() === 'to_muxed_id'
+  );
+  if (!entry) return null;
+
+  const value = entry.val();
+  switch (value.switch().name) {
+    case 'scvU64':
+      return value.u64().toString();
+    case 'scvString':
+      return value.str().toString();
+    case 'scvSymbol':
+      return value.sym().toString();
+    case 'scvBytes':
+      return value.bytes().toString('hex');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse token event data: a plain i128 amount, or an {amount, to_muxed_id}
+ * map when the recipient is a muxed account (CAP-67)
+ * @param {string} valueXdr - Base64-encoded XDR value string
+ * @returns {{amount: bigint, toMuxedId: string|null}} Amount (0n if parse fails) and recipient mux ID
+ */
+export function parseEventData(valueXdr) {
+  if (!valueXdr) return { amount: 0n, toMuxedId: null };
   try {
     const valueScVal = StellarSdk.xdr.ScVal.fromXDR(valueXdr, 'base64');
-    return scValToAmount(valueScVal);
+    return { amount: scValToAmount(valueScVal), toMuxedId: extractMuxedId(valueScVal) };
   } catch {
-    return 0n;
+    return { amount: 0n, toMuxedId: null };
   }
 }
 
@@ -114,7 +153,7 @@ export function parseTransferEvent(event, targetAddress) {
     to = scValToAddress(topics[2]);
   }
 
-  const amount = parseEventValue(event.value);
+  const { amount, toMuxedId } = parseEventData(event.value);
 
   // SAC transfers have a 4th topic with the asset
   const sacMetadata = topics.length >= 4 ? extractSacMetadata(topics[3]) : null;
@@ -128,6 +167,7 @@ export function parseTransferEvent(event, targetAddress) {
     contractId: event.contractId,
     from,
     to,
+    toMuxedId,
     amount,
     direction,
     counterparty: direction === 'sent' ? to : from,
@@ -151,18 +191,20 @@ export function parseTokenEvent(event, targetAddress = null) {
   const eventType = getEventType(topics);
   if (!eventType) return null;
 
-  const amount = parseEventValue(event.value);
+  const { amount, toMuxedId } = parseEventData(event.value);
 
   // Extract SAC asset info from last topic if present
   const lastTopic = topics[topics.length - 1];
   const sacMetadata = extractSacMetadata(lastTopic);
 
   const baseEvent = {
+    id: event.id,
     txHash: event.txHash,
     ledger: event.ledger,
     timestamp: event.ledgerClosedAt,
     contractId: event.contractId,
     amount,
+    toMuxedId,
     sacSymbol: sacMetadata?.symbol || null,
     sacName: sacMetadata?.name || null,
   };
@@ -248,6 +290,7 @@ export function parseFeeEvent(event, address) {
   const isRefund = amount < 0n;
 
   return {
+    id: event.id,
     txHash: event.txHash,
     ledger: event.ledger,
     timestamp: event.ledgerClosedAt,
@@ -261,10 +304,14 @@ export function parseFeeEvent(event, address) {
 
 /**
  * Parse a contract event into structured format (for invocation display)
+ * With the emitting contract's spec, `decoded` names the event's params
+ * (see decodeContractEvent); otherwise it is null.
  * @param {object} event - The event from getEvents
+ * @param {object|null} [spec] - Parsed spec of the emitting contract
+ * @param {object} [options] - {token: {symbol, decimals}} for amount formatting
  * @returns {object} Parsed event info
  */
-export function parseContractEvent(event) {
+export function parseContractEvent(event, spec = null, options = {}) {
   const topics = parseTopics(event.topic);
 
   // Convert topics to native values for display
@@ -284,9 +331,10 @@ export function parseContractEvent(event) {
 
   // Parse value if present
   let value = null;
+  let valueScVal = null;
   if (event.value) {
     try {
-      const valueScVal = StellarSdk.xdr.ScVal.fromXDR(event.value, 'base64');
+      valueScVal = StellarSdk.xdr.ScVal.fromXDR(event.value, 'base64');
       try {
         value = StellarSdk.scValToNative(valueScVal);
       } catch {
@@ -297,7 +345,17 @@ export function parseContractEvent(event) {
     }
   }
 
+  let decoded = null;
+  if (spec && topics.every(Boolean)) {
+    try {
+      decoded = decodeContractEvent(spec, topics, valueScVal, options);
+    } catch {
+      decoded = null;
+    }
+  }
+
   return {
+    id: event.id,
     txHash: event.txHash,
     ledger: event.ledger,
     timestamp: event.ledgerClosedAt,
@@ -306,6 +364,7 @@ export function parseContractEvent(event) {
     eventType: typeof eventType === 'string' ? eventType : String(eventType),
     topics: parsedTopics.slice(1),
     value,
+    decoded,
     inSuccessfulContractCall: event.inSuccessfulContractCall,
   };
 }
@@ -328,7 +387,7 @@ export function parseTransferEventGeneric(event) {
     to = scValToAddress(topics[2]);
   }
 
-  const amount = parseEventValue(event.value);
+  const { amount, toMuxedId } = parseEventData(event.value);
   const sacMetadata = topics.length >= 4 ? extractSacMetadata(topics[3]) : null;
 
   return {
@@ -338,6 +397,7 @@ export function parseTransferEventGeneric(event) {
     contractId: event.contractId,
     from,
     to,
+    toMuxedId,
     amount,
     sacSymbol: sacMetadata?.symbol || null,
     sacName: sacMetadata?.name || null,
@@ -0,0 +1,31 @@
+/**
+ * Concurrency helpers for Stellar MiniScan
+ *
+ * Keeps bursts of RPC work (e.g. one simulation per token) from flooding the
+ * endpoint. Pure and dependency-free.
+ */
+
+/**
+ * Map over items with at most `limit` workers running at once
+ * Results keep the order of the input. A worker that throws rejects the whole
+ * call, like Promise.all; catch inside the worker to keep going.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers (at least 1)
+ * @param {function(*, number): Promise<*>} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Worker results in input order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, run);
+  await Promise.all(workers);
+  return results;
+}
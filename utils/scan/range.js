@@ -0,0 +1,119 @@
+/**
+ * Ledger range helpers for Stellar MiniScan
+ *
+ * Pure functions for validating range picker input and for mapping
+ * wall-clock times onto ledger sequences. The close-time lookup is injected
+ * so the search can be tested without an RPC.
+ */
+
+/**
+ * Parse range picker input into ledger bounds or unix times
+ * Either side may be left empty to mean "oldest retained" / "latest".
+ * @param {object} input - Picker input
+ * @param {'ledger'|'date'} input.mode - Whether from/to are ledgers or dates
+ * @param {string} [input.from] - Start ledger or date string
+ * @param {string} [input.to] - End ledger or date string
+ * @returns {{startLedger?: number, endLedger?: number, startTime?: number, endTime?: number}}
+ * @throws {Error} If the input is invalid
+ */
+export function parseRangeInput({ mode, from, to }) {
+  const fromStr = (from || '').trim();
+  const toStr = (to || '').trim();
+
+  if (!fromStr && !toStr) {
+    throw new Error('Enter a start or end for the range');
+  }
+
+  if (mode === 'date') {
+    const parseDate = (value, label) => {
+      if (!value) return undefined;
+      const ms = new Date(value).getTime();
+      if (!Number.isFinite(ms)) {
+        throw new Error(`Invalid ${label} date: ${value}`);
+      }
+      return Math.floor(ms / 1000);
+    };
+    const startTime = parseDate(fromStr, 'start');
+    const endTime = parseDate(toStr, 'end');
+    if (startTime !== undefined && endTime !== undefined && startTime > endTime) {
+      throw new Error('Start date must be before end date');
+    }
+    return { startTime, endTime };
+  }
+
+  const parseLedger = (value, label) => {
+    if (!value) return undefined;
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`Invalid ${label} ledger: ${value}`);
+    }
+    const sequence = Number(value);
+    if (!Number.isSafeInteger(sequence) || sequence < 1 || sequence > 0xffffffff) {
+      throw new Error(`Invalid ${label} ledger: ${value}`);
+    }
+    return sequence;
+  };
+  const startLedger = parseLedger(fromStr, 'start');
+  const endLedger = parseLedger(toStr, 'end');
+  if (startLedger !== undefined && endLedger !== undefined && startLedger > endLedger) {
+    throw new Error('Start ledger must not be after end ledger');
+  }
+  return { startLedger, endLedger };
+}
+
+/**
+ * Find the first ledger that closed at or after a given time
+ *
+ * Alternates interpolation steps (ledgers close roughly every 5s, so these
+ * land close) with bisection steps (which bound the worst case).
+ *
+ * @param {number} targetTime - Unix time in seconds
+ * @param {{sequence: number, closeTime: number}} lower - Oldest known ledger
+ * @param {{sequence: number, closeTime: number}} upper - Latest known ledger
+ * @param {function(number): Promise<number>} getCloseTime - Close time (unix seconds) for a sequence
+ * @returns {Promise<number>} Sequence of the first ledger closed at or after targetTime,
+ *   or upper.sequence + 1 if every known ledger closed earlier
+ */
+export async function findLedgerByCloseTime(targetTime, lower, upper, getCloseTime) {
+  if (targetTime <= lower.closeTime) return lower.sequence;
+  if (targetTime > upper.closeTime) return upper.sequence + 1;
+
+  let lo = lower;
+  let hi = upper;
+  let interpolate = true;
+
+  // Invariant: lo.closeTime < targetTime <= hi.closeTime
+  while (hi.sequence - lo.sequence > 1) {
+    let guess;
+    if (interpolate && hi.closeTime > lo.closeTime) {
+      const fraction = (targetTime - lo.closeTime) / (hi.closeTime - lo.closeTime);
+      guess = lo.sequence + Math.round(fraction * (hi.sequence - lo.sequence));
+    } else {
+      guess = Math.floor((lo.sequence + hi.sequence) / 2);
+    }
+    guess = Math.min(Math.max(guess, lo.sequence + 1), hi.sequence - 1);
+    interpolate = !interpolate;
+
+    const closeTime = await getCloseTime(guess);
+    if (closeTime < targetTime) {
+      lo = { sequence: guess, closeTime };
+    } else {
+      hi = { sequence: guess, closeTime };
+    }
+  }
+
+  return hi.sequence;
+}
+
+/**
+ * Format a resolved ledger range for display
+ * @param {{startLedger: number, endLedger: number}} range - Resolved range
+ * @returns {string} e.g. "ledgers 1,000 – 2,000"
+ */
+export function formatLedgerRange(range) {
+  if (!range) return '';
+  const fmt = (n) => n.toLocaleString('en-US');
+  if (range.startLedger === range.endLedger) {
+    return `ledger ${fmt(range.startLedger)}`;
+  }
+  return `ledgers ${fmt(range.startLedger)} – ${fmt(range.endLedger)}`;
+}
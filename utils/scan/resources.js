@@ -0,0 +1,157 @@
+/**
+ * Soroban resource usage for Stellar MiniScan
+ *
+ * Pure helpers that compare the resources a Soroban transaction declared in
+ * its SorobanTransactionData with what it consumed, and split its resource
+ * fee into the parts that were charged and refunded.
+ *
+ * Notes:
+ * - Consumption comes from the `core_metrics` diagnostic events stellar-core
+ *   emits after applying the transaction (topics: core_metrics, metric name;
+ *   data: u64), so it is only known when diagnostic events are available.
+ * - The resource fee is split into a non-refundable part (instructions,
+ *   reads, writes, size) and a refundable part (rent, events, return value);
+ *   TransactionMeta soroban_meta ext v1 records what each part was charged.
+ * - The refund is read from the CAP-67 `fee` event emitted after the
+ *   transaction (TransactionMeta v4), whose amount is negative.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+// Declared resources (see parseSorobanResources) and the core_metrics counter each one is consumed by.
+// The footprint's read-write entries are read as well as written.
+const RESOURCE_ROWS = [
+  { name: 'Instructions', declared: d => d.instructions, metric: 'cpu_insn' },
+  { name: 'Disk read bytes', declared: d => d.diskReadBytes, metric: 'ledger_read_byte' },
+  { name: 'Write bytes', declared: d => d.writeBytes, metric: 'ledger_write_byte' },
+  { name: 'Entries read', declared: d => d.readEntries + d.writeEntries, metric: 'read_entry' },
+  { name: 'Entries written', declared: d => d.writeEntries, metric: 'write_entry' },
+  { name: 'Memory bytes', declared: () => null, metric: 'mem_byte' },
+  { name: 'Event bytes', declared: () => null, metric: 'emit_event_byte' },
+];
+
+/**
+ * Get the Soroban data of a transaction envelope (a fee bump's inner transaction)
+ * @param {StellarSdk.xdr.TransactionEnvelope} envelope - Transaction envelope
+ * @returns {StellarSdk.xdr.SorobanTransactionData|null} Soroban data, null for classic transactions
+ */
+export function getEnvelopeSorobanData(envelope) {
+  const inner = envelope.switch().name === 'envelopeTypeTxFeeBump'
+    ? envelope.feeBump().tx().innerTx().v1()
+    : envelope.value();
+  const ext = inner.tx().ext();
+  return ext && ext.switch() === 1 ? ext.sorobanData() : null;
+}
+
+/**
+ * Collect the core_metrics counters from parsed diagnostic events
+ * @param {Array<object>} events - From parseDiagnosticEvents
+ * @returns {Object<string, number>} Metric name -> value (e.g. {cpu_insn: 1234567}); {} without metrics
+ */
+export function parseCoreMetrics(events) {
+  const metrics = {};
+  for (const event of events || []) {
+    const [kind, name] = event.topics || [];
+    if (kind?.switch().name !== 'scvSymbol' || kind.sym().toString() !== 'core_metrics') continue;
+    if (name?.switch().name !== 'scvSymbol' || event.data?.switch().name !== 'scvU64') continue;
+    metrics[name.sym().toString()] = Number(event.data.u64().toString());
+  }
+  return metrics;
+}
+
+/**
+ * Compare declared resources with the consumed ones
+ * @param {object} declared - From parseSorobanResources
+ * @param {Object<string, number>} metrics - From parseCoreMetrics
+ * @returns {Array<{name: string, declared: number|null, consumed: number|null, utilization: number|null}>}
+ *   One row per resource; utilization is consumed / declared in percent, null when either is unknown
+ */
+export function compareResources(declared, metrics) {
+  return RESOURCE_ROWS.map(row => {
+    const limit = row.declared(declared);
+    const consumed = metrics[row.metric] ?? null;
+    return {
+      name: row.name,
+      declared: limit,
+      consumed,
+      utilization: limit && consumed !== null ? (consumed / limit) * 100 : null,
+    };
+  });
+}
+
+/**
+ * Read the resource fees a Soroban transaction was charged from its meta
+ * @param {StellarSdk.xdr.TransactionMeta} meta - Transaction meta (v3 or v4)
+ * @returns {{nonRefundable: string, refundable: string, rent: string}|null} Charged fees in stroops
+ *   (rent is part of refundable); null without soroban_meta ext v1
+ */
+export function getMetaResourceFees(meta) {
+  const version = meta.switch();
+  if (version !== 3 && version !== 4) return null;
+  const sorobanMeta = (version === 3 ? meta.v3() : meta.v4()).sorobanMeta();
+  const ext = sorobanMeta?.ext();
+  if (!ext || ext.switch() !== 1) return null;
+
+  const v1 = ext.v1();
+  return {
+    nonRefundable: v1.totalNonRefundableResourceFeeCharged().toString(),
+    refundable: v1.totalRefundableResourceFeeCharged().toString(),
+    rent: v1.rentFeeCharged().toString(),
+  };
+}
+
+/**
+ * Read the refund from the CAP-67 fee events in the meta
+ * @param {StellarSdk.xdr.TransactionMeta} meta - Transaction meta
+ * @returns {string|null} Refunded stroops (positive), or null without a refund event (meta before v4)
+ */
+export function getMetaFeeRefund(meta) {
+  if (meta.switch() !== 4) return null;
+  let refund = null;
+  for (const txEvent of meta.v4().events()) {
+    const body = txEvent.event().body().v0();
+    const [topic] = body.topics();
+    if (topic?.switch().name !== 'scvSymbol' || topic.sym().toString() !== 'fee') continue;
+    const amount = BigInt(StellarSdk.scValToNative(body.data()));
+    if (amount < 0n) refund = (refund ?? 0n) - amount;
+  }
+  return refund === null ? null : refund.toString();
+}
+
+/**
+ * Split a Soroban transaction's fee into its parts
+ * @param {object} tx
+ * @param {string} tx.fee - Fee the transaction offered (stroops)
+ * @param {string} tx.resourceFee - Declared resource fee (stroops)
+ * @param {string|null} [tx.feeCharged] - Fee charged, from the result (stroops)
+ * @param {{nonRefundable: string, refundable: string, rent: string}|null} [tx.charged] - From getMetaResourceFees
+ * @param {string|null} [tx.refund] - From getMetaFeeRefund
+ * @returns {object} Stroop strings (null when unknown): {maxFee, inclusionFeeBid, resourceFee,
+ *   nonRefundable, maxRefundable, refundable, rent, refund, inclusionFee, feeCharged}, and
+ *   refundableUtilization (refundable charged / max refundable, in percent)
+ */
+export function splitResourceFee({ fee, resourceFee, feeCharged = null, charged = null, refund = null }) {
+  const toBig = (value) => (value === null || value === undefined ? null : BigInt(value));
+  const nonRefundable = toBig(charged?.nonRefundable);
+  const refundable = toBig(charged?.refundable);
+  const maxRefundable = nonRefundable !== null ? BigInt(resourceFee) - nonRefundable : null;
+  const inclusionFee = feeCharged !== null && nonRefundable !== null
+    ? BigInt(feeCharged) - nonRefundable - refundable
+    : null;
+
+  return {
+    maxFee: String(fee),
+    inclusionFeeBid: (BigInt(fee) - BigInt(resourceFee)).toString(),
+    resourceFee: String(resourceFee),
+    nonRefundable: charged?.nonRefundable ?? null,
+    maxRefundable: maxRefundable?.toString() ?? null,
+    refundable: charged?.refundable ?? null,
+    rent: charged?.rent ?? null,
+    refund,
+    inclusionFee: inclusionFee?.toString() ?? null,
+    feeCharged: feeCharged === null ? null : String(feeCharged),
+    refundableUtilization: maxRefundable !== null && maxRefundable > 0n
+      ? (Number(refundable) / Number(maxRefundable)) * 100
+      : null,
+  };
+}
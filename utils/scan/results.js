@@ -0,0 +1,289 @@
+/**
+ * Transaction result diagnosis for Stellar MiniScan
+ *
+ * Pure helpers that decode a TransactionResult into its transaction-level
+ * and per-operation result codes (stellar-core names, e.g. TX_BAD_SEQ,
+ * PATH_PAYMENT_STRICT_SEND_UNDER_DESTMIN) and explain each one with a likely
+ * fix. Soroban host errors (ScError) are explained by type, and contract
+ * errors are named from the contract's error enum when a spec is available.
+ *
+ * Notes:
+ * - Operation codes share their failure reasons across operation types
+ *   (PAYMENT_UNDERFUNDED, CREATE_ACCOUNT_UNDERFUNDED, ...), so explanations
+ *   are looked up by the full code first, then by its longest known reason
+ *   suffix.
+ * - Operations of a failed transaction that report SUCCESS were rolled back
+ *   with the rest; only the failing ones matter for the diagnosis.
+ * - Horizon (and the SDKs built on it) report the same codes in another form:
+ *   tx_bad_seq, op_underfunded, op_no_trust. Each code carries that form too.
+ */
+
+import { formatScError } from './scval.js';
+import { resolveContractError } from './decode.js';
+
+// Transaction-level codes: [explanation, fix]
+const TX_RESULTS = {
+  TX_SUCCESS: ['All operations succeeded.', null],
+  TX_FAILED: ['One of the operations failed, so none of them were applied.', 'See the operation results below.'],
+  TX_TOO_EARLY: ['The transaction\'s time or ledger bounds had not started yet.', 'Wait until the bounds are valid, or rebuild with new bounds.'],
+  TX_TOO_LATE: ['The transaction\'s time or ledger bounds had already passed.', 'Rebuild with a later timeout, then sign and submit again.'],
+  TX_MISSING_OPERATION: ['The transaction has no operations.', 'Add at least one operation.'],
+  TX_BAD_SEQ: ['The sequence number is not the source account\'s next one.', 'Reload the account\'s sequence number and rebuild the transaction.'],
+  TX_BAD_AUTH: ['Signatures are missing or don\'t meet the thresholds, or it was signed for another network.', 'Sign with the required keys using the right network passphrase.'],
+  TX_INSUFFICIENT_BALANCE: ['Paying the fee would take the source account below its minimum reserve.', 'Fund the source account or lower the fee.'],
+  TX_NO_ACCOUNT: ['The source account does not exist.', 'Create and fund the source account first.'],
+  TX_INSUFFICIENT_FEE: ['The fee was below what the network required at the time.', 'Resubmit with a higher fee, or wrap it in a fee bump.'],
+  TX_BAD_AUTH_EXTRA: ['The transaction carries signatures that aren\'t needed.', 'Remove the unused signatures.'],
+  TX_INTERNAL_ERROR: ['stellar-core hit an unexpected internal error.', 'Try again; report it if it keeps happening.'],
+  TX_NOT_SUPPORTED: ['The transaction type is not supported by the network\'s protocol.', null],
+  TX_FEE_BUMP_INNER_SUCCESS: ['The fee bump and its inner transaction succeeded.', null],
+  TX_FEE_BUMP_INNER_FAILED: ['The fee bump was valid but its inner transaction failed.', 'See the inner result below.'],
+  TX_BAD_SPONSORSHIP: ['A sponsorship was begun but never ended (or ended without beginning).', 'Pair every BEGIN_SPONSORING_FUTURE_RESERVES with an END in the same transaction.'],
+  TX_BAD_MIN_SEQ_AGE_OR_GAP: ['The minimum sequence age or ledger gap precondition was not met.', 'Wait, or relax the preconditions.'],
+  TX_MALFORMED: ['The transaction is malformed.', 'Check the preconditions and operations, then rebuild.'],
+  TX_SOROBAN_INVALID: ['The Soroban resources or footprint are invalid for this transaction.', 'Simulate again and use the returned resources and footprint.'],
+};
+
+// Operation-level codes looked up by their full code: the ones that aren't specific to an
+// operation type, and operation codes whose shared reason would point at the wrong account
+const OP_RESULTS = {
+  OP_BAD_AUTH: ['The operation\'s source account did not authorize it.', 'Sign with the operation source\'s keys.'],
+  OP_NO_ACCOUNT: ['The operation\'s source account does not exist.', 'Create the account first.'],
+  OP_NOT_SUPPORTED: ['The operation is not supported by the network\'s protocol.', null],
+  OP_TOO_MANY_SUBENTRIES: ['The account already has the maximum number of subentries (1,000).', 'Remove trustlines, offers, signers or data entries first.'],
+  OP_EXCEEDED_WORK_LIMIT: ['The operation needed too much work (e.g. crossed too many offers).', 'Split it into smaller operations.'],
+  OP_TOO_MANY_SPONSORING: ['The sponsoring account already sponsors the maximum number of entries.', 'Use another sponsor.'],
+  INVOKE_HOST_FUNCTION_TRAPPED: ['The contract call failed: the contract returned an error or panicked.', 'See the contract errors below.'],
+  ACCOUNT_MERGE_NO_ACCOUNT: ['The destination account does not exist.', 'Merge into an existing account.'],
+  CREATE_CLAIMABLE_BALANCE_NO_TRUST: ['The source account has no trustline for the asset it puts in the balance.', 'Add a trustline for the asset first.'],
+  CLAIM_CLAIMABLE_BALANCE_NO_TRUST: ['The claiming account has no trustline for the balance\'s asset.', 'Add a trustline for the asset, then claim again.'],
+  LIQUIDITY_POOL_DEPOSIT_NO_TRUST: ['The depositing account has no trustline for one of the pool\'s assets or for its pool shares.', 'Add trustlines for both pool assets and the pool share first.'],
+  LIQUIDITY_POOL_WITHDRAW_NO_TRUST: ['The withdrawing account has no trustline for one of the pool\'s assets or for its pool shares.', 'Add trustlines for both pool assets first.'],
+  CLAWBACK_NO_TRUST: ['The account to claw back from has no trustline for the asset.', 'Check the account and asset being clawed back.'],
+};
+
+const SOROBAN_OPERATIONS = ['invoke_host_function', 'extend_footprint_ttl', 'restore_footprint'];
+
+// Horizon names that don't follow the op_<reason> pattern
+const HORIZON_OP_CODES = {
+  OP_NO_ACCOUNT: 'op_no_source_account',
+  CREATE_ACCOUNT_ALREADY_EXIST: 'op_already_exists',
+  PATH_PAYMENT_STRICT_RECEIVE_OFFER_CROSS_SELF: 'op_cross_self',
+  PATH_PAYMENT_STRICT_RECEIVE_OVER_SENDMAX: 'op_over_source_max',
+  PATH_PAYMENT_STRICT_SEND_OFFER_CROSS_SELF: 'op_cross_self',
+  PATH_PAYMENT_STRICT_SEND_UNDER_DESTMIN: 'op_under_dest_min',
+  MANAGE_SELL_OFFER_NOT_FOUND: 'op_offer_not_found',
+  MANAGE_BUY_OFFER_NOT_FOUND: 'op_offer_not_found',
+  ALLOW_TRUST_NO_TRUST_LINE: 'op_no_trustline',
+  ALLOW_TRUST_TRUST_NOT_REQUIRED: 'op_not_required',
+  SET_TRUST_LINE_FLAGS_NO_TRUST_LINE: 'op_no_trustline',
+  ACCOUNT_MERGE_SEQNUM_TOO_FAR: 'op_seq_num_too_far',
+  MANAGE_DATA_NAME_NOT_FOUND: 'op_data_name_not_found',
+  MANAGE_DATA_INVALID_NAME: 'op_data_invalid_name',
+  INVOKE_HOST_FUNCTION_TRAPPED: 'function_trapped',
+};
+
+// Failure reasons shared by several operation types, keyed by the code's suffix
+const OP_REASONS = {
+  SUCCESS: ['The operation succeeded.', null],
+  MALFORMED: ['The operation\'s parameters are invalid.', 'Check amounts, assets and addresses.'],
+  UNDERFUNDED: ['The source account doesn\'t have enough of the asset to send.', 'Fund the account or send less; XLM above the minimum reserve is spendable.'],
+  LOW_RESERVE: ['The account would drop below its minimum XLM reserve.', 'Add XLM to the account.'],
+  ALREADY_EXIST: ['The account already exists.', 'Send a payment instead.'],
+  SRC_NO_TRUST: ['The source account has no trustline for the asset it sends.', 'Add a trustline (change trust) for the asset.'],
+  SRC_NOT_AUTHORIZED: ['The source account is not authorized by the issuer to hold or send the asset.', 'Ask the issuer to authorize the trustline.'],
+  NO_DESTINATION: ['The destination account does not exist.', 'Create the destination account first.'],
+  NO_TRUST: ['The destination has no trustline for the asset.', 'The recipient must add a trustline for the asset first.'],
+  NOT_AUTHORIZED: ['The destination is not authorized by the issuer to hold the asset.', 'Ask the issuer to authorize the recipient\'s trustline.'],
+  LINE_FULL: ['The destination\'s trustline limit would be exceeded.', 'The recipient must raise the trustline limit.'],
+  NO_ISSUER: ['The asset\'s issuer account does not exist.', 'Check the asset code and issuer.'],
+  TOO_FEW_OFFERS: ['There wasn\'t enough liquidity along the path.', 'Try another path or a smaller amount.'],
+  OFFER_CROSS_SELF: ['The path would cross one of the source account\'s own offers.', 'Cancel the conflicting offer or use another path.'],
+  OVER_SENDMAX: ['Receiving the amount would cost more than the maximum send amount.', 'Raise sendMax or lower the destination amount.'],
+  UNDER_DESTMIN: ['The path would deliver less than the minimum destination amount (price moved).', 'Lower destMin, raise the send amount, or try another path.'],
+  SELL_NO_TRUST: ['The account has no trustline for the asset it sells.', 'Add a trustline for the selling asset.'],
+  BUY_NO_TRUST: ['The account has no trustline for the asset it buys.', 'Add a trustline for the buying asset.'],
+  SELL_NOT_AUTHORIZED: ['The account is not authorized to sell the asset.', 'Ask the issuer to authorize the trustline.'],
+  BUY_NOT_AUTHORIZED: ['The account is not authorized to buy the asset.', 'Ask the issuer to authorize the trustline.'],
+  CROSS_SELF: ['The offer would cross one of the account\'s own offers.', 'Cancel or change the conflicting offer.'],
+  SELL_NO_ISSUER: ['The selling asset\'s issuer does not exist.', 'Check the asset code and issuer.'],
+  BUY_NO_ISSUER: ['The buying asset\'s issuer does not exist.', 'Check the asset code and issuer.'],
+  NOT_FOUND: ['The offer to update or delete does not exist.', 'Check the offer ID.'],
+  TOO_MANY_SIGNERS: ['The account already has 20 signers.', 'Remove a signer first.'],
+  BAD_FLAGS: ['The flags to set and clear conflict.', 'Don\'t set and clear the same flag.'],
+  INVALID_INFLATION: ['The inflation destination does not exist.', null],
+  CANT_CHANGE: ['The flags can\'t be changed because the account is immutable.', null],
+  UNKNOWN_FLAG: ['An unknown flag was set.', null],
+  THRESHOLD_OUT_OF_RANGE: ['A threshold or weight is outside 0-255.', null],
+  BAD_SIGNER: ['The signer is invalid (e.g. the master key).', null],
+  INVALID_HOME_DOMAIN: ['The home domain is invalid.', null],
+  AUTH_REVOCABLE_REQUIRED: ['Clawback requires the auth revocable flag.', 'Set AUTH_REVOCABLE along with AUTH_CLAWBACK_ENABLED.'],
+  INVALID_LIMIT: ['The trustline limit is below the current balance and liabilities.', 'Raise the limit, or empty the trustline before removing it.'],
+  SELF_NOT_ALLOWED: ['An issuer can\'t trust its own asset.', null],
+  TRUST_LINE_MISSING: ['The asset\'s trustline is missing for the liquidity pool.', 'Add trustlines for both pool assets first.'],
+  CANNOT_DELETE: ['The trustline is still used by a liquidity pool or has liabilities.', 'Withdraw from the pool and cancel offers first.'],
+  NOT_AUTH_MAINTAIN_LIABILITIES: ['The trustline is not authorized to maintain liabilities.', null],
+  NO_TRUST_LINE: ['The trustor has no trustline for the asset.', null],
+  TRUST_NOT_REQUIRED: ['The issuer doesn\'t require authorization.', null],
+  CANT_REVOKE: ['The issuer can\'t revoke authorization (AUTH_REVOCABLE is not set).', null],
+  IMMUTABLE_SET: ['The account is immutable and can\'t be merged.', null],
+  HAS_SUB_ENTRIES: ['The account still has trustlines, offers, signers or data entries.', 'Remove all subentries before merging.'],
+  SEQNUM_TOO_FAR: ['The account\'s sequence number is too high to merge.', null],
+  DEST_FULL: ['The destination can\'t receive that much XLM.', null],
+  IS_SPONSOR: ['The account still sponsors other entries.', 'Transfer or revoke its sponsorships first.'],
+  NOT_TIME: ['Inflation is no longer run.', null],
+  NOT_SUPPORTED_YET: ['The operation is not supported yet.', null],
+  NAME_NOT_FOUND: ['The data entry to delete does not exist.', 'Check the entry name.'],
+  INVALID_NAME: ['The data entry name is invalid.', null],
+  BAD_SEQ: ['The bump target is below the current sequence number.', null],
+  DOES_NOT_EXIST: ['The entry does not exist.', 'Check the ID; it may have been claimed or removed.'],
+  CANNOT_CLAIM: ['The claim predicate is not satisfied for this account.', 'Check the claimable balance\'s claimants and time windows.'],
+  ALREADY_SPONSORED: ['The account is already being sponsored.', null],
+  RECURSIVE: ['The sponsorship would be recursive.', null],
+  NOT_SPONSORED: ['The account is not being sponsored.', null],
+  NOT_SPONSOR: ['The source account is not the sponsor of the entry.', null],
+  ONLY_TRANSFERABLE: ['The sponsorship can only be transferred, not revoked.', null],
+  NOT_CLAWBACK_ENABLED: ['Clawback is not enabled for the trustline or balance.', null],
+  NOT_ISSUER: ['The source account is not the asset\'s issuer.', null],
+  INVALID_STATE: ['The resulting trustline flags are invalid.', null],
+  BAD_PRICE: ['The deposit price is outside the given bounds.', 'Widen minPrice/maxPrice.'],
+  POOL_FULL: ['The liquidity pool reserves would overflow.', null],
+  UNDER_MINIMUM: ['The withdrawal would return less than the minimum amounts.', 'Lower the minimum amounts.'],
+  RESOURCE_LIMIT_EXCEEDED: ['The transaction used more resources (CPU, memory, reads or writes) than it declared.', 'Simulate again and submit with the returned resource limits.'],
+  ENTRY_ARCHIVED: ['A ledger entry in the footprint is archived.', 'Restore the archived entries (restore footprint) first.'],
+  INSUFFICIENT_REFUNDABLE_FEE: ['The refundable fee did not cover rent and events.', 'Simulate again and raise the resource fee.'],
+};
+
+// Soroban host error types (ScErrorType): [explanation, fix]
+const HOST_ERRORS = {
+  Contract: ['The contract returned one of its own errors.', null],
+  WasmVm: ['The contract trapped in the VM, e.g. a Rust panic, failed unwrap or arithmetic overflow.', 'Check the call\'s arguments against the contract\'s expectations.'],
+  Context: ['The host hit an invalid call context.', null],
+  Storage: ['A storage access failed, e.g. a missing entry or a key outside the footprint.', 'Simulate again to get a complete footprint.'],
+  Object: ['A host object was used incorrectly.', null],
+  Crypto: ['A cryptographic operation failed, e.g. an invalid signature.', null],
+  Events: ['Emitting an event failed.', null],
+  Budget: ['The call ran out of its CPU or memory budget.', 'Simulate again and raise the instruction and memory limits.'],
+  Value: ['A value was invalid or out of range.', null],
+  Auth: ['Authorization failed: a required signature is missing or invalid.', 'Sign the authorization entries for every address that must authorize the call.'],
+};
+
+/**
+ * Convert an XDR enum name to its stellar-core code ("txBadSeq" -> "TX_BAD_SEQ")
+ * @param {string} name - js-xdr enum/union switch name
+ * @returns {string} Upper snake case code
+ */
+export function toResultCode(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Get the Horizon form of a result code ("TX_BAD_SEQ" -> "tx_bad_seq",
+ * "PAYMENT_UNDERFUNDED" -> "op_underfunded")
+ * @param {string} code - stellar-core code
+ * @param {string|null} [type] - Operation type the code belongs to (e.g. "payment"), null for
+ *   transaction codes and operation codes that aren't type-specific
+ * @returns {string} Horizon result code
+ */
+export function toHorizonCode(code, type = null) {
+  if (HORIZON_OP_CODES[code]) return HORIZON_OP_CODES[code];
+  const prefix = type ? `${type.toUpperCase()}_` : '';
+  if (!prefix || !code.startsWith(prefix)) return code.toLowerCase();
+
+  const reason = code.slice(prefix.length).toLowerCase();
+  // Soroban failures drop the op_ prefix (resource_limit_exceeded, entry_archived)
+  const soroban = SOROBAN_OPERATIONS.includes(type) && !['success', 'malformed'].includes(reason);
+  return soroban ? reason : `op_${reason}`;
+}
+
+/**
+ * Explain a transaction or operation result code
+ * @param {string} code - stellar-core code (e.g. "TX_BAD_SEQ", "PAYMENT_NO_TRUST")
+ * @returns {{explanation: string, fix: string|null}|null} Explanation and likely fix, null if unknown
+ */
+export function explainResultCode(code) {
+  let entry = TX_RESULTS[code] || OP_RESULTS[code];
+  if (!entry) {
+    // Longest reason suffix wins, so SRC_NO_TRUST isn't read as NO_TRUST
+    const reason = Object.keys(OP_REASONS)
+      .filter(key => code.endsWith(`_${key}`))
+      .sort((a, b) => b.length - a.length)[0];
+    entry = reason ? OP_REASONS[reason] : null;
+  }
+  return entry ? { explanation: entry[0], fix: entry[1] } : null;
+}
+
+// Code of an OperationResult plus the operation type it belongs to
+function parseOperationResult(opResult) {
+  if (opResult.switch().name !== 'opInner') {
+    return { type: null, code: toResultCode(opResult.switch().name) };
+  }
+  const tr = opResult.tr();
+  return {
+    type: toResultCode(tr.switch().name).toLowerCase(),
+    code: toResultCode(tr.value().switch().name),
+  };
+}
+
+// Code and operation results of a (possibly inner) transaction result
+function parseResultBody(body) {
+  const code = toResultCode(body.switch().name);
+  const results = ['TX_SUCCESS', 'TX_FAILED'].includes(code) ? body.results() : [];
+
+  return {
+    code,
+    horizonCode: toHorizonCode(code),
+    ...explainResultCode(code),
+    operations: results.map((opResult, index) => {
+      const op = parseOperationResult(opResult);
+      return {
+        index,
+        ...op,
+        horizonCode: toHorizonCode(op.code, op.type),
+        success: op.code.endsWith('_SUCCESS'),
+        ...explainResultCode(op.code),
+      };
+    }),
+  };
+}
+
+/**
+ * Decode a TransactionResult into explained result codes
+ * @param {StellarSdk.xdr.TransactionResult} result - Transaction result
+ * @returns {object} {code, horizonCode, explanation, fix, feeCharged (string), operations, inner}.
+ *   operations are {index, type, code, horizonCode, success, explanation, fix}; inner is the
+ *   fee-bumped transaction's {code, horizonCode, explanation, fix, operations}, or null for
+ *   plain transactions.
+ */
+export function parseTransactionResult(result) {
+  const body = result.result();
+  const outer = parseResultBody(body);
+  const bumped = ['txFeeBumpInnerSuccess', 'txFeeBumpInnerFailed'].includes(body.switch().name);
+
+  return {
+    ...outer,
+    feeCharged: result.feeCharged().toString(),
+    inner: bumped ? parseResultBody(body.innerResultPair().result().result()) : null,
+  };
+}
+
+/**
+ * Explain a Soroban host error, naming contract errors from the spec
+ * @param {StellarSdk.xdr.ScError} error - Error from an error event or return value
+ * @param {object|null} [spec] - Parsed spec of the contract that raised it
+ * @returns {object} {error: 'Error(Contract, #3)', name: 'Error::InsufficientBalance'|null,
+ *   doc: string|null, explanation, fix}
+ */
+export function explainScError(error, spec = null) {
+  const type = error.switch().name.replace(/^sce/, '');
+  const [explanation, fix] = HOST_ERRORS[type] || ['The host returned an error.', null];
+  const match = type === 'Contract' ? resolveContractError(spec, error.contractCode()) : null;
+
+  return {
+    error: formatScError(error),
+    name: match ? `${match.enumName}::${match.name}` : null,
+    doc: match?.doc || null,
+    explanation,
+    fix,
+  };
+}
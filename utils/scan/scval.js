@@ -0,0 +1,76 @@
+/**
+ * ScVal display formatting for Stellar MiniScan
+ *
+ * Renders XDR ScVals (storage entries, return values, contract arguments)
+ * as compact, lossless strings: integers stay exact, addresses stay whole,
+ * and nested vecs/maps are expanded rather than elided.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+/**
+ * Format a contract error ScVal the way the host prints it
+ * @param {StellarSdk.xdr.ScError} error - ScError
+ * @returns {string} e.g. "Error(Contract, #3)" or "Error(Budget, ExceededLimit)"
+ */
+export function formatScError(error) {
+  const type = error.switch().name.replace(/^sce/, '');
+  if (type === 'Contract') {
+    return `Error(Contract, #${error.contractCode()})`;
+  }
+  const code = error.code().name.replace(/^scec/, '');
+  return `Error(${type}, ${code})`;
+}
+
+/**
+ * Format an ScVal for display
+ * @param {StellarSdk.xdr.ScVal} scVal - Value to format
+ * @returns {string} Display string
+ */
+export function formatScVal(scVal) {
+  if (!scVal) return 'void';
+
+  switch (scVal.switch().name) {
+    case 'scvBool':
+      return String(scVal.b());
+    case 'scvVoid':
+      return 'void';
+    case 'scvError':
+      return formatScError(scVal.error());
+    case 'scvU32':
+      return String(scVal.u32());
+    case 'scvI32':
+      return String(scVal.i32());
+    case 'scvU64':
+    case 'scvI64':
+    case 'scvTimepoint':
+    case 'scvDuration':
+    case 'scvU128':
+    case 'scvI128':
+    case 'scvU256':
+    case 'scvI256':
+      return StellarSdk.scValToNative(scVal).toString();
+    case 'scvBytes':
+      return `0x${scVal.bytes().toString('hex')}`;
+    case 'scvString':
+      return JSON.stringify(scVal.str().toString());
+    case 'scvSymbol':
+      return scVal.sym().toString();
+    case 'scvVec':
+      return `[${(scVal.vec() || []).map(formatScVal).join(', ')}]`;
+    case 'scvMap':
+      return `{${(scVal.map() || [])
+        .map(entry => `${formatScVal(entry.key())}: ${formatScVal(entry.val())}`)
+        .join(', ')}}`;
+    case 'scvAddress':
+      return StellarSdk.Address.fromScVal(scVal).toString();
+    case 'scvLedgerKeyContractInstance':
+      return 'ContractInstance';
+    case 'scvLedgerKeyNonce':
+      return `Nonce(${scVal.nonceKey().nonce().toString()})`;
+    case 'scvContractInstance':
+      return 'ContractInstance';
+    default:
+      return scVal.switch().name;
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * Simulation result parsing for Stellar MiniScan
+ *
+ * Pure helpers that turn a parsed simulateTransaction response (from the
+ * SDK's rpc.Server) into plain objects for display.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { formatScVal } from './scval.js';
+
+// RPC LedgerEntryChangeType values, for responses that send numbers
+const STATE_CHANGE_TYPES = { 1: 'created', 2: 'updated', 3: 'deleted' };
+
+const encodeAccount = (accountId) => StellarSdk.StrKey.encodeEd25519PublicKey(accountId.ed25519());
+const encodeAddress = (scAddress) => StellarSdk.Address.fromScAddress(scAddress).toString();
+
+/**
+ * Format an Asset or TrustLineAsset in one line
+ * @param {StellarSdk.xdr.Asset|StellarSdk.xdr.TrustLineAsset} asset - Asset
+ * @returns {string} CODE:ISSUER, XLM or the pool's L... address
+ */
+export function formatLedgerAsset(asset) {
+  switch (asset.switch().name) {
+    case 'assetTypeNative':
+      return 'XLM';
+    case 'assetTypePoolShare':
+      return StellarSdk.StrKey.encodeLiquidityPool(asset.liquidityPoolId());
+    default: {
+      const credit = asset.value();
+      return `${credit.assetCode().toString().replace(/\0+$/, '')}:${encodeAccount(credit.issuer())}`;
+    }
+  }
+}
+
+/**
+ * Describe a ledger key in one line
+ * @param {StellarSdk.xdr.LedgerKey} key - Ledger key
+ * @returns {{type: string, address: string|null, label: string}} Entry type (e.g. 'contract_data'),
+ *   the address the entry belongs to (if any), and a display label
+ */
+export function describeLedgerKey(key) {
+  const type = key.switch().name.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+
+  switch (key.switch().name) {
+    case 'account': {
+      const address = encodeAccount(key.account().accountId());
+      return { type, address, label: `account ${address}` };
+    }
+    case 'trustline': {
+      const trustline = key.trustLine();
+      const address = encodeAccount(trustline.accountId());
+      return { type, address, label: `trustline ${formatLedgerAsset(trustline.asset())} of ${address}` };
+    }
+    case 'offer': {
+      const offer = key.offer();
+      const address = encodeAccount(offer.sellerId());
+      return { type, address, label: `offer ${offer.offerId().toString()} by ${address}` };
+    }
+    case 'data': {
+      const data = key.data();
+      const address = encodeAccount(data.accountId());
+      return { type, address, label: `data entry "${data.dataName().toString()}" of ${address}` };
+    }
+    case 'claimableBalance': {
+      const hash = key.claimableBalance().balanceId().v0();
+      const address = StellarSdk.StrKey.encodeClaimableBalance(Buffer.concat([Buffer.alloc(1), hash]));
+      return { type, address, label: `claimable balance ${address}` };
+    }
+    case 'liquidityPool': {
+      const address = StellarSdk.StrKey.encodeLiquidityPool(key.liquidityPool().liquidityPoolId());
+      return { type, address, label: `liquidity pool ${address}` };
+    }
+    case 'contractData': {
+      const data = key.contractData();
+      const address = encodeAddress(data.contract());
+      const durability = data.durability().name;
+      if (data.key().switch().name === 'scvLedgerKeyContractInstance') {
+        return { type, address, label: `instance of ${address}` };
+      }
+      return { type, address, label: `${durability} ${formatScVal(data.key())} of ${address}` };
+    }
+    case 'contractCode':
+      return { type, address: null, label: `contract code ${key.contractCode().hash().toString('hex')}` };
+    case 'configSetting':
+      return { type, address: null, label: `config setting ${key.configSetting().configSettingId().name}` };
+    case 'ttl':
+      return { type, address: null, label: `ttl of ${key.ttl().keyHash().toString('hex')}` };
+    default:
+      return { type, address: null, label: type.replace(/_/g, ' ') };
+  }
+}
+
+/**
+ * Read the footprint from transaction data
+ * @param {StellarSdk.xdr.SorobanTransactionData} data - Transaction data
+ * @returns {{readOnly: Array<object>, readWrite: Array<object>}} Described keys (see describeLedgerKey)
+ */
+export function parseFootprint(data) {
+  const footprint = data.resources().footprint();
+  return {
+    readOnly: footprint.readOnly().map(describeLedgerKey),
+    readWrite: footprint.readWrite().map(describeLedgerKey),
+  };
+}
+
+/**
+ * Convert an authorized invocation into a plain tree
+ * @param {StellarSdk.xdr.SorobanAuthorizedInvocation} invocation - Authorized invocation
+ * @returns {object} {type: 'invoke'|'create_contract', contractId, functionName, args, executable, subInvocations}
+ *   args are xdr.ScVal; executable describes what a created contract runs
+ */
+export function parseAuthorizedInvocation(invocation) {
+  const fn = invocation.function();
+  const subInvocations = invocation.subInvocations().map(parseAuthorizedInvocation);
+
+  if (fn.switch().name === 'sorobanAuthorizedFunctionTypeContractFn') {
+    const call = fn.contractFn();
+    return {
+      type: 'invoke',
+      contractId: encodeAddress(call.contractAddress()),
+      functionName: call.functionName().toString(),
+      args: call.args(),
+      executable: null,
+      subInvocations,
+    };
+  }
+
+  // createContractHostFn / createContractV2HostFn
+  const create = fn.value();
+  const executable = create.executable();
+  return {
+    type: 'create_contract',
+    contractId: null,
+    functionName: null,
+    args: create.constructorArgs ? create.constructorArgs() : [],
+    executable: executable.switch().name === 'contractExecutableWasm'
+      ? `wasm ${executable.wasmHash().toString('hex')}`
+      : 'stellar asset',
+    subInvocations,
+  };
+}
+
+/**
+ * Parse a Soroban authorization entry
+ * @param {StellarSdk.xdr.SorobanAuthorizationEntry} entry - Authorization entry
+ * @returns {object} {credentials: 'source_account'|'address', address, nonce, signatureExpirationLedger, signed, invocation}
+ *   address is null for source-account credentials (the tx source authorizes)
+ */
+export function parseAuthEntry(entry) {
+  const credentials = entry.credentials();
+  const invocation = parseAuthorizedInvocation(entry.rootInvocation());
+
+  if (credentials.switch().name === 'sorobanCredentialsSourceAccount') {
+    return {
+      credentials: 'source_account',
+      address: null,
+      nonce: null,
+      signatureExpirationLedger: null,
+      signed: true,
+      invocation,
+    };
+  }
+
+  const address = credentials.address();
+  return {
+    credentials: 'address',
+    address: encodeAddress(address.address()),
+    nonce: address.nonce().toString(),
+    signatureExpirationLedger: address.signatureExpirationLedger(),
+    signed: address.signature().switch().name !== 'scvVoid',
+    invocation,
+  };
+}
+
+/**
+ * Get the operations of a transaction envelope (a fee bump's inner transaction)
+ * @param {StellarSdk.xdr.TransactionEnvelope} envelope - Transaction envelope
+ * @returns {StellarSdk.xdr.Operation[]} Operations
+ */
+export function getEnvelopeOperations(envelope) {
+  const innerEnvelope = envelope.switch().name === 'envelopeTypeTxFeeBump'
+    ? envelope.feeBump().tx().innerTx().v1()
+    : envelope.value();
+  return innerEnvelope.tx().operations();
+}
+
+/**
+ * Parse the Soroban authorization entries of a transaction envelope
+ * @param {StellarSdk.xdr.TransactionEnvelope} envelope - Transaction envelope
+ * @returns {Array<object>} One entry per SorobanAuthorizationEntry (see parseAuthEntry),
+ *   with the operationIndex of the invoke_host_function operation it belongs to
+ */
+export function parseEnvelopeAuth(envelope) {
+  const entries = [];
+  getEnvelopeOperations(envelope).forEach((op, operationIndex) => {
+    if (op.body().switch().name !== 'invokeHostFunction') return;
+    for (const entry of op.body().invokeHostFunctionOp().auth()) {
+      entries.push({ operationIndex, ...parseAuthEntry(entry) });
+    }
+  });
+  return entries;
+}
+
+// Stored value of a contract data entry, formatted; null for other entries
+function formatContractDataValue(entry) {
+  const data = entry?.data();
+  return data?.switch().name === 'contractData' ? formatScVal(data.contractData().val()) : null;
+}
+
+/**
+ * Parse the ledger entry changes a simulation predicts
+ * @param {Array<object>} changes - `stateChanges` from rpc.Server.simulateTransaction
+ * @returns {Array<object>} {type, key, before, after, beforeValue, afterValue}: type is 'created',
+ *   'updated' or 'deleted'; key is described (see describeLedgerKey); before/after are
+ *   xdr.LedgerEntry; beforeValue/afterValue are formatted contract data values (null otherwise)
+ */
+export function parseStateChanges(changes) {
+  return (changes || []).map(change => ({
+    type: STATE_CHANGE_TYPES[change.type] || change.type,
+    key: describeLedgerKey(change.key),
+    before: change.before,
+    after: change.after,
+    beforeValue: formatContractDataValue(change.before),
+    afterValue: formatContractDataValue(change.after),
+  }));
+}
+
+/**
+ * Flatten diagnostic events into plain objects
+ * @param {StellarSdk.xdr.DiagnosticEvent[]} events - Events from the simulation
+ * @returns {Array<{type: string, contractId: string|null, topics: Array, data: object, inSuccessfulContractCall: boolean}>}
+ *   type is 'contract', 'system' or 'diagnostic'; topics/data are xdr.ScVal
+ */
+export function parseDiagnosticEvents(events) {
+  return (events || []).map(diagnostic => {
+    const event = diagnostic.event();
+    const contractId = event.contractId();
+    const body = event.body().v0();
+    return {
+      type: event.type().name,
+      contractId: contractId ? StellarSdk.StrKey.encodeContract(contractId) : null,
+      topics: body.topics(),
+      data: body.data(),
+      inSuccessfulContractCall: diagnostic.inSuccessfulContractCall(),
+    };
+  });
+}
+
+/**
+ * Read the declared resources from simulated transaction data
+ * @param {StellarSdk.xdr.SorobanTransactionData} data - Transaction data
+ * @returns {{instructions: number, diskReadBytes: number, writeBytes: number, readEntries: number, writeEntries: number, resourceFee: string}}
+ */
+export function parseSorobanResources(data) {
+  const resources = data.resources();
+  const footprint = resources.footprint();
+  return {
+    instructions: resources.instructions(),
+    diskReadBytes: resources.diskReadBytes(),
+    writeBytes: resources.writeBytes(),
+    readEntries: footprint.readOnly().length,
+    writeEntries: footprint.readWrite().length,
+    resourceFee: data.resourceFee().toString(),
+  };
+}
+
+/**
+ * Summarize a parsed simulateTransaction response
+ * @param {object} response - Response from rpc.Server.simulateTransaction
+ * @returns {object} {success, error, returnValue, minResourceFee, resources, footprint, auth,
+ *   stateChanges, events, restoreRequired, latestLedger}
+ */
+export function summarizeSimulation(response) {
+  const success = StellarSdk.rpc.Api.isSimulationSuccess(response);
+  const events = parseDiagnosticEvents(response.events);
+
+  if (!success) {
+    return {
+      success: false,
+      error: response.error || 'Simulation failed',
+      returnValue: null,
+      minResourceFee: null,
+      resources: null,
+      footprint: null,
+      auth: [],
+      stateChanges: [],
+      events,
+      restoreRequired: false,
+      latestLedger: response.latestLedger,
+    };
+  }
+
+  const transactionData = response.transactionData ? response.transactionData.build() : null;
+
+  return {
+    success: true,
+    error: null,
+    returnValue: response.result?.retval ?? null,
+    minResourceFee: response.minResourceFee,
+    resources: transactionData ? parseSorobanResources(transactionData) : null,
+    footprint: transactionData ? parseFootprint(transactionData) : null,
+    auth: (response.result?.auth || []).map(parseAuthEntry),
+    stateChanges: parseStateChanges(response.stateChanges),
+    events,
+    restoreRequired: StellarSdk.rpc.Api.isSimulationRestore(response),
+    latestLedger: response.latestLedger,
+  };
+}
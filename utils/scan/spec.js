@@ -0,0 +1,326 @@
+/**
+ * Contract interface (spec) parsing for Stellar MiniScan
+ *
+ * Soroban contracts publish their interface as a stream of ScSpecEntry XDR
+ * values in the contractspecv0 custom section. These pure functions turn it
+ * into a plain, JSON-serializable model so it can be cached per Wasm hash.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { readXdrStream } from './wasm.js';
+
+// Display names for primitive type descriptors (see parseSpecType)
+const PRIMITIVE_TYPE_NAMES = {
+  val: 'Val',
+  bool: 'bool',
+  void: '()',
+  error: 'Error',
+  u32: 'u32',
+  i32: 'i32',
+  u64: 'u64',
+  i64: 'i64',
+  timepoint: 'Timepoint',
+  duration: 'Duration',
+  u128: 'u128',
+  i128: 'i128',
+  u256: 'u256',
+  i256: 'i256',
+  bytes: 'Bytes',
+  string: 'String',
+  symbol: 'Symbol',
+  address: 'Address',
+  muxedAddress: 'MuxedAddress',
+};
+
+/**
+ * Convert an ScSpecTypeDef into a plain type descriptor
+ * @param {StellarSdk.xdr.ScSpecTypeDef} typeDef - Spec type
+ * @returns {object} e.g. {type: 'u32'}, {type: 'vec', element}, {type: 'udt', name}
+ */
+export function parseSpecType(typeDef) {
+  const name = typeDef.switch().name;
+
+  switch (name) {
+    case 'scSpecTypeOption':
+      return { type: 'option', value: parseSpecType(typeDef.option().valueType()) };
+    case 'scSpecTypeResult':
+      return {
+        type: 'result',
+        ok: parseSpecType(typeDef.result().okType()),
+        error: parseSpecType(typeDef.result().errorType()),
+      };
+    case 'scSpecTypeVec':
+      return { type: 'vec', element: parseSpecType(typeDef.vec().elementType()) };
+    case 'scSpecTypeMap':
+      return {
+        type: 'map',
+        key: parseSpecType(typeDef.map().keyType()),
+        value: parseSpecType(typeDef.map().valueType()),
+      };
+    case 'scSpecTypeTuple':
+      return { type: 'tuple', items: typeDef.tuple().valueTypes().map(parseSpecType) };
+    case 'scSpecTypeBytesN':
+      return { type: 'bytesN', n: typeDef.bytesN().n() };
+    case 'scSpecTypeUdt':
+      return { type: 'udt', name: typeDef.udt().name().toString() };
+    default:
+      return { type: name.replace(/^scSpecType/, '').replace(/^./, c => c.toLowerCase()) };
+  }
+}
+
+/**
+ * Format a type descriptor the way it reads in Rust source
+ * @param {object} type - Type descriptor from parseSpecType
+ * @returns {string} e.g. "Option<Vec<Address>>", "BytesN<32>", "(u32, bool)"
+ */
+export function formatSpecType(type) {
+  switch (type.type) {
+    case 'option':
+      return `Option<${formatSpecType(type.value)}>`;
+    case 'result':
+      return `Result<${formatSpecType(type.ok)}, ${formatSpecType(type.error)}>`;
+    case 'vec':
+      return `Vec<${formatSpecType(type.element)}>`;
+    case 'map':
+      return `Map<${formatSpecType(type.key)}, ${formatSpecType(type.value)}>`;
+    case 'tuple':
+      return `(${type.items.map(formatSpecType).join(', ')})`;
+    case 'bytesN':
+      return `BytesN<${type.n}>`;
+    case 'udt':
+      return type.name;
+    default:
+      return PRIMITIVE_TYPE_NAMES[type.type] || type.type;
+  }
+}
+
+/**
+ * Format a function signature
+ * @param {object} fn - Function from parseContractSpec
+ * @returns {string} e.g. "transfer(from: Address, to: Address, amount: i128)"
+ */
+export function formatFunctionSignature(fn) {
+  const args = fn.inputs.map(input => `${input.name}: ${formatSpecType(input.type)}`).join(', ');
+  const output = fn.outputs.length > 0
+    ? ` -> ${fn.outputs.map(formatSpecType).join(', ')}`
+    : '';
+  return `${fn.name}(${args})${output}`;
+}
+
+const text = (value) => value.toString();
+
+// Named cases shared by enums and error enums
+const parseCases = (cases) => cases.map(c => ({
+  name: text(c.name()),
+  doc: text(c.doc()),
+  value: c.value(),
+}));
+
+/**
+ * Parse ScSpecEntry values into an interface model
+ * @param {StellarSdk.xdr.ScSpecEntry[]} entries - Spec entries
+ * @returns {object} {functions, structs, unions, enums, errorEnums, events}
+ */
+export function parseSpecEntries(entries) {
+  const spec = {
+    functions: [],
+    structs: [],
+    unions: [],
+    enums: [],
+    errorEnums: [],
+    events: [],
+  };
+
+  for (const entry of entries) {
+    switch (entry.switch().name) {
+      case 'scSpecEntryFunctionV0': {
+        const fn = entry.functionV0();
+        spec.functions.push({
+          name: text(fn.name()),
+          doc: text(fn.doc()),
+          inputs: fn.inputs().map(input => ({
+            name: text(input.name()),
+            doc: text(input.doc()),
+            type: parseSpecType(input.type()),
+          })),
+          outputs: fn.outputs().map(parseSpecType),
+        });
+        break;
+      }
+      case 'scSpecEntryUdtStructV0': {
+        const udt = entry.udtStructV0();
+        spec.structs.push({
+          name: text(udt.name()),
+          doc: text(udt.doc()),
+          lib: text(udt.lib()),
+          fields: udt.fields().map(field => ({
+            name: text(field.name()),
+            doc: text(field.doc()),
+            type: parseSpecType(field.type()),
+          })),
+        });
+        break;
+      }
+      case 'scSpecEntryUdtUnionV0': {
+        const udt = entry.udtUnionV0();
+        spec.unions.push({
+          name: text(udt.name()),
+          doc: text(udt.doc()),
+          lib: text(udt.lib()),
+          cases: udt.cases().map(c => {
+            const isTuple = c.switch().name === 'scSpecUdtUnionCaseTupleV0';
+            const unionCase = isTuple ? c.tupleCase() : c.voidCase();
+            return {
+              name: text(unionCase.name()),
+              doc: text(unionCase.doc()),
+              types: isTuple ? unionCase.type().map(parseSpecType) : [],
+            };
+          }),
+        });
+        break;
+      }
+      case 'scSpecEntryUdtEnumV0': {
+        const udt = entry.udtEnumV0();
+        spec.enums.push({
+          name: text(udt.name()),
+          doc: text(udt.doc()),
+          lib: text(udt.lib()),
+          cases: parseCases(udt.cases()),
+        });
+        break;
+      }
+      case 'scSpecEntryUdtErrorEnumV0': {
+        const udt = entry.udtErrorEnumV0();
+        spec.errorEnums.push({
+          name: text(udt.name()),
+          doc: text(udt.doc()),
+          lib: text(udt.lib()),
+          cases: parseCases(udt.cases()),
+        });
+        break;
+      }
+      case 'scSpecEntryEventV0': {
+        const event = entry.eventV0();
+        spec.events.push({
+          name: text(event.name()),
+          doc: text(event.doc()),
+          lib: text(event.lib()),
+          prefixTopics: event.prefixTopics().map(text),
+          params: event.params().map(param => ({
+            name: text(param.name()),
+            doc: text(param.doc()),
+            type: parseSpecType(param.type()),
+            location: param.location().name === 'scSpecEventParamLocationTopicList' ? 'topic' : 'data',
+          })),
+          dataFormat: event.dataFormat().name
+            .replace(/^scSpecEventDataFormat/, '')
+            .replace(/^./, c => c.toLowerCase()),
+        });
+        break;
+      }
+      default:
+        // Entry kinds added by newer protocols are skipped
+        break;
+    }
+  }
+
+  return spec;
+}
+
+/**
+ * Parse the contractspecv0 section of a contract's WASM
+ * @param {Map<string, Uint8Array[]>} sections - Custom sections (see parseWasmCustomSections)
+ * @returns {object|null} Interface model (see parseSpecEntries), or null if the section is absent
+ */
+export function parseContractSpec(sections) {
+  const payloads = sections.get('contractspecv0');
+  if (!payloads) return null;
+  return parseSpecEntries(readXdrStream(payloads, StellarSdk.xdr.ScSpecEntry));
+}
+
+// Shorthand for the hand-written spec below
+const ADDRESS = { type: 'address' };
+const I128 = { type: 'i128' };
+const sacFunction = (name, inputs, outputs = []) => ({
+  name,
+  doc: '',
+  inputs: inputs.map(([inputName, type]) => ({ name: inputName, doc: '', type })),
+  outputs,
+});
+const sacEvent = (name, topics, data) => ({
+  name,
+  doc: '',
+  lib: '',
+  prefixTopics: [name],
+  params: [
+    ...topics.map(([paramName, type]) => ({ name: paramName, doc: '', type, location: 'topic' })),
+    ...data.map(([paramName, type]) => ({ name: paramName, doc: '', type, location: 'data' })),
+  ],
+  dataFormat: data.length === 1 ? 'singleValue' : 'vec',
+});
+
+/**
+ * Interface of the built-in Stellar Asset Contract (SEP-41 token plus admin
+ * functions). SAC instances have no Wasm, so there is no contractspecv0 to read.
+ */
+export const STELLAR_ASSET_SPEC = {
+  functions: [
+    sacFunction('allowance', [['from', ADDRESS], ['spender', ADDRESS]], [I128]),
+    sacFunction('approve', [['from', ADDRESS], ['spender', ADDRESS], ['amount', I128], ['expiration_ledger', { type: 'u32' }]]),
+    sacFunction('balance', [['id', ADDRESS]], [I128]),
+    sacFunction('transfer', [['from', ADDRESS], ['to', { type: 'muxedAddress' }], ['amount', I128]]),
+    sacFunction('transfer_from', [['spender', ADDRESS], ['from', ADDRESS], ['to', ADDRESS], ['amount', I128]]),
+    sacFunction('burn', [['from', ADDRESS], ['amount', I128]]),
+    sacFunction('burn_from', [['spender', ADDRESS], ['from', ADDRESS], ['amount', I128]]),
+    sacFunction('decimals', [], [{ type: 'u32' }]),
+    sacFunction('name', [], [{ type: 'string' }]),
+    sacFunction('symbol', [], [{ type: 'string' }]),
+    sacFunction('admin', [], [ADDRESS]),
+    sacFunction('set_admin', [['new_admin', ADDRESS]]),
+    sacFunction('authorized', [['id', ADDRESS]], [{ type: 'bool' }]),
+    sacFunction('set_authorized', [['id', ADDRESS], ['authorize', { type: 'bool' }]]),
+    sacFunction('mint', [['to', ADDRESS], ['amount', I128]]),
+    sacFunction('clawback', [['from', ADDRESS], ['amount', I128]]),
+  ],
+  structs: [],
+  unions: [],
+  enums: [],
+  errorEnums: [{
+    name: 'ContractError',
+    doc: '',
+    lib: '',
+    cases: [
+      'InternalError',
+      'OperationNotSupportedError',
+      'AlreadyInitializedError',
+      'UnauthorizedError',
+      'AuthenticationError',
+      'AccountMissingError',
+      'AccountIsNotClassic',
+      'NegativeAmountError',
+      'AllowanceError',
+      'BalanceError',
+      'BalanceDeauthorizedError',
+      'OverflowError',
+      'TrustlineMissingError',
+    ].map((name, i) => ({ name, doc: '', value: i + 1 })),
+  }],
+  events: [
+    sacEvent('transfer', [['from', ADDRESS], ['to', ADDRESS]], [['amount', I128]]),
+    sacEvent('mint', [['to', ADDRESS]], [['amount', I128]]),
+    sacEvent('burn', [['from', ADDRESS]], [['amount', I128]]),
+    sacEvent('clawback', [['from', ADDRESS]], [['amount', I128]]),
+    sacEvent('approve', [['from', ADDRESS], ['spender', ADDRESS]], [['amount', I128], ['live_until_ledger', { type: 'u32' }]]),
+  ],
+};
+
+/**
+ * Whether a spec looks like a SEP-41 token (so i128 amounts can use its decimals)
+ * @param {object|null} spec - Parsed spec
+ * @returns {boolean} True if it has the token metadata and transfer functions
+ */
+export function isTokenSpec(spec) {
+  if (!spec) return false;
+  const names = new Set(spec.functions.map(f => f.name));
+  return ['balance', 'transfer', 'decimals', 'symbol'].every(name => names.has(name));
+}
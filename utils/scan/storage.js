@@ -9,6 +9,8 @@
 const STORAGE_KEYS = {
   trackedAssets: 'scan_tracked_assets',
   tokenMetadataCache: 'scan_token_metadata_cache',
+  contractSpecCache: 'scan_contract_spec_v1',
+  poolShareTokens: 'scan_pool_share_tokens',
 };
 
 /**
@@ -68,6 +70,20 @@ export function createStorageManager(storage = defaultStorage) {
       }
     },
 
+    /**
+     * Get all cached token metadata for a network
+     * @param {string} network - Network name
+     * @returns {Object<string, object>} Metadata keyed by contract ID
+     */
+    getAllCachedMetadata(network) {
+      try {
+        const cache = storage.getItem(this.getMetadataCacheKey(network));
+        return cache ? JSON.parse(cache) : {};
+      } catch {
+        return {};
+      }
+    },
+
     /**
      * Store token metadata in cache
      * @param {string} contractId - Token contract ID
@@ -104,6 +120,92 @@ export function createStorageManager(storage = defaultStorage) {
       }, network);
     },
 
+    // ============================================
+    // Contract Spec Cache
+    // ============================================
+
+    /**
+     * Get the cache key for a parsed contract spec
+     * Wasm hashes identify the code itself, so specs are shared across networks
+     * @param {string} wasmHash - Hex Wasm hash
+     * @returns {string} Cache key
+     */
+    getContractSpecKey(wasmHash) {
+      return `${STORAGE_KEYS.contractSpecCache}_${wasmHash}`;
+    },
+
+    /**
+     * Get a cached contract spec
+     * @param {string} wasmHash - Hex Wasm hash
+     * @returns {object|null} Parsed spec or null
+     */
+    getCachedContractSpec(wasmHash) {
+      try {
+        const cache = storage.getItem(this.getContractSpecKey(wasmHash));
+        return cache ? JSON.parse(cache) : null;
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * Store a parsed contract spec in cache
+     * @param {string} wasmHash - Hex Wasm hash
+     * @param {object} spec - Parsed spec (see parseContractSpec)
+     */
+    setCachedContractSpec(wasmHash, spec) {
+      try {
+        storage.setItem(this.getContractSpecKey(wasmHash), JSON.stringify(spec));
+      } catch {
+        // Ignore cache errors (e.g. quota exceeded)
+      }
+    },
+
+    // ============================================
+    // Pool Share Tokens
+    // ============================================
+
+    /**
+     * Get the storage key for known pool share tokens (namespaced by network)
+     * @param {string} network - Network name
+     * @returns {string} Storage key
+     */
+    getPoolShareTokensKey(network) {
+      return `${STORAGE_KEYS.poolShareTokens}_${network}`;
+    },
+
+    /**
+     * Get the contract IDs known to be liquidity pool share tokens
+     * Kept apart from the token metadata cache: pool shares don't answer symbol()/decimals().
+     * @param {string} network - Network name
+     * @returns {string[]} Contract IDs
+     */
+    getPoolShareTokens(network) {
+      try {
+        const stored = storage.getItem(this.getPoolShareTokensKey(network));
+        return stored ? JSON.parse(stored) : [];
+      } catch {
+        return [];
+      }
+    },
+
+    /**
+     * Remember a contract ID as a liquidity pool share token
+     * @param {string} contractId - Pool share contract ID
+     * @param {string} network - Network name
+     */
+    addPoolShareToken(contractId, network) {
+      try {
+        const tokens = this.getPoolShareTokens(network);
+        if (!tokens.includes(contractId)) {
+          tokens.push(contractId);
+          storage.setItem(this.getPoolShareTokensKey(network), JSON.stringify(tokens));
+        }
+      } catch {
+        // Ignore cache errors
+      }
+    },
+
     // ============================================
     // Tracked Assets
     // ============================================
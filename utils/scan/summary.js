@@ -0,0 +1,242 @@
+/**
+ * Transaction summaries for Stellar MiniScan
+ *
+ * Pure helpers that describe a whole transaction in one sentence, e.g.
+ * "G..ABCD swapped 100 XLM for 11.9 USDC via 2 hops", by combining its
+ * formatted operations (see formatOperations), token movements and result.
+ *
+ * Notes:
+ * - Movements are token events normalized by movementFromEvent (tx page,
+ *   stellar-xdr-json events) or movementFromActivity (parsed activity rows),
+ *   so both views share one set of patterns.
+ * - Activity rows only know a transaction's token events, so everything
+ *   here also works without operations or a source account.
+ * - Fee events are left out of the sentence; they are on every transaction.
+ */
+
+import { formatRawAmount } from '../stellar/amount.js';
+import { getEventAmount, getEventParties } from './deltas.js';
+import { summarizeOperations } from './operations.js';
+
+// Function names of contract calls that put tokens into / take them out of a pool or vault
+const DEPOSIT_FUNCTIONS = /deposit|supply|add_liquidity|provide|stake|lock/i;
+const WITHDRAW_FUNCTIONS = /withdraw|redeem|remove_liquidity|unstake|unlock/i;
+
+/**
+ * Shorten an address for sentences (first char and last 4, e.g. "G..ABCD")
+ * @param {string} address - Full address
+ * @returns {string} Short address, or '?' if missing
+ */
+export function shortAddress(address) {
+  if (!address) return '?';
+  return address.length < 12 ? address : `${address[0]}..${address.slice(-4)}`;
+}
+
+// "5,000 TKN" for a raw amount of a movement's token
+function formatTokenAmount(amount, { symbol, decimals }) {
+  const value = amount < 0n ? -amount : amount;
+  return `${formatRawAmount(value, decimals)} ${symbol}`;
+}
+
+// "1 XLM", "1 XLM and 2 USDC", "1 XLM, 2 USDC and 3 EURC"
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Normalize a tx-page token event (stellar-xdr-json) into a movement
+ * @param {object} event - Token event with eventType, contractId, topics, data
+ * @param {{symbol?: string, decimals?: number}} [token] - Token metadata
+ * @returns {object|null} {type, contractId, from, to, amount (bigint, signed for fees), symbol, decimals},
+ *   or null for events that move nothing
+ */
+export function movementFromEvent(event, token = {}) {
+  if (event.eventType === 'approve' || event.eventType === 'set_admin') return null;
+  const amount = getEventAmount(event);
+  if (amount === null) return null;
+
+  const { from, to } = getEventParties(event);
+  return {
+    type: event.eventType,
+    contractId: event.contractId,
+    from,
+    to,
+    amount,
+    symbol: token.symbol === 'native' ? 'XLM' : (token.symbol || '???'),
+    decimals: token.decimals ?? 7,
+  };
+}
+
+/**
+ * Normalize a parsed activity item (parseTokenEvent / parseFeeEvent) into a movement
+ * @param {object} item - Activity item
+ * @param {{symbol?: string, decimals?: number}} [token] - Token metadata
+ * @returns {object} Movement (see movementFromEvent)
+ */
+export function movementFromActivity(item, token = {}) {
+  const amount = BigInt(item.amount ?? 0);
+  return {
+    type: item.type,
+    contractId: item.contractId,
+    // Mints name the admin as `from` and clawbacks the admin as `to`; neither moves the admin's balance
+    from: item.type === 'mint' ? null : item.from,
+    to: item.type === 'clawback' ? null : item.to,
+    amount: item.type === 'fee' && item.isRefund ? -amount : amount,
+    symbol: item.type === 'fee' ? 'XLM' : (item.sacSymbol || token.symbol || '???'),
+    decimals: item.type === 'fee' ? 7 : (token.decimals ?? 7),
+  };
+}
+
+// Net change per token of one address: Map contractId -> {amount, symbol, decimals}
+function netChanges(movements, address) {
+  const net = new Map();
+  for (const movement of movements) {
+    const delta = (movement.to === address ? movement.amount : 0n) - (movement.from === address ? movement.amount : 0n);
+    if (delta === 0n) continue;
+    const current = net.get(movement.contractId) || { ...movement, amount: 0n };
+    net.set(movement.contractId, { ...current, amount: current.amount + delta });
+  }
+  return [...net.values()].filter(change => change.amount !== 0n);
+}
+
+// "X swapped 1 A for 2 B via 2 hops" when one address sent exactly one token and got back another.
+// Without a known hop count, transfers between other parties are counted as the intermediate hops.
+function describeSwap(movements, address, hops = null) {
+  const changes = netChanges(movements, address);
+  const sent = changes.filter(change => change.amount < 0n);
+  const received = changes.filter(change => change.amount > 0n);
+  if (sent.length !== 1 || received.length !== 1) return null;
+
+  const hopCount = hops ?? movements.filter(m => m.type === 'transfer' && m.from !== address && m.to !== address).length + 1;
+  return `${shortAddress(address)} swapped ${formatTokenAmount(sent[0].amount, sent[0])} for ` +
+    `${formatTokenAmount(received[0].amount, received[0])}${hopCount > 1 ? ` via ${hopCount} hops` : ''}`;
+}
+
+/**
+ * Describe token movements without knowing the operations
+ * @param {Array<object>} movements - Movements (see movementFromEvent), fees included or not
+ * @param {string|null} [source] - Transaction source, preferred as the swapping party
+ * @returns {string|null} Sentence, or null if nothing moved
+ */
+export function summarizeMovements(movements, source = null) {
+  const moves = (movements || []).filter(m => m && m.type !== 'fee');
+  if (moves.length === 0) {
+    const fee = (movements || []).find(m => m?.type === 'fee' && m.amount > 0n);
+    return fee ? `${shortAddress(fee.from)} paid a ${formatTokenAmount(fee.amount, fee)} fee` : null;
+  }
+
+  // A swap by the source, or by the first sender when the source is unknown
+  const swapper = source || moves.find(m => m.type === 'transfer')?.from;
+  const swap = swapper && moves.length > 1 ? describeSwap(moves, swapper) : null;
+  if (swap) return swap;
+
+  const describe = (m) => {
+    switch (m.type) {
+      case 'mint':
+        return `${shortAddress(m.contractId)} minted ${formatTokenAmount(m.amount, m)} to ${shortAddress(m.to)}`;
+      case 'burn':
+        return `${shortAddress(m.from)} burned ${formatTokenAmount(m.amount, m)}`;
+      case 'clawback':
+        return `${shortAddress(m.contractId)} clawed back ${formatTokenAmount(m.amount, m)} from ${shortAddress(m.from)}`;
+      default:
+        return `${shortAddress(m.from)} sent ${formatTokenAmount(m.amount, m)} to ${shortAddress(m.to)}`;
+    }
+  };
+
+  const [first, ...rest] = moves;
+  return rest.length > 0 ? `${describe(first)} (+${rest.length} more)` : describe(first);
+}
+
+// Sentence for a single formatted operation, or null to fall back to the movements
+function describeOperation(op, movements, source) {
+  const subject = shortAddress(op.sourceAccount || source);
+  const d = op.details || {};
+
+  switch (op.type) {
+    case 'create_account':
+      return `${subject} created account ${shortAddress(d.destination)} with ${d.startingBalance} XLM`;
+    case 'payment':
+      return `${subject} paid ${d.amount} ${d.asset} to ${shortAddress(d.destination)}`;
+    case 'path_payment_strict_send':
+    case 'path_payment_strict_receive': {
+      const hops = (d.path?.length ?? 0) + 1;
+      const via = hops > 1 ? ` via ${hops} hops` : '';
+      const self = d.destination === (op.sourceAccount || source);
+      const swap = self ? describeSwap(movements, d.destination, hops) : null;
+      if (swap) return swap;
+      const sent = d.sendAmount ? `${d.sendAmount} ${d.sendAsset}` : `up to ${d.sendMax} ${d.sendAsset}`;
+      const got = d.destAmount ? `${d.destAmount} ${d.destAsset}` : `at least ${d.destMin} ${d.destAsset}`;
+      return self
+        ? `${subject} swapped ${sent} for ${got}${via}`
+        : `${subject} sent ${sent} to ${shortAddress(d.destination)} as ${got}${via}`;
+    }
+    case 'change_trust':
+      return d.limit === '0' ? `${subject} removed the trustline for ${d.asset}` : `${subject} trusted ${d.asset}`;
+    case 'liquidity_pool_deposit': {
+      const sent = netChanges(movements, op.sourceAccount || source).filter(c => c.amount < 0n);
+      const amounts = sent.length > 0
+        ? joinList(sent.map(c => formatTokenAmount(c.amount, c)))
+        : `up to ${d.maxAmountA} + ${d.maxAmountB}`;
+      return `${subject} deposited ${amounts} into liquidity pool ${shortAddress(d.poolId)}`;
+    }
+    case 'liquidity_pool_withdraw':
+      return `${subject} withdrew ${d.amount} pool shares from liquidity pool ${shortAddress(d.poolId)}`;
+    case 'extend_footprint_ttl':
+      return `${subject} extended the TTL of contract entries to at least ${d.extendTo} ledgers`;
+    case 'restore_footprint':
+      return `${subject} restored archived contract entries`;
+    case 'invoke_host_function':
+      return describeInvocation(op, movements, source, subject);
+    default:
+      return null;
+  }
+}
+
+function describeInvocation(op, movements, source, subject) {
+  const d = op.details || {};
+  if (d.type === 'upload_wasm') return `${subject} uploaded contract wasm`;
+  if (d.type === 'create_contract') return `${subject} deployed a contract`;
+  if (!d.functionName) return null;
+
+  const contract = shortAddress(d.contractId);
+  const changes = netChanges(movements, op.sourceAccount || source);
+  const sent = changes.filter(c => c.amount < 0n).map(c => formatTokenAmount(c.amount, c));
+  const received = changes.filter(c => c.amount > 0n).map(c => formatTokenAmount(c.amount, c));
+
+  if (DEPOSIT_FUNCTIONS.test(d.functionName) && sent.length > 0) {
+    return `${subject} deposited ${joinList(sent)} into ${contract}`;
+  }
+  if (WITHDRAW_FUNCTIONS.test(d.functionName) && received.length > 0) {
+    return `${subject} withdrew ${joinList(received)} from ${contract}`;
+  }
+  return summarizeMovements(movements, op.sourceAccount || source) || `${subject} called ${d.functionName} on ${contract}`;
+}
+
+/**
+ * Describe a transaction in one sentence
+ * @param {object} tx
+ * @param {string|null} [tx.source] - Transaction source account
+ * @param {Array<object>} [tx.operations] - Formatted operations (see formatOperations)
+ * @param {Array<object>} [tx.movements] - Token movements (see movementFromEvent)
+ * @param {boolean} [tx.failed] - Whether the transaction failed
+ * @returns {string} Summary, e.g. "C..WXYZ minted 5,000 TKN to G..ABCD"
+ */
+export function summarizeTransaction({ source = null, operations = [], movements = [], failed = false } = {}) {
+  const moves = (movements || []).filter(Boolean);
+  let sentence = null;
+
+  if (operations.length === 1) {
+    sentence = describeOperation(operations[0], moves, source);
+  } else if (operations.length > 1 && operations.every(op => op.type === 'payment')) {
+    const assets = new Set(operations.map(op => op.details?.asset));
+    sentence = `${shortAddress(source)} made ${operations.length} payments` +
+      (assets.size === 1 ? ` in ${[...assets][0]}` : '');
+  }
+
+  if (!sentence && !failed) sentence = summarizeMovements(moves, source);
+  if (!sentence && operations.length > 0) sentence = `${shortAddress(source)}: ${summarizeOperations(operations)}`;
+  if (!sentence) sentence = 'no token movements';
+
+  return failed ? `${sentence} (failed)` : sentence;
+}
@@ -0,0 +1,126 @@
+/**
+ * Contract call traces for Stellar MiniScan
+ *
+ * Pure helpers that rebuild the cross-contract call stack of a Soroban
+ * transaction from its diagnostic events.
+ *
+ * Notes:
+ * - The host emits `fn_call` (topics: fn_call, callee id bytes, function) when a
+ *   contract is invoked and `fn_return` (topics: fn_return, function) when it
+ *   returns. A call that never returns is the one that failed (or was rolled
+ *   back by a failing caller).
+ * - `error` events (topics: error, Error(...)) are logged by the call that was
+ *   running when the error was raised.
+ * - Call data is the single argument itself, or a vec of all arguments when
+ *   there are zero or several, so a lone vec argument is ambiguous without
+ *   the spec (see splitCallArgs).
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+// Symbol value of a topic, or null
+const topicSymbol = (topic) => (topic?.switch().name === 'scvSymbol' ? topic.sym().toString() : null);
+
+/**
+ * Get the diagnostic events recorded in transaction meta
+ * @param {StellarSdk.xdr.TransactionMeta} meta - Transaction meta
+ * @returns {StellarSdk.xdr.DiagnosticEvent[]} Events (v3 soroban_meta, or v4 top-level); [] for older meta
+ */
+export function getMetaDiagnosticEvents(meta) {
+  switch (meta.switch()) {
+    case 3:
+      return meta.v3().sorobanMeta()?.diagnosticEvents() ?? [];
+    case 4:
+      return meta.v4().diagnosticEvents();
+    default:
+      return [];
+  }
+}
+
+/**
+ * Split fn_call data into the call's arguments
+ * @param {StellarSdk.xdr.ScVal} data - fn_call event data
+ * @param {number} [arity] - Declared argument count, when the spec is known
+ * @returns {StellarSdk.xdr.ScVal[]} Arguments
+ */
+export function splitCallArgs(data, arity) {
+  if (!data) return [];
+  if (arity === 1) return [data];
+  if (data.switch().name === 'scvVec') return data.vec() || [];
+  return [data];
+}
+
+// Message and extra values of an error event: data is the message, or a vec of [message, ...args]
+function parseErrorData(data) {
+  const values = data?.switch().name === 'scvVec' ? (data.vec() || []) : [data];
+  const [first, ...rest] = values;
+  if (first?.switch().name === 'scvString') {
+    return { message: first.str().toString(), details: rest };
+  }
+  return { message: null, details: values.filter(Boolean) };
+}
+
+/**
+ * Rebuild the contract call tree from diagnostic events
+ * @param {Array<object>} events - Parsed diagnostic events (see parseDiagnosticEvents)
+ * @returns {{calls: Array<object>, errors: Array<object>}} Top-level calls and errors raised outside any call.
+ *   Each call is {contractId, functionName, data, args, returnValue, returned, failed, errors, calls};
+ *   each error is {contractId, error, message, details} with error/details as xdr.ScVal
+ */
+export function buildCallTrace(events) {
+  const calls = [];
+  const errors = [];
+  const stack = [];
+
+  for (const event of events || []) {
+    if (event.type !== 'diagnostic') continue;
+    const [kind, ...topics] = event.topics;
+
+    switch (topicSymbol(kind)) {
+      case 'fn_call': {
+        if (topics[0]?.switch().name !== 'scvBytes') break;
+        const call = {
+          contractId: StellarSdk.StrKey.encodeContract(topics[0].bytes()),
+          functionName: topicSymbol(topics[1]) ?? '?',
+          data: event.data,
+          args: splitCallArgs(event.data),
+          returnValue: null,
+          returned: false,
+          failed: false,
+          errors: [],
+          calls: [],
+        };
+        (stack.length > 0 ? stack[stack.length - 1].calls : calls).push(call);
+        stack.push(call);
+        break;
+      }
+
+      case 'fn_return': {
+        const functionName = topicSymbol(topics[0]);
+        const index = stack.findLastIndex(call =>
+          call.functionName === functionName && (!event.contractId || call.contractId === event.contractId));
+        if (index === -1) break;
+
+        // Calls opened after the returning one never returned themselves
+        for (const call of stack.slice(index + 1)) call.failed = true;
+        stack[index].returned = true;
+        stack[index].returnValue = event.data;
+        stack.length = index;
+        break;
+      }
+
+      case 'error': {
+        const error = { contractId: event.contractId, error: topics[0] ?? null, ...parseErrorData(event.data) };
+        (stack.length > 0 ? stack[stack.length - 1].errors : errors).push(error);
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  for (const call of stack) call.failed = true;
+
+  return { calls, errors };
+}
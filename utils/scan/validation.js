@@ -8,7 +8,7 @@
 import * as StellarSdk from '@stellar/stellar-sdk';
 
 /**
- * Validate if a string is a valid Stellar address (G..., C..., or L...)
+ * Validate if a string is a valid Stellar address (G..., M..., C..., or L...)
  * @param {string} address - The address to validate
  * @returns {boolean} Whether the address is valid
  */
@@ -21,6 +21,10 @@ export function isValidAddress(address) {
       StellarSdk.StrKey.decodeEd25519PublicKey(address);
       return true;
     }
+    if (address.startsWith('M')) {
+      StellarSdk.StrKey.decodeMed25519PublicKey(address);
+      return true;
+    }
     if (address.startsWith('C')) {
       StellarSdk.StrKey.decodeContract(address);
       return true;
@@ -44,6 +48,30 @@ export function isAccountAddress(address) {
   return typeof address === 'string' && address.startsWith('G');
 }
 
+/**
+ * Check if an address is a muxed account (M...)
+ * @param {string} address - The address to check
+ * @returns {boolean}
+ */
+export function isMuxedAddress(address) {
+  return typeof address === 'string' && address.startsWith('M');
+}
+
+/**
+ * Split a muxed account address into its base account and mux ID
+ * @param {string} address - M... address
+ * @returns {{baseAddress: string, muxId: string}|null} Base G... address and ID, or null if not a valid M... address
+ */
+export function parseMuxedAddress(address) {
+  if (!isMuxedAddress(address)) return null;
+  try {
+    const muxed = StellarSdk.MuxedAccount.fromAddress(address, '0');
+    return { baseAddress: muxed.baseAccount().accountId(), muxId: muxed.id() };
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Check if an address is a contract (C...)
  * @param {string} address - The address to check
@@ -62,6 +90,31 @@ export function isLiquidityPoolAddress(address) {
   return typeof address === 'string' && address.startsWith('L');
 }
 
+/**
+ * Check if an address is a claimable balance ID (B...)
+ * @param {string} address - The address to check
+ * @returns {boolean}
+ */
+export function isClaimableBalanceAddress(address) {
+  return typeof address === 'string' && address.startsWith('B');
+}
+
+/**
+ * Validate a claimable balance ID (B... strkey)
+ * @param {string} balanceId - The ID to validate
+ * @returns {boolean} Whether the ID is valid
+ */
+export function isValidClaimableBalanceId(balanceId) {
+  if (!balanceId || typeof balanceId !== 'string' || !balanceId.startsWith('B')) {
+    return false;
+  }
+  try {
+    return StellarSdk.StrKey.decodeClaimableBalance(balanceId).length === 33;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Check if a string is a valid transaction hash (64 hex characters)
  * @param {string} hash - The hash to validate
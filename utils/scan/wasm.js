@@ -0,0 +1,112 @@
+/**
+ * Contract WASM inspection for Stellar MiniScan
+ *
+ * Soroban contracts embed their metadata as XDR streams in WASM custom
+ * sections (contractmetav0, contractenvmetav0, contractspecv0). These pure
+ * functions read those sections from the bytes of a ContractCode entry.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+const WASM_MAGIC = [0x00, 0x61, 0x73, 0x6d];
+const CUSTOM_SECTION_ID = 0;
+
+/**
+ * Read an unsigned LEB128 integer
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} offset - Start offset
+ * @returns {{value: number, offset: number}} Value and the offset after it
+ */
+function readVarUint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  for (;;) {
+    if (offset >= bytes.length) {
+      throw new Error('Truncated WASM integer');
+    }
+    const byte = bytes[offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if ((byte & 0x80) === 0) return { value, offset };
+    shift += 7;
+  }
+}
+
+/**
+ * Collect the custom sections of a WASM module
+ * @param {Uint8Array} wasm - WASM bytes
+ * @returns {Map<string, Uint8Array[]>} Section payloads by name (a name can repeat)
+ * @throws {Error} If the bytes aren't a WASM module
+ */
+export function parseWasmCustomSections(wasm) {
+  const bytes = wasm instanceof Uint8Array ? wasm : new Uint8Array(wasm);
+  if (bytes.length < 8 || WASM_MAGIC.some((b, i) => bytes[i] !== b)) {
+    throw new Error('Not a WASM module');
+  }
+
+  const sections = new Map();
+  let offset = 8; // magic + version
+
+  while (offset < bytes.length) {
+    const id = bytes[offset++];
+    const size = readVarUint(bytes, offset);
+    const end = size.offset + size.value;
+    if (end > bytes.length) {
+      throw new Error('Truncated WASM section');
+    }
+
+    if (id === CUSTOM_SECTION_ID) {
+      const nameLength = readVarUint(bytes, size.offset);
+      const nameEnd = nameLength.offset + nameLength.value;
+      const name = new TextDecoder().decode(bytes.subarray(nameLength.offset, nameEnd));
+      sections.set(name, [...(sections.get(name) || []), bytes.subarray(nameEnd, end)]);
+    }
+
+    offset = end;
+  }
+
+  return sections;
+}
+
+/**
+ * Read a stream of concatenated XDR values from a custom section
+ * @param {Uint8Array[]} payloads - Section payloads (see parseWasmCustomSections)
+ * @param {object} type - XDR type with a static read(), e.g. xdr.ScMetaEntry
+ * @returns {Array} Decoded values
+ */
+export function readXdrStream(payloads, type) {
+  const values = [];
+  for (const payload of payloads || []) {
+    const reader = new StellarSdk.cereal.XdrReader(Buffer.from(payload));
+    while (!reader.eof) {
+      values.push(type.read(reader));
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse the contractmetav0 section (key/value pairs like rsver and rssdkver)
+ * @param {Map<string, Uint8Array[]>} sections - Custom sections
+ * @returns {Array<{key: string, value: string}>} Meta entries in order
+ */
+export function parseContractMeta(sections) {
+  return readXdrStream(sections.get('contractmetav0'), StellarSdk.xdr.ScMetaEntry)
+    .map(entry => ({
+      key: entry.v0().key().toString(),
+      value: entry.v0().val().toString(),
+    }));
+}
+
+/**
+ * Parse the contractenvmetav0 section (the host interface version)
+ * @param {Map<string, Uint8Array[]>} sections - Custom sections
+ * @returns {{protocol: number, preRelease: number}|null} Interface version, or null if absent
+ */
+export function parseContractEnvMeta(sections) {
+  const [entry] = readXdrStream(sections.get('contractenvmetav0'), StellarSdk.xdr.ScEnvMetaEntry);
+  if (!entry) return null;
+
+  // Older SDKs wrote a u64 (protocol << 32 | pre-release), which has the same encoding
+  const version = entry.interfaceVersion();
+  return { protocol: version.protocol(), preRelease: version.preRelease() };
+}
@@ -0,0 +1,85 @@
+/**
+ * XDR tool helpers for Stellar MiniScan
+ *
+ * Pure functions behind the /xdr decode/encode page: input cleanup, ranking
+ * of auto-detected types, and shareable URLs.
+ *
+ * Notes:
+ * - Short inputs decode as many types (a u32 ScVal is also a valid Uint64),
+ *   so guesses are ranked with the types people actually paste first.
+ */
+
+// Types offered first in the picker and preferred by auto-detection
+export const COMMON_XDR_TYPES = [
+  'TransactionEnvelope',
+  'TransactionResult',
+  'TransactionMeta',
+  'TransactionEvent',
+  'ContractEvent',
+  'DiagnosticEvent',
+  'ScVal',
+  'ScAddress',
+  'SorobanAuthorizationEntry',
+  'SorobanTransactionData',
+  'LedgerKey',
+  'LedgerEntry',
+  'LedgerEntryData',
+  'LedgerEntryChanges',
+  'LedgerHeaderHistoryEntry',
+  'LedgerCloseMeta',
+  'Operation',
+  'Asset',
+  'ScSpecEntry',
+];
+
+/**
+ * Clean pasted base64 XDR (line breaks and spaces from wrapped copies)
+ * @param {string} text - Pasted input
+ * @returns {string} Base64 without whitespace
+ */
+export function normalizeXdrInput(text) {
+  return (text || '').replace(/\s+/g, '');
+}
+
+/**
+ * Rank auto-detected XDR types
+ * Common types come first in COMMON_XDR_TYPES order, then the rest A–Z.
+ * @param {Array<string>} guesses - Types the input decodes as completely
+ * @returns {Array<string>} Ranked types
+ */
+export function rankXdrTypes(guesses) {
+  const rank = (type) => {
+    const i = COMMON_XDR_TYPES.indexOf(type);
+    return i === -1 ? COMMON_XDR_TYPES.length : i;
+  };
+  return [...guesses].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Build a shareable /xdr URL that carries the payload
+ * @param {object} options
+ * @param {string} [options.type] - XDR type name
+ * @param {string} [options.xdr] - Base64 XDR
+ * @param {string} [options.network] - Network to keep in the link
+ * @returns {string} Path with query string, e.g. "/xdr?type=ScVal&xdr=AAAA..."
+ */
+export function buildXdrShareUrl({ type, xdr, network } = {}) {
+  const params = new URLSearchParams();
+  if (type) params.set('type', type);
+  if (xdr) params.set('xdr', normalizeXdrInput(xdr));
+  if (network) params.set('network', network);
+  const query = params.toString();
+  return query ? `/xdr?${query}` : '/xdr';
+}
+
+/**
+ * Read the payload of a shared /xdr URL
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {{type: string|null, xdr: string}} Type (if given) and base64 XDR
+ */
+export function parseXdrShareParams(searchParams) {
+  return {
+    type: searchParams.get('type') || null,
+    xdr: normalizeXdrInput(searchParams.get('xdr')),
+  };
+}
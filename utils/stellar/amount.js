@@ -0,0 +1,218 @@
+/**
+ * Exact decimal amount formatting for MiniScan
+ *
+ * Token amounts are i128 integers scaled by the token's decimals. Converting
+ * them through Number loses precision above 2^53 and for tokens with 18+
+ * decimals, so everything here works on BigInt and strings instead.
+ */
+
+/**
+ * Rounding modes, named as in Intl.NumberFormat
+ * - halfExpand: half away from zero (default)
+ * - halfEven: half to even (banker's rounding)
+ * - trunc: toward zero
+ * - expand: away from zero
+ * - floor: toward -Infinity
+ * - ceil: toward +Infinity
+ */
+export const ROUNDING_MODES = ['halfExpand', 'halfEven', 'trunc', 'expand', 'floor', 'ceil'];
+
+// Compact notation units, smallest first
+const COMPACT_UNITS = [
+  { exponent: 0, suffix: '' },
+  { exponent: 3, suffix: 'K' },
+  { exponent: 6, suffix: 'M' },
+  { exponent: 9, suffix: 'B' },
+  { exponent: 12, suffix: 'T' },
+];
+
+const pow10 = (n) => 10n ** BigInt(n);
+
+/**
+ * Convert a raw integer amount to BigInt
+ * @param {bigint|number|string} rawAmount - Integer amount
+ * @returns {bigint}
+ * @throws {Error} If the value is not an integer
+ */
+export function toBigIntAmount(rawAmount) {
+  if (typeof rawAmount === 'bigint') return rawAmount;
+  if (typeof rawAmount === 'number') {
+    if (!Number.isInteger(rawAmount)) {
+      throw new Error(`Invalid raw amount: ${rawAmount}`);
+    }
+    return BigInt(rawAmount);
+  }
+  const str = String(rawAmount ?? '').trim();
+  if (!/^[-+]?\d+$/.test(str)) {
+    throw new Error(`Invalid raw amount: ${rawAmount}`);
+  }
+  return BigInt(str);
+}
+
+/**
+ * Parse a decimal value into a scaled integer without going through Number
+ * Accepts bigints, integers, decimal strings and exponent notation ("1e+21").
+ * @param {bigint|number|string} value - Decimal value
+ * @returns {{raw: bigint, decimals: number}} Value as raw / 10^decimals
+ * @throws {Error} If the value is not a finite decimal
+ */
+export function parseDecimal(value) {
+  if (typeof value === 'bigint') return { raw: value, decimals: 0 };
+
+  const str = String(value ?? '').trim();
+  const match = /^([-+]?)(\d*)(?:\.(\d*))?(?:e([-+]?\d+))?$/i.exec(str);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid decimal: ${value}`);
+  }
+
+  const [, sign, intPart, fracPart = '', exponent = '0'] = match;
+  let digits = `${intPart}${fracPart}` || '0';
+  let decimals = fracPart.length - Number(exponent);
+  if (decimals < 0) {
+    digits += '0'.repeat(-decimals);
+    decimals = 0;
+  }
+
+  const raw = BigInt(digits);
+  return { raw: sign === '-' ? -raw : raw, decimals };
+}
+
+/**
+ * Drop the lowest `drop` digits of a scaled integer, rounding as requested
+ * @param {bigint} value - Scaled integer
+ * @param {number} drop - Number of digits to remove
+ * @param {string} roundingMode - One of ROUNDING_MODES
+ * @returns {bigint} Value scaled by 10^-drop
+ */
+function roundDigits(value, drop, roundingMode) {
+  if (drop <= 0) return value * pow10(-drop);
+
+  const divisor = pow10(drop);
+  const quotient = value / divisor;
+  const remainder = value % divisor;
+  if (remainder === 0n) return quotient;
+
+  const sign = value < 0n ? -1n : 1n;
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+
+  let awayFromZero;
+  switch (roundingMode) {
+    case 'trunc': awayFromZero = false; break;
+    case 'expand': awayFromZero = true; break;
+    case 'floor': awayFromZero = sign < 0n; break;
+    case 'ceil': awayFromZero = sign > 0n; break;
+    case 'halfEven': awayFromZero = twice > divisor || (twice === divisor && quotient % 2n !== 0n); break;
+    case 'halfExpand': awayFromZero = twice >= divisor; break;
+    default: throw new Error(`Unknown rounding mode: ${roundingMode}`);
+  }
+
+  return awayFromZero ? quotient + sign : quotient;
+}
+
+/**
+ * Insert thousands separators into a string of digits
+ * @param {string} digits - Unsigned integer digits
+ * @returns {string}
+ */
+function groupDigits(digits) {
+  return digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+/**
+ * Render a scaled integer that has already been rounded
+ * @param {bigint} value - Scaled integer
+ * @param {number} scale - Number of fraction digits in value
+ * @param {object} options - { group, minFractionDigits }
+ * @param {string} [suffix] - Compact unit suffix
+ * @returns {string}
+ */
+function renderScaled(value, scale, { group, minFractionDigits }, suffix = '') {
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(scale + 1, '0');
+
+  let intPart = digits.slice(0, digits.length - scale);
+  let fracPart = scale > 0 ? digits.slice(digits.length - scale).replace(/0+$/, '') : '';
+  if (fracPart.length < minFractionDigits) {
+    fracPart = fracPart.padEnd(minFractionDigits, '0');
+  }
+  if (group) {
+    intPart = groupDigits(intPart);
+  }
+
+  const body = fracPart ? `${intPart}.${fracPart}` : intPart;
+  return `${negative ? '-' : ''}${body}${suffix}`;
+}
+
+/**
+ * Format a raw integer token amount as an exact decimal string
+ *
+ * Without rounding options the output is exact: every significant digit of
+ * the raw amount is kept and only trailing zeros are trimmed.
+ *
+ * @param {bigint|number|string} rawAmount - Raw integer amount (e.g. an i128 balance)
+ * @param {number} [decimals=7] - Token decimals
+ * @param {object} [options]
+ * @param {boolean} [options.group=true] - Insert thousands separators
+ * @param {number} [options.maxFractionDigits] - Round to at most this many fraction digits
+ *   (default: all of them, or 2 in compact notation)
+ * @param {number} [options.minFractionDigits=0] - Pad with zeros to at least this many
+ * @param {string} [options.roundingMode='halfExpand'] - One of ROUNDING_MODES
+ * @param {boolean} [options.compact=false] - Abbreviate with K/M/B/T suffixes
+ * @returns {string} Formatted amount
+ * @throws {Error} If rawAmount is not an integer or the rounding mode is unknown
+ */
+export function formatRawAmount(rawAmount, decimals = 7, options = {}) {
+  const {
+    group = true,
+    compact = false,
+    maxFractionDigits = compact ? 2 : decimals,
+    minFractionDigits = 0,
+    roundingMode = 'halfExpand',
+  } = options;
+
+  if (!ROUNDING_MODES.includes(roundingMode)) {
+    throw new Error(`Unknown rounding mode: ${roundingMode}`);
+  }
+
+  const raw = toBigIntAmount(rawAmount);
+  const renderOptions = { group, minFractionDigits };
+
+  if (!compact) {
+    const fractionDigits = Math.min(maxFractionDigits, decimals);
+    const rounded = roundDigits(raw, decimals - fractionDigits, roundingMode);
+    return renderScaled(rounded, fractionDigits, renderOptions);
+  }
+
+  // Pick the largest unit below the integer part...
+  const abs = raw < 0n ? -raw : raw;
+  const intDigits = (abs / pow10(decimals)).toString().length;
+  let unitIndex = COMPACT_UNITS.length - 1;
+  while (unitIndex > 0 && intDigits <= COMPACT_UNITS[unitIndex].exponent) {
+    unitIndex--;
+  }
+
+  // ...then move up a unit if rounding carries to 1000 (999.999K -> 1M)
+  for (;;) {
+    const unit = COMPACT_UNITS[unitIndex];
+    const scale = decimals + unit.exponent;
+    const rounded = roundDigits(raw, scale - maxFractionDigits, roundingMode);
+    const roundedAbs = rounded < 0n ? -rounded : rounded;
+    if (unitIndex < COMPACT_UNITS.length - 1 && roundedAbs >= 1000n * pow10(maxFractionDigits)) {
+      unitIndex++;
+      continue;
+    }
+    return renderScaled(rounded, maxFractionDigits, renderOptions, unit.suffix);
+  }
+}
+
+/**
+ * Format a decimal value (already scaled) exactly
+ * @param {bigint|number|string} value - Decimal value, e.g. "1234.5" or 12345n
+ * @param {object} [options] - Same options as formatRawAmount
+ * @returns {string} Formatted value
+ * @throws {Error} If the value is not a finite decimal
+ */
+export function formatDecimal(value, options = {}) {
+  const { raw, decimals } = parseDecimal(value);
+  return formatRawAmount(raw, decimals, options);
+}
@@ -4,8 +4,18 @@
 
 import * as StellarSdk from '@stellar/stellar-sdk';
 
+// Exact BigInt-based amount formatting
+export {
+  formatRawAmount,
+  formatDecimal,
+  parseDecimal,
+  toBigIntAmount,
+  ROUNDING_MODES,
+} from './amount.js';
+
 /**
  * Convert raw token amount to display amount based on decimals
+ * @deprecated Loses precision above 2^53 and for 18+ decimals; use formatRawAmount
  * @param {bigint | number | string} rawAmount - Raw amount from contract
  * @param {number} decimals - Token decimals (default 7)
  * @returns {number} Display amount
@@ -16,6 +26,7 @@ export function rawToDisplay(rawAmount, decimals = 7) {
 
 /**
  * Format token balance for display
+ * @deprecated Takes a lossy Number; use formatRawAmount on the raw amount
  * @param {number} balance - Balance as a number
  * @param {number} decimals - Token decimals for precision (default 7)
  * @returns {string} Formatted balance